@@ -17,7 +17,11 @@ import { useTodos } from './todos.hook.js';
  */
 export const buildTodoSystem = (appName = 'todo-app') =>
   useBase(appName)
-    .config('listeners', { registrationPolicy: 'multiple' })
+    .config('listeners', {
+      registrationPolicy: 'multiple',
+      // Components created after a change start from the latest snapshot
+      retention: { 'todos:changed': { mode: 'sticky' } }
+    })
     .config('speak', { prefix: '[TodoApp] ' })
     .use(useListeners)
     .use(useQueue)
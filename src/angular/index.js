@@ -158,10 +158,7 @@ export function createMyceliaService(build) {
         return () => {};
       }
 
-      listeners.on(eventName, handler);
-      return () => {
-        listeners.off?.(eventName, handler);
-      };
+      return listeners.on(eventName, handler);
     },
 
     /**
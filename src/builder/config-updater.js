@@ -0,0 +1,78 @@
+/**
+ * Config Updater
+ *
+ * Applies a config patch to one facet of a built subsystem. The patch is deep-merged
+ * into ctx.config[kind] and validated against the configSchema of the kind's hooks
+ * (defaults filled, as at build time). The facet then either applies the new config
+ * in place through its onConfigChange handler, or, if it declares none, is hot-swapped
+ * with replaceFacet so its hook runs again with the new config.
+ *
+ * If validation, the handler or the swap fails, ctx.config[kind] is restored.
+ */
+
+import { deepMerge } from './context-resolver.js';
+import { validateHookConfigs } from './config-validator.js';
+import { collectHooks, extractHookMetadata } from './hook-processor.js';
+import { replaceSubsystemFacet } from './facet-replacement.js';
+
+/**
+ * Update the config of one facet kind.
+ *
+ * @param {BaseSubsystem} subsystem - Built subsystem
+ * @param {string} kind - Facet kind whose config is updated
+ * @param {Object} patch - Values to deep-merge into ctx.config[kind]
+ * @param {Object} [ctx=subsystem.ctx] - Context resolved by the last build (see replaceSubsystemFacet)
+ * @returns {Promise<{ config: Object, reinitialized: string[] }>} The new config of `kind`, and the
+ *   kinds that were re-created (empty when the facet's onConfigChange handler applied it)
+ * @throws {Error} If the facet does not exist, the patch is not an object, the new config violates
+ *   the configSchema (code 'FACET_CONFIG_INVALID'), or the handler or hot-swap fails
+ */
+export async function updateSubsystemConfig(subsystem, kind, patch, ctx = subsystem.ctx) {
+  if (!kind || typeof kind !== 'string') {
+    throw new Error('updateConfig: kind must be a non-empty string');
+  }
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new Error(`updateConfig: patch for '${kind}' must be an object`);
+  }
+  const facet = subsystem.find(kind);
+  if (!facet) {
+    throw new Error(`updateConfig: no facet '${kind}' to update`);
+  }
+
+  const hooks = collectHooks(subsystem);
+  const hooksByKind = extractHookMetadata(hooks);
+  const config = ctx.config || (ctx.config = {});
+  const hadConfig = Object.prototype.hasOwnProperty.call(config, kind);
+  const prev = config[kind];
+
+  const candidate = { config: { [kind]: deepMerge(prev ?? {}, patch) } };
+  validateHookConfigs({ [kind]: hooksByKind[kind] || [] }, candidate);
+  const next = candidate.config[kind];
+
+  config[kind] = next;
+  try {
+    if (facet.hasConfigChangeHandler?.()) {
+      try {
+        await facet.changeConfig(next, prev);
+      } catch (err) {
+        throw new Error(`updateConfig: onConfigChange of '${kind}' failed: ${err.message}`, { cause: err });
+      }
+      return { config: next, reinitialized: [] };
+    }
+
+    // No handler: run the facet's hook again with the new config
+    const hook = hooks.findLast(h => h?.kind === kind);
+    if (!hook) {
+      throw new Error(`updateConfig: facet '${kind}' has no onConfigChange handler and was not created by a hook`);
+    }
+    const reinitialized = await replaceSubsystemFacet(subsystem, kind, hook, ctx);
+    return { config: next, reinitialized };
+  } catch (err) {
+    if (hadConfig) {
+      config[kind] = prev;
+    } else {
+      delete config[kind];
+    }
+    throw err;
+  }
+}
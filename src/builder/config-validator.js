@@ -0,0 +1,58 @@
+/**
+ * Config Validator Utilities
+ *
+ * Validates ctx.config against the configSchema of each hook before hooks run.
+ */
+
+import { applyConfigSchema, createConfigValidationError } from '../utils/config-schema.js';
+
+/**
+ * Validate and default-fill `resolvedCtx.config[kind]` for every hook that declares a configSchema.
+ *
+ * All hooks are checked before throwing, so one error lists every violation (each with
+ * the source of the hook whose schema it breaks). Hooks of the same kind are applied in
+ * registration order, each seeing the defaults filled by the previous ones. Hooks replaced
+ * by a later overwrite hook of their kind are skipped: the replacement owns `config[kind]`.
+ * The filled config replaces `resolvedCtx.config`; the original config objects are not mutated.
+ *
+ * @param {Object} hooksByKind - Object mapping hook kinds to arrays of hook metadata
+ * @param {Object} resolvedCtx - Resolved context object (its config property is replaced)
+ * @throws {Error} Error with code 'FACET_CONFIG_INVALID' and `violations` if any config is invalid
+ */
+export function validateHookConfigs(hooksByKind, resolvedCtx) {
+  const config = { ...(resolvedCtx.config || {}) };
+  const violations = [];
+  let hasSchemas = false;
+
+  for (const [kind, hookList] of Object.entries(hooksByKind)) {
+    const replaced = getReplacedHooks(hookList);
+    for (const hookMeta of hookList || []) {
+      if (!hookMeta.configSchema || replaced.has(hookMeta)) continue;
+      hasSchemas = true;
+
+      const { value, errors } = applyConfigSchema(hookMeta.configSchema, config[kind], `config.${kind}`);
+      config[kind] = value;
+      for (const error of errors) {
+        violations.push({ ...error, kind, source: hookMeta.source });
+      }
+    }
+  }
+
+  if (violations.length > 0) {
+    throw createConfigValidationError(violations);
+  }
+  if (hasSchemas) {
+    resolvedCtx.config = config;
+  }
+}
+
+/**
+ * Get the hooks of one kind that a later overwrite hook replaces.
+ *
+ * @param {Array<Object>} [hookList=[]] - Hook metadata of one kind, in registration order
+ * @returns {Set<Object>} Metadata of every hook registered before the last overwrite hook
+ */
+export function getReplacedHooks(hookList = []) {
+  const lastOverwrite = hookList.findLastIndex(hookMeta => hookMeta.overwrite === true);
+  return new Set(hookList.slice(0, Math.max(0, lastOverwrite)));
+}
@@ -24,19 +24,23 @@ export class DependencyGraphCache {
     }
     
     this.capacity = capacity;
-    this.cache = new Map(); // key (sorted kinds string) → { valid: boolean, orderedKinds?: string[], error?: string }
+    this.cache = new Map(); // key (sorted kinds string) → { valid: boolean, orderedKinds?: string[], error?: string, details?: Object }
+    this.hits = 0;
+    this.misses = 0;
   }
   
   /**
    * Get cached result for a key (updates access order)
    * 
    * @param {string} key - Cache key (sorted facet kinds string)
-   * @returns {{ valid: boolean, orderedKinds?: string[], error?: string }|null} Cached result or null
+   * @returns {{ valid: boolean, orderedKinds?: string[], error?: string, details?: Object }|null} Cached result or null
    */
   get(key) {
     if (!this.cache.has(key)) {
+      this.misses++;
       return null;
     }
+    this.hits++;
     
     // Move to end (most recently used) by deleting and re-inserting
     const value = this.cache.get(key);
@@ -53,8 +57,9 @@ export class DependencyGraphCache {
    * @param {boolean} valid - Whether the result is valid
    * @param {string[]} [orderedKinds] - Topologically sorted kinds (if valid)
    * @param {string} [error] - Error message (if invalid)
+   * @param {Object} [details] - Structured error data (if invalid), e.g. { stuck, cycles } for dependency cycles
    */
-  set(key, valid, orderedKinds = null, error = null) {
+  set(key, valid, orderedKinds = null, error = null, details = null) {
     // If at capacity, remove least recently used (first entry)
     if (this.cache.size >= this.capacity && !this.cache.has(key)) {
       const firstKey = this.cache.keys().next().value;
@@ -64,7 +69,8 @@ export class DependencyGraphCache {
     const value = {
       valid,
       ...(valid && orderedKinds ? { orderedKinds } : {}),
-      ...(!valid && error !== null ? { error } : {})
+      ...(!valid && error !== null ? { error } : {}),
+      ...(!valid && details !== null ? { details } : {})
     };
     
     // Remove existing entry if present, then add to end (most recently used)
@@ -92,13 +98,15 @@ export class DependencyGraphCache {
 
   /**
    * Get cache statistics
-   * @returns {{capacity:number,size:number,keys:string[]}}
+   * @returns {{capacity:number,size:number,keys:string[],hits:number,misses:number}} hits/misses count get() calls
    */
   getStats() {
     return {
       capacity: this.capacity,
       size: this.cache.size,
-      keys: Array.from(this.cache.keys())
+      keys: Array.from(this.cache.keys()),
+      hits: this.hits,
+      misses: this.misses
     };
   }
 }
@@ -4,6 +4,8 @@
  * Handles building dependency graphs and topological sorting for facet ordering.
  */
 
+import { getVersionedProviders } from './version-resolver.js';
+
 /**
  * Create cache key from sorted facet kinds
  * 
@@ -24,13 +26,15 @@ export function createCacheKey(kinds) {
  * The graph is represented as:
  * - graph: Map<depKind, Set<dependentKinds>> - adjacency list
  * - indeg: Map<kind, number> - in-degree count (how many dependencies)
+ * - edgeOrigins: Map<kind, Map<depKind, { origins, source }>> - where each edge was declared
+ *   ('hook.required' and/or 'facet.getDependencies()') and the source of the declaring hook/facet
  * 
  * This graph is used by topological sort to determine initialization order.
  * 
  * @param {Object} hooksByKind - Object mapping hook kinds to hook metadata
  * @param {Object} facetsByKind - Object mapping facet kinds to Facet instances
  * @param {BaseSubsystem} subsystem - Subsystem instance (optional, for future use)
- * @returns {Object} Dependency graph with { graph, indeg, kinds }
+ * @returns {Object} Dependency graph with { graph, indeg, kinds, edgeOrigins }
  */
 export function buildDepGraph(hooksByKind, facetsByKind, subsystem = null) {
   const kinds = Object.keys(facetsByKind);
@@ -40,26 +44,50 @@ export function buildDepGraph(hooksByKind, facetsByKind, subsystem = null) {
   // - indeg: in-degree counter (how many incoming edges)
   const graph = new Map(); // dep -> Set(of dependents)
   const indeg = new Map(); // kind -> indegree
+  const edgeOrigins = new Map(); // kind -> Map(dep -> { origins, source })
 
   // Initialize all vertices with empty adjacency lists and zero indegree
   for (const k of kinds) {
     graph.set(k, new Set());
     indeg.set(k, 0);
+    edgeOrigins.set(k, new Map());
   }
 
+  // Remember who declared each edge so cycle errors can point at the right hook/facet
+  const recordOrigin = (kind, dep, origin, source) => {
+    const deps = edgeOrigins.get(kind);
+    if (!deps) return;
+    const entry = deps.get(dep);
+    if (entry) {
+      if (!entry.origins.includes(origin)) entry.origins.push(origin);
+    } else {
+      deps.set(dep, { origins: [origin], source });
+    }
+  };
+
   // Phase 1: Add dependencies from hook metadata (hook.required)
   // hooksByKind now contains arrays of hooks per kind (multiple hooks can create same facet)
+  const versionedProviders = getVersionedProviders(hooksByKind);
   for (const [kind, hookList] of Object.entries(hooksByKind)) {
     if (!Array.isArray(hookList)) continue;
     
     // Use the last hook's metadata for dependency graph (most recent/enhanced version)
-    // The dependency graph is for facets, not hooks, so we use the final facet's dependencies
+    // The dependency graph is for facets, not hooks, so we use the final facet's dependencies.
+    // Versioned kinds install every provider, so all of their dependencies count.
     const lastHook = hookList[hookList.length - 1];
-    const hookDeps = (lastHook?.required && Array.isArray(lastHook.required)) ? lastHook.required : [];
+    const declaringHooks = versionedProviders.has(kind) ? hookList : [lastHook];
+    const hookDeps = declaringHooks.flatMap(hookMeta => (Array.isArray(hookMeta?.dependencies)
+      ? hookMeta.dependencies
+      : ((hookMeta?.required && Array.isArray(hookMeta.required)) ? hookMeta.required : []).map(kind => ({ kind }))));
     const hookOverwrite = lastHook?.overwrite === true;
     
     // Process each dependency declared by the hook
-    for (const dep of hookDeps) {
+    for (const { kind: dep, optional } of hookDeps) {
+      // Optional dependencies only add an ordering edge when the facet is present
+      if (optional && !facetsByKind[dep]) {
+        continue;
+      }
+
       // Special case: overwrite hooks may require their own kind
       // Skip self-dependency for overwrite hooks (they need the original facet to exist,
       // but they're replacing it, so no cycle in facet dependency graph)
@@ -85,6 +113,7 @@ export function buildDepGraph(hooksByKind, facetsByKind, subsystem = null) {
         graph.get(dep).add(kind);
         indeg.set(kind, (indeg.get(kind) || 0) + 1);
       }
+      recordOrigin(kind, dep, 'hook.required', lastHook?.source || kind);
     }
   }
 
@@ -104,10 +133,11 @@ export function buildDepGraph(hooksByKind, facetsByKind, subsystem = null) {
         graph.get(dep).add(kind);
         indeg.set(kind, (indeg.get(kind) || 0) + 1);
       }
+      recordOrigin(kind, dep, 'facet.getDependencies()', facet.getSource?.() || kind);
     }
   }
 
-  return { graph, indeg, kinds };
+  return { graph, indeg, kinds, edgeOrigins };
 }
 
 /**
@@ -124,13 +154,13 @@ export function buildDepGraph(hooksByKind, facetsByKind, subsystem = null) {
  * 4. If any neighbor's indegree becomes 0, add it to the queue
  * 5. If result length < total vertices, a cycle exists
  * 
- * @param {Object} graphData - Dependency graph data { graph, indeg, kinds }
+ * @param {Object} graphData - Dependency graph data { graph, indeg, kinds, edgeOrigins }
  * @param {DependencyGraphCache} graphCache - Optional cache for storing results
  * @param {string} cacheKey - Optional cache key
  * @returns {string[]} Ordered array of facet kinds
- * @throws {Error} If a dependency cycle is detected
+ * @throws {Error} If a dependency cycle is detected (see createDependencyCycleError)
  */
-export function topoSort({ graph, indeg, kinds }, graphCache = null, cacheKey = null) {
+export function topoSort({ graph, indeg, kinds, edgeOrigins }, graphCache = null, cacheKey = null) {
   // Check cache if provided - avoid recomputing if we've seen this graph before
   if (graphCache && cacheKey) {
     const cached = graphCache.get(cacheKey);
@@ -138,7 +168,7 @@ export function topoSort({ graph, indeg, kinds }, graphCache = null, cacheKey =
       if (cached.valid) {
         return cached.orderedKinds;
       } else {
-        throw new Error(cached.error || 'Cached dependency graph error');
+        throw createCachedGraphError(cached);
       }
     }
   }
@@ -173,17 +203,18 @@ export function topoSort({ graph, indeg, kinds }, graphCache = null, cacheKey =
 
   // Step 4: Check for cycles
   // If we couldn't process all vertices, there's a circular dependency
-  // The "stuck" vertices are those still with indegree > 0 (part of a cycle)
+  // The "stuck" vertices are those still with indegree > 0 (part of a cycle or behind one)
   if (ordered.length !== kinds.length) {
     const stuck = kinds.filter(k => (indeg.get(k) || 0) > 0);
-    const error = `Facet dependency cycle detected among: ${stuck.join(', ')}`;
+    const cycles = findDependencyCycles({ graph, kinds: stuck, edgeOrigins });
+    const error = createDependencyCycleError(stuck, cycles);
     
-    // Cache invalid result so we don't recompute the same invalid graph
+    // Cache invalid result (with the cycle details) so we don't recompute the same invalid graph
     if (graphCache && cacheKey) {
-      graphCache.set(cacheKey, false, null, error);
+      graphCache.set(cacheKey, false, null, error.message, { stuck, cycles });
     }
     
-    throw new Error(error);
+    throw error;
   }
 
   // Step 5: Cache valid result for future use
@@ -195,3 +226,219 @@ export function topoSort({ graph, indeg, kinds }, graphCache = null, cacheKey =
   return ordered;
 }
 
+/**
+ * Group facets by dependency level for parallel initialization.
+ * Uses the topological sort order to identify facets that can be initialized in parallel.
+ * Facets at the same level (all dependencies already initialized) can be initialized in parallel.
+ * 
+ * Since orderedKinds is topologically sorted, we can group facets by finding the maximum
+ * level of their dependencies. Facets with no dependencies go to level 0, facets that
+ * depend on level 0 facets go to level 1, etc.
+ * 
+ * @param {string[]} orderedKinds - Topologically sorted facet kinds
+ * @param {Object} facetsByKind - Map of facet kind to Facet instance
+ * @returns {string[][]} Array of arrays, where each inner array contains facet kinds at the same dependency level
+ */
+export function groupByDependencyLevel(orderedKinds, facetsByKind) {
+  // Build dependency map: kind -> Set of dependencies
+  const dependencyMap = new Map();
+  
+  for (const kind of orderedKinds) {
+    const facet = facetsByKind[kind];
+    const deps = (typeof facet?.getDependencies === 'function' && facet.getDependencies()) || [];
+    // Only include dependencies that are in orderedKinds
+    const processedDeps = deps.filter(dep => orderedKinds.includes(dep));
+    dependencyMap.set(kind, new Set(processedDeps));
+  }
+  
+  // Build a map of kind -> level for quick lookup
+  const kindToLevel = new Map();
+  const levels = [];
+  
+  for (const kind of orderedKinds) {
+    const deps = dependencyMap.get(kind) || new Set();
+    
+    // Find the maximum level of any dependency
+    let targetLevel = 0;
+    if (deps.size > 0) {
+      for (const dep of deps) {
+        const depLevel = kindToLevel.get(dep);
+        if (depLevel !== undefined) {
+          targetLevel = Math.max(targetLevel, depLevel + 1);
+        }
+      }
+    }
+    
+    // Ensure levels array is large enough
+    while (levels.length <= targetLevel) {
+      levels.push([]);
+    }
+    
+    levels[targetLevel].push(kind);
+    kindToLevel.set(kind, targetLevel);
+  }
+  
+  // Filter out empty levels
+  return levels.filter(level => level.length > 0);
+}
+
+/**
+ * Maximum number of cycles reported by findDependencyCycles.
+ * Dense graphs can contain exponentially many elementary cycles.
+ */
+export const MAX_REPORTED_CYCLES = 20;
+
+/**
+ * Find the dependency cycles in a graph.
+ * 
+ * Strongly connected components are found with Tarjan's algorithm; the elementary
+ * cycles of each component are then enumerated (up to MAX_REPORTED_CYCLES in total).
+ * Cycles are reported in "requires" direction: `['a', 'b', 'a']` means a requires b
+ * and b requires a. Each cycle starts at the kind that comes first in `kinds`.
+ * 
+ * @param {Object} graphData - Dependency graph data { graph, kinds, edgeOrigins }
+ * @returns {Array<{ path: string[], edges: Array<{ from: string, to: string, origins: string[], source: string|null }> }>} Cycles
+ */
+export function findDependencyCycles({ graph, kinds, edgeOrigins = null }) {
+  const included = new Set(kinds);
+
+  // Reverse the adjacency list: kind -> kinds it requires
+  const requires = new Map(kinds.map(kind => [kind, []]));
+  for (const [dep, dependents] of graph) {
+    if (!included.has(dep)) continue;
+    for (const kind of dependents) {
+      if (included.has(kind)) {
+        requires.get(kind).push(dep);
+      }
+    }
+  }
+
+  // Tarjan's strongly connected components
+  const index = new Map();
+  const lowlink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const strongConnect = (kind) => {
+    index.set(kind, index.size);
+    lowlink.set(kind, index.get(kind));
+    stack.push(kind);
+    onStack.add(kind);
+
+    for (const dep of requires.get(kind)) {
+      if (!index.has(dep)) {
+        strongConnect(dep);
+        lowlink.set(kind, Math.min(lowlink.get(kind), lowlink.get(dep)));
+      } else if (onStack.has(dep)) {
+        lowlink.set(kind, Math.min(lowlink.get(kind), index.get(dep)));
+      }
+    }
+
+    if (lowlink.get(kind) === index.get(kind)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== kind);
+      components.push(component);
+    }
+  };
+
+  for (const kind of kinds) {
+    if (!index.has(kind)) {
+      strongConnect(kind);
+    }
+  }
+
+  const describeEdge = (from, to) => {
+    const origin = edgeOrigins?.get(from)?.get(to);
+    return { from, to, origins: origin ? [...origin.origins] : [], source: origin?.source ?? null };
+  };
+
+  // Enumerate elementary cycles per component, each starting at its earliest kind
+  const cycles = [];
+  const position = new Map(kinds.map((kind, i) => [kind, i]));
+
+  for (const component of components) {
+    const members = new Set(component);
+    const isCycle = component.length > 1 || requires.get(component[0]).includes(component[0]);
+    if (!isCycle) continue;
+
+    const starts = [...component].sort((a, b) => position.get(a) - position.get(b));
+    for (const start of starts) {
+      const path = [start];
+      const onPath = new Set(path);
+
+      const walk = (kind) => {
+        for (const dep of requires.get(kind)) {
+          if (cycles.length >= MAX_REPORTED_CYCLES) return;
+          if (!members.has(dep) || position.get(dep) < position.get(start)) continue;
+          if (dep === start) {
+            const cyclePath = [...path, start];
+            cycles.push({
+              path: cyclePath,
+              edges: cyclePath.slice(1).map((to, i) => describeEdge(cyclePath[i], to))
+            });
+          } else if (!onPath.has(dep)) {
+            path.push(dep);
+            onPath.add(dep);
+            walk(dep);
+            path.pop();
+            onPath.delete(dep);
+          }
+        }
+      };
+      walk(start);
+    }
+  }
+
+  return cycles;
+}
+
+/**
+ * Create the error thrown for a dependency cycle.
+ * 
+ * The message lists every cycle as `a -> b -> a` followed by one line per edge
+ * naming where it was declared. The error also carries the structured data:
+ * `code` ('FACET_DEPENDENCY_CYCLE'), `stuck` (kinds that could not be ordered)
+ * and `cycles` (see findDependencyCycles).
+ * 
+ * @param {string[]} stuck - Kinds left over by the topological sort
+ * @param {Array} cycles - Cycles from findDependencyCycles
+ * @returns {Error} Error with code, stuck and cycles properties
+ */
+export function createDependencyCycleError(stuck, cycles) {
+  const lines = [`Facet dependency cycle detected among: ${stuck.join(', ')}`];
+  cycles.forEach((cycle, i) => {
+    lines.push(`  cycle ${i + 1}: ${cycle.path.join(' -> ')}`);
+    for (const edge of cycle.edges) {
+      const origins = edge.origins.length > 0 ? edge.origins.join(' + ') : 'unknown';
+      lines.push(`    ${edge.from} -> ${edge.to} (${origins}, from ${edge.source || edge.from})`);
+    }
+  });
+  if (cycles.length >= MAX_REPORTED_CYCLES) {
+    lines.push(`  (only the first ${MAX_REPORTED_CYCLES} cycles are listed)`);
+  }
+
+  const error = new Error(lines.join('\n'));
+  error.code = 'FACET_DEPENDENCY_CYCLE';
+  error.stuck = stuck;
+  error.cycles = cycles;
+  return error;
+}
+
+/**
+ * Re-create the error for a cached invalid graph, including cycle details when stored.
+ * 
+ * @param {{ error?: string, details?: Object }} cached - Invalid DependencyGraphCache entry
+ * @returns {Error} Error to throw
+ */
+export function createCachedGraphError(cached) {
+  if (cached.details?.cycles) {
+    return createDependencyCycleError(cached.details.stuck || [], cached.details.cycles);
+  }
+  return new Error(cached.error || 'Cached dependency graph error');
+}
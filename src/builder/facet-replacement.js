@@ -0,0 +1,154 @@
+/**
+ * Facet Replacement
+ *
+ * Hot-swaps one facet of a built subsystem without a full reload(): the new hook
+ * is run, and every facet that transitively depends on the replaced kind (per the
+ * buildDepGraph edges) is re-created from its own hook so that it picks up the new
+ * instance. The swap runs in a FacetManager transaction; if any hook, contract or
+ * init fails, the new facets are disposed and the previous ones restored.
+ * Previous facets are only disposed after the swap has been committed.
+ */
+
+import { defaultContractRegistry } from '../contract/index.js';
+import { buildDepGraph, topoSort } from './dependency-graph.js';
+import { validateFacets } from './facet-validator.js';
+import { collectHooks, extractHookMetadata, executeHook, validateHookDependencies } from './hook-processor.js';
+import { createSubsystemLogger } from '../utils/logger.js';
+
+/**
+ * Find the facet kinds affected by replacing `kind`, in initialization order.
+ *
+ * @param {Object} graphData - Dependency graph data { graph, indeg, kinds } from buildDepGraph
+ * @param {string} kind - Replaced facet kind
+ * @returns {string[]} `kind` followed by its transitive dependents, topologically sorted
+ */
+export function getAffectedKinds(graphData, kind) {
+  const affected = new Set([kind]);
+  const pending = [kind];
+  while (pending.length) {
+    for (const dependent of graphData.graph.get(pending.shift()) || []) {
+      if (!affected.has(dependent)) {
+        affected.add(dependent);
+        pending.push(dependent);
+      }
+    }
+  }
+  return topoSort(graphData).filter(k => affected.has(k));
+}
+
+/**
+ * Plan a facet replacement (pure; does not touch the subsystem).
+ *
+ * @param {BaseSubsystem} subsystem - Built subsystem
+ * @param {string} kind - Facet kind to replace
+ * @param {Function} newHook - Hook creating the replacement facet
+ * @returns {Object} Plan with { hooks, hookIndex, hooksByKind, affectedKinds }
+ * @throws {Error} If the hook does not match the kind, the kind is not installed,
+ *   or an affected kind is built from an overwrite chain
+ */
+export function planFacetReplacement(subsystem, kind, newHook) {
+  if (!kind || typeof kind !== 'string') {
+    throw new Error('replaceFacet: kind must be a non-empty string');
+  }
+  if (typeof newHook !== 'function') {
+    throw new Error('replaceFacet: hook must be a function');
+  }
+  if (newHook.kind !== kind) {
+    throw new Error(`replaceFacet: hook kind '${newHook.kind}' does not match '${kind}'`);
+  }
+
+  const hooks = collectHooks(subsystem);
+  let hookIndex = -1;
+  for (let i = hooks.length - 1; i >= 0; i--) {
+    if (hooks[i]?.kind === kind) {
+      hookIndex = i;
+      break;
+    }
+  }
+  if (hookIndex === -1 || !subsystem.find(kind)) {
+    throw new Error(`replaceFacet: no facet '${kind}' to replace`);
+  }
+
+  const nextHooks = [...hooks];
+  nextHooks[hookIndex] = newHook;
+  const hooksByKind = extractHookMetadata(nextHooks);
+
+  // Graph over the installed facets, with the new hook's dependencies for `kind`
+  const facetsByKind = subsystem.api.__facets.getAll();
+  const affectedKinds = getAffectedKinds(buildDepGraph(hooksByKind, facetsByKind, subsystem), kind);
+
+  for (const affected of affectedKinds) {
+    if (!hooksByKind[affected]) {
+      throw new Error(`replaceFacet: facet '${affected}' depends on '${kind}' but was not created by a hook and cannot be re-created`);
+    }
+    if (hooksByKind[affected].length > 1) {
+      throw new Error(`replaceFacet: facet '${affected}' is built from several overwrite hooks and cannot be hot-swapped; use reload()`);
+    }
+  }
+
+  return { hooks: nextHooks, hookIndex, hooksByKind, affectedKinds };
+}
+
+/**
+ * Replace a facet and re-create its transitive dependents.
+ *
+ * @param {BaseSubsystem} subsystem - Built subsystem
+ * @param {string} kind - Facet kind to replace
+ * @param {Function} newHook - Hook creating the replacement facet
+ * @param {Object} [ctx=subsystem.ctx] - Context resolved by the last build; hooks run with it
+ *   so the new facets see the same config (including build(ctx) overrides) as the ones they replace
+ * @returns {Promise<string[]>} Replaced kinds in initialization order (`kind` first)
+ */
+export async function replaceSubsystemFacet(subsystem, kind, newHook, ctx = subsystem.ctx) {
+  const { hookIndex, hooksByKind, affectedKinds } = planFacetReplacement(subsystem, kind, newHook);
+  const facetManager = subsystem.api.__facets;
+  const previous = [];
+
+  facetManager.beginTransaction();
+  try {
+    for (const affected of affectedKinds) {
+      const hook = hooksByKind[affected][0].hook;
+      const oldFacet = facetManager.find(affected);
+
+      // The hook sees the already-swapped facets it depends on via subsystem.find()
+      const facet = executeHook(hook, ctx, subsystem);
+      if (!facet) {
+        throw new Error(`replaceFacet: hook '${affected}' did not return a facet`);
+      }
+      validateFacets({ [affected]: facet }, ctx, subsystem, defaultContractRegistry);
+      // Version ranges requested by other hooks must still hold for the new facet
+      validateHookDependencies(hooksByKind, { ...facetManager.getAll(), [affected]: facet }, subsystem);
+      if (Number.isInteger(oldFacet?.orderIndex)) {
+        facet.setOrderIndex(oldFacet.orderIndex);
+      }
+
+      const replaced = await facetManager.replace(affected, facet, { init: true, attach: true, ctx, api: subsystem.api });
+      previous.push(...replaced);
+    }
+    facetManager.commit();
+  } catch (err) {
+    await facetManager.rollback();
+    throw new Error(`replaceFacet: failed to replace '${kind}': ${err.message}`, { cause: err });
+  }
+
+  // Persist the new hook so later builds (e.g. after reload()) use it
+  const defaults = collectHooks({ defaultHooks: subsystem.defaultHooks });
+  if (hookIndex < defaults.length) {
+    subsystem.defaultHooks = defaults.map((hook, i) => (i === hookIndex ? newHook : hook));
+  } else {
+    subsystem.hooks[hookIndex - defaults.length] = newHook;
+  }
+
+  // Dispose replaced facets, dependents first
+  const logger = createSubsystemLogger(subsystem);
+  for (let i = previous.length - 1; i >= 0; i--) {
+    try {
+      await previous[i].dispose?.(subsystem);
+    } catch (err) {
+      logger.error(`Failed to dispose replaced facet '${previous[i].getKind?.()}':`, err);
+    }
+  }
+
+  logger.debug(`Replaced facet '${kind}' (re-initialized: ${affectedKinds.join(', ')})`);
+  return affectedKinds;
+}
@@ -0,0 +1,204 @@
+/**
+ * Graph Inspector
+ *
+ * Describes a subsystem's facet dependency graph (buildDepGraph/topoSort), its init
+ * levels (groupByDependencyLevel) and hook execution order (orderHooksByDependencies),
+ * and renders it as DOT, Mermaid or a JSON-serializable object for review tooling.
+ *
+ * Edges point from a dependency to the facet that requires it, i.e. in
+ * initialization order.
+ */
+
+import { buildDepGraph, topoSort, groupByDependencyLevel } from './dependency-graph.js';
+import { extractHookMetadata, orderHooksByDependencies } from './hook-processor.js';
+
+export const GRAPH_FORMATS = ['json', 'dot', 'mermaid'];
+
+/**
+ * Describe the dependency graph of a set of hooks and facets.
+ *
+ * @param {Array} hooks - Hook functions (defaults + user)
+ * @param {Object} facetsByKind - Object mapping facet kinds to Facet instances
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.name='subsystem'] - Subsystem name
+ * @returns {Object} Graph description:
+ *   { subsystem, nodes, edges, order, levels, hookOrder, overwriteChains }
+ * @throws {Error} If the graph has a missing dependency or a cycle
+ */
+export function describeDependencyGraph(hooks, facetsByKind, options = {}) {
+  const hooksByKind = extractHookMetadata(hooks);
+  const graphData = buildDepGraph(hooksByKind, facetsByKind);
+
+  const edges = [];
+  for (const [dep, dependents] of graphData.graph) {
+    for (const kind of dependents) {
+      edges.push({ from: dep, to: kind });
+    }
+  }
+
+  const order = topoSort(graphData);
+  const levels = groupByDependencyLevel(order, facetsByKind);
+  const levelOf = new Map();
+  levels.forEach((kinds, level) => kinds.forEach(kind => levelOf.set(kind, level)));
+
+  const describeHook = ({ source, version, overwrite, required, dependencies, index }) => ({
+    source,
+    version,
+    overwrite,
+    required: [...required],
+    dependencies: dependencies.map(dep => ({ ...dep })),
+    index
+  });
+
+  const nodes = order.map((kind, position) => {
+    const facet = facetsByKind[kind];
+    const lastHook = hooksByKind[kind]?.at(-1);
+    return {
+      kind,
+      version: lastHook?.version ?? facet.getVersion?.() ?? null,
+      source: facet.getSource?.() ?? lastHook?.source ?? null,
+      contract: facet.getContract?.() ?? null,
+      attach: facet.shouldAttach?.() ?? false,
+      level: levelOf.get(kind) ?? null,
+      order: position,
+      hooks: (hooksByKind[kind] || []).map(describeHook)
+    };
+  });
+
+  const overwriteChains = nodes
+    .filter(node => node.hooks.length > 1)
+    .map(node => ({ kind: node.kind, hooks: node.hooks }));
+
+  // Hook execution order; hooks are identified by kind and position within their kind
+  const hookOrder = orderHooksByDependencies(hooks).map((hook) => {
+    const meta = hooksByKind[hook.kind].find(entry => entry.hook === hook);
+    return { kind: hook.kind, index: meta.index, source: meta.source, version: meta.version };
+  });
+
+  return {
+    subsystem: options.name || 'subsystem',
+    nodes,
+    edges,
+    order,
+    levels,
+    hookOrder,
+    overwriteChains
+  };
+}
+
+/**
+ * Build the multi-line label for a node
+ * @param {Object} node - Node from describeDependencyGraph
+ * @returns {string[]} Label lines
+ */
+function nodeLabelLines(node) {
+  const lines = [node.version ? `${node.kind}@${node.version}` : node.kind];
+  if (node.contract) {
+    lines.push(`contract: ${node.contract}`);
+  }
+  if (node.hooks.length > 1) {
+    node.hooks.forEach((hook) => {
+      lines.push(`${hook.overwrite ? 'overwrite' : 'hook'} #${hook.index}: ${hook.source}`);
+    });
+  } else if (node.source) {
+    lines.push(node.source);
+  }
+  return lines;
+}
+
+/**
+ * Render a graph description as Graphviz DOT.
+ * Init levels become dashed clusters; overwrite chains are listed in node labels.
+ *
+ * @param {Object} graph - Result of describeDependencyGraph
+ * @returns {string} DOT source
+ */
+export function formatGraphAsDot(graph) {
+  const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = [
+    `digraph ${quote(graph.subsystem)} {`,
+    '  rankdir=LR;',
+    '  node [shape=box, fontname="Helvetica"];'
+  ];
+
+  graph.levels.forEach((kinds, level) => {
+    lines.push(`  subgraph cluster_level_${level} {`);
+    lines.push(`    label=${quote(`init level ${level}`)};`);
+    lines.push('    style=dashed;');
+    for (const kind of kinds) {
+      const node = graph.nodes.find(n => n.kind === kind);
+      const label = nodeLabelLines(node).map(line => quote(line).slice(1, -1)).join('\\n');
+      const style = node.hooks.length > 1 ? ', style=bold' : '';
+      lines.push(`    ${quote(kind)} [label="${label}"${style}];`);
+    }
+    lines.push('  }');
+  });
+
+  for (const { from, to } of graph.edges) {
+    lines.push(`  ${quote(from)} -> ${quote(to)};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a graph description as a Mermaid flowchart.
+ * Init levels become subgraphs; overwrite chains are listed in node labels.
+ *
+ * @param {Object} graph - Result of describeDependencyGraph
+ * @returns {string} Mermaid source
+ */
+export function formatGraphAsMermaid(graph) {
+  const ids = new Map();
+  const idOf = (kind) => {
+    if (!ids.has(kind)) {
+      ids.set(kind, `f${ids.size}_${kind.replace(/[^A-Za-z0-9_]/g, '_')}`);
+    }
+    return ids.get(kind);
+  };
+  const escape = value => String(value).replace(/"/g, '#quot;');
+
+  const lines = ['flowchart LR'];
+  graph.levels.forEach((kinds, level) => {
+    lines.push(`  subgraph level_${level} ["init level ${level}"]`);
+    for (const kind of kinds) {
+      const node = graph.nodes.find(n => n.kind === kind);
+      lines.push(`    ${idOf(kind)}["${nodeLabelLines(node).map(escape).join('<br/>')}"]`);
+    }
+    lines.push('  end');
+  });
+
+  for (const { from, to } of graph.edges) {
+    lines.push(`  ${idOf(from)} --> ${idOf(to)}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Describe and render a dependency graph.
+ *
+ * @param {Array} hooks - Hook functions (defaults + user)
+ * @param {Object} facetsByKind - Object mapping facet kinds to Facet instances
+ * @param {Object} [options={}] - Options
+ * @param {'json'|'dot'|'mermaid'} [options.format='json'] - Output format
+ * @param {string} [options.name] - Subsystem name
+ * @returns {Object|string} Graph description for 'json', source text otherwise
+ * @throws {Error} If the format is unknown
+ */
+export function inspectDependencyGraph(hooks, facetsByKind, options = {}) {
+  const format = options.format || 'json';
+  if (!GRAPH_FORMATS.includes(format)) {
+    throw new Error(`inspectGraph: unknown format '${format}' (expected one of: ${GRAPH_FORMATS.join(', ')})`);
+  }
+
+  const graph = describeDependencyGraph(hooks, facetsByKind, options);
+  if (format === 'dot') {
+    return formatGraphAsDot(graph);
+  }
+  if (format === 'mermaid') {
+    return formatGraphAsMermaid(graph);
+  }
+  return graph;
+}
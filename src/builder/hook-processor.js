@@ -5,13 +5,18 @@
  */
 
 import { Facet } from '../core/facet.js';
+import { normalizeRequired } from '../core/create-hook.js';
+import { satisfiesRange, intersects, getDefaultVersion } from '../utils/semver.js';
 import { instrumentHookExecution } from '../utils/instrumentation.js';
+import { getVersionedProviders, resolveDependencyBindings } from './version-resolver.js';
+import { getReplacedHooks } from './config-validator.js';
 
 /**
  * Order hooks based on their dependencies using topological sort.
  * 
  * Handles multiple hooks per kind by assigning unique IDs and creating
- * dependencies between overwrite hooks and their predecessors.
+ * dependencies between overwrite hooks and their predecessors. Dependencies on
+ * versioned kinds (see version-resolver.js) wait for the provider they are bound to.
  * 
  * @param {Array} hooks - Array of hook functions
  * @returns {Array} Ordered array of hooks
@@ -34,7 +39,8 @@ export function orderHooksByDependencies(hooks) {
         hookId,
         hook: hookMeta.hook,
         kind,
-        required: hookMeta.required,
+        // Optional dependencies order hooks too; absent kinds are skipped below
+        required: hookMeta.dependencies.map(dep => dep.kind),
         overwrite: hookMeta.overwrite,
         index: hookMeta.index
       });
@@ -44,6 +50,14 @@ export function orderHooksByDependencies(hooks) {
     kindToHookIds.set(kind, hookIds);
   }
 
+  // Provider chosen for each (hook, dependency); versioned kinds may bind to an older provider
+  const boundProvider = new Map(); // hookId -> Map(depKind -> provider hookId)
+  for (const binding of resolveDependencyBindings(hooksByKind)) {
+    const consumerId = `${binding.consumer}:${binding.consumerIndex}`;
+    if (!boundProvider.has(consumerId)) boundProvider.set(consumerId, new Map());
+    boundProvider.get(consumerId).set(binding.dependency, `${binding.dependency}:${binding.index}`);
+  }
+
   // Build dependency graph using hook IDs
   // This graph tracks hook-to-hook dependencies (not facet-to-facet)
   // We need this because multiple hooks can create the same facet kind
@@ -85,14 +99,15 @@ export function orderHooksByDependencies(hooks) {
         continue; // Skip adding other dependencies for self-kind
       }
       
-      // For other dependencies, depend on the LAST hook that creates that kind
-      // (the most recent/enhanced version)
-      // This ensures hooks always depend on the final version of a facet
+      // For other dependencies, depend on the bound provider, which is the LAST hook that
+      // creates that kind (the most recent/enhanced version) unless the kind is versioned
       if (depHookIds.length > 0) {
-        const lastDepHookId = depHookIds[depHookIds.length - 1];
-        // Add edge: lastDepHook -> currentHook
-        hookDepGraph.get(lastDepHookId).add(hookId);
-        hookIndeg.set(hookId, (hookIndeg.get(hookId) || 0) + 1);
+        const depHookId = boundProvider.get(hookId)?.get(depKind) || depHookIds[depHookIds.length - 1];
+        // Add edge: provider hook -> currentHook
+        if (!hookDepGraph.get(depHookId).has(hookId)) {
+          hookDepGraph.get(depHookId).add(hookId);
+          hookIndeg.set(hookId, (hookIndeg.get(hookId) || 0) + 1);
+        }
       }
     }
   }
@@ -146,6 +161,91 @@ export function orderHooksByDependencies(hooks) {
   return orderedHooks;
 }
 
+/**
+ * Collect the hooks a subsystem builds from (defaults first, then user hooks).
+ * 
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Array} Array of hook functions
+ */
+export function collectHooks(subsystem) {
+  // Defaults may be an array of hooks or a DefaultHooks instance exposing list()
+  const defaults = Array.isArray(subsystem.defaultHooks)
+    ? subsystem.defaultHooks
+    : (subsystem.defaultHooks?.list?.() || []);
+
+  const user = Array.isArray(subsystem.hooks) ? subsystem.hooks : [];
+  return [...defaults, ...user];
+}
+
+/**
+ * Execute a single hook and validate the facet it returns.
+ * 
+ * @param {Function} hook - Hook function
+ * @param {Object} resolvedCtx - Resolved context object
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet|null} Facet, or null if the hook returned nothing
+ * @throws {Error} If the hook throws or returns something other than a Facet of its kind
+ */
+export function executeHook(hook, resolvedCtx, subsystem) {
+  const hookKind = hook.kind;
+  const hookSource = hook.source || '<unknown>';
+
+  let facet;
+  try {
+    // Instrument hook execution for timing
+    facet = instrumentHookExecution(hook, resolvedCtx, subsystem.api, subsystem);
+  } catch (error) {
+    throw new Error(`Hook '${hookKind}' (from ${hookSource}) failed during execution: ${error.message}`);
+  }
+
+  if (!facet) return null;
+
+  if (!(facet instanceof Facet)) {
+    throw new Error(`Hook '${hookKind}' (from ${hookSource}) did not return a Facet instance (got ${typeof facet}).`);
+  }
+
+  const facetKind = facet.getKind?.();
+  if (!facetKind || typeof facetKind !== 'string') {
+    const facetSrc = facet.getSource?.() || '<unknown>';
+    throw new Error(`Facet from hook '${hookKind}' (source: ${hookSource}) missing valid kind (facet source: ${facetSrc}).`);
+  }
+
+  // Validate hook.kind matches facet.kind
+  if (hookKind !== facetKind) {
+    throw new Error(`Hook '${hookKind}' (from ${hookSource}) returned facet with mismatched kind '${facetKind}'.`);
+  }
+
+  // Facets without their own version take the hook's, so find(kind, { range }) can match them
+  const defaultVersion = getDefaultVersion();
+  if (facet.getVersion?.() === defaultVersion && hook.version && hook.version !== defaultVersion) {
+    facet.setVersion?.(hook.version);
+  }
+
+  return facet;
+}
+
+/**
+ * Build the context for a hook that a later overwrite hook replaces.
+ * 
+ * The build validated config[kind] against the winner's schema only, so a replaced hook
+ * with a schema of its own gets just the options that schema declares; its wrapper then
+ * fills its defaults.
+ * 
+ * @param {Function} hook - Replaced hook
+ * @param {Object} resolvedCtx - Resolved context object
+ * @returns {Object} Context to run the hook with
+ */
+function getReplacedHookCtx(hook, resolvedCtx) {
+  const declared = hook.configSchema?.properties;
+  if (!declared) return resolvedCtx;
+
+  const winnerConfig = resolvedCtx.config?.[hook.kind];
+  const ownConfig = winnerConfig && typeof winnerConfig === 'object'
+    ? Object.fromEntries(Object.entries(winnerConfig).filter(([key]) => Object.hasOwn(declared, key)))
+    : undefined;
+  return { ...resolvedCtx, config: { ...resolvedCtx.config, [hook.kind]: ownConfig } };
+}
+
 /**
  * Execute hooks and create facets.
  * 
@@ -153,41 +253,37 @@ export function orderHooksByDependencies(hooks) {
  * @param {Object} resolvedCtx - Resolved context object
  * @param {BaseSubsystem} subsystem - Subsystem instance
  * @param {Object} hooksByKind - Object mapping hook kinds to hook metadata
- * @returns {Object} Object with { facetsByKind, hooksByKind }
+ * @returns {Object} Object with { facetsByKind, alternateFacets }:
+ *   facetsByKind holds one facet per kind (the newest provider of versioned kinds),
+ *   alternateFacets maps versioned kinds to the facets of their older providers
  */
 export function executeHooksAndCreateFacets(orderedHooks, resolvedCtx, subsystem, hooksByKind) {
   const facetsByKind = Object.create(null);
+  const alternateFacets = Object.create(null);
+  const versionedProviders = hooksByKind ? getVersionedProviders(hooksByKind) : new Map();
+  // Hooks replaced by an overwrite hook still run, but the config of their kind belongs to the winner
+  const replacedHooks = new Set(Object.values(hooksByKind || {})
+    .flatMap(hookList => [...getReplacedHooks(hookList)].map(hookMeta => hookMeta.hook)));
 
   // Execute hooks in dependency order and create facets
   for (const hook of orderedHooks) {
     if (typeof hook !== 'function') continue;
 
-    const hookKind = hook.kind;
     const hookSource = hook.source || '<unknown>';
-
-    let facet;
-    try {
-      // Instrument hook execution for timing
-      facet = instrumentHookExecution(hook, resolvedCtx, subsystem.api, subsystem);
-    } catch (error) {
-      throw new Error(`Hook '${hookKind}' (from ${hookSource}) failed during execution: ${error.message}`);
-    }
-
+    const hookCtx = replacedHooks.has(hook) ? getReplacedHookCtx(hook, resolvedCtx) : resolvedCtx;
+    const facet = executeHook(hook, hookCtx, subsystem);
     if (!facet) continue;
 
-    if (!(facet instanceof Facet)) {
-      throw new Error(`Hook '${hookKind}' (from ${hookSource}) did not return a Facet instance (got ${typeof facet}).`);
-    }
-
-    const facetKind = facet.getKind?.();
-    if (!facetKind || typeof facetKind !== 'string') {
-      const facetSrc = facet.getSource?.() || '<unknown>';
-      throw new Error(`Facet from hook '${hookKind}' (source: ${hookSource}) missing valid kind (facet source: ${facetSrc}).`);
-    }
+    const facetKind = facet.getKind();
 
-    // Validate hook.kind matches facet.kind
-    if (hookKind !== facetKind) {
-      throw new Error(`Hook '${hookKind}' (from ${hookSource}) returned facet with mismatched kind '${facetKind}'.`);
+    // Older providers of a versioned kind live next to the primary facet instead of replacing it
+    const providers = versionedProviders.get(facetKind);
+    if (providers && providers[0].hook !== hook) {
+      if (!alternateFacets[facetKind]) alternateFacets[facetKind] = [];
+      alternateFacets[facetKind].push(facet);
+      // Temporary registration (like below) so later hooks can use find(kind, { range })
+      subsystem.api?.__facets?.addVersion?.(facetKind, facet);
+      continue;
     }
 
     // Check overwrite permission (also check facet.shouldOverwrite for consistency)
@@ -213,7 +309,7 @@ export function executeHooksAndCreateFacets(orderedHooks, resolvedCtx, subsystem
     }
   }
 
-  return { facetsByKind };
+  return { facetsByKind, alternateFacets };
 }
 
 /**
@@ -224,7 +320,8 @@ export function executeHooksAndCreateFacets(orderedHooks, resolvedCtx, subsystem
  * 
  * @param {Array} hooks - Array of hook functions
  * @returns {Object} Object mapping hook kinds to arrays of hook metadata
- *   Each entry: { hook, required, source, overwrite, version, index }
+ *   Each entry: { hook, required, dependencies, source, overwrite, version, index }
+ *   (required = mandatory kinds, dependencies = { kind, range, optional } descriptors)
  */
 export function extractHookMetadata(hooks) {
   const hooksByKind = Object.create(null);
@@ -235,13 +332,18 @@ export function extractHookMetadata(hooks) {
     const hookKind = hook.kind;
     const hookVersion = hook.version || '0.0.0';
     const hookOverwrite = hook.overwrite === true;
-    const hookRequired = (hook.required && Array.isArray(hook.required)) ? hook.required : [];
     const hookSource = hook.source || '<unknown>';
 
     if (!hookKind || typeof hookKind !== 'string') {
       throw new Error(`Hook missing valid kind property (source: ${hookSource}).`);
     }
 
+    // Hooks from createHook carry normalized descriptors; plain hook functions only have required
+    const hookDependencies = Array.isArray(hook.dependencies)
+      ? hook.dependencies
+      : normalizeRequired(hook.required, hookKind);
+    const hookRequired = hookDependencies.filter(dep => !dep.optional).map(dep => dep.kind);
+
     // Store array of hooks per kind, maintaining registration order
     if (!hooksByKind[hookKind]) {
       hooksByKind[hookKind] = [];
@@ -250,9 +352,11 @@ export function extractHookMetadata(hooks) {
     hooksByKind[hookKind].push({
       hook,  // Store the actual hook function
       required: hookRequired,
+      dependencies: hookDependencies,
       source: hookSource,
       overwrite: hookOverwrite,
       version: hookVersion,
+      configSchema: hook.configSchema || null,
       index: hooksByKind[hookKind].length  // Track position in array
     });
   }
@@ -261,13 +365,72 @@ export function extractHookMetadata(hooks) {
 }
 
 /**
- * Validate hook.required dependencies exist.
+ * Version a facet kind is provided at.
+ * Facets that do not set their own version report the version of the hook that created them.
+ * 
+ * @param {Facet} facet - Installed facet
+ * @param {Object} [hookMeta] - Metadata of the hook that created it
+ * @returns {string} Semver version
+ */
+function getProvidedVersion(facet, hookMeta) {
+  const facetVersion = facet?.getVersion?.();
+  if (facetVersion && facetVersion !== getDefaultVersion()) {
+    return facetVersion;
+  }
+  return hookMeta?.version || facetVersion || getDefaultVersion();
+}
+
+/**
+ * Fail early when two hooks request version ranges of the same installed facet
+ * that no single version can satisfy.
+ * 
+ * @param {Object} hooksByKind - Object mapping hook kinds to arrays of hook metadata
+ * @param {Object} facetsByKind - Object mapping facet kinds to Facet instances
+ * @param {Map} versionedProviders - Result of getVersionedProviders
+ * @throws {Error} If two ranges for the same facet do not intersect
+ */
+function validateRangeCompatibility(hooksByKind, facetsByKind, versionedProviders) {
+  const requests = new Map(); // dep kind -> [{ kind, source, range }]
+  for (const [kind, hookList] of Object.entries(hooksByKind)) {
+    for (const hookMeta of hookList || []) {
+      for (const { kind: dep, range } of hookMeta.dependencies || []) {
+        // Versioned kinds can serve different ranges from different providers
+        if (!range || dep === kind || !facetsByKind[dep] || versionedProviders.has(dep)) continue;
+        if (!requests.has(dep)) requests.set(dep, []);
+        requests.get(dep).push({ kind, source: hookMeta.source, range });
+      }
+    }
+  }
+
+  for (const [dep, list] of requests) {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        if (!intersects(list[i].range, list[j].range)) {
+          throw new Error(
+            `Incompatible version requirements for facet '${dep}': ` +
+            `hook '${list[i].kind}' (from ${list[i].source}) requires ${list[i].range}, ` +
+            `hook '${list[j].kind}' (from ${list[j].source}) requires ${list[j].range}.`
+          );
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Validate hook.required dependencies exist and satisfy their version ranges.
+ * 
+ * Optional dependencies may be missing; when present, their range is checked too.
  * 
  * @param {Object} hooksByKind - Object mapping hook kinds to arrays of hook metadata
  * @param {Object} facetsByKind - Object mapping facet kinds to Facet instances
  * @param {BaseSubsystem} subsystem - Subsystem instance (optional, for future use)
+ * @throws {Error} If a required facet is missing or a version is outside the requested range
  */
 export function validateHookDependencies(hooksByKind, facetsByKind, subsystem) {
+  const versionedProviders = getVersionedProviders(hooksByKind);
+  validateRangeCompatibility(hooksByKind, facetsByKind, versionedProviders);
+
   for (const [kind, hookList] of Object.entries(hooksByKind)) {
     if (!Array.isArray(hookList)) continue;
     
@@ -287,6 +450,27 @@ export function validateHookDependencies(hooksByKind, facetsByKind, subsystem) {
           throw new Error(`Hook '${kind}' (from ${hookMeta.source}) requires missing facet '${dep}'.`);
         }
       }
+
+      for (const { kind: dep, range, optional } of hookMeta.dependencies || []) {
+        // Versioned kinds were matched against their providers by resolveDependencyBindings
+        if (!range || versionedProviders.has(dep)) continue;
+
+        // An overwrite hook requiring its own kind gets the facet of the previous hook
+        const isSelf = dep === kind && hookMeta.overwrite;
+        const providerHooks = hooksByKind[dep] || [];
+        const provider = isSelf ? providerHooks[hookMeta.index - 1] : providerHooks[providerHooks.length - 1];
+        const facet = isSelf ? null : facetsByKind[dep];
+        if (!facet && !provider) continue;
+
+        const version = getProvidedVersion(facet, provider);
+        if (!satisfiesRange(version, range)) {
+          const providerSource = facet?.getSource?.() || provider?.source || dep;
+          throw new Error(
+            `Hook '${kind}' (from ${hookMeta.source}) requires ${optional ? 'optional ' : ''}facet '${dep}' ${range}, ` +
+            `but version ${version} is installed (from ${providerSource}).`
+          );
+        }
+      }
     }
   }
 }
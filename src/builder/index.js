@@ -1,13 +1,34 @@
 export { SubsystemBuilder } from './subsystem-builder.js';
 export { DependencyGraphCache } from './dependency-graph-cache.js';
-export { buildDepGraph, topoSort, createCacheKey } from './dependency-graph.js';
+export {
+  buildDepGraph,
+  topoSort,
+  createCacheKey,
+  groupByDependencyLevel,
+  findDependencyCycles,
+  createDependencyCycleError,
+  MAX_REPORTED_CYCLES
+} from './dependency-graph.js';
 export { validateFacets } from './facet-validator.js';
+export { validateHookConfigs } from './config-validator.js';
+export { updateSubsystemConfig } from './config-updater.js';
 export { resolveCtx, deepMerge } from './context-resolver.js';
 export { 
+  collectHooks,
+  executeHook,
   extractHookMetadata,
   orderHooksByDependencies,
   executeHooksAndCreateFacets,
   validateHookDependencies
 } from './hook-processor.js';
+export { getVersionedProviders, resolveDependencyBindings } from './version-resolver.js';
+export { getAffectedKinds, planFacetReplacement, replaceSubsystemFacet } from './facet-replacement.js';
+export {
+  GRAPH_FORMATS,
+  describeDependencyGraph,
+  formatGraphAsDot,
+  formatGraphAsMermaid,
+  inspectDependencyGraph
+} from './graph-inspector.js';
 export { verifySubsystemBuild, buildSubsystem, deepMerge as deepMergeUtils } from './utils.js';
 
@@ -1,4 +1,9 @@
 import { verifySubsystemBuild, buildSubsystem as executeBuild, deepMerge } from './utils.js';
+import { replaceSubsystemFacet } from './facet-replacement.js';
+import { updateSubsystemConfig } from './config-updater.js';
+import { collectHooks } from './hook-processor.js';
+import { inspectDependencyGraph } from './graph-inspector.js';
+import { instrumentBuildPhase } from '../utils/instrumentation.js';
 
 export class SubsystemBuilder {
   #subsystem;
@@ -6,6 +11,7 @@ export class SubsystemBuilder {
   #plan = null;
   #lastCtxHash = null;
   #lastGraphCache = null;
+  #builtCtx = null; // resolvedCtx of the last successful build, reused by replaceFacet/updateConfig
 
   constructor(subsystem) {
     if (!subsystem) throw new Error('SubsystemBuilder: subsystem is required');
@@ -88,17 +94,49 @@ export class SubsystemBuilder {
 
   /** Executes verify → transactional facet add/init/attach → build children. No internal guards here. */
   async build(graphCache = null) {
-    // Create or use cached plan
-    this.plan(graphCache);
-    const plan = this.#plan;
-    if (!plan) {
-      throw new Error('SubsystemBuilder.build: failed to create plan');
-    }
-    // graphCache is already included in plan.resolvedCtx by verifySubsystemBuild
-    // and will be set on subsystem.ctx by buildSubsystem
-    
-    await executeBuild(this.#subsystem, plan);
-    return this.#subsystem;
+    // Instrumented as one 'build' span, so hook execution during planning is included
+    return instrumentBuildPhase(this.#subsystem, async () => {
+      // Create or use cached plan
+      this.plan(graphCache);
+      const plan = this.#plan;
+      if (!plan) {
+        throw new Error('SubsystemBuilder.build: failed to create plan');
+      }
+      // graphCache is already included in plan.resolvedCtx by verifySubsystemBuild
+      // and will be set on subsystem.ctx by buildSubsystem
+      
+      await executeBuild(this.#subsystem, plan);
+      this.#builtCtx = plan.resolvedCtx;
+      return this.#subsystem;
+    });
+  }
+
+  /** Hot-swaps one facet (and re-creates its dependents) on the built subsystem; the cached plan is dropped. */
+  async replaceFacet(kind, hook) {
+    const replaced = await replaceSubsystemFacet(this.#subsystem, kind, hook, this.#resolvedCtx());
+    this.invalidate();
+    return replaced;
+  }
+
+  /** Applies a config patch to one facet (in place, or by hot-swapping it); the cached plan is dropped. */
+  async updateConfig(kind, patch) {
+    const result = await updateSubsystemConfig(this.#subsystem, kind, patch, this.#resolvedCtx());
+    this.invalidate();
+    return result;
+  }
+
+  /** Context the last build resolved (build(ctx) overrides included); falls back to subsystem.ctx */
+  #resolvedCtx() {
+    return this.#builtCtx || this.#subsystem.ctx;
+  }
+
+  /** Describes the facet dependency graph: live facets once built, otherwise the (cached) plan. */
+  inspectGraph(options = {}) {
+    const subsystem = this.#subsystem;
+    const facetsByKind = subsystem.isBuilt
+      ? subsystem.api.__facets.getAll()
+      : this.plan().getPlan().facetsByKind;
+    return inspectDependencyGraph(collectHooks(subsystem), facetsByKind, { name: subsystem.name, ...options });
   }
 }
 
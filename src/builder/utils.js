@@ -1,15 +1,17 @@
 import { buildChildren } from '../system/base-subsystem.utils.js';
 import { defaultContractRegistry } from '../contract/index.js';
 import { resolveCtx } from './context-resolver.js';
-import { createCacheKey, buildDepGraph, topoSort } from './dependency-graph.js';
+import { createCacheKey, buildDepGraph, topoSort, createCachedGraphError } from './dependency-graph.js';
 import { validateFacets } from './facet-validator.js';
+import { validateHookConfigs } from './config-validator.js';
 import {
+  collectHooks,
   extractHookMetadata,
   orderHooksByDependencies,
   executeHooksAndCreateFacets,
   validateHookDependencies,
 } from './hook-processor.js';
-import { instrumentBuildPhase } from '../utils/instrumentation.js';
+import { resolveDependencyBindings } from './version-resolver.js';
 
 // Re-export deepMerge for backward compatibility
 export { deepMerge } from './context-resolver.js';
@@ -20,10 +22,12 @@ export { deepMerge } from './context-resolver.js';
  * This is the first phase of the two-phase build process. It:
  * 1. Resolves context (pure operation)
  * 2. Collects hooks (defaults + user)
- * 3. Orders hooks by dependencies (topological sort)
- * 4. Executes hooks to create facets (temporary, for dependency lookups)
- * 5. Validates facets against contracts
- * 6. Builds dependency graph and sorts facets (with caching)
+ * 3. Validates ctx.config against hook config schemas (filling defaults)
+ * 4. Orders hooks by dependencies (topological sort)
+ * 5. Executes hooks to create facets (temporary, for dependency lookups)
+ * 6. Validates facets against contracts
+ * 7. Builds dependency graph and sorts facets (with caching)
+ * 8. Records which provider version each hook dependency is bound to
  * 
  * Key property: This phase is pure - it doesn't mutate the subsystem state.
  * Facets are temporarily added to api.__facets for dependency lookups only.
@@ -31,25 +35,23 @@ export { deepMerge } from './context-resolver.js';
  * @param {BaseSubsystem} subsystem - Subsystem to verify
  * @param {Object} ctx - Context to merge
  * @param {DependencyGraphCache} graphCache - Optional cache for dependency graphs
- * @returns {Object} Build plan with { resolvedCtx, orderedKinds, facetsByKind, graphCache }
+ * @returns {Object} Build plan with { resolvedCtx, orderedKinds, facetsByKind, alternateFacets, bindings, graphCache }
+ *   (alternateFacets: older providers of versioned kinds; bindings: see resolveDependencyBindings)
  */
 export function verifySubsystemBuild(subsystem, ctx = {}, graphCache = null) {
   // Step 1: Resolve context (deep merge with subsystem.ctx)
   const resolvedCtx = resolveCtx(subsystem, ctx);
 
   // Step 2: Collect all hooks (defaults + user)
-  // Check whether the defaults are defined as a DefaultHooks instance or an array of hooks. 
-  // If it's a DefaultHooks instance, use the list() method to get the array of hooks. 
-  const defaults = Array.isArray(subsystem.defaultHooks)
-    ? subsystem.defaultHooks
-    : (subsystem.defaultHooks?.list?.() || []);
-
-  const user = Array.isArray(subsystem.hooks) ? subsystem.hooks : [];
-  const hooks = [...defaults, ...user];
+  const hooks = collectHooks(subsystem);
 
   // Step 3: Extract hook metadata (kind, required, overwrite, etc.)
   const hooksByKind = extractHookMetadata(hooks);
 
+  // Step 3b: Validate ctx.config[kind] against each hook's configSchema and fill defaults
+  // Every violation is reported at once, before any hook runs
+  validateHookConfigs(hooksByKind, resolvedCtx);
+
   // Step 4: Order hooks based on their dependencies (topological sort)
   // This ensures hooks are executed in the correct order
   const orderedHooks = orderHooksByDependencies(hooks);
@@ -57,7 +59,7 @@ export function verifySubsystemBuild(subsystem, ctx = {}, graphCache = null) {
   // Step 5: Execute hooks and create facets
   // Facets are created here temporarily so later hooks can access them via subsystem.find()
   // They will be properly initialized/attached in the execute phase
-  const { facetsByKind } = executeHooksAndCreateFacets(orderedHooks, resolvedCtx, subsystem, hooksByKind);
+  const { facetsByKind, alternateFacets } = executeHooksAndCreateFacets(orderedHooks, resolvedCtx, subsystem, hooksByKind);
 
   // Step 6: Validate facets against their contracts (before dependency graph building)
   // This ensures all facets satisfy their declared contracts
@@ -67,6 +69,9 @@ export function verifySubsystemBuild(subsystem, ctx = {}, graphCache = null) {
   // Double-check that all declared dependencies are satisfied
   validateHookDependencies(hooksByKind, facetsByKind, subsystem);
 
+  // Record the provider each dependency resolved to (newest compatible version)
+  const bindings = resolveDependencyBindings(hooksByKind);
+
   // Step 8: Create cache key from sorted facet kinds
   // This key is used to cache the dependency graph computation
   const kinds = Object.keys(facetsByKind);
@@ -85,10 +90,10 @@ export function verifySubsystemBuild(subsystem, ctx = {}, graphCache = null) {
       if (cached.valid) {
         // Return cached result (skip graph building and sorting)
         // This significantly speeds up repeated builds with the same dependency structure
-        return { resolvedCtx, orderedKinds: cached.orderedKinds, facetsByKind, graphCache };
+        return { resolvedCtx, orderedKinds: cached.orderedKinds, facetsByKind, alternateFacets, bindings, graphCache };
       } else {
         // Throw cached error (don't recompute known-invalid graph)
-        throw new Error(cached.error || 'Cached dependency graph error');
+        throw createCachedGraphError(cached);
       }
     }
   }
@@ -99,7 +104,7 @@ export function verifySubsystemBuild(subsystem, ctx = {}, graphCache = null) {
   const graph = buildDepGraph(hooksByKind, facetsByKind, subsystem);
   const orderedKinds = topoSort(graph, graphCache, cacheKey);
 
-  return { resolvedCtx, orderedKinds, facetsByKind, graphCache };
+  return { resolvedCtx, orderedKinds, facetsByKind, alternateFacets, bindings, graphCache };
 }
 
 /**
@@ -119,15 +124,8 @@ export function verifySubsystemBuild(subsystem, ctx = {}, graphCache = null) {
  * @param {Object} plan - Build plan from verifySubsystemBuild
  */
 export async function buildSubsystem(subsystem, plan) {
-  // Instrument the build phase if enabled
-  return instrumentBuildPhase(subsystem, async () => {
-    return buildSubsystemInternal(subsystem, plan);
-  });
-}
-
-async function buildSubsystemInternal(subsystem, plan) {
   if (!plan) throw new Error('buildSubsystem: invalid plan');
-  const { resolvedCtx, orderedKinds, facetsByKind } = plan;
+  const { resolvedCtx, orderedKinds, facetsByKind, alternateFacets } = plan;
   if (!Array.isArray(orderedKinds)) throw new Error('buildSubsystem: invalid plan');
   if (!facetsByKind || typeof facetsByKind !== 'object' || Array.isArray(facetsByKind)) throw new Error('buildSubsystem: invalid plan');
   
@@ -210,7 +208,8 @@ async function buildSubsystemInternal(subsystem, plan) {
       init: true,
       attach: true,
       ctx: resolvedCtx,
-      api: subsystem.api
+      api: subsystem.api,
+      alternateFacets
     });
   }
 
@@ -0,0 +1,95 @@
+/**
+ * Version Resolver
+ *
+ * Resolves which provider hook each dependency is bound to when several hooks
+ * provide the same facet kind at different versions (e.g. useCache@1 and useCache@2).
+ *
+ * A kind is "versioned" when it has two or more hooks, none of them overwrite hooks,
+ * and every hook has a distinct version. The newest provider becomes the primary
+ * facet (what find(kind) returns); older ones are installed as alternate versions.
+ * Each consumer is bound to the newest provider that satisfies its `range`.
+ */
+
+import { compareVersions, maxSatisfying } from '../utils/semver.js';
+
+/**
+ * Find the versioned kinds and their providers.
+ *
+ * @param {Object} hooksByKind - Object mapping hook kinds to arrays of hook metadata
+ * @returns {Map<string, Array<Object>>} kind → provider hook metadata, newest version first
+ */
+export function getVersionedProviders(hooksByKind) {
+  const providers = new Map();
+
+  for (const [kind, hookList] of Object.entries(hooksByKind)) {
+    if (!Array.isArray(hookList) || hookList.length < 2) continue;
+    if (hookList.some(meta => meta.overwrite)) continue;
+
+    // Same-version duplicates are not alternatives; they fail as duplicate facets
+    const versions = new Set(hookList.map(meta => meta.version));
+    if (versions.size !== hookList.length) continue;
+
+    providers.set(kind, [...hookList].sort((a, b) => compareVersions(b.version, a.version)));
+  }
+
+  return providers;
+}
+
+/**
+ * Bind every hook dependency to the provider hook it will use.
+ *
+ * Versioned kinds resolve to the newest provider satisfying the dependency's range
+ * (the newest provider when there is no range). Other kinds resolve to their last
+ * hook, as before; their ranges are checked later against the installed facet.
+ * Missing dependencies produce no binding and are reported by validateHookDependencies.
+ *
+ * @param {Object} hooksByKind - Object mapping hook kinds to arrays of hook metadata
+ * @param {Map} [versionedProviders] - Result of getVersionedProviders (computed if omitted)
+ * @returns {Array<Object>} Bindings:
+ *   { consumer, consumerVersion, consumerIndex, consumerSource, dependency, range, optional, version, index, source }
+ *   where consumerIndex/index are the hooks' positions among the hooks of their kind
+ * @throws {Error} If no provider of a versioned kind satisfies a mandatory dependency
+ */
+export function resolveDependencyBindings(hooksByKind, versionedProviders = getVersionedProviders(hooksByKind)) {
+  const bindings = [];
+
+  for (const [kind, hookList] of Object.entries(hooksByKind)) {
+    for (const consumer of hookList || []) {
+      for (const { kind: dep, range, optional } of consumer.dependencies || []) {
+        // Overwrite hooks requiring their own kind are chained, not bound
+        if (dep === kind) continue;
+
+        const providers = versionedProviders.get(dep);
+        let provider = providers ? providers[0] : hooksByKind[dep]?.at(-1);
+        if (!provider) continue;
+
+        if (providers && range) {
+          const version = maxSatisfying(providers.map(meta => meta.version), range);
+          provider = providers.find(meta => meta.version === version);
+          if (!provider) {
+            if (optional) continue;
+            throw new Error(
+              `Hook '${kind}' (from ${consumer.source}) requires facet '${dep}' ${range}, ` +
+              `but no provider satisfies it (available: ${providers.map(meta => meta.version).join(', ')}).`
+            );
+          }
+        }
+
+        bindings.push({
+          consumer: kind,
+          consumerVersion: consumer.version,
+          consumerIndex: consumer.index,
+          consumerSource: consumer.source,
+          dependency: dep,
+          range: range ?? null,
+          optional: optional === true,
+          version: provider.version,
+          index: provider.index,
+          source: provider.source
+        });
+      }
+    }
+  }
+
+  return bindings;
+}
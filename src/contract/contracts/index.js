@@ -12,6 +12,7 @@ export { routerContract } from './router.contract.js';
 export { schedulerContract } from './scheduler.contract.js';
 export { serverContract } from './server.contract.js';
 export { speakContract } from './speak.contract.js';
+export { statisticsContract } from './statistics.contract.js';
 export { storageContract } from './storage.contract.js';
 export { websocketContract } from './websocket.contract.js';
 
@@ -0,0 +1,41 @@
+/**
+ * Statistics Facet Contract
+ * 
+ * Defines the contract that statistics facets must satisfy.
+ * Built-in hooks (useQueue, useListeners, useProcessor) report into any facet
+ * that satisfies it.
+ * 
+ * @example
+ * import { statisticsContract } from './statistics.contract.js';
+ * 
+ * // Enforce contract on a statistics facet
+ * statisticsContract.enforce(ctx, api, subsystem, statisticsFacet);
+ */
+import { createFacetContract } from '../facet-contract.js';
+
+/**
+ * Statistics Facet Contract
+ * 
+ * Required methods:
+ * - counter, gauge, histogram: Get or create a metric
+ * - addCollector: Register a function reporting samples at snapshot time
+ * - snapshot: Read all metrics
+ * - toPrometheus: Read all metrics as Prometheus text
+ * 
+ * Required properties:
+ * - registry: The underlying MetricsRegistry
+ */
+export const statisticsContract = createFacetContract({
+  name: 'statistics',
+  requiredMethods: [
+    'counter',
+    'gauge',
+    'histogram',
+    'addCollector',
+    'snapshot',
+    'toPrometheus'
+  ],
+  requiredProperties: [
+    'registry'
+  ]
+});
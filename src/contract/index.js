@@ -27,6 +27,7 @@ import { serverContract } from './contracts/server.contract.js';
 import { speakContract } from './contracts/speak.contract.js';
 import { websocketContract } from './contracts/websocket.contract.js';
 import { storageContract } from './contracts/storage.contract.js';
+import { statisticsContract } from './contracts/statistics.contract.js';
 
 /**
  * Default Facet Contract Registry
@@ -46,6 +47,7 @@ defaultContractRegistry.register(serverContract);
 defaultContractRegistry.register(speakContract);
 defaultContractRegistry.register(websocketContract);
 defaultContractRegistry.register(storageContract);
+defaultContractRegistry.register(statisticsContract);
 
 // Also export the registry class and individual contracts for flexibility
 export { FacetContractRegistry } from './facet-contract-registry.js';
@@ -60,4 +62,5 @@ export { serverContract } from './contracts/server.contract.js';
 export { speakContract } from './contracts/speak.contract.js';
 export { websocketContract } from './contracts/websocket.contract.js';
 export { storageContract } from './contracts/storage.contract.js';
+export { statisticsContract } from './contracts/statistics.contract.js';
 
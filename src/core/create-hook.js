@@ -1,4 +1,35 @@
-import { isValidSemver, getDefaultVersion } from '../utils/semver.js';
+import { isValidSemver, isValidRange, getDefaultVersion } from '../utils/semver.js';
+import { assertConfigSchema, applyConfigSchema, createConfigValidationError } from '../utils/config-schema.js';
+
+/**
+ * Normalize a hook's `required` list into dependency descriptors.
+ * 
+ * Entries are either a facet kind (`'storage'`) or an object
+ * `{ kind, range, optional }`: `range` is a semver range the facet's version must
+ * satisfy, `optional` dependencies may be absent but are ordered first when present.
+ * 
+ * @param {Array<string|Object>} required - Entries as passed to createHook
+ * @param {string} [hookKind='hook'] - Hook kind (for error messages)
+ * @returns {Array<{kind: string, range: string|null, optional: boolean}>} Dependency descriptors
+ * @throws {Error} If an entry is malformed or its range is invalid
+ */
+export function normalizeRequired(required, hookKind = 'hook') {
+  if (!Array.isArray(required)) return [];
+
+  return required.map((entry) => {
+    if (typeof entry === 'string') {
+      return { kind: entry, range: null, optional: false };
+    }
+    if (!entry || typeof entry !== 'object' || !entry.kind || typeof entry.kind !== 'string') {
+      throw new Error(`createHook: required entries of "${hookKind}" must be facet kinds or { kind, range, optional } objects`);
+    }
+    const range = entry.range ?? null;
+    if (range !== null && (typeof range !== 'string' || !isValidRange(range))) {
+      throw new Error(`createHook: invalid semver range "${range}" for dependency "${entry.kind}" of hook "${hookKind}"`);
+    }
+    return { kind: entry.kind, range, optional: entry.optional === true };
+  });
+}
 
 /**
  * Hook Factory Function
@@ -9,14 +40,17 @@ import { isValidSemver, getDefaultVersion } from '../utils/semver.js';
  * @param {string} options.kind - Facet kind identifier (e.g., 'router', 'queue')
  * @param {string} [options.version='0.0.0'] - Semantic version (e.g., '1.0.0', '2.1.3-alpha')
  * @param {boolean} [options.overwrite=false] - Whether this hook can overwrite an existing hook of the same kind
- * @param {Array<string>} [options.required=[]] - Array of facet kinds this hook depends on
+ * @param {Array<string|Object>} [options.required=[]] - Facet kinds this hook depends on, or
+ *   `{ kind, range, optional }` objects (see normalizeRequired)
  * @param {boolean} [options.attach=false] - Whether the resulting facet should be attached to the subsystem
  * @param {string} options.source - File location/URL where the hook is defined (e.g., import.meta.url)
  * @param {Function} options.fn - Hook function: (ctx, api, subsystem) => Facet
  * @param {string} [options.contract=null] - Optional contract name (string) for this hook
+ * @param {Object} [options.configSchema=null] - Schema of ctx.config[kind] (see utils/config-schema.js).
+ *   The build validates the config and fills in defaults before the hook runs.
  * @returns {Function} Hook function with attached metadata
  */
-export function createHook({ kind, version, overwrite = false, required = [], attach = false, source, fn, contract = null }) {
+export function createHook({ kind, version, overwrite = false, required = [], attach = false, source, fn, contract = null, configSchema = null }) {
   if (!kind || typeof kind !== 'string') {
     throw new Error('createHook: kind must be a non-empty string');
   }
@@ -39,6 +73,16 @@ export function createHook({ kind, version, overwrite = false, required = [], at
     );
   }
 
+  if (configSchema !== null) {
+    try {
+      assertConfigSchema(configSchema);
+    } catch (error) {
+      throw new Error(`createHook: invalid configSchema for hook "${kind}": ${error.message}`);
+    }
+  }
+
+  const dependencies = normalizeRequired(required, kind);
+
   const hook = function(ctx, api, subsystem) {
     // Pass contract name and version to hook function via context
     const hookCtx = { 
@@ -46,6 +90,14 @@ export function createHook({ kind, version, overwrite = false, required = [], at
       __contract: contract || null,
       __version: hookVersion
     };
+    // Builds have already validated and filled the config; this covers direct calls
+    if (configSchema) {
+      const { value, errors } = applyConfigSchema(configSchema, ctx?.config?.[kind], `config.${kind}`);
+      if (errors.length > 0) {
+        throw createConfigValidationError(errors.map(error => ({ ...error, kind, source })));
+      }
+      hookCtx.config = { ...ctx?.config, [kind]: value };
+    }
     return fn(hookCtx, api, subsystem);
   };
 
@@ -53,11 +105,32 @@ export function createHook({ kind, version, overwrite = false, required = [], at
   hook.kind = kind;
   hook.version = hookVersion;
   hook.overwrite = overwrite;
-  hook.required = Array.isArray(required) ? [...required] : [];
+  // required keeps the mandatory kinds (strings); dependencies has the full descriptors
+  hook.required = dependencies.filter(dep => !dep.optional).map(dep => dep.kind);
+  hook.dependencies = dependencies;
   hook.attach = attach;
   hook.source = source;
   hook.contract = contract || null;
+  hook.configSchema = configSchema;
 
   return hook;
 }
 
+
+/**
+ * Check whether a value is a hook created with createHook.
+ * 
+ * The check is structural (function plus the metadata createHook attaches), so hooks
+ * created by another copy of this package are recognized too.
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value looks like a createHook product
+ */
+export function isHook(value) {
+  return typeof value === 'function' &&
+    typeof value.kind === 'string' && value.kind.length > 0 &&
+    typeof value.version === 'string' &&
+    typeof value.source === 'string' &&
+    Array.isArray(value.required) &&
+    Array.isArray(value.dependencies);
+}
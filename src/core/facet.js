@@ -9,6 +9,7 @@ export class Facet {
   #isInit = false;
   #initCallback = null;
   #disposeCallback = null;
+  #configChangeCallback = null;
   #source;
   #overwrite;
   #contract = null;
@@ -120,6 +121,34 @@ export class Facet {
     return this;
   }
 
+  /**
+   * Handle runtime config updates in place (see BaseSubsystem.updateConfig).
+   * The callback receives the validated new config and the previous one; facets
+   * without a handler are re-created by their hook instead.
+   *
+   * @param {Function} cb - (next, prev) => void | Promise<void>
+   * @returns {Facet} This facet for chaining
+   */
+  onConfigChange(cb) {
+    if (typeof cb !== 'function') {
+      throw new Error(`Facet '${this.#kind}': onConfigChange callback must be a function`);
+    }
+    if (this.#isInit) {
+      throw new Error(`Facet '${this.#kind}': onConfigChange must be set before init()`);
+    }
+    this.#configChangeCallback = cb;
+    return this;
+  }
+
+  hasConfigChangeHandler() { return this.#configChangeCallback !== null; }
+
+  async changeConfig(next, prev) {
+    if (!this.#configChangeCallback) {
+      throw new Error(`Facet '${this.#kind}': no onConfigChange handler`);
+    }
+    await this.#configChangeCallback(next, prev);
+  }
+
   async init(ctx, api, subsystem) {
     if (this.#isInit) return;
     
@@ -187,6 +216,20 @@ export class Facet {
     return this;
   }
 
+  // ---- Version management ----
+
+  /** Set the version (e.g. from the hook that created the facet). Can only be set before init(). */
+  setVersion(version) {
+    if (this.#isInit) {
+      throw new Error(`Facet '${this.#kind}': cannot set version after init()`);
+    }
+    if (!isValidSemver(version)) {
+      throw new Error(`Facet '${this.#kind}': invalid semver version "${version}"`);
+    }
+    this.#version = version;
+    return this;
+  }
+
   // ---- Introspection ----
 
   getKind() { return this.#kind; }
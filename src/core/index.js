@@ -1,3 +1,3 @@
-export { createHook } from './create-hook.js';
+export { createHook, isHook } from './create-hook.js';
 export { Facet } from './facet.js';
 
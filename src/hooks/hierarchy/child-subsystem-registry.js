@@ -0,0 +1,186 @@
+/**
+ * ChildSubsystemRegistry Class
+ *
+ * Registry of the direct children of a subsystem, keyed by child name.
+ * collectChildren(), buildChildren() and disposeChildren() read it through list().
+ *
+ * Descendants can be looked up by path, either relative to the parent
+ * ('cache/manager') or absolute in getNameString() form ('kernel://cache/manager').
+ *
+ * @example
+ * const registry = new ChildSubsystemRegistry(kernel);
+ * registry.add(cache);
+ * registry.get('cache');                           // cache
+ * registry.findByPath('kernel://cache/manager');   // manager (child of cache)
+ */
+import { collectChildren } from '../../system/base-subsystem.utils.js';
+import { createComponentLogger } from '../../utils/logger.js';
+
+/**
+ * Split a subsystem path into its root name (absolute paths only) and name segments
+ *
+ * @param {string} path - 'root://a/b' or 'a/b'
+ * @returns {{root: string|null, segments: Array<string>}} Parsed path
+ */
+function parsePath(path) {
+  const absolute = /^([^:/]+):\/\/(.*)$/.exec(path);
+  const rest = absolute ? absolute[2] : path;
+  return {
+    root: absolute ? absolute[1] : null,
+    segments: rest.split('/').filter(Boolean)
+  };
+}
+
+export class ChildSubsystemRegistry {
+  /**
+   * Create a new ChildSubsystemRegistry instance
+   *
+   * @param {BaseSubsystem} parent - Subsystem that owns the children
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Logger} [options.logger] - Parent logger (usually the facet's logger)
+   */
+  constructor(parent, options = {}) {
+    if (!parent || typeof parent !== 'object') {
+      throw new Error('ChildSubsystemRegistry: parent is required');
+    }
+
+    this.parent = parent;
+    this.debug = options.debug || false;
+    this.logger = createComponentLogger('ChildSubsystemRegistry', options);
+
+    // Storage: child name -> child subsystem (insertion order = build order)
+    this.children = new Map();
+  }
+
+  /**
+   * Add a child
+   * @param {BaseSubsystem} child - Child subsystem
+   * @returns {BaseSubsystem} The child
+   * @throws {Error} If the child is invalid or another child has the same name
+   */
+  add(child) {
+    if (!child || typeof child !== 'object' || typeof child.name !== 'string' || !child.name) {
+      throw new Error('ChildSubsystemRegistry: child must be a subsystem with a non-empty name');
+    }
+    if (child === this.parent) {
+      throw new Error(`ChildSubsystemRegistry: ${child.name} cannot be its own child`);
+    }
+
+    const existing = this.children.get(child.name);
+    if (existing && existing !== child) {
+      throw new Error(`ChildSubsystemRegistry: ${this.parent.name} already has a child named '${child.name}'`);
+    }
+
+    this.children.set(child.name, child);
+
+    this.logger.debug(`Added child '${child.name}'`);
+    return child;
+  }
+
+  /**
+   * Remove a child by reference or name
+   * @param {BaseSubsystem|string} childOrName - Child or child name
+   * @returns {BaseSubsystem|null} The removed child, or null if not registered
+   */
+  remove(childOrName) {
+    const child = this.#resolve(childOrName);
+    if (!child) return null;
+
+    this.children.delete(child.name);
+
+    this.logger.debug(`Removed child '${child.name}'`);
+    return child;
+  }
+
+  /**
+   * Get a child by name
+   * @param {string} name - Child name
+   * @returns {BaseSubsystem|undefined} Child or undefined
+   */
+  get(name) {
+    return this.children.get(name);
+  }
+
+  /**
+   * Check if a child is registered
+   * @param {BaseSubsystem|string} childOrName - Child or child name
+   * @returns {boolean} True if registered
+   */
+  has(childOrName) {
+    return this.#resolve(childOrName) !== null;
+  }
+
+  /**
+   * List children in registration order
+   * @returns {Array<BaseSubsystem>} Children
+   */
+  list() {
+    return Array.from(this.children.values());
+  }
+
+  /**
+   * Number of children
+   * @returns {number} Child count
+   */
+  size() {
+    return this.children.size;
+  }
+
+  /**
+   * Remove all children
+   */
+  clear() {
+    this.children.clear();
+  }
+
+  /**
+   * Find a descendant by path
+   *
+   * Relative paths ('cache/manager') start at the parent. Absolute paths
+   * ('kernel://cache/manager') must lie under the parent's getNameString().
+   *
+   * @param {string} path - Relative or absolute path
+   * @returns {BaseSubsystem|undefined} Descendant or undefined if not found
+   */
+  findByPath(path) {
+    if (typeof path !== 'string' || !path) {
+      return undefined;
+    }
+
+    const target = parsePath(path);
+    let segments = target.segments;
+
+    if (target.root !== null) {
+      const own = parsePath(this.parent.getNameString());
+      const isUnderParent = target.root === own.root &&
+        own.segments.every((segment, i) => target.segments[i] === segment);
+      if (!isUnderParent) return undefined;
+      segments = target.segments.slice(own.segments.length);
+    }
+
+    if (segments.length === 0) return undefined;
+
+    let current = this.get(segments[0]);
+    for (const segment of segments.slice(1)) {
+      if (!current) return undefined;
+      current = collectChildren(current).find(child => child.name === segment);
+    }
+    return current;
+  }
+
+  /**
+   * @param {BaseSubsystem|string} childOrName - Child or child name
+   * @returns {BaseSubsystem|null} Registered child or null
+   * @private
+   */
+  #resolve(childOrName) {
+    if (typeof childOrName === 'string') {
+      return this.children.get(childOrName) || null;
+    }
+    if (childOrName && this.children.get(childOrName.name) === childOrName) {
+      return childOrName;
+    }
+    return null;
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * useHierarchy Hook
+ *
+ * Provides parent/child management to subsystems.
+ * Wraps ChildSubsystemRegistry, which collectChildren(), buildChildren() and
+ * disposeChildren() read through the `children` getter, and backs
+ * BaseSubsystem.setParent/getParent/isRoot/getRoot.
+ *
+ * The parent link is kept on subsystem._parent so getNameString() stays correct
+ * with or without this facet. The registry is kept per subsystem across
+ * reload() so children are rebuilt with their parent.
+ *
+ * @param {Object} ctx - Context object containing config.hierarchy for hierarchy configuration
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with hierarchy methods
+ */
+import { ChildSubsystemRegistry } from './child-subsystem-registry.js';
+import { Facet } from '../../core/facet.js';
+import { createHook } from '../../core/create-hook.js';
+import { getDebugFlag } from '../../utils/debug-flag.js';
+import { createFacetLogger } from '../../utils/logger.js';
+
+// Registries outlive facet instances so reload() does not orphan children
+const registries = new WeakMap();
+
+export const useHierarchy = createHook({
+  kind: 'hierarchy',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  contract: 'hierarchy',
+  fn: (ctx, api, subsystem) => {
+    const { name } = api;
+    const config = ctx.config?.hierarchy || {};
+    const debug = getDebugFlag(config, ctx);
+    const logger = createFacetLogger(ctx, subsystem, 'hierarchy');
+
+    if (!registries.has(subsystem)) {
+      registries.set(subsystem, new ChildSubsystemRegistry(subsystem, { debug, logger }));
+    }
+    const registry = registries.get(subsystem);
+
+    const getRoot = () => {
+      let current = subsystem;
+      while (current._parent) {
+        current = current._parent;
+      }
+      return current;
+    };
+
+    return new Facet('hierarchy', { attach: true, source: import.meta.url, contract: 'hierarchy' })
+    .add({
+      /**
+       * Register a child subsystem
+       * The child's parent is set to this subsystem and its ctx is wired to
+       * this subsystem's ctx and graph cache, so child.build() inherits them.
+       * @param {BaseSubsystem} child - Child subsystem
+       * @returns {BaseSubsystem} The child
+       * @throws {Error} If the child already has another parent, would create a cycle, or its name is taken
+       */
+      addChild(child) {
+        const currentParent = child?.getParent?.() ?? child?._parent ?? null;
+        if (currentParent && currentParent !== subsystem) {
+          throw new Error(`useHierarchy ${name}: '${child.name}' is already a child of '${currentParent.name}'`);
+        }
+        for (let ancestor = subsystem; ancestor; ancestor = ancestor._parent) {
+          if (ancestor === child) {
+            throw new Error(`useHierarchy ${name}: adding '${child.name}' would create a cycle`);
+          }
+        }
+
+        registry.add(child);
+        child.setParent(subsystem);
+        if (child.ctx) {
+          child.ctx.parent = subsystem.ctx;
+          child.ctx.graphCache = subsystem.ctx.graphCache;
+        }
+
+        logger.debug(`Added child '${child.name}'`);
+        return child;
+      },
+
+      /**
+       * Remove a child subsystem (does not dispose it)
+       * @param {BaseSubsystem|string} childOrName - Child or child name
+       * @returns {boolean} True if the child was registered
+       */
+      removeChild(childOrName) {
+        const child = registry.remove(childOrName);
+        if (!child) {
+          return false;
+        }
+        child.setParent(null);
+        if (child.ctx?.parent === subsystem.ctx) {
+          delete child.ctx.parent;
+        }
+
+        logger.debug(`Removed child '${child.name}'`);
+        return true;
+      },
+
+      /**
+       * Get a child by name, or a descendant by path
+       * @param {string} nameOrPath - 'cache', 'cache/manager' or 'kernel://cache/manager'
+       * @returns {BaseSubsystem|undefined} Subsystem or undefined
+       */
+      getChild(nameOrPath) {
+        if (typeof nameOrPath === 'string' && nameOrPath.includes('/')) {
+          return registry.findByPath(nameOrPath);
+        }
+        return registry.get(nameOrPath);
+      },
+
+      /**
+       * List direct children
+       * @returns {Array<BaseSubsystem>} Children in registration order
+       */
+      listChildren() {
+        return registry.list();
+      },
+
+      /**
+       * Find any subsystem in this tree by its getNameString() path
+       * Absolute paths resolve from the root; relative paths from this subsystem.
+       * @param {string} path - e.g. 'kernel://cache/manager'
+       * @returns {BaseSubsystem|undefined} Subsystem or undefined
+       */
+      findByPath(path) {
+        if (typeof path !== 'string' || !path.includes('://')) {
+          return registry.findByPath(path);
+        }
+        const root = getRoot();
+        if (path.replace(/\/+$/, '') === root.getNameString().replace(/\/+$/, '')) {
+          return root;
+        }
+        if (root === subsystem) {
+          return registry.findByPath(path);
+        }
+        return root.find?.('hierarchy')?.findByPath(path);
+      },
+
+      /**
+       * Set the parent subsystem
+       * @param {BaseSubsystem|null} parent - Parent or null to detach
+       * @returns {BaseSubsystem} This subsystem
+       */
+      setParent(parent) {
+        if (parent && typeof parent !== 'object') {
+          throw new Error(`${name}: parent must be an object or null`);
+        }
+        subsystem._parent = parent || null;
+        return subsystem;
+      },
+
+      /**
+       * Get the parent subsystem
+       * @returns {BaseSubsystem|null} Parent or null
+       */
+      getParent() {
+        return subsystem._parent;
+      },
+
+      /**
+       * Check if this subsystem has no parent
+       * @returns {boolean} True if root
+       */
+      isRoot() {
+        return subsystem._parent === null;
+      },
+
+      /**
+       * Get the root subsystem
+       * @returns {BaseSubsystem} Root
+       */
+      getRoot,
+
+      /**
+       * Get the ancestor chain from the root down to this subsystem
+       * @returns {Array<BaseSubsystem>} [root, ..., parent, this]
+       */
+      getLineage() {
+        const lineage = [];
+        for (let current = subsystem; current; current = current._parent) {
+          lineage.unshift(current);
+        }
+        return lineage;
+      },
+
+      /**
+       * Child registry (read by collectChildren/buildChildren/disposeChildren)
+       */
+      get children() {
+        return registry;
+      }
+    });
+  }
+});
@@ -2,7 +2,8 @@
  * HandlerGroupManager Class
  * 
  * Manages handler groups (onSuccess, onFailure, onTimeout callbacks).
- * Wraps handler groups into functions that can be registered as listeners.
+ * Wraps handler groups into functions that can be registered as listeners,
+ * and invokes the callback matching a processing outcome.
  * 
  * @example
  * const manager = new HandlerGroupManager();
@@ -39,12 +40,9 @@ export class HandlerGroupManager {
       throw new Error('Handler group must be an object');
     }
 
-    // Wrap handler group into a function with attached properties
-    // eslint-disable-next-line no-unused-vars
-    const wrappedHandler = function(_message, ..._args) {
-      // This function will be called by ListenerManager
-      // Subsystems can access individual callbacks via properties
-    };
+    // Wrap handler group into a function with attached properties.
+    // Calling it directly reports a success; ListenerManager uses invoke() to pass outcomes.
+    const wrappedHandler = (message, params) => this.invoke(wrappedHandler, message, null, params);
     
     // Attach handler group properties
     wrappedHandler.onSuccess = handlers.onSuccess;
@@ -55,6 +53,32 @@ export class HandlerGroupManager {
     return wrappedHandler;
   }
 
+  /**
+   * Invoke the callback of a handler group that matches a processing outcome
+   * 
+   * - success (or no outcome): onSuccess(message, result, params)
+   * - timed out: onTimeout(message, error, params), falling back to onFailure
+   * - failure: onFailure(message, error, params)
+   * 
+   * @param {Function} handler - Wrapped handler group
+   * @param {*} message - Message the outcome belongs to
+   * @param {Object|null} outcome - { success, result, error, timedOut } or null for a plain emit
+   * @param {Object} [params=null] - Extracted parameters from pattern match
+   * @returns {*} Callback return value, or undefined if the group has no matching callback
+   * 
+   * @example
+   * manager.invoke(wrapped, message, { success: false, error });
+   */
+  invoke(handler, message, outcome, params = null) {
+    if (!outcome || outcome.success !== false) {
+      return handler.onSuccess?.(message, outcome?.result, params);
+    }
+    if (outcome.timedOut && typeof handler.onTimeout === 'function') {
+      return handler.onTimeout(message, outcome.error, params);
+    }
+    return handler.onFailure?.(message, outcome.error, params);
+  }
+
   /**
    * Find a wrapped handler that matches the provided handler group
    * 
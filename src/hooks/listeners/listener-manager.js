@@ -20,6 +20,26 @@
  * @example
  * // Notify listeners
  * listenerManager.notifyListeners('layers/create', message);
+ * 
+ * @example
+ * // Run middleware before listeners are notified
+ * listenerManager.useMiddleware('layers/*', (ctx, next) => {
+ *   if (!ctx.message.user) return; // drop the event
+ *   return next();
+ * });
+ * 
+ * @example
+ * // Keep the last value for listeners that register later
+ * listenerManager.retain('layers/current', { mode: 'sticky' });
+ * listenerManager.on('layers/current', render, { replay: 1 });
+ * 
+ * @example
+ * // Wait for a single message
+ * const message = await listenerManager.waitFor('layers/create', { timeoutMs: 1000 });
+ * 
+ * @example
+ * // Await async listeners
+ * const results = await listenerManager.emitAsync('layers/create', message, { mode: 'parallel', timeoutMs: 1000 });
  */
 import { 
   DEFAULT_POLICIES, 
@@ -29,7 +49,12 @@ import {
 import { ListenerRegistry } from './listener-registry.js';
 import { PatternMatcher } from './pattern-matcher.js';
 import { HandlerGroupManager } from './handler-group-manager.js';
+import { RetentionStore } from './retention-store.js';
+import { createComponentLogger } from '../../utils/logger.js';
 import { ListenerStatistics } from './listener-statistics.js';
+import { withTimeout } from '../../utils/with-timeout.js';
+
+const EMIT_MODES = ['serial', 'parallel', 'settled'];
 
 export class ListenerManager {
   /**
@@ -39,6 +64,9 @@ export class ListenerManager {
    * @param {string} [options.registrationPolicy='multiple'] - Registration policy
    * @param {boolean} [options.debug=false] - Enable debug logging
    * @param {Object} [options.policyOptions={}] - Policy-specific options
+   * @param {Function} [options.onListenerError] - Sink for listener errors: (error, { path, handler }).
+   *   Without it, errors thrown by emit() listeners are only counted (and logged in debug mode),
+   *   and emitAsync() rejects with an AggregateError
    * 
    * @example
    * // Basic listener manager
@@ -55,21 +83,28 @@ export class ListenerManager {
   constructor(options = {}) {
     this.registrationPolicy = options.registrationPolicy || 'multiple';
     this.debug = options.debug || false;
+    this.logger = createComponentLogger('ListenerManager', options);
     this.policyOptions = options.policyOptions || {};
+    this.setErrorSink(options.onListenerError);
     
     // Policy registry - start with default policies
     this.allowedPolicies = new Map(DEFAULT_POLICIES);
     
     // Initialize component modules
-    this.registry = new ListenerRegistry({ debug: this.debug });
-    this.patternMatcher = new PatternMatcher({ debug: this.debug });
+    this.registry = new ListenerRegistry({ debug: this.debug, logger: options.logger });
+    this.patternMatcher = new PatternMatcher({ debug: this.debug, logger: options.logger });
     this.handlerGroupManager = new HandlerGroupManager();
     this.statistics = new ListenerStatistics();
+    this.retention = new RetentionStore();
     
-    if (this.debug) {
-      console.log(`ListenerManager: Initialized with policy '${this.registrationPolicy}'`);
-      console.log(`ListenerManager: Available policies:`, getAvailablePolicies());
-    }
+    // Middleware in registration order: { middleware, scope, matcher }
+    // (scope/matcher are null for middleware that runs on every event)
+    this.middleware = [];
+    
+    // Reject functions of pending waitFor() calls, settled by dispose()
+    this.waiters = new Set();
+    
+    this.logger.debug('Initialized', { policy: this.registrationPolicy, availablePolicies: getAvailablePolicies() });
   }
 
   /**
@@ -78,15 +113,15 @@ export class ListenerManager {
    * 
    * @param {string} path - Message path to listen for
    * @param {Object} handlers - Handler group object with onSuccess, onFailure, onTimeout
-   * @param {Object} [options={}] - Registration options
-   * @returns {boolean} Success status
+   * @param {Object} [options={}] - Registration options (see on())
+   * @returns {Function} Unsubscribe function
    * 
    * @example
    * // Register a handler group
    * listenerManager.registerHandlerGroup('save/msg_123', {
    *   onSuccess: (message) => console.log('Success:', message),
-   *   onFailure: (message) => console.error('Failure:', message),
-   *   onTimeout: (message) => console.warn('Timeout:', message)
+   *   onFailure: (message) => this.logger.error('Failure:', message),
+   *   onTimeout: (message) => this.logger.warn('Timeout:', message)
    * });
    */
   registerHandlerGroup(path, handlers, options = {}) {
@@ -98,20 +133,36 @@ export class ListenerManager {
    * Register a listener for a specific path
    * @param {string} path - Message path to listen for
    * @param {Function} handler - Handler function to call when message is received
-   * @param {Object} [options={}] - Registration options (for future use)
-   * @returns {boolean} Success status
+   * @param {Object} [options={}] - Registration options
+   * @param {AbortSignal} [options.signal] - Unregisters the listener when aborted
+   *   (nothing is registered if it has already aborted)
+   * @param {number} [options.replay=0] - Call the handler with up to this many retained
+   *   messages (oldest first) right after registering; see retain()
+   * @returns {Function} Unsubscribe function; returns true if it removed the listener
    * 
    * @example
    * // Register a listener for layer creation
-   * listenerManager.on('layers/create', (message) => {
+   * const unsubscribe = listenerManager.on('layers/create', (message) => {
    *   console.log('Layer created:', message.getBody());
    * });
+   * 
+   * @example
+   * // Tie listeners to a component's lifetime
+   * const controller = new AbortController();
+   * listenerManager.on('layers/create', onCreate, { signal: controller.signal });
+   * listenerManager.on('layers/delete', onDelete, { signal: controller.signal });
+   * controller.abort(); // removes both
    */
-  on(path, handler, _options = {}) {
+  on(path, handler, options = {}) {
     if (typeof handler !== 'function') {
       throw new Error('Handler must be a function');
     }
 
+    const { signal } = options;
+    if (signal?.aborted) {
+      return () => false;
+    }
+
     const existingListeners = this.registry.get(path);
     const policyFunction = this.allowedPolicies.get(this.registrationPolicy);
     
@@ -129,12 +180,180 @@ export class ListenerManager {
     if (result.success) {
       this.registry.register(path, handler, result.listeners);
       this.statistics.recordRegistration();
-      return true;
+      const unsubscribe = this._subscribe(path, handler, signal);
+      if (options.replay > 0) {
+        this._replay(path, handler, options.replay);
+      }
+      return unsubscribe;
     } else {
       throw new Error(result.error);
     }
   }
 
+  /**
+   * Register a listener that is removed after its first call
+   * off(path, handler) also removes it before then.
+   * @param {string} path - Message path to listen for
+   * @param {Function} handler - Handler function
+   * @param {Object} [options={}] - Registration options (see on())
+   * @returns {Function} Unsubscribe function
+   * 
+   * @example
+   * listenerManager.once('system/ready', () => startPolling());
+   */
+  once(path, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error('Handler must be a function');
+    }
+
+    // Replayed messages arrive before on() returns the unsubscribe function
+    let unsubscribe = null;
+    let called = false;
+    const onceHandler = (...args) => {
+      if (called) return;
+      called = true;
+      unsubscribe?.();
+      return handler(...args);
+    };
+    onceHandler.listener = handler;
+
+    unsubscribe = this.on(path, onceHandler, options);
+    if (called) {
+      unsubscribe();
+    }
+    return unsubscribe;
+  }
+
+  /**
+   * Wait for the next message on a path
+   * @param {string} path - Message path to wait for
+   * @param {Object} [options={}] - Wait options
+   * @param {Function} [options.filter] - (message) => boolean; messages it rejects are skipped
+   * @param {number} [options.timeoutMs] - Reject after this many milliseconds (error.timedOut === true)
+   * @param {AbortSignal} [options.signal] - Reject with signal.reason when aborted
+   * @param {number} [options.replay=0] - Also consider up to this many retained messages
+   * @returns {Promise<Message>} The first matching message
+   * @throws {Error} If the filter throws, the wait times out or is aborted, or the manager is disposed
+   * 
+   * @example
+   * // Wait for this order to be confirmed
+   * const message = await listenerManager.waitFor('orders/confirmed', {
+   *   filter: (msg) => msg.body.orderId === order.id,
+   *   timeoutMs: 5000
+   * });
+   */
+  waitFor(path, options = {}) {
+    const { filter = null, timeoutMs, signal, replay } = options;
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    let release = null;
+    const pending = new Promise((resolve, reject) => {
+      const unsubscribe = this.on(path, (message) => {
+        try {
+          if (!filter || filter(message)) {
+            resolve(message);
+          }
+        } catch (error) {
+          reject(error);
+        }
+      }, { replay });
+      const onAbort = () => reject(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiters.add(reject);
+
+      release = () => {
+        unsubscribe();
+        signal?.removeEventListener('abort', onAbort);
+        this.waiters.delete(reject);
+      };
+    });
+
+    return withTimeout(pending, timeoutMs, `waitFor '${path}'`).finally(() => release?.());
+  }
+
+  /**
+   * Retain messages emitted on a path for listeners that register later
+   * Listeners opt in with on(path, handler, { replay: n }). Messages are retained when they
+   * reach the listeners (after middleware); failed outcomes from notifyListeners() are not.
+   * Setting a policy again replaces it and drops the messages retained so far.
+   * @param {string} path - Exact message path
+   * @param {Object} policy - Retention policy:
+   *   { mode: 'sticky' } keeps the last message,
+   *   { mode: 'replay', size } the last `size` messages,
+   *   { mode: 'window', windowMs, size? } messages from the last `windowMs` milliseconds
+   * @returns {Function} Function that stops retention and drops the retained messages
+   * @throws {Error} If the path is a pattern or the policy is invalid
+   * 
+   * @example
+   * listenerManager.retain('todos:changed', { mode: 'sticky' });
+   * listenerManager.retain('chat/messages', { mode: 'replay', size: 50 });
+   * listenerManager.retain('sensors/temperature', { mode: 'window', windowMs: 60000 });
+   */
+  retain(path, policy) {
+    if (this.isPattern(path)) {
+      throw new Error(`ListenerManager: retention needs an exact path, got pattern '${path}'`);
+    }
+
+    this.retention.set(path, policy);
+    this.logger.debug('Retaining messages', { path, mode: policy.mode });
+
+    return () => {
+      if (this.retention.getPolicy(path) !== policy) {
+        return false;
+      }
+      return this.retention.delete(path);
+    };
+  }
+
+  /**
+   * Get the messages retained for a path, oldest first
+   * @param {string} path - Message path
+   * @param {number} [limit=Infinity] - Return at most this many (the newest)
+   * @returns {Array<Message>} Retained messages ([] if the path has no retention policy)
+   */
+  getRetained(path, limit = Infinity) {
+    return this.retention.get(path, limit);
+  }
+
+  /**
+   * Deliver retained messages to a newly registered handler
+   * @param {string} path - Message path
+   * @param {Function} handler - Registered handler
+   * @param {number} limit - Maximum number of messages to replay
+   * @private
+   */
+  _replay(path, handler, limit) {
+    const messages = this.retention.get(path, limit);
+    for (const message of messages) {
+      this._notifyHandlers([handler], path, message);
+    }
+    this.statistics.recordReplay(messages.length);
+  }
+
+  /**
+   * Create the unsubscribe function returned by on()
+   * @param {string} path - Message path
+   * @param {Function} handler - Registered handler
+   * @param {AbortSignal} [signal] - Signal that also unsubscribes
+   * @returns {Function} Unsubscribe function; true the first time it removes the listener
+   * @private
+   */
+  _subscribe(path, handler, signal) {
+    let active = true;
+    const detach = signal ? this.registry.bindSignal(signal, () => unsubscribe()) : null;
+    const unsubscribe = () => {
+      if (!active) {
+        return false;
+      }
+      active = false;
+      detach?.();
+      return this.off(path, handler);
+    };
+    return unsubscribe;
+  }
+
   /**
    * Unregister a handler group for a specific path
    * Finds and removes the handler group that matches the provided handlers.
@@ -293,37 +512,301 @@ export class ListenerManager {
     return this.notifyListeners(path, message);
   }
 
+  /**
+   * Emit an event and await the listeners
+   * 
+   * Unlike emit(), promises returned by listeners are awaited and failures are reported:
+   * - `serial` (default): one listener at a time, in registration order; stops at the first failure
+   * - `parallel`: all listeners at once; waits for every listener
+   * - `settled`: like `parallel`, but never rejects - failures are only reported in the results
+   * 
+   * Every failure is counted and passed to the onListenerError sink. Without a sink,
+   * `serial` and `parallel` reject with an AggregateError of the failures.
+   * 
+   * @param {string} path - Message path
+   * @param {Message} message - Message to send to listeners
+   * @param {Object} [options={}] - Emit options
+   * @param {string} [options.mode='serial'] - 'serial', 'parallel' or 'settled'
+   * @param {number} [options.timeoutMs] - Per-listener timeout; slower listeners fail with error.timedOut = true
+   * @returns {Promise<Array<Object>>} One result per listener called, in registration order:
+   *   `{ path, handler, status: 'fulfilled', value }` or `{ path, handler, status: 'rejected', reason }`
+   *   (`path` is the pattern for pattern listeners)
+   * @throws {AggregateError} If listeners failed and there is no error sink (`error.results` holds the results)
+   * @throws {Error} If middleware threw and there is no error sink
+   * 
+   * @example
+   * // Wait for every listener, collecting failures instead of throwing
+   * const results = await listenerManager.emitAsync('orders/placed', message, { mode: 'settled', timeoutMs: 500 });
+   * const failed = results.filter(result => result.status === 'rejected');
+   */
+  async emitAsync(path, message, options = {}) {
+    const { mode = 'serial', timeoutMs } = options;
+    if (!EMIT_MODES.includes(mode)) {
+      throw new Error(`Unknown emit mode: ${mode}. Available: ${EMIT_MODES.join(', ')}`);
+    }
+
+    this.statistics.recordAsyncEmit();
+
+    const chain = this._middlewareFor(path);
+    if (chain.length === 0) {
+      return this._dispatchAsync(path, message, mode, timeoutMs);
+    }
+
+    const ctx = { path, message, outcome: null, state: {} };
+    // Middleware may call next() without returning or awaiting it, so the dispatch is
+    // tracked here and awaited after the chain, not taken from the chain's result
+    let dispatched = null;
+    let listenerError = null;
+    const final = () => {
+      dispatched = this._dispatchAsync(path, ctx.message, mode, timeoutMs).catch((error) => {
+        listenerError = error;
+        throw error;
+      });
+      // Handled below; keeps a rejection from being reported as unhandled meanwhile
+      dispatched.catch(() => {});
+      return dispatched;
+    };
+
+    let middlewareFailed = false;
+    try {
+      await this._runMiddleware(chain, ctx, final);
+    } catch (error) {
+      // Listener failures were already reported; anything else came from middleware
+      if (error !== listenerError) {
+        if (!this._recordMiddlewareError(path, error)) {
+          throw error;
+        }
+        middlewareFailed = true;
+      }
+    }
+
+    if (dispatched === null) {
+      if (!middlewareFailed) {
+        this.statistics.recordBlocked();
+      }
+      return [];
+    }
+    return dispatched;
+  }
+
+  /**
+   * Await the listeners of a path (emitAsync() after middleware)
+   * @param {string} path - Message path
+   * @param {Message} message - Message to send to listeners
+   * @param {string} mode - 'serial', 'parallel' or 'settled'
+   * @param {number} [timeoutMs] - Per-listener timeout
+   * @returns {Promise<Array<Object>>} Per-listener results
+   * @private
+   */
+  async _dispatchAsync(path, message, mode, timeoutMs) {
+    this.retention.record(path, message);
+    const invocations = this._collectInvocations(path);
+
+    const run = async ({ handler, params, source }) => {
+      try {
+        const pending = Promise.resolve().then(() => this._invokeHandler(handler, message, params));
+        const value = await withTimeout(pending, timeoutMs, `Listener for '${source}'`);
+        return { path: source, handler, status: 'fulfilled', value };
+      } catch (reason) {
+        return { path: source, handler, status: 'rejected', reason };
+      }
+    };
+
+    let results;
+    if (mode === 'serial') {
+      results = [];
+      for (const invocation of invocations) {
+        const result = await run(invocation);
+        results.push(result);
+        if (result.status === 'rejected') break;
+      }
+    } else {
+      results = await Promise.all(invocations.map(run));
+    }
+
+    this.statistics.recordNotifications(results.length);
+    const failures = results.filter(result => result.status === 'rejected');
+    for (const { path: source, handler, reason } of failures) {
+      if (reason?.timedOut) {
+        this.statistics.recordTimeout();
+      }
+      this._recordHandlerError(source, reason, handler);
+    }
+
+    if (failures.length > 0 && mode !== 'settled' && !this.onListenerError) {
+      const error = new AggregateError(
+        failures.map(failure => failure.reason),
+        `${failures.length} listener(s) failed for '${path}'`
+      );
+      error.results = results;
+      throw error;
+    }
+
+    return results;
+  }
+
+  /**
+   * Add middleware that runs before listeners are notified (emit, notifyListeners, emitAsync)
+   * 
+   * Middleware is called koa-style with `(ctx, next)`, in registration order:
+   * - `ctx.path`, `ctx.outcome` (processing outcome or null) and `ctx.state` (shared by the chain)
+   * - `ctx.message` can be replaced; listeners receive the final value
+   * - call `next()` to continue; not calling it drops the event
+   * - `next()` returns the number of listeners notified (a promise of the results for emitAsync)
+   * 
+   * Registration policies still decide which listeners are registered; middleware decides
+   * whether, and with which message, they are notified.
+   * 
+   * emit() is synchronous: if middleware awaits before calling next(), listeners are notified
+   * later and emit() returns 0. Middleware errors are counted and passed to the onListenerError
+   * sink; without one, emit() logs them in debug mode and emitAsync() rejects.
+   * 
+   * @param {string|Function} scope - Path or pattern the middleware applies to (see PatternMatcher),
+   *   or the middleware itself to run on every event
+   * @param {Function} [middleware] - (ctx, next) => any
+   * @returns {Function} Function that removes the middleware
+   * 
+   * @example
+   * // Log every event
+   * listenerManager.useMiddleware((ctx, next) => {
+   *   const notified = next();
+   *   logger.debug('Event', { path: ctx.path, notified });
+   *   return notified;
+   * });
+   * 
+   * @example
+   * // Validate order payloads
+   * listenerManager.useMiddleware('orders/**', (ctx, next) => {
+   *   ctx.message = validateOrder(ctx.message);
+   *   return next();
+   * });
+   */
+  useMiddleware(scope, middleware) {
+    if (typeof scope === 'function' && middleware === undefined) {
+      [scope, middleware] = [null, scope];
+    }
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+    if (scope !== null && typeof scope !== 'string') {
+      throw new Error('Middleware scope must be a path or pattern string');
+    }
+
+    let matcher = null;
+    if (scope !== null && this.patternMatcher.isPattern(scope)) {
+      matcher = new PatternMatcher({ debug: this.debug, logger: this.logger });
+      matcher.register(scope, middleware, [middleware]);
+    }
+
+    const entry = { middleware, scope, matcher };
+    this.middleware.push(entry);
+    this.logger.debug('Added middleware', { scope });
+
+    return () => {
+      const index = this.middleware.indexOf(entry);
+      if (index === -1) {
+        return false;
+      }
+      this.middleware.splice(index, 1);
+      return true;
+    };
+  }
+
+  /**
+   * Set the sink for listener errors
+   * @param {Function|null} sink - (error, { path, handler }) => void, or null to remove it
+   * 
+   * @example
+   * listenerManager.setErrorSink((error, { path }) => reportError(error, { path }));
+   */
+  setErrorSink(sink) {
+    if (sink !== undefined && sink !== null && typeof sink !== 'function') {
+      throw new Error('onListenerError must be a function');
+    }
+    this.onListenerError = sink || null;
+  }
+
   /**
    * Notify listeners for a specific path
    * Checks both exact path matches and pattern matches
+   * 
+   * When a processing outcome is given, handler groups receive the matching
+   * onSuccess/onFailure/onTimeout callback and plain listeners are only
+   * notified of successful outcomes.
+   * 
    * @param {string} path - Message path
    * @param {Message} message - Message to send to listeners
+   * @param {Object} [outcome=null] - Processing outcome { success, result, error, timedOut }
    * @returns {number} Number of listeners notified
    * 
    * @example
    * // Notify listeners after processing a message
    * const notified = listenerManager.notifyListeners('layers/create', message);
+   * 
+   * @example
+   * // Report a failed message to handler groups
+   * listenerManager.notifyListeners('layers/create', message, { success: false, error });
+   */
+  notifyListeners(path, message, outcome = null) {
+    const chain = this._middlewareFor(path);
+    if (chain.length === 0) {
+      return this._dispatch(path, message, outcome);
+    }
+
+    const ctx = { path, message, outcome, state: {} };
+    let notified = null;
+    const done = () => {
+      if (notified === null) {
+        this.statistics.recordBlocked();
+      }
+    };
+
+    try {
+      const pending = this._runMiddleware(chain, ctx, () => (notified = this._dispatch(path, ctx.message, ctx.outcome)));
+      if (pending && typeof pending.then === 'function') {
+        pending.then(done, (error) => this._recordMiddlewareError(path, error));
+      } else {
+        done();
+      }
+    } catch (error) {
+      this._recordMiddlewareError(path, error);
+    }
+
+    return notified ?? 0;
+  }
+
+  /**
+   * Notify the listeners of a path (notifyListeners() after middleware)
+   * @param {string} path - Message path
+   * @param {Message} message - Message to send to listeners
+   * @param {Object|null} outcome - Processing outcome
+   * @returns {number} Number of listeners notified
+   * @private
    */
-  notifyListeners(path, message) {
+  _dispatch(path, message, outcome) {
     let totalNotified = 0;
 
+    if (!outcome || outcome.success !== false) {
+      this.retention.record(path, message);
+    }
+
     // 1. Check exact path matches first (existing behavior)
     if (this.registry.has(path)) {
       const handlers = this.registry.get(path);
-      totalNotified += this._notifyHandlers(handlers, path, message);
+      totalNotified += this._notifyHandlers(handlers, path, message, null, outcome);
     }
 
     // 2. Check pattern matches
     const patternMatches = this.patternMatcher.findMatches(path);
     for (const { patternEntry, params } of patternMatches) {
-      totalNotified += this._notifyHandlers(patternEntry.handlers, patternEntry.pattern, message, params);
+      totalNotified += this._notifyHandlers(patternEntry.handlers, patternEntry.pattern, message, params, outcome);
       this.statistics.recordPatternMatch();
     }
 
     this.statistics.recordNotifications(totalNotified);
 
-    if (this.debug && totalNotified > 0) {
-      console.log(`ListenerManager: Notified ${totalNotified} listeners for '${path}'`);
+    if (totalNotified > 0) {
+      this.logger.debug('Notified listeners', { path, notified: totalNotified });
     }
 
     return totalNotified;
@@ -335,46 +818,195 @@ export class ListenerManager {
    * @param {string} path - Path for logging
    * @param {Message} message - Message to send
    * @param {Object} [params=null] - Extracted parameters from pattern match
+   * @param {Object} [outcome=null] - Processing outcome (see notifyListeners)
    * @returns {number} Number of handlers notified
    * @private
    */
-  _notifyHandlers(handlers, path, message, params = null) {
+  _notifyHandlers(handlers, path, message, params = null, outcome = null) {
     let notified = 0;
 
     for (const handlerEntry of handlers) {
+      const handler = this._resolveHandler(handlerEntry);
       try {
-        // Handle priority policy: extract handler from object
-        // Priority policy stores: { handler, priority, path }
-        // Other policies store: function directly
-        const handler = typeof handlerEntry === 'function' 
-          ? handlerEntry 
-          : (handlerEntry && handlerEntry.handler ? handlerEntry.handler : handlerEntry);
-        
         if (typeof handler !== 'function') {
-          if (this.debug) {
-            console.error(`ListenerManager: Handler for '${path}' is not a function:`, handler);
+          if (this.logger.isDebugEnabled()) {
+            this.logger.error('Handler is not a function', { path, handler: typeof handler });
+          }
+          continue;
+        }
+        
+        // Handler groups pick the callback matching the outcome
+        if (this.handlerGroupManager.isHandlerGroup(handler)) {
+          const pending = this.handlerGroupManager.invoke(handler, message, outcome, params);
+          if (pending && typeof pending.catch === 'function') {
+            pending.catch((error) => this._recordHandlerError(path, error, handler));
           }
+          notified++;
+          continue;
+        }
+        
+        // Plain listeners only hear about successfully processed messages
+        if (outcome && outcome.success === false) {
           continue;
         }
         
         // Call handler with message and params (if pattern match)
-        if (params) {
-          handler(message, params);
-        } else {
-          handler(message);
+        const pending = params ? handler(message, params) : handler(message);
+        if (pending && typeof pending.catch === 'function') {
+          pending.catch((error) => this._recordHandlerError(path, error, handler));
         }
         notified++;
       } catch (error) {
-        this.statistics.recordError();
-        if (this.debug) {
-          console.error(`ListenerManager: Error in listener for '${path}':`, error);
-        }
+        this._recordHandlerError(path, error, handler);
       }
     }
 
     return notified;
   }
 
+  /**
+   * Get the middleware that applies to a path, in registration order
+   * @param {string} path - Message path
+   * @returns {Array<Function>} Middleware functions
+   * @private
+   */
+  _middlewareFor(path) {
+    if (this.middleware.length === 0) {
+      return [];
+    }
+    return this.middleware
+      .filter(({ scope, matcher }) => scope === null || (matcher ? matcher.findMatches(path).length > 0 : scope === path))
+      .map(entry => entry.middleware);
+  }
+
+  /**
+   * Run a middleware chain; `final` notifies the listeners
+   * @param {Array<Function>} chain - Middleware functions
+   * @param {Object} ctx - Middleware context
+   * @param {Function} final - Called by the last next()
+   * @returns {*} Return value of the first middleware
+   * @private
+   */
+  _runMiddleware(chain, ctx, final) {
+    const dispatch = (index) => {
+      if (index === chain.length) {
+        return final();
+      }
+      let nextCalled = false;
+      return chain[index](ctx, () => {
+        if (nextCalled) {
+          throw new Error('ListenerManager: next() called multiple times');
+        }
+        nextCalled = true;
+        return dispatch(index + 1);
+      });
+    };
+    return dispatch(0);
+  }
+
+  /**
+   * Record an error thrown (or rejected) by middleware and pass it to the error sink
+   * @param {string} path - Message path
+   * @param {Error} error - Middleware error
+   * @returns {boolean} True if the error sink handled it
+   * @private
+   */
+  _recordMiddlewareError(path, error) {
+    this.statistics.recordMiddlewareError();
+    if (this.onListenerError) {
+      try {
+        this.onListenerError(error, { path, middleware: true });
+      } catch (sinkError) {
+        this.logger.error('onListenerError threw', { path }, sinkError);
+      }
+      return true;
+    }
+    if (this.logger.isDebugEnabled()) {
+      this.logger.error('Error in listener middleware', { path }, error);
+    }
+    return false;
+  }
+
+  /**
+   * Extract the handler function from a registry entry
+   * Priority policy stores: { handler, priority, path }
+   * Other policies store: function directly
+   * @param {Function|Object} handlerEntry - Registry entry
+   * @returns {Function|*} Handler function (or the entry itself if it has none)
+   * @private
+   */
+  _resolveHandler(handlerEntry) {
+    return typeof handlerEntry === 'function' 
+      ? handlerEntry 
+      : (handlerEntry && handlerEntry.handler ? handlerEntry.handler : handlerEntry);
+  }
+
+  /**
+   * Collect the listeners emitAsync() calls for a path: exact listeners first, then pattern listeners
+   * @param {string} path - Message path
+   * @returns {Array<Object>} Invocations { handler, params, source }
+   * @private
+   */
+  _collectInvocations(path) {
+    const invocations = [];
+    const add = (handlers, source, params) => {
+      for (const handlerEntry of handlers) {
+        const handler = this._resolveHandler(handlerEntry);
+        if (typeof handler !== 'function') {
+          if (this.logger.isDebugEnabled()) {
+            this.logger.error('Handler is not a function', { path: source, handler: typeof handler });
+          }
+          continue;
+        }
+        invocations.push({ handler, params, source });
+      }
+    };
+
+    if (this.registry.has(path)) {
+      add(this.registry.get(path), path, null);
+    }
+    for (const { patternEntry, params } of this.patternMatcher.findMatches(path)) {
+      add(patternEntry.handlers, patternEntry.pattern, params);
+      this.statistics.recordPatternMatch();
+    }
+    return invocations;
+  }
+
+  /**
+   * Call a listener as a plain emit does (handler groups get onSuccess)
+   * @param {Function} handler - Listener or wrapped handler group
+   * @param {Message} message - Message to send
+   * @param {Object|null} params - Extracted parameters from pattern match
+   * @returns {*} Listener return value
+   * @private
+   */
+  _invokeHandler(handler, message, params) {
+    if (this.handlerGroupManager.isHandlerGroup(handler)) {
+      return this.handlerGroupManager.invoke(handler, message, null, params);
+    }
+    return params ? handler(message, params) : handler(message);
+  }
+
+  /**
+   * Record an error thrown (or rejected) by a listener and pass it to the error sink
+   * @param {string} path - Path (or pattern) the listener is registered for
+   * @param {Error} error - Listener error
+   * @param {Function} [handler] - Listener that failed
+   * @private
+   */
+  _recordHandlerError(path, error, handler) {
+    this.statistics.recordError();
+    if (this.onListenerError) {
+      try {
+        this.onListenerError(error, { path, handler });
+      } catch (sinkError) {
+        this.logger.error('onListenerError threw', { path }, sinkError);
+      }
+    } else if (this.logger.isDebugEnabled()) {
+      this.logger.error('Error in listener', { path }, error);
+    }
+  }
+
   /**
    * Notify all listeners (broadcast)
    * @param {Message} message - Message to send to all listeners
@@ -391,8 +1023,8 @@ export class ListenerManager {
       totalNotified += this.notifyListeners(path, message);
     }
 
-    if (this.debug && totalNotified > 0) {
-      console.log(`ListenerManager: Broadcast to ${totalNotified} listeners`);
+    if (totalNotified > 0) {
+      this.logger.debug('Broadcast to listeners', { notified: totalNotified });
     }
 
     return totalNotified;
@@ -426,9 +1058,7 @@ export class ListenerManager {
     this.registrationPolicy = policy;
     this.policyOptions = { ...this.policyOptions, ...options };
 
-    if (this.debug) {
-      console.log(`ListenerManager: Policy set to '${policy}' with options:`, options);
-    }
+    this.logger.debug('Policy set', { policy, options });
 
     return true;
   }
@@ -461,9 +1091,7 @@ export class ListenerManager {
     
     this.allowedPolicies.set(name, policyFunction);
     
-    if (this.debug) {
-      console.log(`ListenerManager: Registered policy '${name}'`);
-    }
+    this.logger.debug('Registered policy', { policy: name });
   }
 
   /**
@@ -479,8 +1107,8 @@ export class ListenerManager {
     
     const removed = this.allowedPolicies.delete(name);
     
-    if (this.debug && removed) {
-      console.log(`ListenerManager: Unregistered policy '${name}'`);
+    if (removed) {
+      this.logger.debug('Unregistered policy', { policy: name });
     }
     
     return removed;
@@ -548,17 +1176,20 @@ export class ListenerManager {
       exactPaths: this.registry.getPathCount(),
       exactListeners: exactListeners,
       patternCount: this.patternMatcher.getPatternCount(),
-      patternListeners: patternListeners
+      patternListeners: patternListeners,
+      retainedPaths: this.retention.getPathCount(),
+      retainedMessages: this.retention.getTotalCount()
     });
   }
 
   /**
-   * Check if a path contains pattern syntax (e.g., {param})
+   * Check if a path contains pattern syntax ({param}, '*' or '**' segments)
    * @param {string} path - Path to check
    * @returns {boolean} True if path contains pattern syntax
    * 
    * @example
    * listenerManager.isPattern('command/completed/id/{id}'); // true
+   * listenerManager.isPattern('todos/*'); // true
    * listenerManager.isPattern('command/completed'); // false
    */
   isPattern(path) {
@@ -567,7 +1198,12 @@ export class ListenerManager {
 
   /**
    * Register a listener for a pattern path
-   * @param {string} pattern - Pattern path with {param} placeholders (e.g., 'command/completed/id/{id}')
+   * 
+   * Patterns support {param}, typed or constrained {param:int} / {param:\d+}, optional {param}?
+   * segments, '*' (one segment) and '**' (any number of segments); see PatternMatcher.
+   * When several patterns match a path, the most specific one is notified first.
+   * 
+   * @param {string} pattern - Pattern path (e.g., 'command/completed/id/{id}')
    * @param {Function} handler - Handler function to call when pattern matches
    * @returns {boolean} Success status
    * 
@@ -576,15 +1212,19 @@ export class ListenerManager {
    * listenerManager.onPattern('command/completed/id/{id}', (message, params) => {
    *   console.log('Command completed:', params.id);
    * });
+   * 
+   * @example
+   * // Everything below a numeric user id
+   * listenerManager.onPattern('user/{id:int}/**', (message, params) => {
+   *   console.log(params.id, params['**']); // 42, 'settings/theme'
+   * });
    */
   onPattern(pattern, handler) {
     if (typeof handler !== 'function') {
       throw new Error('Handler must be a function');
     }
 
-    const existingHandlers = this.patternMatcher.has(pattern) 
-      ? this.patternMatcher.findMatches(pattern)[0]?.patternEntry?.handlers || []
-      : [];
+    const existingHandlers = this.patternMatcher.getHandlers(pattern);
 
     const policyFunction = this.allowedPolicies.get(this.registrationPolicy);
     
@@ -659,10 +1299,23 @@ export class ListenerManager {
     this.statistics.clear();
     this.registry.clear();
     this.patternMatcher.clear();
+    this.retention.clear();
+    this.middleware = [];
     
-    if (this.debug) {
-      console.log(`ListenerManager: Cleared all data`);
+    this.logger.debug('Cleared all data');
+  }
+
+  /**
+   * Remove all listeners and middleware and reject pending waitFor() calls
+   * Called when the owning listeners facet is disposed.
+   */
+  dispose() {
+    const error = new Error('ListenerManager: disposed while waiting for a message');
+    for (const reject of [...this.waiters]) {
+      reject(error);
     }
+    this.waiters.clear();
+    this.clear();
   }
 }
 
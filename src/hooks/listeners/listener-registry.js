@@ -3,24 +3,33 @@
  * 
  * Manages listener storage and basic registration/unregistration operations.
  * Handles exact path matching only (no pattern matching).
+ * Registrations tied to an AbortSignal are released when the signal aborts; clear()
+ * drops the abort listeners along with the handlers.
  * 
  * @example
  * const registry = new ListenerRegistry();
  * registry.register('layers/create', handler);
  * const handlers = registry.get('layers/create');
  */
+import { createComponentLogger } from '../../utils/logger.js';
+
 export class ListenerRegistry {
   /**
    * Create a new ListenerRegistry instance
    * 
    * @param {Object} [options={}] - Configuration options
    * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Logger} [options.logger] - Parent logger (usually the facet's logger)
    */
   constructor(options = {}) {
     this.debug = options.debug || false;
+    this.logger = createComponentLogger('ListenerRegistry', options);
     
     // Listener storage: path -> [handler1, handler2, ...]
     this.listeners = new Map();
+
+    // Detach functions of abort listeners added by bindSignal()
+    this.signalBindings = new Set();
   }
 
   /**
@@ -33,9 +42,7 @@ export class ListenerRegistry {
   register(path, handler, existingListeners = []) {
     this.listeners.set(path, existingListeners);
     
-    if (this.debug) {
-      console.log(`ListenerRegistry: Registered listener for '${path}' (${existingListeners.length} total)`);
-    }
+    this.logger.debug(`Registered listener for '${path}' (${existingListeners.length} total)`);
   }
 
   /**
@@ -50,7 +57,7 @@ export class ListenerRegistry {
     }
 
     const existingListeners = this.listeners.get(path);
-    const index = existingListeners.indexOf(handler);
+    const index = existingListeners.findIndex(entry => matchesHandler(entry, handler));
     
     if (index === -1) {
       return false;
@@ -63,13 +70,32 @@ export class ListenerRegistry {
       this.listeners.delete(path);
     }
 
-    if (this.debug) {
-      console.log(`ListenerRegistry: Unregistered listener for '${path}' (${existingListeners.length} remaining)`);
-    }
+    this.logger.debug(`Unregistered listener for '${path}' (${existingListeners.length} remaining)`);
 
     return true;
   }
 
+  /**
+   * Call release once when a signal aborts (used to unregister a listener)
+   * @param {AbortSignal} signal - Signal that ends the registration
+   * @param {Function} release - Called on abort
+   * @returns {Function} Detach function; removes the abort listener without calling release
+   */
+  bindSignal(signal, release) {
+    const onAbort = () => {
+      this.signalBindings.delete(detach);
+      release();
+    };
+    const detach = () => {
+      signal.removeEventListener('abort', onAbort);
+      this.signalBindings.delete(detach);
+    };
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    this.signalBindings.add(detach);
+    return detach;
+  }
+
   /**
    * Unregister all listeners for a specific path
    * @param {string} path - Message path
@@ -83,9 +109,7 @@ export class ListenerRegistry {
     const count = this.listeners.get(path).length;
     this.listeners.delete(path);
 
-    if (this.debug) {
-      console.log(`ListenerRegistry: Removed ${count} listeners for '${path}'`);
-    }
+    this.logger.debug(`Removed ${count} listeners for '${path}'`);
 
     return count;
   }
@@ -103,10 +127,12 @@ export class ListenerRegistry {
 
     this.listeners.clear();
 
-    if (this.debug) {
-      console.log(`ListenerRegistry: Cleared ${totalRemoved} listeners`);
+    for (const detach of [...this.signalBindings]) {
+      detach();
     }
 
+    this.logger.debug(`Cleared ${totalRemoved} listeners`);
+
     return totalRemoved;
   }
 
@@ -174,3 +200,19 @@ export class ListenerRegistry {
   }
 }
 
+
+/**
+ * Check whether a registry entry holds a handler
+ * Entries are the handler itself, a priority entry ({ handler, priority }), or a once()
+ * wrapper that keeps the original handler in `listener`.
+ * @param {Function|Object} entry - Registry entry
+ * @param {Function} handler - Handler passed to off()
+ * @returns {boolean} True if the entry holds the handler
+ */
+function matchesHandler(entry, handler) {
+  if (entry === handler) {
+    return true;
+  }
+  const fn = typeof entry === 'function' ? entry : entry?.handler;
+  return fn === handler || (fn != null && fn.listener === handler);
+}
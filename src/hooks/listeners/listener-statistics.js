@@ -18,6 +18,11 @@ export class ListenerStatistics {
       listenersUnregistered: 0,
       notificationsSent: 0,
       notificationErrors: 0,
+      asyncEmits: 0,
+      listenerTimeouts: 0,
+      middlewareErrors: 0,
+      eventsBlocked: 0,
+      messagesReplayed: 0,
       patternListenersRegistered: 0,
       patternListenersUnregistered: 0,
       patternMatches: 0
@@ -53,6 +58,42 @@ export class ListenerStatistics {
     this.stats.notificationErrors++;
   }
 
+  /**
+   * Record an emitAsync() call
+   */
+  recordAsyncEmit() {
+    this.stats.asyncEmits++;
+  }
+
+  /**
+   * Record a listener that exceeded the emitAsync() timeout
+   */
+  recordTimeout() {
+    this.stats.listenerTimeouts++;
+  }
+
+  /**
+   * Record an error thrown by listener middleware
+   */
+  recordMiddlewareError() {
+    this.stats.middlewareErrors++;
+  }
+
+  /**
+   * Record an event dropped by middleware (next() was not called)
+   */
+  recordBlocked() {
+    this.stats.eventsBlocked++;
+  }
+
+  /**
+   * Record retained messages replayed to a new listener
+   * @param {number} count - Number of messages replayed
+   */
+  recordReplay(count) {
+    this.stats.messagesReplayed += count;
+  }
+
   /**
    * Record a pattern listener registration
    */
@@ -97,6 +138,11 @@ export class ListenerStatistics {
       listenersUnregistered: 0,
       notificationsSent: 0,
       notificationErrors: 0,
+      asyncEmits: 0,
+      listenerTimeouts: 0,
+      middlewareErrors: 0,
+      eventsBlocked: 0,
+      messagesReplayed: 0,
       patternListenersRegistered: 0,
       patternListenersUnregistered: 0,
       patternMatches: 0
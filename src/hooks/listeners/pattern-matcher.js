@@ -1,164 +1,181 @@
 /**
  * PatternMatcher Class
- * 
+ *
  * Handles pattern-based listener registration and matching.
- * Supports {param} syntax in paths (e.g., 'command/completed/id/{id}').
- * 
+ * Patterns are '/'-separated segments:
+ * - `users` - literal segment
+ * - `{id}` - one segment, captured as params.id
+ * - `{id:int}`, `{id:\d+}` - one segment constrained by a type (int, number, uuid, alpha) or a regex;
+ *   int and number params are converted to numbers
+ * - `file-{name}.json` - params embedded in a literal segment
+ * - `{format}?` - optional param segment (absent params are undefined)
+ * - `*` - exactly one segment, not captured
+ * - `**` - zero or more segments, captured as params['**'] (at most once per pattern)
+ *
+ * Patterns are stored in a segment trie (PatternTrie), so matching only walks
+ * branches that fit the path. Matches are ordered by specificity (see compareSpecificity).
+ *
  * @example
  * const matcher = new PatternMatcher({ debug: false });
  * matcher.register('command/completed/id/{id}', handler);
  * const matches = matcher.findMatches('command/completed/id/123');
+ * // [{ patternEntry, params: { id: '123' } }]
  */
+import { createComponentLogger } from '../../utils/logger.js';
+import { PatternTrie } from './pattern-trie.js';
+
+const PARAM_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Built-in param types: `{name:type}`
+ */
+const PARAM_TYPES = {
+  int: { source: '-?\\d+', convert: Number },
+  number: { source: '-?\\d+(?:\\.\\d+)?', convert: Number },
+  uuid: { source: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}', convert: null },
+  alpha: { source: '[a-zA-Z]+', convert: null }
+};
+
+/**
+ * Specificity rank of each segment type (higher = more specific)
+ */
+const SEGMENT_RANK = { literal: 4, constrained: 3, param: 2, wildcard: 1, globstar: 0 };
+
 export class PatternMatcher {
   /**
    * Create a new PatternMatcher instance
-   * 
+   *
    * @param {Object} [options={}] - Configuration options
    * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Logger} [options.logger] - Parent logger (usually the facet's logger)
    */
   constructor(options = {}) {
     this.debug = options.debug || false;
-    
-    // Pattern listener storage: pattern -> [{ handlers, paramNames, regex }, ...]
-    // Each entry contains handlers for that pattern and compiled regex for matching
+    this.logger = createComponentLogger('PatternMatcher', options);
+
+    // Pattern listener storage: pattern -> { pattern, paramNames, specificity, order, variants, handlers }
     this.patternListeners = new Map();
+    this.trie = new PatternTrie();
+
+    // Monotonic counter used to break specificity ties by registration order
+    this.nextOrder = 0;
   }
 
   /**
-   * Check if a path contains pattern syntax (e.g., {param})
+   * Check if a path contains pattern syntax ({param}, '*' or '**' segments)
    * @param {string} path - Path to check
    * @returns {boolean} True if path contains pattern syntax
    */
   isPattern(path) {
-    return /\{[a-zA-Z_][a-zA-Z0-9_]*\}/.test(path);
+    return /\{[a-zA-Z_][a-zA-Z0-9_]*(?::[^}]*)?\}/.test(path) ||
+      path.split('/').some(segment => segment === '*' || segment === '**');
   }
 
   /**
    * Parse pattern to extract parameter names
-   * @param {string} pattern - Pattern string (e.g., 'command/completed/id/{id}')
-   * @returns {Array<string>} Array of parameter names (e.g., ['id'])
+   * @param {string} pattern - Pattern string (e.g., 'user/{id:int}/**')
+   * @returns {Array<string>} Array of parameter names (e.g., ['id', '**'])
    */
   parsePattern(pattern) {
-    const paramNames = [];
-    const paramRegex = /\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
-    let match;
-    
-    while ((match = paramRegex.exec(pattern)) !== null) {
-      const paramName = match[1];
-      if (!paramNames.includes(paramName)) {
-        paramNames.push(paramName);
-      }
-    }
-    
-    return paramNames;
+    return this.compile(pattern).paramNames;
   }
 
   /**
-   * Convert pattern to regex with capture groups
-   * @param {string} pattern - Pattern string (e.g., 'command/completed/id/{id}')
-   * @returns {RegExp} Regex with capture groups
+   * Compile a pattern into trie segments
+   *
+   * @param {string} pattern - Pattern string
+   * @returns {Object} { paramNames, specificity, variants: [{ segments, bindings }] }
+   * @throws {Error} On malformed braces, invalid or duplicate names, invalid constraints or more than one '**'
    */
-  patternToRegex(pattern) {
-    // Escape special regex characters except the pattern syntax
-    let regexStr = pattern
-      .replace(/[.*+?^${}()|[\]\\]/g, (char) => {
-        // Don't escape { and } as they're used for pattern syntax
-        if (char === '{' || char === '}') {
-          return char;
-        }
-        return '\\' + char;
-      });
-    
-    // Replace {param} with capture groups
-    // Each {param} becomes (.+) to capture any value
-    regexStr = regexStr.replace(/\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g, '(.+)');
-    
-    // Anchor to start and end
-    regexStr = '^' + regexStr + '$';
-    
-    return new RegExp(regexStr);
+  compile(pattern) {
+    const segments = [];
+    const paramNames = [];
+    const specificity = [];
+
+    const addName = (name) => {
+      if (paramNames.includes(name)) {
+        throw new Error(`PatternMatcher: duplicate parameter '${name}' in pattern '${pattern}'`);
+      }
+      paramNames.push(name);
+    };
+
+    for (const raw of splitSegments(pattern)) {
+      if (raw === '**') {
+        addName('**');
+        segments.push({ type: 'globstar' });
+        specificity.push(SEGMENT_RANK.globstar);
+      } else if (raw === '*') {
+        segments.push({ type: 'wildcard' });
+        specificity.push(SEGMENT_RANK.wildcard);
+      } else if (!raw.includes('{')) {
+        segments.push({ type: 'literal', value: raw });
+        specificity.push(SEGMENT_RANK.literal);
+      } else {
+        const segment = compileParamSegment(raw, pattern);
+        segment.names.forEach(addName);
+        segments.push(segment);
+        specificity.push(segment.constrained ? SEGMENT_RANK.constrained : SEGMENT_RANK.param);
+      }
+    }
+
+    return { paramNames, specificity, variants: expandOptional(segments) };
   }
 
   /**
-   * Extract parameter values from a pattern match
-   * @param {string} pattern - Original pattern
-   * @param {Array<string>} paramNames - Parameter names in order
-   * @param {Array} matchResult - Regex match result array
-   * @returns {Object} Parameters object (e.g., { id: 'msg_123' })
+   * Compare the specificity of two pattern entries (for sorting, most specific first)
+   *
+   * Segments are compared left to right: literal > constrained param > param > '*' > '**'.
+   * The first segment that differs decides; if one pattern is a prefix of the other,
+   * the longer one wins; otherwise the earlier registration wins.
+   *
+   * @param {Object} a - Pattern entry
+   * @param {Object} b - Pattern entry
+   * @returns {number} Negative if a is more specific than b
    */
-  extractParams(pattern, paramNames, matchResult) {
-    if (!matchResult || matchResult.length === 0) {
-      return {};
-    }
-
-    // matchResult[0] is the full match
-    // matchResult[1], matchResult[2], ... are capture groups
-    const params = {};
-    const captureGroups = matchResult.slice(1);
-    
-    if (paramNames.length !== captureGroups.length) {
-      if (this.debug) {
-        console.warn(`PatternMatcher: Parameter count mismatch for pattern '${pattern}'. Expected ${paramNames.length}, got ${captureGroups.length}`);
+  compareSpecificity(a, b) {
+    const length = Math.min(a.specificity.length, b.specificity.length);
+    for (let i = 0; i < length; i++) {
+      if (a.specificity[i] !== b.specificity[i]) {
+        return b.specificity[i] - a.specificity[i];
       }
-      return {};
-    }
-    
-    for (let i = 0; i < paramNames.length; i++) {
-      params[paramNames[i]] = captureGroups[i];
     }
-    
-    return params;
+    return (b.specificity.length - a.specificity.length) || (a.order - b.order);
   }
 
   /**
    * Register a listener for a pattern path
-   * @param {string} pattern - Pattern path with {param} placeholders
+   * @param {string} pattern - Pattern path (see class docs for the grammar)
    * @param {Function} handler - Handler function to call when pattern matches
    * @param {Array<Function>} existingHandlers - Existing handlers for this pattern (from policy)
    * @returns {void}
    */
   register(pattern, handler, existingHandlers = []) {
     if (!this.isPattern(pattern)) {
-      throw new Error(`Path '${pattern}' does not contain pattern syntax. Use exact path matching or onPattern() with {param} syntax.`);
+      throw new Error(`Path '${pattern}' does not contain pattern syntax. Use exact path matching or onPattern() with {param}, '*' or '**' segments.`);
     }
 
-    // Parse pattern to extract parameter names
-    const paramNames = this.parsePattern(pattern);
-    
-    if (paramNames.length === 0) {
-      throw new Error(`Pattern '${pattern}' contains no valid parameters. Use {paramName} syntax.`);
-    }
-
-    // Convert pattern to regex
-    const regex = this.patternToRegex(pattern);
-
-    // Get existing pattern entries or create new array
-    const existingEntries = this.patternListeners.get(pattern) || [];
-    
-    // Check if this pattern already has entries
-    let patternEntry = existingEntries.find(entry => 
-      entry.paramNames.join(',') === paramNames.join(',') &&
-      entry.regex.source === regex.source
-    );
+    let patternEntry = this.patternListeners.get(pattern);
 
     if (!patternEntry) {
-      // Create new pattern entry
+      const { paramNames, specificity, variants } = this.compile(pattern);
       patternEntry = {
-        pattern: pattern,
-        paramNames: paramNames,
-        regex: regex,
+        pattern,
+        paramNames,
+        specificity,
+        order: this.nextOrder++,
+        variants,
         handlers: []
       };
-      existingEntries.push(patternEntry);
+      for (const { segments, bindings } of variants) {
+        this.trie.insert(segments, { entry: patternEntry, bindings });
+      }
+      this.patternListeners.set(pattern, patternEntry);
     }
 
     // Update handlers
     patternEntry.handlers = existingHandlers;
-    this.patternListeners.set(pattern, existingEntries);
-    
-    if (this.debug) {
-      console.log(`PatternMatcher: Registered pattern listener for '${pattern}' (${patternEntry.handlers.length} total handlers for this pattern)`);
-    }
+
+    this.logger.debug(`Registered pattern listener for '${pattern}' (${patternEntry.handlers.length} total handlers for this pattern)`);
   }
 
   /**
@@ -168,55 +185,49 @@ export class PatternMatcher {
    * @returns {boolean} Success status
    */
   unregister(pattern, handler) {
-    if (!this.patternListeners.has(pattern)) {
+    const patternEntry = this.patternListeners.get(pattern);
+    if (!patternEntry) {
       return false;
     }
 
-    const patternEntries = this.patternListeners.get(pattern);
-    let removed = false;
-
-    for (const patternEntry of patternEntries) {
-      const index = patternEntry.handlers.indexOf(handler);
-      if (index !== -1) {
-        patternEntry.handlers.splice(index, 1);
-        removed = true;
-      }
+    const index = patternEntry.handlers.indexOf(handler);
+    if (index === -1) {
+      return false;
     }
+    patternEntry.handlers.splice(index, 1);
 
     // Clean up empty pattern entries
-    const filteredEntries = patternEntries.filter(entry => entry.handlers.length > 0);
-    if (filteredEntries.length === 0) {
-      this.patternListeners.delete(pattern);
-    } else {
-      this.patternListeners.set(pattern, filteredEntries);
+    if (patternEntry.handlers.length === 0) {
+      this.#remove(patternEntry);
     }
 
-    if (removed && this.debug) {
-      console.log(`PatternMatcher: Unregistered pattern listener for '${pattern}'`);
-    }
+    this.logger.debug(`Unregistered pattern listener for '${pattern}'`);
 
-    return removed;
+    return true;
   }
 
   /**
-   * Find all pattern matches for a given path
+   * Find all pattern matches for a given path, most specific first
    * @param {string} path - Actual path to match against
    * @returns {Array<Object>} Array of { patternEntry, params } objects
    */
   findMatches(path) {
     const matches = [];
-    
-    for (const [pattern, patternEntries] of this.patternListeners) {
-      for (const patternEntry of patternEntries) {
-        const matchResult = patternEntry.regex.exec(path);
-        if (matchResult) {
-          const params = this.extractParams(pattern, patternEntry.paramNames, matchResult);
-          matches.push({ patternEntry, params });
-        }
-      }
+    const seen = new Set();
+
+    for (const { terminal, captures } of this.trie.match(path.split('/'))) {
+      // A pattern with optional segments can match through more than one variant
+      if (seen.has(terminal.entry)) continue;
+      seen.add(terminal.entry);
+
+      const params = {};
+      terminal.bindings.forEach(({ name, convert }, i) => {
+        params[name] = convert ? convert(captures[i]) : captures[i];
+      });
+      matches.push({ patternEntry: terminal.entry, params });
     }
-    
-    return matches;
+
+    return matches.sort((a, b) => this.compareSpecificity(a.patternEntry, b.patternEntry));
   }
 
   /**
@@ -225,8 +236,16 @@ export class PatternMatcher {
    * @returns {boolean} True if pattern listeners exist
    */
   has(pattern) {
-    return this.patternListeners.has(pattern) && 
-           this.patternListeners.get(pattern).some(entry => entry.handlers.length > 0);
+    return this.getCount(pattern) > 0;
+  }
+
+  /**
+   * Get the handlers registered for a pattern
+   * @param {string} pattern - Pattern path
+   * @returns {Array<Function>} Handlers (empty if none)
+   */
+  getHandlers(pattern) {
+    return this.patternListeners.get(pattern)?.handlers || [];
   }
 
   /**
@@ -235,11 +254,7 @@ export class PatternMatcher {
    * @returns {number} Total number of handlers for this pattern
    */
   getCount(pattern) {
-    if (!this.patternListeners.has(pattern)) {
-      return 0;
-    }
-    
-    return this.patternListeners.get(pattern).reduce((sum, entry) => sum + entry.handlers.length, 0);
+    return this.getHandlers(pattern).length;
   }
 
   /**
@@ -255,9 +270,7 @@ export class PatternMatcher {
    * @returns {number} Total number of pattern listeners
    */
   getTotalCount() {
-    return Array.from(this.patternListeners.values()).reduce((sum, entries) => {
-      return sum + entries.reduce((entrySum, entry) => entrySum + entry.handlers.length, 0);
-    }, 0);
+    return Array.from(this.patternListeners.values()).reduce((sum, entry) => sum + entry.handlers.length, 0);
   }
 
   /**
@@ -274,10 +287,154 @@ export class PatternMatcher {
    */
   clear() {
     this.patternListeners.clear();
-    
-    if (this.debug) {
-      console.log(`PatternMatcher: Cleared all pattern listeners`);
+    this.trie.clear();
+
+    this.logger.debug(`Cleared all pattern listeners`);
+  }
+
+  #remove(patternEntry) {
+    for (const { segments } of patternEntry.variants) {
+      this.trie.remove(segments, patternEntry);
+    }
+    this.patternListeners.delete(patternEntry.pattern);
+  }
+}
+
+/**
+ * Split a pattern on '/', ignoring slashes inside {...} constraints
+ */
+function splitSegments(pattern) {
+  const segments = [];
+  let current = '';
+  let depth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && depth > 0) {
+      current += char + (pattern[++i] ?? '');
+      continue;
+    }
+    if (char === '{') depth++;
+    if (char === '}') depth--;
+    if (depth < 0) {
+      throw new Error(`PatternMatcher: unbalanced '}' in pattern '${pattern}'`);
+    }
+    if (char === '/' && depth === 0) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += char;
     }
   }
+
+  if (depth !== 0) {
+    throw new Error(`PatternMatcher: unclosed '{' in pattern '${pattern}'`);
+  }
+  segments.push(current);
+  return segments;
 }
 
+/**
+ * Compile a segment containing {param} tokens into an anchored regex with named groups
+ */
+function compileParamSegment(raw, pattern) {
+  // '{name}?' - the whole segment is one param followed by '?'
+  const optional = raw.startsWith('{') && raw.endsWith('}?') && findClosingBrace(raw, 0) === raw.length - 2;
+  const text = optional ? raw.slice(0, -1) : raw;
+
+  const names = [];
+  const converts = [];
+  let source = '';
+  let constrained = false;
+  let index = 0;
+
+  while (index < text.length) {
+    const open = text.indexOf('{', index);
+    if (open === -1) {
+      source += escapeRegex(text.slice(index));
+      constrained = true;
+      break;
+    }
+    if (open > index) {
+      source += escapeRegex(text.slice(index, open));
+      constrained = true;
+    }
+
+    const close = findClosingBrace(text, open);
+    const body = text.slice(open + 1, close);
+    const colon = body.indexOf(':');
+    const name = colon === -1 ? body : body.slice(0, colon);
+    const constraint = colon === -1 ? null : body.slice(colon + 1);
+
+    if (!PARAM_NAME.test(name)) {
+      throw new Error(`PatternMatcher: invalid parameter name '${name}' in pattern '${pattern}'`);
+    }
+
+    let paramSource = '.+?';
+    let convert = null;
+    if (constraint !== null) {
+      const type = PARAM_TYPES[constraint];
+      paramSource = type ? type.source : constraint;
+      convert = type ? type.convert : null;
+      constrained = true;
+      try {
+        new RegExp(`^(?:${paramSource})$`);
+      } catch (error) {
+        throw new Error(`PatternMatcher: invalid constraint '${constraint}' for '${name}' in pattern '${pattern}': ${error.message}`);
+      }
+    }
+
+    source += `(?<__p${names.length}>${paramSource})`;
+    names.push(name);
+    converts.push(convert);
+    index = close + 1;
+  }
+
+  return { type: 'param', regex: new RegExp(`^${source}$`), names, converts, constrained, optional };
+}
+
+function findClosingBrace(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return text.length - 1;
+}
+
+/**
+ * Expand optional segments into every present/absent combination, with the
+ * parameter bindings of each variant
+ */
+function expandOptional(segments) {
+  let variants = [{ segments: [], bindings: [] }];
+
+  for (const segment of segments) {
+    const present = variants.map(variant => ({
+      segments: [...variant.segments, segment],
+      bindings: [...variant.bindings, ...bindingsFor(segment)]
+    }));
+    variants = segment.optional ? [...present, ...variants] : present;
+  }
+
+  return variants;
+}
+
+function bindingsFor(segment) {
+  if (segment.type === 'globstar') {
+    return [{ name: '**', convert: null }];
+  }
+  if (segment.type === 'param') {
+    return segment.names.map((name, i) => ({ name, convert: segment.converts[i] }));
+  }
+  return [];
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,168 @@
+/**
+ * PatternTrie Class
+ *
+ * Segment trie used by PatternMatcher. Each compiled pattern is inserted segment by
+ * segment, so a lookup only visits branches that can still match the path instead of
+ * testing every registered pattern.
+ *
+ * Node children by segment type:
+ * - literals: Map of exact segment → node
+ * - dynamics: param segments, keyed by their compiled regex source
+ * - wildcard: `*` (exactly one segment)
+ * - globstar: `**` (zero or more segments)
+ *
+ * Terminals store the pattern entry plus the parameter bindings of the variant that
+ * ends there (patterns with optional segments are inserted once per variant).
+ *
+ * @example
+ * const trie = new PatternTrie();
+ * trie.insert(compiled.segments, { entry, bindings: [{ name: 'id', convert: null }] });
+ * trie.match('users/42'.split('/'));
+ * // [{ terminal: { entry, bindings }, captures: ['42'] }]
+ */
+export class PatternTrie {
+  /**
+   * Create an empty trie
+   */
+  constructor() {
+    this.root = createNode();
+  }
+
+  /**
+   * Insert a terminal at the end of a segment sequence
+   * @param {Array<Object>} segments - Compiled segments of one pattern variant
+   * @param {Object} terminal - { entry, bindings }
+   */
+  insert(segments, terminal) {
+    let node = this.root;
+    for (const segment of segments) {
+      node = childFor(node, segment, true);
+    }
+    node.terminals.push(terminal);
+  }
+
+  /**
+   * Remove every terminal of a pattern entry along a segment sequence, pruning empty nodes
+   * @param {Array<Object>} segments - Compiled segments of one pattern variant
+   * @param {Object} entry - Pattern entry to remove
+   * @returns {boolean} True if a terminal was removed
+   */
+  remove(segments, entry) {
+    const path = [this.root];
+    for (const segment of segments) {
+      const child = childFor(path[path.length - 1], segment, false);
+      if (!child) return false;
+      path.push(child);
+    }
+
+    const node = path[path.length - 1];
+    const before = node.terminals.length;
+    node.terminals = node.terminals.filter(terminal => terminal.entry !== entry);
+    if (node.terminals.length === before) return false;
+
+    for (let i = segments.length - 1; i >= 0; i--) {
+      if (!isEmpty(path[i + 1])) break;
+      detach(path[i], segments[i]);
+    }
+    return true;
+  }
+
+  /**
+   * Find all terminals matching a path
+   * @param {Array<string>} segments - Path split on '/'
+   * @returns {Array<Object>} { terminal, captures } in trie order (literal, param, *, **)
+   */
+  match(segments) {
+    const results = [];
+    visit(this.root, segments, 0, [], results);
+    return results;
+  }
+
+  /**
+   * Remove all patterns
+   */
+  clear() {
+    this.root = createNode();
+  }
+}
+
+function createNode() {
+  return { literals: new Map(), dynamics: new Map(), wildcard: null, globstar: null, terminals: [] };
+}
+
+function isEmpty(node) {
+  return node.terminals.length === 0 && node.literals.size === 0 && node.dynamics.size === 0 &&
+    node.wildcard === null && node.globstar === null;
+}
+
+function childFor(node, segment, create) {
+  switch (segment.type) {
+    case 'literal': {
+      let child = node.literals.get(segment.value);
+      if (!child && create) {
+        child = createNode();
+        node.literals.set(segment.value, child);
+      }
+      return child || null;
+    }
+    case 'param': {
+      let dynamic = node.dynamics.get(segment.regex.source);
+      if (!dynamic && create) {
+        dynamic = { regex: segment.regex, captureCount: segment.names.length, node: createNode() };
+        node.dynamics.set(segment.regex.source, dynamic);
+      }
+      return dynamic?.node || null;
+    }
+    case 'wildcard':
+      if (!node.wildcard && create) node.wildcard = createNode();
+      return node.wildcard;
+    case 'globstar':
+      if (!node.globstar && create) node.globstar = createNode();
+      return node.globstar;
+    default:
+      throw new Error(`PatternTrie: unknown segment type '${segment.type}'`);
+  }
+}
+
+function detach(node, segment) {
+  switch (segment.type) {
+    case 'literal': node.literals.delete(segment.value); break;
+    case 'param': node.dynamics.delete(segment.regex.source); break;
+    case 'wildcard': node.wildcard = null; break;
+    case 'globstar': node.globstar = null; break;
+  }
+}
+
+function visit(node, segments, index, captures, results) {
+  if (index === segments.length) {
+    for (const terminal of node.terminals) {
+      results.push({ terminal, captures });
+    }
+  } else {
+    const segment = segments[index];
+
+    const literal = node.literals.get(segment);
+    if (literal) {
+      visit(literal, segments, index + 1, captures, results);
+    }
+
+    for (const { regex, captureCount, node: child } of node.dynamics.values()) {
+      const match = regex.exec(segment);
+      if (match) {
+        const values = Array.from({ length: captureCount }, (_, i) => match.groups[`__p${i}`]);
+        visit(child, segments, index + 1, [...captures, ...values], results);
+      }
+    }
+
+    if (node.wildcard && segment !== '') {
+      visit(node.wildcard, segments, index + 1, captures, results);
+    }
+  }
+
+  // '**' consumes zero or more segments; it captures what it consumed
+  if (node.globstar) {
+    for (let end = index; end <= segments.length; end++) {
+      visit(node.globstar, segments, end, [...captures, segments.slice(index, end).join('/')], results);
+    }
+  }
+}
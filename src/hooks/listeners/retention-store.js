@@ -0,0 +1,194 @@
+/**
+ * RetentionStore Class
+ *
+ * Keeps recent messages for paths with a retention policy, so listeners registered after
+ * an emit can be replayed what they missed. Each path holds its messages in a CircularBuffer.
+ *
+ * Policies:
+ * - { mode: 'sticky' }: the last message
+ * - { mode: 'replay', size }: the last `size` messages
+ * - { mode: 'window', windowMs, size? }: messages from the last `windowMs` milliseconds
+ *   (at most `size`, default 1000)
+ *
+ * @example
+ * const store = new RetentionStore();
+ * store.set('todos:changed', { mode: 'sticky' });
+ * store.record('todos:changed', message);
+ * store.get('todos:changed'); // [message]
+ */
+import { CircularBuffer } from '../queue/circular-buffer.js';
+
+const RETENTION_MODES = ['sticky', 'replay', 'window'];
+
+const DEFAULT_WINDOW_SIZE = 1000;
+
+export class RetentionStore {
+  /**
+   * Create an empty RetentionStore
+   * @param {Object} [options={}] - Options
+   * @param {Function} [options.now=Date.now] - Clock used by window policies
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+
+    // path -> { policy, buffer } (buffer entries are { message, at })
+    this.paths = new Map();
+  }
+
+  /**
+   * Set the retention policy of a path, dropping messages retained under a previous policy
+   * @param {string} path - Message path
+   * @param {Object} policy - { mode: 'sticky' | 'replay' | 'window', size, windowMs }
+   * @throws {Error} If the policy is invalid
+   */
+  set(path, policy) {
+    this.paths.set(path, { policy, buffer: new CircularBuffer(capacityOf(policy)) });
+  }
+
+  /**
+   * Stop retaining messages for a path
+   * @param {string} path - Message path
+   * @returns {boolean} True if the path had a policy
+   */
+  delete(path) {
+    return this.paths.delete(path);
+  }
+
+  /**
+   * Check if a path has a retention policy
+   * @param {string} path - Message path
+   * @returns {boolean} True if messages are retained for the path
+   */
+  has(path) {
+    return this.paths.has(path);
+  }
+
+  /**
+   * Get the retention policy of a path
+   * @param {string} path - Message path
+   * @returns {Object|null} Policy, or null if the path has none
+   */
+  getPolicy(path) {
+    return this.paths.get(path)?.policy ?? null;
+  }
+
+  /**
+   * Retain a message if its path has a policy
+   * @param {string} path - Message path
+   * @param {*} message - Emitted message
+   * @returns {boolean} True if the message was retained
+   */
+  record(path, message) {
+    const retained = this.paths.get(path);
+    if (!retained) {
+      return false;
+    }
+
+    const { buffer } = retained;
+    this._prune(retained);
+    if (buffer.isFull()) {
+      buffer.dropOldest();
+    }
+    buffer.enqueue({ message, at: this.now() });
+    return true;
+  }
+
+  /**
+   * Get the retained messages of a path, oldest first
+   * @param {string} path - Message path
+   * @param {number} [limit=Infinity] - Return at most this many (the newest)
+   * @returns {Array<*>} Retained messages
+   */
+  get(path, limit = Infinity) {
+    const retained = this.paths.get(path);
+    if (!retained || !(limit > 0)) {
+      return [];
+    }
+
+    this._prune(retained);
+    const entries = retained.buffer.toArray();
+    return entries.slice(Math.max(0, entries.length - limit)).map(entry => entry.message);
+  }
+
+  /**
+   * Get the number of paths with a retention policy
+   * @returns {number} Number of paths
+   */
+  getPathCount() {
+    return this.paths.size;
+  }
+
+  /**
+   * Get the number of messages retained across all paths
+   * @returns {number} Retained message count
+   */
+  getTotalCount() {
+    let total = 0;
+    for (const retained of this.paths.values()) {
+      this._prune(retained);
+      total += retained.buffer.size();
+    }
+    return total;
+  }
+
+  /**
+   * Drop all policies and retained messages
+   */
+  clear() {
+    this.paths.clear();
+  }
+
+  /**
+   * Drop messages that fell out of a window policy
+   * @param {Object} retained - { policy, buffer }
+   * @private
+   */
+  _prune({ policy, buffer }) {
+    if (policy.mode !== 'window') {
+      return;
+    }
+    const oldest = this.now() - policy.windowMs;
+    while (!buffer.isEmpty() && buffer.peek().at < oldest) {
+      buffer.dropOldest();
+    }
+  }
+}
+
+/**
+ * Check a retention policy without creating a buffer for it
+ * @param {Object} policy - Retention policy
+ * @throws {Error} If the policy is invalid
+ */
+export function validateRetentionPolicy(policy) {
+  capacityOf(policy);
+}
+
+/**
+ * Validate a policy and get the buffer capacity it needs
+ * @param {Object} policy - Retention policy
+ * @returns {number} Buffer capacity
+ * @throws {Error} If the policy is invalid
+ */
+function capacityOf(policy) {
+  const isCount = (value) => Number.isInteger(value) && value > 0;
+
+  switch (policy?.mode) {
+    case 'sticky':
+      return 1;
+    case 'replay':
+      if (!isCount(policy.size)) {
+        throw new Error(`RetentionStore: replay size must be a positive integer, got ${policy.size}`);
+      }
+      return policy.size;
+    case 'window':
+      if (!(policy.windowMs > 0)) {
+        throw new Error(`RetentionStore: windowMs must be a positive number, got ${policy.windowMs}`);
+      }
+      if (policy.size !== undefined && !isCount(policy.size)) {
+        throw new Error(`RetentionStore: window size must be a positive integer, got ${policy.size}`);
+      }
+      return policy.size ?? DEFAULT_WINDOW_SIZE;
+    default:
+      throw new Error(`RetentionStore: unknown retention mode '${policy?.mode}'. Available: ${RETENTION_MODES.join(', ')}`);
+  }
+}
@@ -2,7 +2,13 @@
  * useListeners Hook
  * 
  * Provides listener management functionality to subsystems.
- * Wraps ListenerManager and exposes on(), off(), hasListeners() methods.
+ * Wraps ListenerManager and exposes on(), once(), off(), waitFor(), emit(), emitAsync(), useMiddleware() and hasListeners() methods.
+ * on() and once() return an unsubscribe function; listeners and pending waitFor() calls are
+ * released when the facet is disposed.
+ * Paths listed in config.listeners.retention (or passed to retain()) keep recent messages
+ * for listeners that register later with { replay: n }.
+ * The registration policy can be changed live with subsystem.updateConfig('listeners', ...).
+ * With useStatistics installed, ListenerStatistics counters are reported as metrics.
  * 
  * @param {Object} ctx - Context object containing config.listeners for listener configuration
  * @param {Object} api - Subsystem API being built
@@ -10,28 +16,71 @@
  * @returns {Facet} Facet object with listener methods
  */
 import { ListenerManager } from './listener-manager.js';
+import { validateRetentionPolicy } from './retention-store.js';
 import { Facet } from '../../core/facet.js';
 import { createHook } from '../../core/create-hook.js';
 import { getDebugFlag } from '../../utils/debug-flag.js';
-import { createLogger } from '../../utils/logger.js';
+import { createFacetLogger } from '../../utils/logger.js';
 
 export const useListeners = createHook({
   kind: 'listeners',
   version: '1.0.0',
   overwrite: false,
-  required: [],
+  required: [{ kind: 'statistics', optional: true }],
   attach: true,
   source: import.meta.url,
   contract: 'listeners',
-  // eslint-disable-next-line no-unused-vars
-  fn: (ctx, api, _subsystem) => {
-    const { name } = api;
-    const config = ctx.config?.listeners || {};
-    const debug = getDebugFlag(config, ctx);
+  configSchema: {
+    type: 'object',
+    properties: {
+      registrationPolicy: {
+        type: 'string',
+        enum: ['multiple', 'single', 'replace', 'append', 'prepend', 'priority', 'limited'],
+        default: 'multiple'
+      },
+      policyOptions: { type: 'object', default: {} },
+      onListenerError: { type: 'function' },
+      retention: { type: 'object', default: {} },
+      debug: { type: 'boolean' }
+    }
+  },
+  fn: (ctx, api, subsystem) => {
+    let config = ctx.config?.listeners || {};
+    let debug = getDebugFlag(config, ctx);
+    const logger = createFacetLogger(ctx, subsystem, 'listeners');
     
     // Listeners are optional - can be enabled/disabled
     let listeners = null;
     let listenersEnabled = false;
+
+    // Middleware added before enableListeners() is installed when the manager is created
+    const pendingMiddleware = [];
+    // Same for retention policies: path -> { policy, remove }
+    const pendingRetention = new Map();
+
+    // Reported to the statistics facet (optional dependency) at snapshot time
+    const collectMetrics = () => {
+      if (listeners === null) return [];
+      const stats = listeners.getStatistics();
+      const labels = { subsystem: subsystem.getNameString() };
+      return [
+        { name: 'mycelia_listeners_registered_total', type: 'counter', help: 'Listener registrations', labels, value: stats.listenersRegistered },
+        { name: 'mycelia_listeners_unregistered_total', type: 'counter', help: 'Listener unregistrations', labels, value: stats.listenersUnregistered },
+        { name: 'mycelia_listener_notifications_total', type: 'counter', help: 'Listener calls', labels, value: stats.notificationsSent },
+        { name: 'mycelia_listener_errors_total', type: 'counter', help: 'Listeners that threw', labels, value: stats.notificationErrors },
+        { name: 'mycelia_listener_timeouts_total', type: 'counter', help: 'Listeners that exceeded the emitAsync timeout', labels, value: stats.listenerTimeouts },
+        { name: 'mycelia_listener_middleware_errors_total', type: 'counter', help: 'Errors thrown by listener middleware', labels, value: stats.middlewareErrors },
+        { name: 'mycelia_listener_events_blocked_total', type: 'counter', help: 'Events dropped by listener middleware', labels, value: stats.eventsBlocked },
+        { name: 'mycelia_listener_replayed_total', type: 'counter', help: 'Retained messages replayed to new listeners', labels, value: stats.messagesReplayed },
+        { name: 'mycelia_listener_retained_messages', type: 'gauge', help: 'Messages held by retention policies', labels, value: stats.retainedMessages },
+        { name: 'mycelia_listener_pattern_matches_total', type: 'counter', help: 'Emits matched by pattern listeners', labels, value: stats.patternMatches },
+        { name: 'mycelia_listeners', type: 'gauge', help: 'Listeners currently registered', labels, value: stats.totalListeners }
+      ];
+    };
+    let removeCollector = null;
+    
+    // Returned by on()/once() when nothing was registered
+    const notSubscribed = () => false;
     
     return new Facet('listeners', { attach: true, source: import.meta.url, contract: 'listeners' })
       .add({
@@ -51,10 +100,22 @@ export const useListeners = createHook({
       enableListeners(listenerOptions = {}) {
         if (listeners === null) {
           listeners = new ListenerManager({
-            registrationPolicy: listenerOptions.registrationPolicy || config.registrationPolicy || 'multiple',
+            registrationPolicy: listenerOptions.registrationPolicy || config.registrationPolicy,
             debug: listenerOptions.debug !== undefined ? listenerOptions.debug : getDebugFlag(config, ctx),
-            policyOptions: listenerOptions.policyOptions || config.policyOptions || {}
+            logger,
+            policyOptions: listenerOptions.policyOptions || config.policyOptions,
+            onListenerError: listenerOptions.onListenerError || config.onListenerError
           });
+          for (const entry of pendingMiddleware.splice(0)) {
+            entry.remove = listeners.useMiddleware(...entry.args);
+          }
+          for (const [path, policy] of Object.entries(config.retention || {})) {
+            listeners.retain(path, policy);
+          }
+          for (const [path, entry] of pendingRetention) {
+            entry.remove = listeners.retain(path, entry.policy);
+          }
+          pendingRetention.clear();
         }
         listenersEnabled = true;
       },
@@ -72,7 +133,14 @@ export const useListeners = createHook({
        * @param {Function|Object} handlers - Handler function or handler group object
        * @param {Object} [options={}] - Registration options
        * @param {boolean} [options.isHandlerGroup=false] - Whether handlers is a handler group object
-       * @returns {boolean} Success status
+       * @param {AbortSignal} [options.signal] - Unregisters the listener when aborted
+       * @param {number} [options.replay=0] - Replay up to this many retained messages to the handler
+       * @returns {Function} Unsubscribe function (a no-op returning false if listeners are not enabled)
+       * 
+       * @example
+       * // Unsubscribe without keeping the handler around
+       * const unsubscribe = subsystem.listeners.on('layers/create', (msg) => render(msg.body));
+       * unsubscribe();
        */
       on(path, handlers, options = {}) {
         // Check if listeners are enabled
@@ -80,10 +148,9 @@ export const useListeners = createHook({
           // Use runtime debug flag from options, fallback to hook debug
           const runtimeDebug = options.debug !== undefined ? options.debug : debug;
           if (runtimeDebug) {
-            const runtimeLogger = createLogger(runtimeDebug, `useListeners ${name}`);
-            runtimeLogger.warn('Cannot register listener - listeners not enabled');
+            logger.warn('Cannot register listener - listeners not enabled', { path });
           }
-          return false;
+          return notSubscribed;
         }
         
         // If it's a handler group, delegate to ListenerManager's handler group method
@@ -92,7 +159,46 @@ export const useListeners = createHook({
         }
         
         // Delegate to ListenerManager for regular handlers
-        return listeners.on(path, handlers);
+        return listeners.on(path, handlers, options);
+      },
+      
+      /**
+       * Register a listener that is removed after its first call
+       * @param {string} path - Message path to listen for
+       * @param {Function} handler - Handler function
+       * @param {Object} [options={}] - Registration options ({ signal, replay })
+       * @returns {Function} Unsubscribe function (a no-op returning false if listeners are not enabled)
+       */
+      once(path, handler, options = {}) {
+        if (!listenersEnabled || listeners === null) {
+          if (debug) {
+            logger.warn('Cannot register listener - listeners not enabled', { path });
+          }
+          return notSubscribed;
+        }
+        
+        return listeners.once(path, handler, options);
+      },
+      
+      /**
+       * Wait for the next message on a path (see ListenerManager.waitFor)
+       * @param {string} path - Message path to wait for
+       * @param {Object} [options={}] - { filter, timeoutMs, signal, replay }
+       * @returns {Promise<Message>} The first matching message
+       * @throws {Error} If listeners are not enabled, or the wait fails (filter error, timeout, abort, dispose)
+       * 
+       * @example
+       * const reply = await subsystem.listeners.waitFor('jobs/done', {
+       *   filter: (msg) => msg.body.jobId === jobId,
+       *   timeoutMs: 10000
+       * });
+       */
+      async waitFor(path, options = {}) {
+        if (!listenersEnabled || listeners === null) {
+          throw new Error(`useListeners: cannot wait for '${path}' - listeners not enabled`);
+        }
+        
+        return listeners.waitFor(path, options);
       },
       
       /**
@@ -109,8 +215,7 @@ export const useListeners = createHook({
           // Use runtime debug flag from options, fallback to hook debug
           const runtimeDebug = options.debug !== undefined ? options.debug : debug;
           if (runtimeDebug) {
-            const runtimeLogger = createLogger(runtimeDebug, `useListeners ${name}`);
-            runtimeLogger.warn('Cannot unregister listener - listeners not enabled');
+            logger.warn('Cannot unregister listener - listeners not enabled', { path });
           }
           return false;
         }
@@ -138,8 +243,7 @@ export const useListeners = createHook({
         // Check if listeners are enabled
         if (!listenersEnabled || listeners === null) {
           if (debug) {
-            const runtimeLogger = createLogger(debug, `useListeners ${name}`);
-            runtimeLogger.warn('Cannot emit event - listeners not enabled');
+            logger.warn('Cannot emit event - listeners not enabled', { path });
           }
           return 0;
         }
@@ -147,6 +251,110 @@ export const useListeners = createHook({
         // Delegate to ListenerManager
         return listeners.emit(path, message);
       },
+
+      /**
+       * Emit an event and await the listeners (see ListenerManager.emitAsync)
+       * @param {string} path - Message path to emit to
+       * @param {Message} message - Message to send to listeners
+       * @param {Object} [options={}] - { mode: 'serial' | 'parallel' | 'settled', timeoutMs }
+       * @returns {Promise<Array<Object>>} Per-listener results, or [] if listeners not enabled
+       * @throws {AggregateError} If listeners failed and no onListenerError sink is configured
+       * 
+       * @example
+       * // Wait until every listener has stored the order
+       * await subsystem.listeners.emitAsync('orders/placed', order, { mode: 'parallel', timeoutMs: 2000 });
+       */
+      async emitAsync(path, message, options = {}) {
+        if (!listenersEnabled || listeners === null) {
+          if (debug) {
+            logger.warn('Cannot emit event - listeners not enabled', { path });
+          }
+          return [];
+        }
+        
+        return listeners.emitAsync(path, message, options);
+      },
+      
+      /**
+       * Add middleware that runs before listeners are notified (see ListenerManager.useMiddleware)
+       * Middleware added before enableListeners() is installed when listeners are enabled.
+       * @param {string|Function} scope - Path or pattern, or the middleware to run on every event
+       * @param {Function} [middleware] - (ctx, next) => any
+       * @returns {Function} Function that removes the middleware
+       * 
+       * @example
+       * // Require a user on every event below admin/
+       * subsystem.listeners.useMiddleware('admin/**', (ctx, next) => {
+       *   if (ctx.message?.user?.isAdmin) return next();
+       * });
+       */
+      useMiddleware(scope, middleware) {
+        if (listeners !== null) {
+          return listeners.useMiddleware(scope, middleware);
+        }
+        if (typeof (middleware ?? scope) !== 'function') {
+          throw new Error('Middleware must be a function');
+        }
+        
+        const entry = { args: [scope, middleware], remove: null };
+        pendingMiddleware.push(entry);
+        return () => {
+          if (entry.remove) {
+            return entry.remove();
+          }
+          const index = pendingMiddleware.indexOf(entry);
+          if (index === -1) {
+            return false;
+          }
+          pendingMiddleware.splice(index, 1);
+          return true;
+        };
+      },
+      
+      /**
+       * Retain messages emitted on a path for listeners that register later (see ListenerManager.retain)
+       * Policies set before enableListeners() are installed when listeners are enabled.
+       * @param {string} path - Exact message path
+       * @param {Object} policy - { mode: 'sticky' } | { mode: 'replay', size } | { mode: 'window', windowMs, size? }
+       * @returns {Function} Function that stops retention and drops the retained messages
+       * 
+       * @example
+       * // Components mounted later start from the current todo list
+       * subsystem.listeners.retain('todos:changed', { mode: 'sticky' });
+       * subsystem.listeners.on('todos:changed', render, { replay: 1 });
+       */
+      retain(path, policy) {
+        if (listeners !== null) {
+          return listeners.retain(path, policy);
+        }
+        validateRetentionPolicy(policy);
+        
+        const entry = { policy, remove: null };
+        pendingRetention.set(path, entry);
+        return () => {
+          if (entry.remove) {
+            return entry.remove();
+          }
+          if (pendingRetention.get(path) !== entry) {
+            return false;
+          }
+          return pendingRetention.delete(path);
+        };
+      },
+      
+      /**
+       * Get the messages retained for a path, oldest first
+       * @param {string} path - Message path
+       * @param {number} [limit] - Return at most this many (the newest)
+       * @returns {Array<Message>} Retained messages, or [] if listeners are not enabled
+       */
+      getRetained(path, limit) {
+        if (!listenersEnabled || listeners === null) {
+          return [];
+        }
+        
+        return listeners.getRetained(path, limit);
+      },
       
       /**
        * Expose listeners property for direct access
@@ -158,6 +366,25 @@ export const useListeners = createHook({
       
       // Expose listener manager for internal use
       _listenerManager: () => listeners
+      })
+      .onInit(({ subsystem: owner }) => {
+        removeCollector = owner.find('statistics')?.addCollector(collectMetrics) ?? null;
+      })
+      .onDispose(() => {
+        removeCollector?.();
+        removeCollector = null;
+        listeners?.dispose();
+      })
+      .onConfigChange((next) => {
+        // Applies to later registrations; listeners already registered stay in place
+        if (listeners !== null) {
+          listeners.setListenerPolicy(next.registrationPolicy, next.policyOptions);
+          listeners.setErrorSink(next.onListenerError);
+          listeners.debug = getDebugFlag(next, ctx);
+          listeners.logger.setLevel(listeners.debug ? 'debug' : null);
+        }
+        config = next;
+        debug = getDebugFlag(next, ctx);
       });
   }
 });
@@ -13,7 +13,7 @@ import mitt from 'mitt';
 import { Facet } from '../../core/facet.js';
 import { createHook } from '../../core/create-hook.js';
 import { getDebugFlag } from '../../utils/debug-flag.js';
-import { createLogger } from '../../utils/logger.js';
+import { createFacetLogger } from '../../utils/logger.js';
 
 export const useSimpleListeners = createHook({
   kind: 'listeners',
@@ -23,11 +23,10 @@ export const useSimpleListeners = createHook({
   attach: true,
   source: import.meta.url,
   contract: 'listeners',
-  // eslint-disable-next-line no-unused-vars
-  fn: (ctx, api, _subsystem) => {
-    const { name } = api;
+  fn: (ctx, api, subsystem) => {
     const config = ctx.config?.listeners || {};
     const debug = getDebugFlag(config, ctx);
+    const logger = createFacetLogger(ctx, subsystem, 'listeners');
     
     // Listeners are optional - can be enabled/disabled
     let emitter = null;
@@ -67,31 +66,32 @@ export const useSimpleListeners = createHook({
        * @param {string} path - Message path to listen for
        * @param {Function} handler - Handler function
        * @param {Object} [options={}] - Registration options (for API compatibility)
-       * @returns {boolean} Success status
+       * @returns {Function} Unsubscribe function (a no-op returning false if nothing was registered)
        */
       on(path, handler, options = {}) {
         // Check if listeners are enabled
         if (!listenersEnabled || emitter === null) {
           const runtimeDebug = options.debug !== undefined ? options.debug : debug;
           if (runtimeDebug) {
-            const runtimeLogger = createLogger(runtimeDebug, `useSimpleListeners ${name}`);
-            runtimeLogger.warn('Cannot register listener - listeners not enabled');
+            logger.warn('Cannot register listener - listeners not enabled', { path });
           }
-          return false;
+          return () => false;
         }
         
         // Validate handler is a function
         if (typeof handler !== 'function') {
           if (debug) {
-            const runtimeLogger = createLogger(debug, `useSimpleListeners ${name}`);
-            runtimeLogger.warn('Handler must be a function');
+            logger.warn('Handler must be a function', { path });
           }
-          return false;
+          return () => false;
         }
         
         // Register with mitt
         emitter.on(path, handler);
-        return true;
+        return () => {
+          emitter.off(path, handler);
+          return true;
+        };
       },
       
       /**
@@ -106,8 +106,7 @@ export const useSimpleListeners = createHook({
         if (!listenersEnabled || emitter === null) {
           const runtimeDebug = options.debug !== undefined ? options.debug : debug;
           if (runtimeDebug) {
-            const runtimeLogger = createLogger(runtimeDebug, `useSimpleListeners ${name}`);
-            runtimeLogger.warn('Cannot unregister listener - listeners not enabled');
+            logger.warn('Cannot unregister listener - listeners not enabled', { path });
           }
           return false;
         }
@@ -115,8 +114,7 @@ export const useSimpleListeners = createHook({
         // Validate handler is a function
         if (typeof handler !== 'function') {
           if (debug) {
-            const runtimeLogger = createLogger(debug, `useSimpleListeners ${name}`);
-            runtimeLogger.warn('Handler must be a function');
+            logger.warn('Handler must be a function', { path });
           }
           return false;
         }
@@ -140,8 +138,7 @@ export const useSimpleListeners = createHook({
         // Check if listeners are enabled
         if (!listenersEnabled || emitter === null) {
           if (debug) {
-            const runtimeLogger = createLogger(debug, `useSimpleListeners ${name}`);
-            runtimeLogger.warn('Cannot emit event - listeners not enabled');
+            logger.warn('Cannot emit event - listeners not enabled', { path });
           }
           return 0;
         }
@@ -0,0 +1,218 @@
+/**
+ * useProcessor Hook
+ *
+ * Provides the message processing pipeline to subsystems:
+ * accept() places messages on the queue facet, processTick() takes the next one off,
+ * and processMessage() dispatches it through the router facet and reports the outcome
+ * through the listeners facet (when present and enabled).
+ *
+ * Outcomes are delivered with ListenerManager.notifyListeners(path, message, outcome):
+ * handler groups get onSuccess(message, result) / onFailure(message, error) /
+ * onTimeout(message, error), plain listeners hear about successful messages only.
+ *
+ * BaseSubsystem.accept() and processImmediately() delegate to this facet when present.
+ * With useStatistics installed, processing times go into the
+ * mycelia_message_duration_seconds histogram and the counters are reported as metrics.
+ *
+ * @param {Object} ctx - Context object containing config.processor for processor configuration
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with processor methods
+ */
+import { Facet } from '../../core/facet.js';
+import { createHook } from '../../core/create-hook.js';
+import { createFacetLogger } from '../../utils/logger.js';
+import { resolveMessagePath } from '../../utils/message-path.js';
+import { withTimeout } from '../../utils/with-timeout.js';
+
+export const useProcessor = createHook({
+  kind: 'processor',
+  version: '1.0.0',
+  overwrite: false,
+  required: ['queue', 'router', { kind: 'statistics', optional: true }], // listeners are optional and looked up when emitting
+  attach: true,
+  source: import.meta.url,
+  contract: 'processor',
+  fn: (ctx, api, subsystem) => {
+    const { name } = api;
+    const config = ctx.config?.processor || {};
+    const logger = createFacetLogger(ctx, subsystem, 'processor');
+
+    const stats = {
+      accepted: 0,
+      rejected: 0,
+      processed: 0,
+      failed: 0,
+      timedOut: 0
+    };
+
+    const requirePath = (message) => {
+      const path = resolveMessagePath(message);
+      if (!path) {
+        throw new Error(`useProcessor ${name}: message has no path (expected a string, getPath() or .path)`);
+      }
+      return path;
+    };
+
+    // Set on init when the statistics facet is installed
+    let durationHistogram = null;
+    let removeCollector = null;
+    const collectMetrics = () => {
+      const subsystemName = subsystem.getNameString();
+      // stats.failed includes timeouts; the outcomes are exclusive, as in the histogram
+      return [
+        ['accepted', stats.accepted],
+        ['rejected', stats.rejected],
+        ['processed', stats.processed],
+        ['failed', stats.failed - stats.timedOut],
+        ['timed_out', stats.timedOut]
+      ].map(([outcome, value]) => ({
+        name: 'mycelia_messages_total',
+        type: 'counter',
+        help: 'Messages by outcome',
+        labels: { subsystem: subsystemName, outcome },
+        value
+      }));
+    };
+
+    /**
+     * Report a processing outcome through the listeners facet
+     * @returns {number} Number of listeners notified
+     */
+    const notify = (path, message, outcome) => {
+      const listeners = subsystem.find('listeners');
+      if (!listeners?.hasListeners?.()) {
+        return 0;
+      }
+      const manager = listeners._listenerManager?.();
+      if (typeof manager?.notifyListeners === 'function') {
+        return manager.notifyListeners(path, message, outcome);
+      }
+      // Listener facets without outcome support (e.g. useSimpleListeners) only see successes
+      return outcome.success ? listeners.emit(path, message) : 0;
+    };
+
+    /**
+     * Route a message and report the outcome
+     * @returns {Promise<*>} Route handler result
+     * @throws {Error} Routing or handler error (after listeners are notified)
+     */
+    const processMessage = async (message, options = {}) => {
+      const path = requirePath(message);
+      const router = subsystem.find('router');
+      const timeout = options.timeout ?? config.timeout;
+      const start = performance.now();
+      const observe = (outcome) => durationHistogram?.observe(
+        { subsystem: subsystem.getNameString(), outcome },
+        (performance.now() - start) / 1000
+      );
+
+      let result;
+      try {
+        result = await withTimeout(router.route(message, options), timeout, `useProcessor ${name}: '${path}'`);
+      } catch (error) {
+        if (error.timedOut) {
+          stats.timedOut++;
+        }
+        stats.failed++;
+        observe(error.timedOut ? 'timed_out' : 'failed');
+        logger.warn('Failed to process message', { path, timedOut: error.timedOut === true }, error);
+        notify(path, message, { success: false, error, timedOut: error.timedOut === true });
+        throw error;
+      }
+
+      stats.processed++;
+      observe('processed');
+      notify(path, message, { success: true, result });
+      return result;
+    };
+
+    return new Facet('processor', { attach: true, source: import.meta.url, contract: 'processor' })
+    .add({
+      /**
+       * Accept a message and place it on the queue
+       * @param {*} message - Message (path string, object with getPath(), or object with path)
+       * @param {Object} [options={}] - Options stored with the message and passed to the route handler
+       * @param {boolean} [options.immediate=false] - Process now instead of queuing
+       * @param {number} [options.timeout] - Handler timeout in milliseconds
+       * @returns {Promise<boolean>} True if queued (or processed immediately), false if the queue rejected it
+       */
+      async accept(message, options = {}) {
+        requirePath(message);
+
+        if (options.immediate) {
+          await processMessage(message, options);
+          return true;
+        }
+
+        const queued = subsystem.find('queue')._queueManager.enqueue({ msg: message, options });
+        if (queued) {
+          stats.accepted++;
+        } else {
+          stats.rejected++;
+          logger.warn('Queue rejected message');
+        }
+        return queued;
+      },
+
+      /**
+       * Process a message through the router and report the outcome to listeners
+       * @param {*} message - Message
+       * @param {Object} [options={}] - Options passed to the route handler ({ timeout } is honoured)
+       * @returns {Promise<*>} Route handler result
+       * @throws {Error} If routing fails, the handler throws, or the timeout elapses
+       */
+      processMessage,
+
+      /**
+       * Process the next queued message
+       * Errors are reported through listeners and returned, not thrown.
+       * @returns {Promise<{message: *, success: boolean, result?: *, error?: Error}|null>} Outcome or null if the queue is empty
+       */
+      async processTick() {
+        const pair = subsystem.find('queue').selectNextMessage();
+        if (!pair) {
+          return null;
+        }
+        try {
+          const result = await processMessage(pair.msg, pair.options || {});
+          return { message: pair.msg, success: true, result };
+        } catch (error) {
+          return { message: pair.msg, success: false, error };
+        }
+      },
+
+      /**
+       * Process a message now, bypassing the queue
+       * @param {*} message - Message
+       * @param {Object} [options={}] - Options passed to the route handler
+       * @returns {Promise<*>} Route handler result
+       */
+      async processImmediately(message, options = {}) {
+        return processMessage(message, options);
+      },
+
+      /**
+       * Get processor statistics
+       * @returns {Object} { accepted, rejected, processed, failed, timedOut }
+       */
+      getProcessorStats() {
+        return { ...stats };
+      }
+    })
+    .onInit(({ subsystem: owner }) => {
+      const statistics = owner.find('statistics');
+      if (!statistics) return;
+      durationHistogram = statistics.histogram('mycelia_message_duration_seconds', {
+        help: 'Time to route and handle a message',
+        labelNames: ['subsystem', 'outcome']
+      });
+      removeCollector = statistics.addCollector(collectMetrics);
+    })
+    .onDispose(() => {
+      removeCollector?.();
+      removeCollector = null;
+      durationHistogram = null;
+    });
+  }
+});
@@ -1,4 +1,8 @@
 import { CircularBuffer } from './circular-buffer.js';
+import { createComponentLogger } from '../../utils/logger.js';
+
+/** Supported overflow policies */
+const POLICIES = ['drop-oldest', 'drop-newest', 'block', 'error'];
 
 /**
  * BoundedQueue Class
@@ -33,6 +37,8 @@ export class BoundedQueue {
    *   - 'drop-newest': Reject new item when full (strict capacity)
    *   - 'block': Wait for space (simplified implementation)
    *   - 'error': Throw error when full (fail-fast)
+   * @param {Object} [options={}] - Queue options
+   * @param {Logger} [options.logger] - Parent logger (usually the queue facet's logger)
    * 
    * @example
    * // Basic queue with default policy
@@ -46,9 +52,11 @@ export class BoundedQueue {
    * // Queue with drop-newest for real-time data
    * const realtimeQueue = new BoundedQueue(200, 'drop-newest');
    */
-  constructor(capacity, policy = 'drop-oldest') {
+  constructor(capacity, policy = 'drop-oldest', options = {}) {
     this.capacity = capacity;
     this.policy = policy;
+    this.debug = false;
+    this.logger = createComponentLogger('BoundedQueue', options);
     this.queue = new CircularBuffer(capacity);
     this.stats = {
       itemsEnqueued: 0,
@@ -84,8 +92,8 @@ export class BoundedQueue {
       if (success) {
         this.stats.itemsEnqueued++;
         
-        if (this.debug) {
-          console.log(`BoundedQueue: Enqueued item, queue size: ${this.size()}`);
+        if (this.logger.isDebugEnabled()) {
+          this.logger.debug('Enqueued item', { size: this.size() });
         }
       }
       
@@ -119,8 +127,8 @@ export class BoundedQueue {
         this.emit('empty');
       }
       
-      if (this.debug) {
-        console.log(`BoundedQueue: Dequeued item, queue size: ${this.size()}`);
+      if (this.logger.isDebugEnabled()) {
+        this.logger.debug('Dequeued item', { size: this.size() });
       }
       
       return item;
@@ -178,9 +186,7 @@ export class BoundedQueue {
         this.emit('empty');
       }
       
-      if (this.debug) {
-        console.log(`BoundedQueue: Removed item, queue size: ${this.size()}`);
-      }
+      this.logger.debug('Removed item', { size: this.size() });
       
       return true;
     } catch (error) {
@@ -222,14 +228,62 @@ export class BoundedQueue {
     return this.capacity;
   }
 
+  /**
+   * Change the capacity, keeping queued items in order.
+   * 
+   * When shrinking below the current size the overflow policy decides what goes:
+   * 'drop-oldest' drops the oldest items, 'drop-newest' and 'block' drop the newest,
+   * and 'error' refuses the resize. Dropped items are counted and emitted as
+   * 'dropped' events with reason 'resize'.
+   * 
+   * @param {number} capacity - New maximum capacity (positive integer)
+   * @returns {Array} Items dropped to fit the new capacity
+   * 
+   * @example
+   * queue.setCapacity(5000);
+   */
+  setCapacity(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error(`BoundedQueue: capacity must be a positive integer (got ${capacity})`);
+    }
+    const items = this.queue.toArray();
+    const overflow = Math.max(0, items.length - capacity);
+    if (overflow > 0 && this.policy === 'error') {
+      throw new Error(`BoundedQueue: cannot shrink to ${capacity} with ${items.length} queued items (policy 'error')`);
+    }
+
+    const dropped = this.policy === 'drop-oldest'
+      ? items.splice(0, overflow)
+      : items.splice(items.length - overflow, overflow);
+
+    this.queue = new CircularBuffer(capacity);
+    items.forEach(item => this.queue.enqueue(item));
+    this.capacity = capacity;
+
+    this.stats.itemsDropped += dropped.length;
+    dropped.forEach(item => this.emit('dropped', { item, reason: 'resize' }));
+
+    this.logger.debug('Capacity changed', { capacity, dropped: dropped.length });
+    return dropped;
+  }
+
+  /**
+   * Change the overflow policy; applies to the next enqueue on a full queue.
+   * @param {string} policy - 'drop-oldest', 'drop-newest', 'block' or 'error'
+   */
+  setPolicy(policy) {
+    if (!POLICIES.includes(policy)) {
+      throw new Error(`BoundedQueue: unknown policy '${policy}'. Available: ${POLICIES.join(', ')}`);
+    }
+    this.policy = policy;
+  }
+
   /**
    * Clear all items from the queue
    */
   clear() {
     this.queue.clear();
-    if (this.debug) {
-      console.log('BoundedQueue: Cleared all items');
-    }
+    this.logger.debug('Cleared all items');
   }
 
   /**
@@ -310,7 +364,7 @@ export class BoundedQueue {
         try {
           handler(data);
         } catch (error) {
-          console.error('BoundedQueue: Event handler error:', error);
+          this.logger.error('Event handler error', { event }, error);
         }
       });
     }
@@ -336,6 +390,7 @@ export class BoundedQueue {
    */
   setDebug(debug) {
     this.debug = debug;
+    this.logger.setLevel(debug ? 'debug' : null);
   }
 }
 
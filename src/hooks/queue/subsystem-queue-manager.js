@@ -27,6 +27,7 @@
  * const next = queueManager.dequeue();
  */
 import { BoundedQueue } from './bounded-queue.js';
+import { createComponentLogger } from '../../utils/logger.js';
 
 export class SubsystemQueueManager {
   /**
@@ -36,6 +37,7 @@ export class SubsystemQueueManager {
    * @param {number} [options.capacity=1000] - Queue capacity
    * @param {string} [options.policy='drop-oldest'] - Queue overflow policy
    * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Logger} [options.logger] - Parent logger (usually the facet's logger)
    * @param {string} options.subsystemName - Subsystem name for logging
    * @param {Function} [options.onQueueFull] - Callback when queue becomes full: () => void
    * 
@@ -55,11 +57,13 @@ export class SubsystemQueueManager {
     
     this.subsystemName = options.subsystemName;
     this.debug = options.debug || false;
+    this.logger = createComponentLogger('SubsystemQueueManager', options);
     
     // Initialize bounded queue
     this.queue = new BoundedQueue(
       options.capacity || 1000,
-      options.policy || 'drop-oldest'
+      options.policy || 'drop-oldest',
+      { logger: options.logger }
     );
     
     // Set queue debug mode
@@ -70,9 +74,7 @@ export class SubsystemQueueManager {
       this.queue.on('full', options.onQueueFull);
     }
     
-    if (this.debug) {
-      console.log(`SubsystemQueueManager ${this.subsystemName}: Initialized with capacity ${this.queue.getCapacity()}`);
-    }
+    this.logger.debug('Initialized', { capacity: this.queue.getCapacity(), policy: this.queue.policy });
   }
 
   /**
@@ -121,6 +123,28 @@ export class SubsystemQueueManager {
     return this.queue.getCapacity();
   }
 
+  /**
+   * Resize the queue (see BoundedQueue.setCapacity for what happens to overflowing items)
+   * 
+   * @param {number} capacity - New maximum capacity
+   * @returns {Array} Message-options pairs dropped to fit the new capacity
+   */
+  setCapacity(capacity) {
+    const dropped = this.queue.setCapacity(capacity);
+    this.logger.debug('Capacity set', { capacity });
+    return dropped;
+  }
+
+  /**
+   * Change the queue overflow policy
+   * 
+   * @param {string} policy - 'drop-oldest', 'drop-newest', 'block' or 'error'
+   */
+  setPolicy(policy) {
+    this.queue.setPolicy(policy);
+    this.logger.debug('Policy set', { policy });
+  }
+
   /**
    * Check if queue is empty
    * 
@@ -147,9 +171,7 @@ export class SubsystemQueueManager {
    */
   clear() {
     this.queue.clear();
-    if (this.debug) {
-      console.log(`SubsystemQueueManager ${this.subsystemName}: Queue cleared`);
-    }
+    this.logger.debug('Queue cleared');
   }
 
   /**
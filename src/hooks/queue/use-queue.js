@@ -3,6 +3,8 @@
  * 
  * Provides queue management functionality to subsystems.
  * Wraps SubsystemQueueManager and exposes queue operations.
+ * Capacity and overflow policy can be changed live with subsystem.updateConfig('queue', ...).
+ * With useStatistics installed, the queue's counters and size are reported as metrics.
  * 
  * @param {Object} ctx - Context object containing config.queue for queue configuration
  * @param {Object} api - Subsystem API being built
@@ -13,40 +15,56 @@ import { SubsystemQueueManager } from './subsystem-queue-manager.js';
 import { Facet } from '../../core/facet.js';
 import { createHook } from '../../core/create-hook.js';
 import { getDebugFlag } from '../../utils/debug-flag.js';
-import { findFacet } from '../../utils/find-facet.js';
+import { createFacetLogger } from '../../utils/logger.js';
 
 export const useQueue = createHook({
   kind: 'queue',
   version: '1.0.0',
   overwrite: false,
-  required: [], // statistics is optional, not required
+  required: [{ kind: 'statistics', optional: true }],
   attach: true,
   source: import.meta.url,
   contract: 'queue',
-  // eslint-disable-next-line no-unused-vars
-  fn: (ctx, api, _subsystem) => {
+  configSchema: {
+    type: 'object',
+    properties: {
+      // 0 falls back to the default capacity, as it did before schemas were checked
+      capacity: { type: 'integer', minimum: 0, default: 1000 },
+      policy: { type: 'string', enum: ['drop-oldest', 'drop-newest', 'block', 'error'], default: 'drop-oldest' },
+      debug: { type: 'boolean' }
+    }
+  },
+  fn: (ctx, api, subsystem) => {
     const { name } = api;
     const config = ctx.config?.queue || {};
     
-    // Get statistics hook if available (for onQueueFull callback)
-    const statisticsResult = findFacet(api.__facets, 'statistics');
-    const statisticsFacet = statisticsResult ? statisticsResult.facet : null;
-    
     // Create queue manager
     const queueManager = new SubsystemQueueManager({
-      capacity: config.capacity || 1000,
-      policy: config.policy || 'drop-oldest',
+      capacity: config.capacity,
+      policy: config.policy,
       debug: getDebugFlag(config, ctx),
-      subsystemName: name,
-      onQueueFull: () => {
-        if (statisticsFacet?._statistics) {
-          statisticsFacet._statistics.recordQueueFull();
-        }
-      }
+      logger: createFacetLogger(ctx, subsystem, 'queue'),
+      subsystemName: name
     });
     
     // Get underlying queue for direct access
     const queue = queueManager.getQueue();
+
+    // Reported to the statistics facet (optional dependency) at snapshot time
+    const collectMetrics = () => {
+      const stats = queue.getStatistics();
+      const labels = { subsystem: subsystem.getNameString() };
+      return [
+        { name: 'mycelia_queue_enqueued_total', type: 'counter', help: 'Items added to the queue', labels, value: stats.itemsEnqueued },
+        { name: 'mycelia_queue_dequeued_total', type: 'counter', help: 'Items taken from the queue', labels, value: stats.itemsDequeued },
+        { name: 'mycelia_queue_dropped_total', type: 'counter', help: 'Items dropped by the overflow policy or a resize', labels, value: stats.itemsDropped },
+        { name: 'mycelia_queue_full_total', type: 'counter', help: 'Times an item arrived at a full queue', labels, value: stats.queueFullEvents },
+        { name: 'mycelia_queue_errors_total', type: 'counter', help: 'Queue operation errors', labels, value: stats.errors },
+        { name: 'mycelia_queue_size', type: 'gauge', help: 'Items currently queued', labels, value: stats.currentSize },
+        { name: 'mycelia_queue_capacity', type: 'gauge', help: 'Queue capacity', labels, value: stats.capacity }
+      ];
+    };
+    let removeCollector = null;
     
     return new Facet('queue', { attach: true, source: import.meta.url, contract: 'queue' })
     .add({
@@ -90,6 +108,30 @@ export const useQueue = createHook({
       
       // Expose queue manager for internal use by other hooks
       _queueManager: queueManager
+    })
+    .onInit(({ subsystem: owner }) => {
+      removeCollector = owner.find('statistics')?.addCollector(collectMetrics) ?? null;
+    })
+    .onDispose(() => {
+      removeCollector?.();
+      removeCollector = null;
+    })
+    .onConfigChange((next) => {
+      // Policy first, so a shrink drops items according to the new policy
+      const previousPolicy = queue.policy;
+      queueManager.setPolicy(next.policy);
+      try {
+        const capacity = next.capacity || 1000;
+        if (capacity !== queue.getCapacity()) {
+          queueManager.setCapacity(capacity);
+        }
+      } catch (error) {
+        queueManager.setPolicy(previousPolicy);
+        throw error;
+      }
+      queueManager.debug = getDebugFlag(next, ctx);
+      queueManager.logger.setLevel(queueManager.debug ? 'debug' : null);
+      queue.setDebug(queueManager.debug);
     });
   }
 });
@@ -0,0 +1,292 @@
+/**
+ * RouteRegistry Class
+ *
+ * Stores routes and resolves paths to route handlers.
+ * Route patterns use the PatternMatcher grammar: {param} segments (e.g., 'users/{id}'),
+ * typed params ('{id:int}'), optional params ('{format}?'), '*' for one segment and
+ * '**' for the remainder of the path (e.g., 'files/**', captured as params['**']).
+ *
+ * Patterns are compiled and matched by a PatternMatcher; exact routes are looked up
+ * directly. Matches are ordered by priority, then PatternMatcher specificity.
+ *
+ * @example
+ * const registry = new RouteRegistry({ debug: false });
+ * registry.register('users/{id}', handler, { priority: 10, metadata: { auth: true } });
+ * const match = registry.match('users/42');
+ * // match.params = { id: '42' }
+ */
+import { createComponentLogger } from '../../utils/logger.js';
+import { PatternMatcher } from '../listeners/pattern-matcher.js';
+
+export class RouteRegistry {
+  /**
+   * Create a new RouteRegistry instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Logger} [options.logger] - Parent logger (usually the facet's logger)
+   */
+  constructor(options = {}) {
+    this.debug = options.debug || false;
+    this.logger = createComponentLogger('RouteRegistry', options);
+
+    // Route storage: pattern -> { pattern, handler, paramNames, priority, metadata, specificity, order, signature }
+    this.routes = new Map();
+
+    // Compiles and matches the pattern routes
+    this.matcher = new PatternMatcher(options);
+
+    // Monotonic counter used to break ties by registration order
+    this.nextOrder = 0;
+  }
+
+  /**
+   * Check if a path contains route pattern syntax ({param}, '*' or '**' segments)
+   * @param {string} path - Path to check
+   * @returns {boolean} True if path contains pattern syntax
+   */
+  isPattern(path) {
+    return this.matcher.isPattern(path);
+  }
+
+  /**
+   * Parse a route pattern to extract parameter names
+   * A '**' segment is reported as a parameter named '**'.
+   *
+   * @param {string} pattern - Route pattern (e.g., 'users/{id}/files/**')
+   * @returns {Array<string>} Parameter names in order (e.g., ['id', '**'])
+   * @throws {Error} If the pattern is malformed (see PatternMatcher.compile)
+   */
+  parsePattern(pattern) {
+    return this.matcher.parsePattern(pattern);
+  }
+
+  /**
+   * Compute a structural signature for conflict detection.
+   * Two routes with the same signature match exactly the same paths
+   * (e.g., 'users/{id}' and 'users/{userId}').
+   *
+   * @param {string} pattern - Route pattern
+   * @returns {string} Signature string
+   */
+  getSignature(pattern) {
+    return signatureOf(this.matcher.compile(pattern));
+  }
+
+  /**
+   * Register a route
+   *
+   * @param {string} pattern - Route pattern (exact path or PatternMatcher pattern)
+   * @param {Function} handler - Route handler: (message, params, options) => any
+   * @param {Object} [options={}] - Route options
+   * @param {number} [options.priority=0] - Route priority (higher wins when several routes match)
+   * @param {Object} [options.metadata={}] - Arbitrary per-route metadata
+   * @param {boolean} [options.replace=false] - Replace a conflicting route instead of throwing
+   * @returns {Object} The registered route entry
+   * @throws {Error} If the pattern is invalid or conflicts with an existing route
+   */
+  register(pattern, handler, options = {}) {
+    if (!pattern || typeof pattern !== 'string') {
+      throw new Error('RouteRegistry.register: pattern must be a non-empty string');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('RouteRegistry.register: handler must be a function');
+    }
+
+    const priority = options.priority ?? 0;
+    if (typeof priority !== 'number' || Number.isNaN(priority)) {
+      throw new Error(`RouteRegistry.register: priority for route '${pattern}' must be a number`);
+    }
+
+    const compiled = this.matcher.compile(pattern);
+    const signature = signatureOf(compiled);
+
+    // Conflict detection: same pattern, or a structurally identical pattern at the same priority
+    const conflict = this.#findConflict(pattern, signature, priority);
+    if (conflict) {
+      if (!options.replace) {
+        const reason = conflict.pattern === pattern
+          ? `route '${pattern}' is already registered`
+          : `route '${pattern}' conflicts with existing route '${conflict.pattern}' (same shape and priority ${priority})`;
+        throw new Error(`RouteRegistry.register: ${reason}`);
+      }
+      this.#remove(conflict);
+    }
+
+    const entry = {
+      pattern,
+      handler,
+      paramNames: compiled.paramNames,
+      priority,
+      metadata: { ...(options.metadata || {}) },
+      specificity: compiled.specificity,
+      order: this.nextOrder++,
+      signature
+    };
+
+    this.routes.set(pattern, entry);
+    if (this.isPattern(pattern)) {
+      this.matcher.register(pattern, handler, [handler]);
+    }
+
+    this.logger.debug(`Registered route '${pattern}' (priority ${priority})`);
+
+    return entry;
+  }
+
+  /**
+   * Unregister a route
+   * @param {string} pattern - Route pattern
+   * @returns {boolean} True if the route was removed
+   */
+  unregister(pattern) {
+    const route = this.routes.get(pattern);
+    if (!route) {
+      return false;
+    }
+
+    this.#remove(route);
+    this.logger.debug(`Unregistered route '${pattern}'`);
+
+    return true;
+  }
+
+  /**
+   * Check if a route pattern is registered
+   * @param {string} pattern - Route pattern
+   * @returns {boolean} True if registered
+   */
+  has(pattern) {
+    return this.routes.has(pattern);
+  }
+
+  /**
+   * Get a route entry by pattern
+   * @param {string} pattern - Route pattern
+   * @returns {Object|null} Route entry or null
+   */
+  get(pattern) {
+    return this.routes.get(pattern) || null;
+  }
+
+  /**
+   * Find every route matching a path, best match first.
+   * Ordering: priority (desc), then specificity and registration order
+   * as defined by PatternMatcher.compareSpecificity.
+   *
+   * @param {string} path - Path to match
+   * @returns {Array<{route: Object, params: Object}>} Matches
+   */
+  matchAll(path) {
+    if (typeof path !== 'string') {
+      return [];
+    }
+
+    const matches = [];
+    const exact = this.routes.get(path);
+    if (exact && !this.isPattern(exact.pattern)) {
+      matches.push({ route: exact, params: {} });
+    }
+    for (const { patternEntry, params } of this.matcher.findMatches(path)) {
+      matches.push({ route: this.routes.get(patternEntry.pattern), params });
+    }
+
+    return matches.sort((a, b) =>
+      (b.route.priority - a.route.priority) ||
+      this.matcher.compareSpecificity(a.route, b.route)
+    );
+  }
+
+  /**
+   * Find the best route matching a path
+   * @param {string} path - Path to match
+   * @returns {{route: Object, params: Object}|null} Best match or null
+   */
+  match(path) {
+    return this.matchAll(path)[0] || null;
+  }
+
+  /**
+   * List registered routes (without compiled internals)
+   * @returns {Array<{pattern: string, priority: number, metadata: Object, params: Array<string>}>} Routes
+   */
+  list() {
+    return Array.from(this.routes.values())
+      .sort((a, b) => (b.priority - a.priority) || (a.order - b.order))
+      .map(route => ({
+        pattern: route.pattern,
+        priority: route.priority,
+        metadata: { ...route.metadata },
+        params: [...route.paramNames]
+      }));
+  }
+
+  /**
+   * Get number of registered routes
+   * @returns {number} Route count
+   */
+  size() {
+    return this.routes.size;
+  }
+
+  /**
+   * Remove all routes
+   * @returns {number} Number of routes removed
+   */
+  clear() {
+    const count = this.routes.size;
+    this.routes.clear();
+    this.matcher.clear();
+
+    this.logger.debug(`Cleared ${count} routes`);
+
+    return count;
+  }
+
+  /**
+   * Find an existing route that conflicts with a new registration
+   * @param {string} pattern - New route pattern
+   * @param {string} signature - New route signature
+   * @param {number} priority - New route priority
+   * @returns {Object|null} Conflicting route entry or null
+   * @private
+   */
+  #findConflict(pattern, signature, priority) {
+    if (this.routes.has(pattern)) {
+      return this.routes.get(pattern);
+    }
+    for (const route of this.routes.values()) {
+      if (route.signature === signature && route.priority === priority) {
+        return route;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Remove a route entry and its compiled pattern
+   * @param {Object} route - Route entry
+   * @private
+   */
+  #remove(route) {
+    this.routes.delete(route.pattern);
+    if (this.isPattern(route.pattern)) {
+      this.matcher.unregister(route.pattern, route.handler);
+    }
+  }
+}
+
+/**
+ * Describe a compiled pattern without its parameter names
+ * (param segments are keyed by their regex, which uses positional group names)
+ */
+function signatureOf({ variants }) {
+  return variants[0].segments.map(segment => {
+    switch (segment.type) {
+      case 'literal': return segment.value;
+      case 'wildcard': return '*';
+      case 'globstar': return '**';
+      default: return `{${segment.regex.source}}${segment.optional ? '?' : ''}`;
+    }
+  }).join('/');
+}
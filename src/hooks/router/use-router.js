@@ -0,0 +1,140 @@
+/**
+ * useRouter Hook
+ *
+ * Provides message routing functionality to subsystems.
+ * Wraps RouteRegistry and exposes route registration, matching and dispatch.
+ *
+ * Supports {param} path segments, a '*' wildcard, route priorities,
+ * per-route metadata and conflict detection.
+ *
+ * @param {Object} ctx - Context object containing config.router for router configuration
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with router methods
+ */
+import { RouteRegistry } from './route-registry.js';
+import { Facet } from '../../core/facet.js';
+import { createHook } from '../../core/create-hook.js';
+import { getDebugFlag } from '../../utils/debug-flag.js';
+import { createFacetLogger } from '../../utils/logger.js';
+import { resolveMessagePath } from '../../utils/message-path.js';
+
+export const useRouter = createHook({
+  kind: 'router',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  contract: 'router',
+  fn: (ctx, api, subsystem) => {
+    const { name } = api;
+    const config = ctx.config?.router || {};
+    const debug = getDebugFlag(config, ctx);
+    const logger = createFacetLogger(ctx, subsystem, 'router');
+
+    const registry = new RouteRegistry({ debug, logger });
+
+    return new Facet('router', { attach: true, source: import.meta.url, contract: 'router' })
+      .add({
+        /**
+         * Register a route
+         * @param {string} pattern - Route pattern (e.g., 'users/{id}', 'files/*')
+         * @param {Function} handler - Route handler: (message, params, options) => any
+         * @param {Object} [routeOptions={}] - Route options
+         * @param {number} [routeOptions.priority=0] - Priority (higher wins when several routes match)
+         * @param {Object} [routeOptions.metadata={}] - Per-route metadata
+         * @param {boolean} [routeOptions.replace=false] - Replace a conflicting route instead of throwing
+         * @returns {boolean} True if registered
+         *
+         * @example
+         * subsystem.router.registerRoute('users/{id}', (msg, params) => loadUser(params.id), {
+         *   priority: 10,
+         *   metadata: { auth: true }
+         * });
+         */
+        registerRoute(pattern, handler, routeOptions = {}) {
+          registry.register(pattern, handler, routeOptions);
+          return true;
+        },
+
+        /**
+         * Match a path against registered routes
+         * @param {string} path - Path to match
+         * @returns {{handler: Function, params: Object, pattern: string, priority: number, metadata: Object}|null} Best match or null
+         */
+        match(path) {
+          const result = registry.match(path);
+          if (!result) {
+            return null;
+          }
+          const { route, params } = result;
+          return {
+            handler: route.handler,
+            params,
+            pattern: route.pattern,
+            priority: route.priority,
+            metadata: route.metadata
+          };
+        },
+
+        /**
+         * Route a message: match its path and execute the route handler
+         * @param {string|Object} message - Message (path string, object with getPath(), or object with path)
+         * @param {Object} [options={}] - Options passed through to the handler
+         * @returns {Promise<*>} Handler result
+         * @throws {Error} If the message has no path or no route matches
+         */
+        async route(message, options = {}) {
+          const path = resolveMessagePath(message);
+          if (path === null) {
+            throw new Error(`useRouter ${name}: cannot route message without a path`);
+          }
+
+          const result = registry.match(path);
+          if (!result) {
+            throw new Error(`useRouter ${name}: no route matches path '${path}'`);
+          }
+
+          logger.debug(`Routing '${path}' via '${result.route.pattern}'`);
+
+          return result.route.handler(message, result.params, {
+            ...options,
+            route: { pattern: result.route.pattern, metadata: result.route.metadata }
+          });
+        },
+
+        /**
+         * Unregister a route
+         * @param {string} pattern - Route pattern
+         * @returns {boolean} True if the route was removed
+         */
+        unregisterRoute(pattern) {
+          return registry.unregister(pattern);
+        },
+
+        /**
+         * Check if a route pattern is registered
+         * @param {string} pattern - Route pattern
+         * @returns {boolean} True if registered
+         */
+        hasRoute(pattern) {
+          return registry.has(pattern);
+        },
+
+        /**
+         * Get all registered routes
+         * @returns {Array<{pattern: string, priority: number, metadata: Object, params: Array<string>}>} Routes
+         */
+        getRoutes() {
+          return registry.list();
+        },
+
+        // Expose route registry for internal use by other hooks
+        _routeRegistry: registry
+      })
+      .onDispose(() => {
+        registry.clear();
+      });
+  }
+});
@@ -0,0 +1,330 @@
+/**
+ * SubsystemScheduler Class
+ *
+ * Drives message processing for a subsystem and its children within a time budget.
+ * Messages are pulled from each subsystem's queue facet (selectNextMessage()) and
+ * dispatched through its processor facet (processMessage) or, failing that, its
+ * router facet (route).
+ *
+ * Participants are the subsystem itself plus its children (see collectChildren).
+ * A child with its own scheduler is treated as a single participant whose work is
+ * drained by that scheduler's step(), so priorities and pauses apply per subtree.
+ *
+ * Strategies:
+ * - 'round-robin': one message per participant in turn
+ * - 'priority': participants with the highest priority go first; ties are round-robin
+ *
+ * @example
+ * const scheduler = new SubsystemScheduler(subsystem, { strategy: 'priority', priority: 5 });
+ * const result = await scheduler.process(20); // { processed, errors, elapsed, remaining, status }
+ */
+import { collectChildren } from '../../system/base-subsystem.utils.js';
+import { createComponentLogger } from '../../utils/logger.js';
+
+const STRATEGIES = ['round-robin', 'priority'];
+
+export class SubsystemScheduler {
+  /**
+   * Create a new SubsystemScheduler instance
+   *
+   * @param {BaseSubsystem} subsystem - Subsystem to schedule
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.strategy='round-robin'] - 'round-robin' or 'priority'
+   * @param {number} [options.priority=0] - Priority of this subsystem (higher runs first)
+   * @param {number} [options.maxMessagesPerSlice=Infinity] - Cap on messages handled per process() call
+   * @param {number} [options.timeSlice=50] - Default time budget in milliseconds
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Logger} [options.logger] - Parent logger (usually the facet's logger)
+   */
+  constructor(subsystem, options = {}) {
+    if (!subsystem || typeof subsystem.find !== 'function') {
+      throw new Error('SubsystemScheduler: subsystem is required');
+    }
+
+    this.subsystem = subsystem;
+    this.debug = options.debug || false;
+    this.logger = createComponentLogger('SubsystemScheduler', options);
+
+    this.strategy = 'round-robin';
+    this.priority = 0;
+    this.maxMessagesPerSlice = Infinity;
+    this.timeSlice = 50;
+    this.configure(options);
+
+    this.paused = false;
+    this.processing = false;
+
+    // Index into the participant list where the next round-robin search starts
+    this.cursor = 0;
+
+    this.stats = {
+      slices: 0,
+      processed: 0,
+      errors: 0,
+      lastSliceDuration: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Update scheduler options
+   *
+   * @param {Object} [options={}] - Options (strategy, priority, maxMessagesPerSlice, timeSlice)
+   * @returns {SubsystemScheduler} This scheduler
+   * @throws {Error} If an option is invalid
+   */
+  configure(options = {}) {
+    if (options.strategy !== undefined) {
+      if (!STRATEGIES.includes(options.strategy)) {
+        throw new Error(`SubsystemScheduler: unknown strategy '${options.strategy}'. Use one of: ${STRATEGIES.join(', ')}`);
+      }
+      this.strategy = options.strategy;
+    }
+    if (options.priority !== undefined) {
+      this.setPriority(options.priority);
+    }
+    if (options.maxMessagesPerSlice !== undefined) {
+      if (!(options.maxMessagesPerSlice > 0)) {
+        throw new Error('SubsystemScheduler: maxMessagesPerSlice must be a positive number');
+      }
+      this.maxMessagesPerSlice = options.maxMessagesPerSlice;
+    }
+    if (options.timeSlice !== undefined) {
+      this.#assertTimeSlice(options.timeSlice);
+      this.timeSlice = options.timeSlice;
+    }
+    return this;
+  }
+
+  /**
+   * Set the priority of this subsystem
+   * @param {number} priority - Finite number (higher runs first)
+   * @throws {Error} If priority is not a finite number
+   */
+  setPriority(priority) {
+    if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+      throw new Error('SubsystemScheduler: priority must be a finite number');
+    }
+    this.priority = priority;
+  }
+
+  /**
+   * Pause processing (process() and step() become no-ops)
+   */
+  pause() {
+    this.paused = true;
+    this.logger.debug(`Paused`);
+  }
+
+  /**
+   * Resume processing
+   */
+  resume() {
+    this.paused = false;
+    this.logger.debug(`Resumed`);
+  }
+
+  /**
+   * Check if this subsystem or any child has messages waiting
+   * @returns {boolean} True if there is work to do
+   */
+  hasWork() {
+    if (this.paused) return false;
+    return this.#getParticipants().some(p => p.hasWork());
+  }
+
+  /**
+   * Process a single message from this subsystem or one of its children
+   *
+   * @returns {Promise<{subsystem: string, error: Error|null}|null>} Outcome, or null if there was nothing to do
+   */
+  async step() {
+    if (this.paused) return null;
+
+    const participants = this.#getParticipants();
+    const participant = this.#selectParticipant(participants);
+    if (!participant) return null;
+
+    this.cursor = (participant.index + 1) % participants.length;
+    return participant.step();
+  }
+
+  /**
+   * Process messages until the time budget is spent, the message cap is reached,
+   * or no participant has work left
+   *
+   * @param {number} [timeSlice=this.timeSlice] - Time budget in milliseconds
+   * @returns {Promise<Object>} { processed, errors, elapsed, remaining, status }
+   */
+  async process(timeSlice = this.timeSlice) {
+    this.#assertTimeSlice(timeSlice);
+
+    if (this.paused || this.processing) {
+      return {
+        processed: 0,
+        errors: 0,
+        elapsed: 0,
+        remaining: !this.paused && this.hasWork(),
+        status: this.paused ? 'paused' : 'busy'
+      };
+    }
+
+    this.processing = true;
+    const start = performance.now();
+    let processed = 0;
+    let errors = 0;
+
+    try {
+      while (processed < this.maxMessagesPerSlice && performance.now() - start < timeSlice) {
+        const outcome = await this.step();
+        if (!outcome) break;
+        processed++;
+        if (outcome.error) errors++;
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    const elapsed = performance.now() - start;
+    this.stats.slices++;
+    this.stats.lastSliceDuration = elapsed;
+
+    if (processed > 0) {
+      this.logger.debug('Processed messages', { processed, durationMs: Number(elapsed.toFixed(2)) });
+    }
+
+    return { processed, errors, elapsed, remaining: this.hasWork(), status: 'completed' };
+  }
+
+  /**
+   * Get scheduler status
+   * @returns {Object} Status object
+   */
+  getStatus() {
+    return {
+      strategy: this.strategy,
+      priority: this.priority,
+      maxMessagesPerSlice: this.maxMessagesPerSlice,
+      timeSlice: this.timeSlice,
+      isPaused: this.paused,
+      isProcessing: this.processing,
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Build the participant list: this subsystem first, then its children
+   * @returns {Array<Object>} Participants ({ index, name, priority(), hasWork(), step() })
+   * @private
+   */
+  #getParticipants() {
+    const participants = [this.#ownParticipant(this.subsystem, () => this.priority)];
+
+    for (const child of collectChildren(this.subsystem)) {
+      const childScheduler = child?.find?.('scheduler')?._scheduler;
+      if (childScheduler) {
+        participants.push({
+          name: child.name,
+          priority: () => childScheduler.priority,
+          hasWork: () => childScheduler.hasWork(),
+          step: () => childScheduler.step()
+        });
+      } else if (child) {
+        participants.push(this.#ownParticipant(child, () => 0));
+      }
+    }
+
+    participants.forEach((participant, index) => { participant.index = index; });
+    return participants;
+  }
+
+  /**
+   * Participant that drains a subsystem's own queue
+   * @param {BaseSubsystem} subsystem - Subsystem
+   * @param {Function} priority - Returns the participant priority
+   * @returns {Object} Participant
+   * @private
+   */
+  #ownParticipant(subsystem, priority) {
+    return {
+      name: subsystem.name,
+      priority,
+      hasWork: () => !!subsystem.find?.('queue')?.hasMessagesToProcess(),
+      step: () => this.#processNext(subsystem)
+    };
+  }
+
+  /**
+   * Pick the next participant with work according to the strategy
+   * @param {Array<Object>} participants - Participants
+   * @returns {Object|null} Participant or null if none has work
+   * @private
+   */
+  #selectParticipant(participants) {
+    let pool = participants.filter(p => p.hasWork());
+    if (pool.length === 0) return null;
+
+    if (this.strategy === 'priority') {
+      const top = Math.max(...pool.map(p => p.priority()));
+      pool = pool.filter(p => p.priority() === top);
+    }
+
+    return pool.find(p => p.index >= this.cursor) || pool[0];
+  }
+
+  /**
+   * Dequeue and dispatch one message from a subsystem's queue
+   * @param {BaseSubsystem} subsystem - Subsystem
+   * @returns {Promise<{subsystem: string, error: Error|null}|null>} Outcome or null if the queue was empty
+   * @private
+   */
+  async #processNext(subsystem) {
+    const pair = subsystem.find('queue')?.selectNextMessage();
+    if (!pair) return null;
+
+    try {
+      await this.#dispatch(subsystem, pair.msg, pair.options || {});
+      this.stats.processed++;
+      return { subsystem: subsystem.name, error: null };
+    } catch (error) {
+      this.stats.errors++;
+      this.stats.lastError = error.message;
+      if (this.logger.isDebugEnabled()) {
+        this.logger.error('Error processing message', { target: subsystem.name }, error);
+      }
+      return { subsystem: subsystem.name, error };
+    }
+  }
+
+  /**
+   * Dispatch a message through the processor facet, or the router facet as a fallback
+   * @param {BaseSubsystem} subsystem - Subsystem
+   * @param {*} msg - Message
+   * @param {Object} options - Message options
+   * @returns {Promise<*>} Handler result
+   * @throws {Error} If the subsystem has neither a processor nor a router
+   * @private
+   */
+  async #dispatch(subsystem, msg, options) {
+    const processor = subsystem.find('processor');
+    if (processor?.processMessage) {
+      return processor.processMessage(msg, options);
+    }
+    const router = subsystem.find('router');
+    if (router?.route) {
+      return router.route(msg, options);
+    }
+    throw new Error(`SubsystemScheduler: ${subsystem.name} has no processor or router facet to dispatch messages`);
+  }
+
+  /**
+   * @param {number} timeSlice - Time budget in milliseconds
+   * @throws {Error} If timeSlice is not a non-negative number
+   * @private
+   */
+  #assertTimeSlice(timeSlice) {
+    if (typeof timeSlice !== 'number' || Number.isNaN(timeSlice) || timeSlice < 0) {
+      throw new Error('SubsystemScheduler: timeSlice must be a non-negative number of milliseconds');
+    }
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * useScheduler Hook
+ *
+ * Provides time-sliced message processing to subsystems.
+ * Wraps SubsystemScheduler, which drains the queue facet (and child subsystems)
+ * using a round-robin or priority strategy.
+ *
+ * BaseSubsystem.process(), pause() and resume() delegate to this facet when present.
+ *
+ * @param {Object} ctx - Context object containing config.scheduler for scheduler configuration
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with scheduler methods
+ */
+import { SubsystemScheduler } from './subsystem-scheduler.js';
+import { Facet } from '../../core/facet.js';
+import { createHook } from '../../core/create-hook.js';
+import { getDebugFlag } from '../../utils/debug-flag.js';
+import { createFacetLogger } from '../../utils/logger.js';
+
+export const useScheduler = createHook({
+  kind: 'scheduler',
+  version: '1.0.0',
+  overwrite: false,
+  required: ['queue'],
+  attach: true,
+  source: import.meta.url,
+  contract: 'scheduler',
+  fn: (ctx, api, subsystem) => {
+    const config = ctx.config?.scheduler || {};
+
+    const scheduler = new SubsystemScheduler(subsystem, {
+      strategy: config.strategy,
+      priority: config.priority,
+      maxMessagesPerSlice: config.maxMessagesPerSlice,
+      timeSlice: config.timeSlice,
+      debug: getDebugFlag(config, ctx),
+      logger: createFacetLogger(ctx, subsystem, 'scheduler')
+    });
+
+    return new Facet('scheduler', { attach: true, source: import.meta.url, contract: 'scheduler' })
+    .add({
+      /**
+       * Process queued messages within a time slice
+       * @param {number} [timeSlice] - Time budget in milliseconds (defaults to config.timeSlice or 50)
+       * @returns {Promise<Object>} { processed, errors, elapsed, remaining, status }
+       */
+      async process(timeSlice) {
+        return scheduler.process(timeSlice);
+      },
+
+      /**
+       * Pause message processing
+       */
+      pauseProcessing() {
+        scheduler.pause();
+      },
+
+      /**
+       * Resume message processing
+       */
+      resumeProcessing() {
+        scheduler.resume();
+      },
+
+      /**
+       * Check if processing is paused
+       * @returns {boolean} True if paused
+       */
+      isPaused() {
+        return scheduler.paused;
+      },
+
+      /**
+       * Check if a time slice is currently running
+       * @returns {boolean} True if processing
+       */
+      isProcessing() {
+        return scheduler.processing;
+      },
+
+      /**
+       * Get subsystem priority
+       * @returns {number} Priority (higher runs first under the 'priority' strategy)
+       */
+      getPriority() {
+        return scheduler.priority;
+      },
+
+      /**
+       * Set subsystem priority
+       * @param {number} priority - Priority
+       */
+      setPriority(priority) {
+        scheduler.setPriority(priority);
+      },
+
+      /**
+       * Configure scheduler options
+       * @param {Object} options - { strategy, priority, maxMessagesPerSlice, timeSlice }
+       * @returns {Object} Scheduler status after the change
+       */
+      configureScheduler(options = {}) {
+        scheduler.configure(options);
+        return scheduler.getStatus();
+      },
+
+      /**
+       * Get scheduler instance
+       * @returns {SubsystemScheduler} Scheduler
+       */
+      getScheduler() {
+        return scheduler;
+      },
+
+      // Expose scheduler for internal use by other hooks
+      _scheduler: scheduler
+    })
+    .onDispose(() => {
+      scheduler.pause();
+    });
+  }
+});
@@ -0,0 +1,481 @@
+/**
+ * HttpServer Class
+ *
+ * Minimal HTTP server on node:http for the useServer hook. Provides method routing
+ * (via RouteRegistry), Express-style middleware chains, JSON body parsing and a
+ * replaceable error handler, without depending on a web framework.
+ *
+ * Route paths accept '{param}' or ':param' segments and a trailing '*'.
+ * Handlers receive (req, res) with these additions:
+ * - req.path, req.query, req.params, req.body
+ * - res.status(code), res.set(name, value), res.json(data), res.send(body)
+ * A handler may also return a value: objects are sent as JSON, strings as text,
+ * undefined as 204 No Content (unless the handler already responded).
+ *
+ * @example
+ * const server = new HttpServer({ port: 0 });
+ * server.use((req, res, next) => { res.set('x-powered-by', 'mycelia'); next(); });
+ * server.route('GET', '/users/:id', (req) => ({ id: req.params.id }));
+ * await server.start();
+ */
+import http from 'node:http';
+import { RouteRegistry } from '../router/route-registry.js';
+import { createComponentLogger } from '../../utils/logger.js';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const ANY_METHOD = 'ALL';
+const DEFAULT_BODY_LIMIT = 1024 * 1024;
+
+/**
+ * Create an Error carrying an HTTP status code
+ *
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+export function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Default error handler: JSON body with the error message.
+ * Messages of 5xx errors are hidden from clients.
+ *
+ * @param {Error} error - Error
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function defaultErrorHandler(error, req, res) {
+  const statusCode = error.statusCode || error.status || 500;
+  const message = statusCode >= 500 ? http.STATUS_CODES[500] : error.message;
+  res.status(statusCode).json({ error: message });
+}
+
+export class HttpServer {
+  /**
+   * Create a new HttpServer instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.port=3000] - Port to listen on (0 picks a free port)
+   * @param {string} [options.host='127.0.0.1'] - Host to bind
+   * @param {number} [options.bodyLimit=1048576] - Maximum request body size in bytes
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Logger} [options.logger] - Parent logger (usually the facet's logger)
+   * @param {string} [options.name='server'] - Name used in log messages
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 3000;
+    this.host = options.host || '127.0.0.1';
+    this.bodyLimit = options.bodyLimit ?? DEFAULT_BODY_LIMIT;
+    this.debug = options.debug || false;
+    this.logger = createComponentLogger('HttpServer', options);
+    this.name = options.name || 'server';
+
+    // Route storage: method -> RouteRegistry ('ALL' matches any method)
+    this.routes = new Map();
+
+    // Middleware in registration order: { middleware, registry, method }
+    // (registry/method are null for global middleware)
+    this.middleware = [];
+
+    this.errorHandler = defaultErrorHandler;
+    this.running = false;
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        // handle() answers its own errors; this only guards the process against a bug there
+        this.logger.error('Unhandled request failure', { method: req.method, url: req.url }, error);
+        if (!res.writableEnded) {
+          res.statusCode = 500;
+          res.end(http.STATUS_CODES[500]);
+        }
+      });
+    });
+  }
+
+  /**
+   * Convert ':param' segments to the '{param}' syntax used by RouteRegistry
+   * @param {string} path - Route path
+   * @returns {string} Normalized path
+   */
+  normalizePath(path) {
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+      throw new Error(`HttpServer: route path must be a string starting with '/', got '${path}'`);
+    }
+    return path.replace(/:([a-zA-Z_][a-zA-Z0-9_]*)/g, '{$1}');
+  }
+
+  /**
+   * Register a route
+   * @param {string} method - HTTP method or 'ALL'
+   * @param {string} path - Route path
+   * @param {Function} handler - (req, res) => any
+   * @param {Object} [options={}] - { middleware: Function[], priority, metadata }
+   * @returns {Object} Route entry
+   * @throws {Error} If the method is unknown or the route conflicts with an existing one
+   */
+  route(method, path, handler, options = {}) {
+    const upper = String(method).toUpperCase();
+    if (upper !== ANY_METHOD && !HTTP_METHODS.includes(upper)) {
+      throw new Error(`HttpServer: unsupported method '${method}'`);
+    }
+    const middleware = options.middleware || [];
+    if (!middleware.every(fn => typeof fn === 'function')) {
+      throw new Error('HttpServer: route middleware must be functions');
+    }
+
+    if (!this.routes.has(upper)) {
+      this.routes.set(upper, new RouteRegistry({ debug: this.debug, logger: this.logger }));
+    }
+    const entry = this.routes.get(upper).register(this.normalizePath(path), handler, {
+      priority: options.priority,
+      metadata: { ...(options.metadata || {}), method: upper, middleware }
+    });
+
+    this.logger.debug(`Registered ${upper} ${path}`);
+    return entry;
+  }
+
+  /**
+   * Add global middleware: (req, res, next) => void
+   * @param {Function} middleware - Middleware
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('HttpServer: middleware must be a function');
+    }
+    this.middleware.push({ middleware, registry: null, method: null });
+  }
+
+  /**
+   * Add middleware that only runs for request paths matching a route pattern
+   * @param {string} path - Route pattern (e.g. '/admin/**')
+   * @param {Function} middleware - Middleware
+   * @param {Object} [options={}] - { method } to restrict to one HTTP method
+   */
+  useRoute(path, middleware, options = {}) {
+    if (typeof middleware !== 'function') {
+      throw new Error('HttpServer: middleware must be a function');
+    }
+    const registry = new RouteRegistry();
+    registry.register(this.normalizePath(path), middleware);
+    this.middleware.push({
+      middleware,
+      registry,
+      method: options.method ? String(options.method).toUpperCase() : null
+    });
+  }
+
+  /**
+   * Replace the error handler: (error, req, res) => void
+   * @param {Function} handler - Error handler
+   */
+  setErrorHandler(handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('HttpServer: error handler must be a function');
+    }
+    this.errorHandler = handler;
+  }
+
+  /**
+   * Start listening
+   * @param {Object} [options={}] - { port, host } overriding the constructor options
+   * @returns {Promise<{host: string, port: number, url: string}>} Bound address
+   */
+  async start(options = {}) {
+    if (this.running) {
+      return this.getAddress();
+    }
+
+    const port = options.port ?? this.port;
+    const host = options.host || this.host;
+
+    await new Promise((resolve, reject) => {
+      const onError = (error) => {
+        this.server.off('listening', onListening);
+        reject(error);
+      };
+      const onListening = () => {
+        this.server.off('error', onError);
+        resolve();
+      };
+      this.server.once('error', onError);
+      this.server.once('listening', onListening);
+      this.server.listen(port, host);
+    });
+
+    this.running = true;
+    const address = this.getAddress();
+    this.logger.debug(`Listening on ${address.url}`);
+    return address;
+  }
+
+  /**
+   * Stop listening and close open connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+      this.server.closeAllConnections?.();
+    });
+    this.running = false;
+
+    this.logger.debug(`Stopped`);
+  }
+
+  /**
+   * Get the bound address
+   * @returns {{host: string, port: number, url: string}|null} Address or null if not listening
+   */
+  getAddress() {
+    const address = this.server.address();
+    if (!address || typeof address === 'string') {
+      return null;
+    }
+    const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    return { host: address.address, port: address.port, url: `http://${host}:${address.port}` };
+  }
+
+  /**
+   * Handle a request: decorate, parse body, run middleware, route, respond
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    try {
+      this.#decorate(req, res);
+      req.body = await this.#readBody(req);
+
+      const match = this.#findRoute(req.method, req.path);
+      req.params = match ? match.params : {};
+      req.route = match ? match.route.pattern : null;
+
+      const applicable = this.middleware
+        .filter(entry => (!entry.method || entry.method === req.method) && (!entry.registry || entry.registry.match(req.path)))
+        .map(entry => entry.middleware);
+      const routeLevel = match ? match.route.metadata.middleware : [];
+
+      const final = async () => {
+        if (!match) {
+          throw createHttpError(404, `Cannot ${req.method} ${req.path}`);
+        }
+        const result = await match.route.handler(req, res);
+        if (!res.writableEnded) {
+          if (result === undefined) {
+            res.status(res.statusCode === 200 ? 204 : res.statusCode).end();
+          } else {
+            res.send(result);
+          }
+        }
+      };
+
+      await this.#runChain([...applicable, ...routeLevel], req, res, final);
+    } catch (error) {
+      await this.#handleError(error, req, res);
+    }
+  }
+
+  /**
+   * Find the best route for a method and path ('ALL' routes are a fallback)
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @returns {{route: Object, params: Object}|null} Match
+   * @private
+   */
+  #findRoute(method, path) {
+    const lookupMethod = method === 'HEAD' && !this.routes.has('HEAD') ? 'GET' : method;
+    const match = this.routes.get(lookupMethod)?.match(path) || this.routes.get(ANY_METHOD)?.match(path);
+    if (!match) return null;
+
+    const params = {};
+    for (const [key, value] of Object.entries(match.params)) {
+      // Typed params ({id:int}) are already numbers; absent optional params stay undefined
+      if (typeof value !== 'string') {
+        params[key] = value;
+        continue;
+      }
+      try {
+        params[key] = decodeURIComponent(value);
+      } catch {
+        throw createHttpError(400, `Malformed escape in path parameter '${key}'`);
+      }
+    }
+    return { route: match.route, params };
+  }
+
+  /**
+   * Run middleware in order; each calls next() to continue or next(error) to fail.
+   * A middleware that ends the response (now or later) without calling next() stops the chain.
+   * @returns {Promise<void>} Resolves when the chain completes or the response closes
+   * @private
+   */
+  #runChain(chain, req, res, final) {
+    const dispatch = (index) => {
+      if (res.writableEnded) return Promise.resolve();
+      if (index === chain.length) return Promise.resolve().then(final);
+
+      return new Promise((settleResolve, settleReject) => {
+        const onClose = () => settleResolve();
+        const resolve = () => {
+          res.removeListener('close', onClose);
+          settleResolve();
+        };
+        const reject = (error) => {
+          res.removeListener('close', onClose);
+          settleReject(error);
+        };
+
+        let nextCalled = false;
+        const next = (error) => {
+          if (nextCalled) {
+            reject(new Error('HttpServer: next() called multiple times'));
+            return;
+          }
+          nextCalled = true;
+          if (error) {
+            reject(error);
+            return;
+          }
+          dispatch(index + 1).then(resolve, reject);
+        };
+
+        res.once('close', onClose);
+        Promise.resolve()
+          .then(() => chain[index](req, res, next))
+          .then(() => {
+            if (!nextCalled && res.writableEnded) resolve();
+          }, reject);
+      });
+    };
+
+    return dispatch(0);
+  }
+
+  /**
+   * @private
+   */
+  async #handleError(error, req, res) {
+    if (this.logger.isDebugEnabled()) {
+      this.logger.error('Request failed', { method: req.method, path: req.path }, error);
+    }
+    if (res.writableEnded) return;
+
+    try {
+      await this.errorHandler(error, req, res);
+      if (!res.writableEnded) {
+        res.end();
+      }
+    } catch (handlerError) {
+      if (this.logger.isDebugEnabled()) {
+        this.logger.error('Error handler failed', handlerError);
+      }
+      if (!res.headersSent) {
+        res.statusCode = 500;
+        res.setHeader('content-type', 'text/plain; charset=utf-8');
+      }
+      res.end(http.STATUS_CODES[500]);
+    }
+  }
+
+  /**
+   * Add path/query/params and response helpers
+   * @throws {Error} 400 if the request URL cannot be parsed (the response helpers are set by then)
+   * @private
+   */
+  #decorate(req, res) {
+    // Defaults first, so the error handler can answer a request whose URL does not parse
+    req.path = req.url;
+    req.query = {};
+    req.params = {};
+
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.set = (name, value) => {
+      res.setHeader(name, value);
+      return res;
+    };
+    res.json = (data) => {
+      if (!res.hasHeader('content-type')) {
+        res.setHeader('content-type', 'application/json; charset=utf-8');
+      }
+      res.end(JSON.stringify(data));
+      return res;
+    };
+    res.send = (body) => {
+      if (body === undefined || body === null) {
+        res.end();
+      } else if (Buffer.isBuffer(body)) {
+        if (!res.hasHeader('content-type')) res.setHeader('content-type', 'application/octet-stream');
+        res.end(body);
+      } else if (typeof body === 'object') {
+        res.json(body);
+      } else {
+        if (!res.hasHeader('content-type')) res.setHeader('content-type', 'text/plain; charset=utf-8');
+        res.end(String(body));
+      }
+      return res;
+    };
+
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      throw createHttpError(400, 'Invalid request URL');
+    }
+    req.path = url.pathname;
+    req.query = Object.fromEntries(url.searchParams);
+  }
+
+  /**
+   * Read and parse the request body
+   * JSON bodies are parsed, text bodies returned as strings, anything else as a Buffer.
+   * @returns {Promise<*>} Parsed body, or undefined if there is none
+   * @throws {Error} 413 if the body exceeds bodyLimit, 400 if JSON is malformed
+   * @private
+   */
+  async #readBody(req) {
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      return undefined;
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.bodyLimit) {
+        throw createHttpError(413, `Request body exceeds ${this.bodyLimit} bytes`);
+      }
+      chunks.push(chunk);
+    }
+    if (size === 0) {
+      return undefined;
+    }
+
+    const raw = Buffer.concat(chunks);
+    const contentType = (req.headers['content-type'] || '').toLowerCase();
+
+    if (contentType.includes('json')) {
+      try {
+        return JSON.parse(raw.toString('utf8'));
+      } catch (error) {
+        throw createHttpError(400, `Invalid JSON body: ${error.message}`);
+      }
+    }
+    if (contentType.startsWith('text/') || contentType.includes('x-www-form-urlencoded')) {
+      const text = raw.toString('utf8');
+      return contentType.includes('x-www-form-urlencoded')
+        ? Object.fromEntries(new URLSearchParams(text))
+        : text;
+    }
+    return raw;
+  }
+}
@@ -0,0 +1,318 @@
+/**
+ * useServer Hook
+ *
+ * Provides a dependency-free HTTP server to subsystems, built on node:http.
+ * Wraps HttpServer and exposes route registration, middleware, error handling,
+ * and Mycelia integration that maps HTTP requests onto the router facet.
+ *
+ * @param {Object} ctx - Context object containing config.server for server configuration
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with server methods
+ */
+import { HttpServer, createHttpError } from './http-server.js';
+import { Facet } from '../../core/facet.js';
+import { createHook } from '../../core/create-hook.js';
+import { getDebugFlag } from '../../utils/debug-flag.js';
+import { createFacetLogger } from '../../utils/logger.js';
+
+/**
+ * Fill {param} placeholders of a Mycelia route path with HTTP request params
+ *
+ * @param {string} routePath - Mycelia route path (e.g. 'users/{id}/get')
+ * @param {Object} params - HTTP route params
+ * @returns {string} Concrete message path
+ * @throws {Error} 400 if a placeholder has no matching HTTP param, or a param contains '/'
+ */
+function fillRoutePath(routePath, params) {
+  return routePath.replace(/\{([a-zA-Z_][a-zA-Z0-9_]*)(?::[^}]*)?\}/g, (_, name) => {
+    if (params[name] === undefined) {
+      throw createHttpError(400, `Missing path parameter '${name}'`);
+    }
+    // A decoded '%2F' would add a segment and could reach a different Mycelia route
+    if (String(params[name]).includes('/')) {
+      throw createHttpError(400, `Path parameter '${name}' must not contain '/'`);
+    }
+    return params[name];
+  });
+}
+
+export const useServer = createHook({
+  kind: 'server',
+  version: '1.0.0',
+  overwrite: false,
+  required: [], // router is optional and only needed for registerMycelia*
+  attach: true,
+  source: import.meta.url,
+  contract: 'server',
+  fn: (ctx, api, subsystem) => {
+    const { name } = api;
+    const config = ctx.config?.server || {};
+    const debug = getDebugFlag(config, ctx);
+    const logger = createFacetLogger(ctx, subsystem, 'server');
+
+    const server = new HttpServer({
+      port: config.port,
+      host: config.host,
+      bodyLimit: config.bodyLimit,
+      debug,
+      logger,
+      name
+    });
+
+    const requireRouter = () => {
+      const router = subsystem.find('router');
+      if (!router?.route) {
+        throw new Error(`useServer ${name}: registerMyceliaRoute requires the router facet`);
+      }
+      return router;
+    };
+
+    /**
+     * Map an HTTP endpoint onto a Mycelia route
+     */
+    const registerMyceliaRoute = (routePath, httpMethod, httpPath, options = {}) => {
+      if (!routePath || typeof routePath !== 'string') {
+        throw new Error(`useServer ${name}: routePath must be a non-empty string`);
+      }
+      requireRouter();
+      const type = options.type || 'route';
+
+      const handler = async (req, res) => {
+        const router = requireRouter();
+        const message = {
+          path: fillRoutePath(routePath, req.params),
+          body: req.body,
+          params: req.params,
+          query: req.query,
+          headers: req.headers,
+          method: req.method,
+          type
+        };
+
+        if (!router.match(message.path)) {
+          throw createHttpError(404, `No route for '${message.path}'`);
+        }
+
+        // Commands are queued when a processor is available; the client gets 202 Accepted
+        const processor = subsystem.find('processor');
+        if (type === 'command' && processor?.accept) {
+          if (!(await processor.accept(message))) {
+            throw createHttpError(503, 'Message queue is full');
+          }
+          res.status(202);
+          return { accepted: true, path: message.path };
+        }
+
+        const result = await router.route(message);
+        if (options.statusCode) {
+          res.status(options.statusCode);
+        }
+        return result;
+      };
+
+      return server.route(httpMethod, httpPath || `/${routePath}`, handler, {
+        middleware: options.middleware,
+        metadata: { myceliaRoute: routePath, type }
+      });
+    };
+
+    return new Facet('server', { attach: true, source: import.meta.url, contract: 'server' })
+    .add({
+      /**
+       * Start listening
+       * @param {Object} [options={}] - { port, host } overriding config.server
+       * @returns {Promise<{host: string, port: number, url: string}>} Bound address
+       */
+      async start(options = {}) {
+        const address = await server.start(options);
+        logger.debug(`Listening on ${address.url}`);
+        return address;
+      },
+
+      /**
+       * Stop listening and close open connections
+       * @returns {Promise<void>}
+       */
+      async stop() {
+        await server.stop();
+      },
+
+      /**
+       * Check if the server is listening
+       * @returns {boolean} True if running
+       */
+      isRunning() {
+        return server.running;
+      },
+
+      /**
+       * Register a GET route
+       * @param {string} path - Route path ('/users/:id' or '/users/{id}')
+       * @param {Function} handler - (req, res) => any
+       * @param {Object} [options={}] - { middleware, priority, metadata }
+       * @returns {Object} Route entry
+       */
+      get(path, handler, options = {}) {
+        return server.route('GET', path, handler, options);
+      },
+
+      /**
+       * Register a POST route
+       * @see get
+       */
+      post(path, handler, options = {}) {
+        return server.route('POST', path, handler, options);
+      },
+
+      /**
+       * Register a PUT route
+       * @see get
+       */
+      put(path, handler, options = {}) {
+        return server.route('PUT', path, handler, options);
+      },
+
+      /**
+       * Register a PATCH route
+       * @see get
+       */
+      patch(path, handler, options = {}) {
+        return server.route('PATCH', path, handler, options);
+      },
+
+      /**
+       * Register a DELETE route
+       * @see get
+       */
+      delete(path, handler, options = {}) {
+        return server.route('DELETE', path, handler, options);
+      },
+
+      /**
+       * Register a route for every HTTP method (method-specific routes win)
+       * @see get
+       */
+      all(path, handler, options = {}) {
+        return server.route('ALL', path, handler, options);
+      },
+
+      /**
+       * Register several routes
+       * @param {Array<{method: string, path: string, handler: Function}>} routes - Routes (extra keys are route options)
+       * @returns {number} Number of routes registered
+       */
+      registerRoutes(routes) {
+        for (const { method, path, handler, ...options } of routes) {
+          server.route(method, path, handler, options);
+        }
+        return routes.length;
+      },
+
+      /**
+       * Add global middleware
+       * @param {Function} middleware - (req, res, next) => void
+       */
+      use(middleware) {
+        server.use(middleware);
+      },
+
+      /**
+       * Add middleware for request paths matching a pattern
+       * @param {string} path - Route pattern (e.g. '/admin/**')
+       * @param {Function} middleware - (req, res, next) => void
+       * @param {Object} [options={}] - { method }
+       */
+      useRoute(path, middleware, options = {}) {
+        server.useRoute(path, middleware, options);
+      },
+
+      /**
+       * Replace the error handler
+       * @param {Function} handler - (error, req, res) => void
+       */
+      setErrorHandler(handler) {
+        server.setErrorHandler(handler);
+      },
+
+      /**
+       * Get the bound address
+       * @returns {{host: string, port: number, url: string}|null} Address or null if not listening
+       */
+      getAddress() {
+        return server.getAddress();
+      },
+
+      /**
+       * Get the bound port
+       * @returns {number|null} Port or null if not listening
+       */
+      getPort() {
+        return server.getAddress()?.port ?? null;
+      },
+
+      /**
+       * Expose a Mycelia route as an HTTP endpoint
+       * The request becomes a message { path, body, params, query, headers, method, type }
+       * routed through the router facet; the handler result is the response body.
+       * @param {string} routePath - Mycelia route path; {param} placeholders are filled from HTTP params
+       * @param {string} httpMethod - HTTP method
+       * @param {string} [httpPath] - HTTP path (defaults to '/' + routePath)
+       * @param {Object} [options={}] - { type, statusCode, middleware }
+       * @returns {Object} Route entry
+       */
+      registerMyceliaRoute,
+
+      /**
+       * Expose a Mycelia command as a POST endpoint
+       * Queued through the processor facet when present (202 Accepted), otherwise routed directly.
+       * @param {string} routePath - Mycelia route path
+       * @param {string} [httpPath] - HTTP path
+       * @param {Object} [options={}] - Route options
+       * @returns {Object} Route entry
+       */
+      registerMyceliaCommand(routePath, httpPath, options = {}) {
+        return registerMyceliaRoute(routePath, 'POST', httpPath, { ...options, type: 'command' });
+      },
+
+      /**
+       * Expose a Mycelia query as a GET endpoint (always routed immediately)
+       * @param {string} routePath - Mycelia route path
+       * @param {string} [httpPath] - HTTP path
+       * @param {Object} [options={}] - Route options
+       * @returns {Object} Route entry
+       */
+      registerMyceliaQuery(routePath, httpPath, options = {}) {
+        return registerMyceliaRoute(routePath, 'GET', httpPath, { ...options, type: 'query' });
+      },
+
+      /**
+       * Register several Mycelia routes
+       * @param {Array<{routePath: string, method: string, httpPath?: string}>} routes - Routes (extra keys are options)
+       * @returns {number} Number of routes registered
+       */
+      registerMyceliaRoutes(routes) {
+        for (const { routePath, method, httpPath, ...options } of routes) {
+          registerMyceliaRoute(routePath, method, httpPath, options);
+        }
+        return routes.length;
+      },
+
+      // Expose server for internal use by other hooks
+      _server: server,
+
+      get _isRunning() {
+        return server.running;
+      }
+    })
+    .onInit(async () => {
+      if (config.autoStart) {
+        const address = await server.start();
+        logger.debug(`Listening on ${address.url}`);
+      }
+    })
+    .onDispose(async () => {
+      await server.stop();
+    });
+  }
+});
@@ -11,8 +11,7 @@
  */
 import { Facet } from '../../core/facet.js';
 import { createHook } from '../../core/create-hook.js';
-import { getDebugFlag } from '../../utils/debug-flag.js';
-import { createLogger } from '../../utils/logger.js';
+import { createFacetLogger } from '../../utils/logger.js';
 
 export const useSpeak = createHook({
   kind: 'speak',
@@ -22,16 +21,21 @@ export const useSpeak = createHook({
   attach: true,
   source: import.meta.url,
   contract: 'speak',
-  // eslint-disable-next-line no-unused-vars
-  fn: (ctx, api, _subsystem) => {
-    const { name } = api;
+  configSchema: {
+    type: 'object',
+    properties: {
+      output: { type: 'function' },
+      prefix: { type: 'string', default: '' },
+      debug: { type: 'boolean' }
+    }
+  },
+  fn: (ctx, api, subsystem) => {
     const config = ctx.config?.speak || {};
-    const debug = getDebugFlag(config, ctx);
-    const logger = createLogger(debug, `useSpeak ${name}`);
+    const logger = createFacetLogger(ctx, subsystem, 'speak');
     
     // Default output function (can be overridden via config)
     const outputFn = config.output || console.log;
-    const prefix = config.prefix || '';
+    const prefix = config.prefix;
     
     return new Facet('speak', { attach: true, source: import.meta.url, contract: 'speak' })
       .add({
@@ -50,9 +54,7 @@ export const useSpeak = createHook({
             throw new Error('speak.say() requires a string message');
           }
           outputFn(prefix + message);
-          if (debug) {
-            logger.log(`Said: ${message}`);
-          }
+          logger.debug(`Said: ${message}`);
         },
         
         /**
@@ -69,9 +71,7 @@ export const useSpeak = createHook({
             throw new Error('speak.sayLine() requires a string message');
           }
           outputFn(prefix + message);
-          if (debug) {
-            logger.log(`Said line: ${message}`);
-          }
+          logger.debug(`Said line: ${message}`);
         }
       });
   }
@@ -0,0 +1,366 @@
+/**
+ * MetricsRegistry Class
+ *
+ * Holds counters, gauges and histograms with labels. Metrics are created once per name
+ * (get-or-create) and updated directly, or reported at snapshot time by collectors:
+ * functions returning samples read from counters a component already keeps
+ * (BoundedQueue.stats, ListenerStatistics, ...), so the hot paths stay untouched.
+ *
+ * @example
+ * const registry = new MetricsRegistry({ defaultLabels: { service: 'shop' } });
+ * const requests = registry.counter('http_requests_total', { help: 'Requests', labelNames: ['route'] });
+ * requests.inc({ route: '/users' });
+ *
+ * registry.addCollector(() => [
+ *   { name: 'queue_size', type: 'gauge', help: 'Items queued', value: queue.size() }
+ * ]);
+ *
+ * registry.snapshot();
+ * // { http_requests_total: { type: 'counter', help: 'Requests', samples: [{ labels: { service: 'shop', route: '/users' }, value: 1 }] },
+ * //   queue_size: { type: 'gauge', ... } }
+ */
+
+/** Default histogram buckets (seconds), as used by Prometheus client libraries */
+export const DEFAULT_BUCKETS = Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const METRIC_TYPES = ['counter', 'gauge', 'histogram'];
+
+/**
+ * Base class for metrics: validates labels and keeps one series per label set.
+ */
+class Metric {
+  constructor(type, name, { help = '', labelNames = [] } = {}) {
+    if (!METRIC_NAME.test(name)) {
+      throw new Error(`MetricsRegistry: invalid metric name '${name}'`);
+    }
+    for (const label of labelNames) {
+      if (!LABEL_NAME.test(label) || label === 'le') {
+        throw new Error(`MetricsRegistry: invalid label name '${label}' for '${name}'`);
+      }
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = [...labelNames];
+    this.series = new Map(); // label key → { labels, ...state }
+  }
+
+  /**
+   * Get the series for a label set, creating it with `init()` if needed (null without init)
+   */
+  seriesFor(labels = {}, init) {
+    for (const label of Object.keys(labels)) {
+      if (!this.labelNames.includes(label)) {
+        throw new Error(`MetricsRegistry: unknown label '${label}' for '${this.name}' (declared: ${this.labelNames.join(', ') || 'none'})`);
+      }
+    }
+    const key = this.labelNames.map(label => String(labels[label] ?? '')).join('\u0000');
+    let series = this.series.get(key);
+    if (!series && init) {
+      const normalized = {};
+      for (const label of this.labelNames) {
+        if (labels[label] !== undefined) normalized[label] = String(labels[label]);
+      }
+      series = { labels: normalized, ...init() };
+      this.series.set(key, series);
+    }
+    return series ?? null;
+  }
+
+  /** Drop all series */
+  reset() {
+    this.series.clear();
+  }
+
+  samples() {
+    return [...this.series.values()].map(({ labels, value }) => ({ labels: { ...labels }, value }));
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, options) {
+    super('counter', name, options);
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} [labels={}] - Label values
+   * @param {number} [value=1] - Amount (must not be negative)
+   */
+  inc(labels = {}, value = 1) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    if (!(value >= 0)) {
+      throw new Error(`MetricsRegistry: counter '${this.name}' can only increase (got ${value})`);
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Current value for a label set
+   * @param {Object} [labels={}] - Label values
+   * @returns {number} Value (0 if never increased)
+   */
+  get(labels = {}) {
+    return this.seriesFor(labels)?.value ?? 0;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, options) {
+    super('gauge', name, options);
+  }
+
+  /**
+   * Set the gauge
+   * @param {Object} [labels={}] - Label values
+   * @param {number} value - Value
+   */
+  set(labels, value) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  /** Increase the gauge (default by 1) */
+  inc(labels = {}, value = 1) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /** Decrease the gauge (default by 1) */
+  dec(labels = {}, value = 1) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    this.inc(labels, -value);
+  }
+
+  /** Current value for a label set */
+  get(labels = {}) {
+    return this.seriesFor(labels)?.value ?? 0;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, options = {}) {
+    super('histogram', name, options);
+    const buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    if (buckets.length === 0 || buckets.some(bound => typeof bound !== 'number' || !Number.isFinite(bound))) {
+      throw new Error(`MetricsRegistry: histogram '${name}' buckets must be finite numbers`);
+    }
+    this.buckets = buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} [labels={}] - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    if (typeof labels === 'number') {
+      [labels, value] = [{}, labels];
+    }
+    const series = this.seriesFor(labels, () => ({ counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 }));
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Time an async or sync function and observe its duration in seconds
+   * @param {Object} labels - Label values
+   * @param {Function} fn - Function to time
+   * @returns {Promise<*>} Result of fn
+   */
+  async time(labels, fn) {
+    const start = performance.now();
+    try {
+      return await fn();
+    } finally {
+      this.observe(labels, (performance.now() - start) / 1000);
+    }
+  }
+
+  samples() {
+    return [...this.series.values()].map(({ labels, counts, sum, count }) => {
+      let cumulative = 0;
+      const buckets = this.buckets.map((le, i) => ({ le, count: (cumulative += counts[i]) }));
+      buckets.push({ le: Infinity, count });
+      return { labels: { ...labels }, buckets, sum, count };
+    });
+  }
+}
+
+const METRIC_CLASSES = { counter: Counter, gauge: Gauge, histogram: Histogram };
+
+export class MetricsRegistry {
+  /**
+   * @param {Object} [options={}] - Registry options
+   * @param {Object} [options.defaultLabels={}] - Labels added to every sample in snapshot()
+   */
+  constructor(options = {}) {
+    const { defaultLabels = {} } = options;
+    for (const label of Object.keys(defaultLabels)) {
+      if (!LABEL_NAME.test(label)) {
+        throw new Error(`MetricsRegistry: invalid label name '${label}'`);
+      }
+    }
+    this.defaultLabels = { ...defaultLabels };
+    this.metrics = new Map();
+    this.collectors = new Set();
+  }
+
+  #getOrCreate(type, name, options) {
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`MetricsRegistry: '${name}' is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = new METRIC_CLASSES[type](name, options);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * Get or create a counter
+   * @param {string} name - Metric name (Prometheus naming, e.g. 'mycelia_queue_dropped_total')
+   * @param {Object} [options={}] - { help, labelNames }
+   * @returns {Counter} Counter with inc(labels, value) and get(labels)
+   */
+  counter(name, options = {}) {
+    return this.#getOrCreate('counter', name, options);
+  }
+
+  /**
+   * Get or create a gauge
+   * @param {string} name - Metric name
+   * @param {Object} [options={}] - { help, labelNames }
+   * @returns {Gauge} Gauge with set(labels, value), inc(), dec() and get(labels)
+   */
+  gauge(name, options = {}) {
+    return this.#getOrCreate('gauge', name, options);
+  }
+
+  /**
+   * Get or create a histogram
+   * @param {string} name - Metric name (e.g. 'mycelia_message_duration_seconds')
+   * @param {Object} [options={}] - { help, labelNames, buckets } (buckets default to DEFAULT_BUCKETS)
+   * @returns {Histogram} Histogram with observe(labels, value) and time(labels, fn)
+   */
+  histogram(name, options = {}) {
+    return this.#getOrCreate('histogram', name, options);
+  }
+
+  /**
+   * Get a registered metric
+   * @param {string} name - Metric name
+   * @returns {Counter|Gauge|Histogram|null} Metric or null
+   */
+  get(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  /**
+   * Remove a metric
+   * @param {string} name - Metric name
+   * @returns {boolean} True if it was registered
+   */
+  remove(name) {
+    return this.metrics.delete(name);
+  }
+
+  /**
+   * Register a collector called by snapshot(). It returns counter or gauge samples:
+   * `[{ name, type, help, labels, value }]`.
+   *
+   * @param {Function} collector - () => Array<Object>
+   * @returns {Function} Function that unregisters the collector
+   */
+  addCollector(collector) {
+    if (typeof collector !== 'function') {
+      throw new Error('MetricsRegistry: collector must be a function');
+    }
+    this.collectors.add(collector);
+    return () => this.collectors.delete(collector);
+  }
+
+  /**
+   * Read all metrics.
+   *
+   * Collected samples are merged with registered metrics of the same name; a collected
+   * sample replaces a registered one with the same labels.
+   *
+   * @returns {Object} Metric families keyed by name:
+   *   `{ [name]: { type, help, samples: [{ labels, value }] } }`; histogram samples are
+   *   `{ labels, buckets: [{ le, count }], sum, count }` with cumulative bucket counts
+   * @throws {Error} If a collector reports a sample with an invalid name or a conflicting type
+   */
+  snapshot() {
+    const families = new Map();
+    for (const metric of this.metrics.values()) {
+      families.set(metric.name, { type: metric.type, help: metric.help, samples: metric.samples() });
+    }
+
+    for (const collector of this.collectors) {
+      for (const sample of collector() || []) {
+        const { name, type = 'gauge', help = '', labels = {}, value } = sample;
+        if (!METRIC_NAME.test(name || '')) {
+          throw new Error(`MetricsRegistry: collector reported invalid metric name '${name}'`);
+        }
+        if (!METRIC_TYPES.includes(type) || type === 'histogram') {
+          throw new Error(`MetricsRegistry: collector sample '${name}' must be a counter or gauge`);
+        }
+        let family = families.get(name);
+        if (!family) {
+          family = { type, help, samples: [] };
+          families.set(name, family);
+        } else if (family.type !== type) {
+          throw new Error(`MetricsRegistry: collector reported '${name}' as a ${type}, but it is a ${family.type}`);
+        }
+        const stringLabels = Object.fromEntries(Object.entries(labels).map(([key, val]) => [key, String(val)]));
+        const key = labelKey(stringLabels);
+        const index = family.samples.findIndex(existing => labelKey(existing.labels) === key);
+        if (index === -1) {
+          family.samples.push({ labels: stringLabels, value });
+        } else {
+          family.samples[index] = { labels: stringLabels, value };
+        }
+        family.help ||= help;
+      }
+    }
+
+    const snapshot = {};
+    for (const [name, family] of [...families].sort(([a], [b]) => a.localeCompare(b))) {
+      snapshot[name] = {
+        ...family,
+        samples: family.samples.map(sample => ({ ...sample, labels: { ...this.defaultLabels, ...sample.labels } }))
+      };
+    }
+    return snapshot;
+  }
+
+  /** Reset all registered metrics to zero (collectors are kept) */
+  reset() {
+    for (const metric of this.metrics.values()) metric.reset();
+  }
+
+  /** Remove all metrics and collectors */
+  clear() {
+    this.metrics.clear();
+    this.collectors.clear();
+  }
+}
+
+function labelKey(labels) {
+  return Object.keys(labels).sort().map(key => `${key}=${labels[key]}`).join('\u0000');
+}
@@ -0,0 +1,67 @@
+/**
+ * Prometheus Formatter
+ *
+ * Renders a MetricsRegistry snapshot in the Prometheus text exposition format (0.0.4),
+ * ready to be served on a /metrics endpoint.
+ *
+ * @example
+ * res.setHeader('Content-Type', PROMETHEUS_CONTENT_TYPE);
+ * res.end(formatPrometheus(system.statistics.snapshot()));
+ */
+
+/** Content-Type of the text exposition format */
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Format a metrics snapshot as Prometheus text.
+ *
+ * @param {Object} snapshot - Result of MetricsRegistry.snapshot()
+ * @returns {string} Exposition text (ends with a newline when not empty)
+ */
+export function formatPrometheus(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object') {
+    throw new Error('formatPrometheus: snapshot must be an object (MetricsRegistry.snapshot())');
+  }
+
+  const lines = [];
+  for (const [name, family] of Object.entries(snapshot)) {
+    if (family.help) {
+      lines.push(`# HELP ${name} ${escapeHelp(family.help)}`);
+    }
+    lines.push(`# TYPE ${name} ${family.type}`);
+
+    for (const sample of family.samples) {
+      if (family.type === 'histogram') {
+        for (const { le, count } of sample.buckets) {
+          lines.push(`${name}_bucket${formatLabels({ ...sample.labels, le: formatValue(le) })} ${count}`);
+        }
+        lines.push(`${name}_sum${formatLabels(sample.labels)} ${formatValue(sample.sum)}`);
+        lines.push(`${name}_count${formatLabels(sample.labels)} ${sample.count}`);
+      } else {
+        lines.push(`${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+  }
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (typeof value !== 'number' || Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
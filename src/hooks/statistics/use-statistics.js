@@ -0,0 +1,148 @@
+/**
+ * useStatistics Hook
+ *
+ * Provides a metrics registry (counters, gauges, histograms with labels) to subsystems.
+ * Built-in hooks report into it when it is installed: useQueue, useListeners and
+ * useProcessor register collectors for the counters they already keep, and this facet
+ * reports the facet count and the dependency graph cache. Read everything with
+ * snapshot(), or as Prometheus text with toPrometheus().
+ *
+ * A child subsystem's statistics facet reuses its parent's registry (unless
+ * config.statistics.shareWithParent is false), so one scrape covers the whole tree;
+ * samples carry a `subsystem` label.
+ *
+ * @param {Object} ctx - Context object containing config.statistics for statistics configuration
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with metrics methods
+ */
+import { MetricsRegistry } from './metrics-registry.js';
+import { formatPrometheus } from './prometheus-formatter.js';
+import { Facet } from '../../core/facet.js';
+import { createHook } from '../../core/create-hook.js';
+import { createFacetLogger } from '../../utils/logger.js';
+
+export const useStatistics = createHook({
+  kind: 'statistics',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  contract: 'statistics',
+  configSchema: {
+    type: 'object',
+    properties: {
+      defaultLabels: { type: 'object', default: {} },
+      shareWithParent: { type: 'boolean', default: true },
+      debug: { type: 'boolean' }
+    }
+  },
+  fn: (ctx, api, subsystem) => {
+    const config = ctx.config?.statistics || {};
+    const logger = createFacetLogger(ctx, subsystem, 'statistics');
+
+    const parentStatistics = config.shareWithParent === false ? null : subsystem.getParent?.()?.find?.('statistics');
+    const ownsRegistry = !parentStatistics?.registry;
+    const registry = ownsRegistry
+      ? new MetricsRegistry({ defaultLabels: config.defaultLabels })
+      : parentStatistics.registry;
+
+    let removeCollector = null;
+
+    const collectSubsystem = () => {
+      const labels = { subsystem: subsystem.getNameString() };
+      const samples = [{
+        name: 'mycelia_facets',
+        type: 'gauge',
+        help: 'Facets installed in the subsystem',
+        labels,
+        value: subsystem.api.__facets.getAllKinds().length
+      }];
+
+      // The graph cache is shared by a subsystem tree; the registry owner reports it once
+      const cache = ownsRegistry ? subsystem.ctx.graphCache : null;
+      if (cache?.getStats) {
+        const { size, capacity, hits, misses } = cache.getStats();
+        samples.push(
+          { name: 'mycelia_graph_cache_entries', type: 'gauge', help: 'Cached dependency graph results', labels, value: size },
+          { name: 'mycelia_graph_cache_capacity', type: 'gauge', help: 'Dependency graph cache capacity', labels, value: capacity },
+          { name: 'mycelia_graph_cache_hits_total', type: 'counter', help: 'Dependency graph cache hits', labels, value: hits },
+          { name: 'mycelia_graph_cache_misses_total', type: 'counter', help: 'Dependency graph cache misses', labels, value: misses }
+        );
+      }
+      return samples;
+    };
+
+    return new Facet('statistics', { attach: true, source: import.meta.url, contract: 'statistics' })
+      .add({
+        /**
+         * The MetricsRegistry (shared with the parent's statistics facet when inherited)
+         */
+        registry,
+
+        /**
+         * Get or create a counter
+         * @param {string} name - Metric name
+         * @param {Object} [options={}] - { help, labelNames }
+         * @returns {Object} Counter
+         */
+        counter(name, options) {
+          return registry.counter(name, options);
+        },
+
+        /**
+         * Get or create a gauge
+         * @param {string} name - Metric name
+         * @param {Object} [options={}] - { help, labelNames }
+         * @returns {Object} Gauge
+         */
+        gauge(name, options) {
+          return registry.gauge(name, options);
+        },
+
+        /**
+         * Get or create a histogram
+         * @param {string} name - Metric name
+         * @param {Object} [options={}] - { help, labelNames, buckets }
+         * @returns {Object} Histogram
+         */
+        histogram(name, options) {
+          return registry.histogram(name, options);
+        },
+
+        /**
+         * Register a collector that reports samples at snapshot time
+         * @param {Function} collector - () => [{ name, type, help, labels, value }]
+         * @returns {Function} Unregister function
+         */
+        addCollector(collector) {
+          return registry.addCollector(collector);
+        },
+
+        /**
+         * Read all metrics
+         * @returns {Object} Metric families keyed by name
+         */
+        snapshot() {
+          return registry.snapshot();
+        },
+
+        /**
+         * Read all metrics in the Prometheus text exposition format
+         * @returns {string} Exposition text
+         */
+        toPrometheus() {
+          return formatPrometheus(registry.snapshot());
+        }
+      })
+      .onInit(() => {
+        removeCollector = registry.addCollector(collectSubsystem);
+        logger.debug('Initialized', { sharedWithParent: !ownsRegistry });
+      })
+      .onDispose(() => {
+        removeCollector?.();
+        removeCollector = null;
+      });
+  }
+});
@@ -0,0 +1,200 @@
+/**
+ * JsonFileStorageBackend Class
+ *
+ * File-backed storage backend for the useStorage hook. Data is held in memory
+ * (via MemoryStorageBackend) and persisted to a single JSON file after every
+ * mutation. Writes are atomic: the file is written to a temporary sibling and
+ * renamed over the target, so readers never observe a partially written file.
+ *
+ * Multi-operation transactions are not supported (each mutation is persisted on
+ * its own), so capabilities.transactions is false.
+ *
+ * File format:
+ * { "version": 1, "namespaces": { "<ns>": { "<key>": { "value": ..., "metadata": {...} } } } }
+ *
+ * @example
+ * const backend = new JsonFileStorageBackend({ path: './data/storage.json' });
+ * await backend.init();
+ * await backend.set('default', 'user:1', { name: 'Ada' });
+ */
+import { promises as fs } from 'node:fs';
+import { dirname } from 'node:path';
+import { MemoryStorageBackend } from './memory-storage-backend.js';
+import { createComponentLogger } from '../../utils/logger.js';
+
+const FILE_FORMAT_VERSION = 1;
+
+export class JsonFileStorageBackend {
+  /**
+   * Create a new JsonFileStorageBackend instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.path - Path of the JSON file
+   * @param {boolean} [options.pretty=false] - Pretty-print the JSON file
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Logger} [options.logger] - Parent logger (usually the facet's logger)
+   */
+  constructor(options = {}) {
+    if (!options.path || typeof options.path !== 'string') {
+      throw new Error('JsonFileStorageBackend: path is required');
+    }
+
+    this.name = 'json-file';
+    this.path = options.path;
+    this.pretty = options.pretty || false;
+    this.debug = options.debug || false;
+    this.logger = createComponentLogger('JsonFileStorageBackend', options);
+    this.capabilities = { transactions: false, query: true, metadata: true };
+
+    this.store = new MemoryStorageBackend({ debug: this.debug, logger: this.logger });
+
+    // Serializes writes so renames never race each other
+    this.writeChain = Promise.resolve();
+    this.writeCount = 0;
+    this.lastWriteError = null;
+  }
+
+  /**
+   * Load the JSON file (a missing file starts an empty store)
+   * @returns {Promise<void>}
+   * @throws {Error} If the file exists but cannot be parsed
+   */
+  async init() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`JsonFileStorageBackend: cannot parse '${this.path}': ${error.message}`);
+    }
+
+    for (const [namespace, entries] of Object.entries(data?.namespaces || {})) {
+      this.store.createNamespace(namespace);
+      for (const [key, entry] of Object.entries(entries || {})) {
+        this.store.set(namespace, key, entry?.value);
+        if (entry?.metadata && Object.keys(entry.metadata).length > 0) {
+          this.store.setMetadata(namespace, key, entry.metadata);
+        }
+      }
+    }
+
+    this.logger.debug(`Loaded ${this.store.getStatus().keys} keys from '${this.path}'`);
+  }
+
+  /**
+   * Wait for pending writes to finish
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.writeChain;
+  }
+
+  get(namespace, key) { return this.store.get(namespace, key); }
+  has(namespace, key) { return this.store.has(namespace, key); }
+  keys(namespace) { return this.store.keys(namespace); }
+  entries(namespace) { return this.store.entries(namespace); }
+  getMetadata(namespace, key) { return this.store.getMetadata(namespace, key); }
+  listNamespaces() { return this.store.listNamespaces(); }
+  hasNamespace(namespace) { return this.store.hasNamespace(namespace); }
+
+  async set(namespace, key, value) {
+    this.store.set(namespace, key, value);
+    await this.#persist();
+  }
+
+  async delete(namespace, key) {
+    const removed = this.store.delete(namespace, key);
+    if (removed) await this.#persist();
+    return removed;
+  }
+
+  async setMetadata(namespace, key, metadata) {
+    const updated = this.store.setMetadata(namespace, key, metadata);
+    if (updated) await this.#persist();
+    return updated;
+  }
+
+  async createNamespace(namespace) {
+    const created = this.store.createNamespace(namespace);
+    if (created) await this.#persist();
+    return created;
+  }
+
+  async deleteNamespace(namespace) {
+    const removed = this.store.deleteNamespace(namespace);
+    if (removed) await this.#persist();
+    return removed;
+  }
+
+  async clear(namespace) {
+    const count = this.store.clear(namespace);
+    await this.#persist();
+    return count;
+  }
+
+  /**
+   * Get backend status
+   * @returns {Object} Status object
+   */
+  getStatus() {
+    const { namespaces, keys } = this.store.getStatus();
+    return {
+      backend: this.name,
+      healthy: this.lastWriteError === null,
+      namespaces,
+      keys,
+      path: this.path,
+      writes: this.writeCount,
+      lastWriteError: this.lastWriteError ? this.lastWriteError.message : null
+    };
+  }
+
+  /**
+   * Serialize the store to JSON
+   * @returns {string} JSON document
+   * @private
+   */
+  #serialize() {
+    const namespaces = {};
+    for (const namespace of this.store.listNamespaces()) {
+      namespaces[namespace] = Object.fromEntries(this.store.entries(namespace));
+    }
+    return JSON.stringify({ version: FILE_FORMAT_VERSION, namespaces }, null, this.pretty ? 2 : 0);
+  }
+
+  /**
+   * Atomically write the store to disk (temp file + rename), serialized through writeChain
+   * @returns {Promise<void>}
+   * @private
+   */
+  #persist() {
+    const contents = this.#serialize();
+    const write = async () => {
+      const tmpPath = `${this.path}.${process.pid}.${Date.now()}.${this.writeCount}.tmp`;
+      await fs.mkdir(dirname(this.path), { recursive: true });
+      try {
+        await fs.writeFile(tmpPath, contents, 'utf8');
+        await fs.rename(tmpPath, this.path);
+      } catch (error) {
+        await fs.rm(tmpPath, { force: true }).catch(() => {});
+        throw error;
+      }
+      this.writeCount++;
+      this.lastWriteError = null;
+    };
+
+    const result = this.writeChain.then(write);
+    // Keep the chain alive after a failure; the caller still sees the rejection
+    this.writeChain = result.catch((error) => {
+      this.lastWriteError = error;
+    });
+    return result;
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * MemoryStorageBackend Class
+ *
+ * In-memory storage backend for the useStorage hook. Values are kept in
+ * Map<namespace, Map<key, { value, metadata }>> and cloned on the way in and out,
+ * so callers never share references with the store.
+ *
+ * Backend interface (implemented by every storage backend):
+ * - name: string
+ * - capabilities: { transactions: boolean, query: boolean, metadata: boolean }
+ * - init(), close()
+ * - get(namespace, key), set(namespace, key, value), delete(namespace, key), has(namespace, key)
+ * - keys(namespace), entries(namespace)
+ * - getMetadata(namespace, key), setMetadata(namespace, key, metadata)
+ * - createNamespace(namespace), deleteNamespace(namespace), listNamespaces(), hasNamespace(namespace)
+ * - clear(namespace?)
+ * - beginTransaction(), commit(), rollback() (only if capabilities.transactions)
+ * - getStatus()
+ *
+ * Methods may return values or Promises; useStorage awaits every call.
+ *
+ * @example
+ * const backend = new MemoryStorageBackend();
+ * backend.set('default', 'user:1', { name: 'Ada' });
+ * backend.get('default', 'user:1'); // { name: 'Ada' }
+ */
+export class MemoryStorageBackend {
+  /**
+   * Create a new MemoryStorageBackend instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.debug = options.debug || false;
+    this.capabilities = { transactions: true, query: true, metadata: true };
+
+    // Storage: namespace -> Map<key, { value, metadata }>
+    this.namespaces = new Map();
+
+    // Snapshot of namespaces taken by beginTransaction() (null when no transaction is active)
+    this.snapshot = null;
+  }
+
+  /**
+   * Initialize the backend (no-op for memory storage)
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * Close the backend (no-op for memory storage)
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Get a value
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {*} Stored value (cloned) or undefined
+   */
+  get(namespace, key) {
+    const entry = this.namespaces.get(namespace)?.get(key);
+    return entry ? structuredClone(entry.value) : undefined;
+  }
+
+  /**
+   * Store a value (creates the namespace if needed, keeps existing metadata)
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @param {*} value - Value (must be structured-cloneable)
+   */
+  set(namespace, key, value) {
+    const store = this.#ensureNamespace(namespace);
+    const existing = store.get(key);
+    store.set(key, {
+      value: structuredClone(value),
+      metadata: existing ? existing.metadata : {}
+    });
+  }
+
+  /**
+   * Delete a value
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {boolean} True if the key existed
+   */
+  delete(namespace, key) {
+    return this.namespaces.get(namespace)?.delete(key) || false;
+  }
+
+  /**
+   * Check if a key exists
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {boolean} True if present
+   */
+  has(namespace, key) {
+    return this.namespaces.get(namespace)?.has(key) || false;
+  }
+
+  /**
+   * List keys in a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Array<string>} Keys in insertion order
+   */
+  keys(namespace) {
+    const store = this.namespaces.get(namespace);
+    return store ? Array.from(store.keys()) : [];
+  }
+
+  /**
+   * List entries in a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Array<[string, {value: *, metadata: Object}]>} Cloned entries
+   */
+  entries(namespace) {
+    const store = this.namespaces.get(namespace);
+    if (!store) return [];
+    return Array.from(store.entries(), ([key, entry]) => [key, structuredClone(entry)]);
+  }
+
+  /**
+   * Get metadata for a key
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {Object|undefined} Metadata or undefined if the key does not exist
+   */
+  getMetadata(namespace, key) {
+    const entry = this.namespaces.get(namespace)?.get(key);
+    return entry ? structuredClone(entry.metadata) : undefined;
+  }
+
+  /**
+   * Merge metadata into an existing key
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @param {Object} metadata - Metadata to merge
+   * @returns {boolean} True if the key exists and metadata was set
+   */
+  setMetadata(namespace, key, metadata) {
+    const entry = this.namespaces.get(namespace)?.get(key);
+    if (!entry) return false;
+    entry.metadata = { ...entry.metadata, ...structuredClone(metadata) };
+    return true;
+  }
+
+  /**
+   * Create a namespace
+   * @param {string} namespace - Namespace
+   * @returns {boolean} True if created, false if it already existed
+   */
+  createNamespace(namespace) {
+    if (this.namespaces.has(namespace)) return false;
+    this.namespaces.set(namespace, new Map());
+    return true;
+  }
+
+  /**
+   * Delete a namespace and all of its keys
+   * @param {string} namespace - Namespace
+   * @returns {boolean} True if the namespace existed
+   */
+  deleteNamespace(namespace) {
+    return this.namespaces.delete(namespace);
+  }
+
+  /**
+   * List namespaces
+   * @returns {Array<string>} Namespace names
+   */
+  listNamespaces() {
+    return Array.from(this.namespaces.keys());
+  }
+
+  /**
+   * Check if a namespace exists
+   * @param {string} namespace - Namespace
+   * @returns {boolean} True if present
+   */
+  hasNamespace(namespace) {
+    return this.namespaces.has(namespace);
+  }
+
+  /**
+   * Clear one namespace, or every namespace when none is given
+   * @param {string} [namespace] - Namespace to clear
+   * @returns {number} Number of keys removed
+   */
+  clear(namespace) {
+    if (namespace !== undefined) {
+      const store = this.namespaces.get(namespace);
+      if (!store) return 0;
+      const count = store.size;
+      store.clear();
+      return count;
+    }
+    let count = 0;
+    for (const store of this.namespaces.values()) {
+      count += store.size;
+    }
+    this.namespaces.clear();
+    return count;
+  }
+
+  /**
+   * Begin a transaction (snapshot current state)
+   * @throws {Error} If a transaction is already active
+   */
+  beginTransaction() {
+    if (this.snapshot) {
+      throw new Error('MemoryStorageBackend: a transaction is already active');
+    }
+    this.snapshot = this.#cloneNamespaces();
+  }
+
+  /**
+   * Commit the active transaction
+   * @throws {Error} If no transaction is active
+   */
+  commit() {
+    if (!this.snapshot) {
+      throw new Error('MemoryStorageBackend: no active transaction');
+    }
+    this.snapshot = null;
+  }
+
+  /**
+   * Roll back the active transaction (restore the snapshot)
+   * @throws {Error} If no transaction is active
+   */
+  rollback() {
+    if (!this.snapshot) {
+      throw new Error('MemoryStorageBackend: no active transaction');
+    }
+    this.namespaces = this.snapshot;
+    this.snapshot = null;
+  }
+
+  /**
+   * Get backend status
+   * @returns {Object} Status object
+   */
+  getStatus() {
+    let keys = 0;
+    for (const store of this.namespaces.values()) {
+      keys += store.size;
+    }
+    return {
+      backend: this.name,
+      healthy: true,
+      namespaces: this.namespaces.size,
+      keys,
+      inTransaction: this.snapshot !== null
+    };
+  }
+
+  /**
+   * Get or create the store for a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Map} Namespace store
+   * @private
+   */
+  #ensureNamespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  /**
+   * Deep-copy all namespaces
+   * @returns {Map} Copy of namespaces
+   * @private
+   */
+  #cloneNamespaces() {
+    const copy = new Map();
+    for (const [namespace, store] of this.namespaces) {
+      copy.set(namespace, new Map(Array.from(store, ([key, entry]) => [key, structuredClone(entry)])));
+    }
+    return copy;
+  }
+}
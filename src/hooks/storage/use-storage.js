@@ -0,0 +1,387 @@
+/**
+ * useStorage Hook
+ *
+ * Provides namespaced key-value storage to subsystems through a pluggable backend.
+ * Uses the in-memory backend by default; any object implementing the backend interface
+ * (see MemoryStorageBackend) can be passed as config.storage.backend, such as the
+ * Node-only JsonFileStorageBackend exported from 'mycelia-kernel-plugin/node'.
+ *
+ * All facet methods are async so file-backed and remote backends share one API.
+ *
+ * @param {Object} ctx - Context object containing config.storage for storage configuration
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with storage methods
+ */
+import { MemoryStorageBackend } from './memory-storage-backend.js';
+import { Facet } from '../../core/facet.js';
+import { createHook } from '../../core/create-hook.js';
+import { getDebugFlag } from '../../utils/debug-flag.js';
+import { createFacetLogger } from '../../utils/logger.js';
+
+const DEFAULT_NAMESPACE = 'default';
+
+/**
+ * Create the storage backend described by config.storage
+ *
+ * @param {Object} config - Storage configuration
+ * @param {boolean} debug - Debug flag
+ * @param {Logger} logger - Storage facet logger
+ * @returns {Object} Backend instance
+ * @throws {Error} If the backend type is unknown
+ */
+function createBackend(config, debug, logger) {
+  const backend = config.backend || 'memory';
+
+  if (typeof backend === 'object' && backend !== null) {
+    return backend;
+  }
+  if (backend === 'memory') {
+    return new MemoryStorageBackend({ debug, logger });
+  }
+  if (backend === 'json-file') {
+    throw new Error("useStorage: the 'json-file' backend is Node-only. Pass backend: new JsonFileStorageBackend({ path }) from 'mycelia-kernel-plugin/node'");
+  }
+
+  throw new Error(`useStorage: unknown backend '${backend}'. Use 'memory' or a backend instance`);
+}
+
+/**
+ * Build a predicate from a query filter
+ * Functions are used as-is; plain objects match entries whose value has equal fields.
+ *
+ * @param {Function|Object} filter - Filter function (value, key, metadata) => boolean, or field map
+ * @returns {Function} Predicate
+ */
+function toPredicate(filter) {
+  if (typeof filter === 'function') {
+    return filter;
+  }
+  if (filter && typeof filter === 'object') {
+    const fields = Object.entries(filter);
+    return (value) => value !== null && typeof value === 'object' &&
+      fields.every(([field, expected]) => value[field] === expected);
+  }
+  return () => true;
+}
+
+export const useStorage = createHook({
+  kind: 'storage',
+  version: '1.0.0',
+  overwrite: false,
+  required: [],
+  attach: true,
+  source: import.meta.url,
+  contract: 'storage',
+  fn: (ctx, api, subsystem) => {
+    const { name } = api;
+    const config = ctx.config?.storage || {};
+    const debug = getDebugFlag(config, ctx);
+    const logger = createFacetLogger(ctx, subsystem, 'storage');
+
+    const backend = createBackend(config, debug, logger);
+    const capabilities = backend.capabilities || {};
+    const supportsTransactions = capabilities.transactions === true;
+    const supportsQuery = capabilities.query === true;
+    const supportsMetadata = capabilities.metadata === true;
+    const defaultNamespace = config.defaultNamespace || DEFAULT_NAMESPACE;
+
+    const ns = (options = {}) => options.namespace ?? defaultNamespace;
+
+    const assertKey = (key) => {
+      if (typeof key !== 'string' || !key) {
+        throw new Error(`useStorage ${name}: key must be a non-empty string`);
+      }
+    };
+
+    const requireCapability = (supported, feature) => {
+      if (!supported) {
+        throw new Error(`useStorage ${name}: backend '${backend.name}' does not support ${feature}`);
+      }
+    };
+
+    const listKeys = async (options = {}) => {
+      let keys = await backend.keys(ns(options));
+      if (options.prefix) {
+        keys = keys.filter(key => key.startsWith(options.prefix));
+      }
+      if (options.pattern instanceof RegExp) {
+        keys = keys.filter(key => options.pattern.test(key));
+      }
+      return keys;
+    };
+
+    const storageConfig = { ...config, backend: backend.name, defaultNamespace };
+
+    return new Facet('storage', { attach: true, source: import.meta.url, contract: 'storage' })
+      .add({
+        /**
+         * Get a value
+         * @param {string} key - Key
+         * @param {Object} [options={}] - Options ({ namespace })
+         * @returns {Promise<*>} Value or undefined
+         */
+        async get(key, options = {}) {
+          return backend.get(ns(options), key);
+        },
+
+        /**
+         * Store a value
+         * @param {string} key - Key
+         * @param {*} value - Value
+         * @param {Object} [options={}] - Options ({ namespace, metadata })
+         * @returns {Promise<boolean>} True when stored
+         */
+        async set(key, value, options = {}) {
+          assertKey(key);
+          await backend.set(ns(options), key, value);
+          if (options.metadata && supportsMetadata) {
+            await backend.setMetadata(ns(options), key, options.metadata);
+          }
+          return true;
+        },
+
+        /**
+         * Delete a value
+         * @param {string} key - Key
+         * @param {Object} [options={}] - Options ({ namespace })
+         * @returns {Promise<boolean>} True if the key existed
+         */
+        async delete(key, options = {}) {
+          return backend.delete(ns(options), key);
+        },
+
+        /**
+         * Check if a key exists
+         * @param {string} key - Key
+         * @param {Object} [options={}] - Options ({ namespace })
+         * @returns {Promise<boolean>} True if present
+         */
+        async has(key, options = {}) {
+          return backend.has(ns(options), key);
+        },
+
+        /**
+         * Get several values
+         * @param {Array<string>} keys - Keys
+         * @param {Object} [options={}] - Options ({ namespace })
+         * @returns {Promise<Object>} Map of key -> value for keys that exist
+         */
+        async getMany(keys, options = {}) {
+          const result = {};
+          for (const key of keys) {
+            if (await backend.has(ns(options), key)) {
+              result[key] = await backend.get(ns(options), key);
+            }
+          }
+          return result;
+        },
+
+        /**
+         * Store several values. Atomic when the backend supports transactions.
+         * Every key is validated before anything is written.
+         * @param {Object|Array<[string, *]>} entries - Object or array of [key, value] pairs
+         * @param {Object} [options={}] - Options ({ namespace })
+         * @returns {Promise<number>} Number of values stored
+         * @throws {Error} If a key is not a non-empty string
+         */
+        async setMany(entries, options = {}) {
+          const pairs = Array.isArray(entries) ? entries : Object.entries(entries || {});
+          for (const [key] of pairs) {
+            assertKey(key);
+          }
+          const write = async () => {
+            for (const [key, value] of pairs) {
+              await backend.set(ns(options), key, value);
+            }
+          };
+
+          if (supportsTransactions && !backend.getStatus?.().inTransaction) {
+            await backend.beginTransaction();
+            try {
+              await write();
+              await backend.commit();
+            } catch (error) {
+              await backend.rollback();
+              throw error;
+            }
+          } else {
+            await write();
+          }
+          return pairs.length;
+        },
+
+        /**
+         * Delete several values
+         * @param {Array<string>} keys - Keys
+         * @param {Object} [options={}] - Options ({ namespace })
+         * @returns {Promise<number>} Number of keys removed
+         */
+        async deleteMany(keys, options = {}) {
+          let removed = 0;
+          for (const key of keys) {
+            if (await backend.delete(ns(options), key)) removed++;
+          }
+          return removed;
+        },
+
+        /**
+         * List keys
+         * @param {Object} [options={}] - Options ({ namespace, prefix, pattern })
+         * @param {string} [options.prefix] - Only keys starting with prefix
+         * @param {RegExp} [options.pattern] - Only keys matching pattern
+         * @returns {Promise<Array<string>>} Keys
+         */
+        async list(options = {}) {
+          return listKeys(options);
+        },
+
+        /**
+         * Query values
+         * @param {Function|Object} filter - (value, key, metadata) => boolean, or field map matched against values
+         * @param {Object} [options={}] - Options ({ namespace, limit, includeMetadata })
+         * @returns {Promise<Array<{key: string, value: *, metadata?: Object}>>} Matching entries
+         */
+        async query(filter, options = {}) {
+          requireCapability(supportsQuery, 'query');
+          const predicate = toPredicate(filter);
+          const limit = options.limit ?? Infinity;
+          const results = [];
+
+          for (const [key, entry] of await backend.entries(ns(options))) {
+            if (results.length >= limit) break;
+            if (!predicate(entry.value, key, entry.metadata)) continue;
+            results.push(options.includeMetadata
+              ? { key, value: entry.value, metadata: entry.metadata }
+              : { key, value: entry.value });
+          }
+          return results;
+        },
+
+        /**
+         * Count keys
+         * @param {Object} [options={}] - Options ({ namespace, prefix })
+         * @returns {Promise<number>} Number of keys
+         */
+        async count(options = {}) {
+          return (await listKeys(options)).length;
+        },
+
+        /**
+         * Create a namespace
+         * @param {string} namespace - Namespace name
+         * @returns {Promise<boolean>} True if created, false if it existed
+         */
+        async createNamespace(namespace) {
+          if (typeof namespace !== 'string' || !namespace) {
+            throw new Error(`useStorage ${name}: namespace must be a non-empty string`);
+          }
+          return backend.createNamespace(namespace);
+        },
+
+        /**
+         * Delete a namespace and its keys
+         * @param {string} namespace - Namespace name
+         * @returns {Promise<boolean>} True if the namespace existed
+         */
+        async deleteNamespace(namespace) {
+          return backend.deleteNamespace(namespace);
+        },
+
+        /**
+         * List namespaces
+         * @returns {Promise<Array<string>>} Namespace names
+         */
+        async listNamespaces() {
+          return backend.listNamespaces();
+        },
+
+        /**
+         * Begin a transaction
+         * @throws {Error} If the backend does not support transactions
+         */
+        async beginTransaction() {
+          requireCapability(supportsTransactions, 'transactions');
+          await backend.beginTransaction();
+        },
+
+        /**
+         * Commit the active transaction
+         * @throws {Error} If the backend does not support transactions
+         */
+        async commit() {
+          requireCapability(supportsTransactions, 'transactions');
+          await backend.commit();
+        },
+
+        /**
+         * Roll back the active transaction
+         * @throws {Error} If the backend does not support transactions
+         */
+        async rollback() {
+          requireCapability(supportsTransactions, 'transactions');
+          await backend.rollback();
+        },
+
+        /**
+         * Get metadata for a key
+         * @param {string} key - Key
+         * @param {Object} [options={}] - Options ({ namespace })
+         * @returns {Promise<Object|undefined>} Metadata or undefined if the key does not exist
+         */
+        async getMetadata(key, options = {}) {
+          requireCapability(supportsMetadata, 'metadata');
+          return backend.getMetadata(ns(options), key);
+        },
+
+        /**
+         * Merge metadata into an existing key
+         * @param {string} key - Key
+         * @param {Object} metadata - Metadata to merge
+         * @param {Object} [options={}] - Options ({ namespace })
+         * @returns {Promise<boolean>} True if the key exists and metadata was set
+         */
+        async setMetadata(key, metadata, options = {}) {
+          requireCapability(supportsMetadata, 'metadata');
+          return backend.setMetadata(ns(options), key, metadata);
+        },
+
+        /**
+         * Clear data in one namespace, or everything when no namespace is given
+         * @param {Object} [options={}] - Options ({ namespace })
+         * @returns {Promise<number>} Number of keys removed
+         */
+        async clear(options = {}) {
+          return backend.clear(options.namespace);
+        },
+
+        /**
+         * Get storage status
+         * @returns {Promise<Object>} Status including backend health and capabilities
+         */
+        async getStatus() {
+          return {
+            ...(await backend.getStatus()),
+            supportsTransactions,
+            supportsQuery,
+            supportsMetadata
+          };
+        },
+
+        supportsTransactions,
+        supportsQuery,
+        supportsMetadata,
+
+        // Expose backend and config for internal use by other hooks
+        _storageBackend: backend,
+        _config: storageConfig
+      })
+      .onInit(async () => {
+        await backend.init?.();
+        logger.debug(`Storage backend '${backend.name}' initialized`);
+      })
+      .onDispose(async () => {
+        await backend.close?.();
+      });
+  }
+});
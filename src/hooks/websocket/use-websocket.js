@@ -0,0 +1,345 @@
+/**
+ * useWebSocket Hook
+ *
+ * Provides a dependency-free WebSocket server (RFC 6455) to subsystems.
+ * Wraps WebSocketServer and exposes connection management, send/broadcast,
+ * lifecycle handlers and message routing.
+ *
+ * Incoming messages are routed to handlers registered by type and emitted on the
+ * listeners facet (when installed) so UI bindings can subscribe to socket traffic:
+ * - '<prefix>/connection'    { connectionId }
+ * - '<prefix>/disconnection' { connectionId, code, reason }
+ * - '<prefix>/message'       every message
+ * - '<prefix>/message/<type>' messages carrying a type
+ * - '<prefix>/error'         { connectionId, error }
+ * The prefix defaults to 'websocket'.
+ *
+ * @param {Object} ctx - Context object containing config.websocket for WebSocket configuration
+ * @param {Object} api - Subsystem API being built
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {Facet} Facet object with WebSocket methods
+ */
+import { WebSocketServer } from './websocket-server.js';
+import { Facet } from '../../core/facet.js';
+import { createHook } from '../../core/create-hook.js';
+import { getDebugFlag } from '../../utils/debug-flag.js';
+import { createFacetLogger } from '../../utils/logger.js';
+
+/**
+ * Decode incoming message data
+ * Text that looks like JSON is parsed; other text stays a string.
+ *
+ * @param {string|Buffer} data - Raw message data
+ * @param {boolean} binary - True for binary messages
+ * @returns {*} Decoded data
+ */
+function decodeData(data, binary) {
+  if (binary || typeof data !== 'string') {
+    return data;
+  }
+  const trimmed = data.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return data;
+    }
+  }
+  return data;
+}
+
+/**
+ * Get the routing type of decoded data ({ type } or { path })
+ *
+ * @param {*} data - Decoded data
+ * @returns {string|null} Message type or null
+ */
+function getMessageType(data) {
+  if (!data || typeof data !== 'object' || Buffer.isBuffer(data)) {
+    return null;
+  }
+  const type = data.type ?? data.path;
+  return typeof type === 'string' && type ? type : null;
+}
+
+export const useWebSocket = createHook({
+  kind: 'websocket',
+  version: '1.0.0',
+  overwrite: false,
+  required: [], // listeners and server are optional and looked up when used
+  attach: true,
+  source: import.meta.url,
+  contract: 'websocket',
+  fn: (ctx, api, subsystem) => {
+    const { name } = api;
+    const config = ctx.config?.websocket || {};
+    const debug = getDebugFlag(config, ctx);
+    const logger = createFacetLogger(ctx, subsystem, 'websocket');
+    const prefix = config.listenerPrefix || 'websocket';
+
+    const server = new WebSocketServer({
+      port: config.port,
+      host: config.host,
+      path: config.path,
+      maxPayload: config.maxPayload,
+      pingInterval: config.pingInterval,
+      debug,
+      logger,
+      name
+    });
+
+    // Message type -> handler
+    const messageHandlers = new Map();
+
+    const emit = (event, payload) => {
+      const listeners = subsystem.find('listeners');
+      if (listeners?.hasListeners?.()) {
+        listeners.emit(`${prefix}/${event}`, payload);
+      }
+    };
+
+    const reportError = (error, connection = null) => {
+      logger.warn(error.message, { connectionId: connection?.id ?? null }, error);
+      emit('error', { connectionId: connection?.id ?? null, error });
+    };
+
+    /**
+     * Route one message to its handler and the listeners facet
+     */
+    const routeMessage = async (connectionId, data, options = {}) => {
+      const connection = server.connections.get(connectionId) || null;
+      const decoded = decodeData(data, options.binary === true);
+      const type = getMessageType(decoded);
+      const message = { connectionId, type, data: decoded, binary: options.binary === true };
+
+      emit('message', message);
+      if (type) {
+        emit(`message/${type}`, message);
+      }
+
+      const handler = (type && messageHandlers.get(type)) || messageHandlers.get('*');
+      if (!handler) {
+        return undefined;
+      }
+      return await handler(message, connection);
+    };
+
+    server.onConnection((connection) => {
+      emit('connection', { connectionId: connection.id });
+    });
+    server.onDisconnection((connection, { code, reason }) => {
+      emit('disconnection', { connectionId: connection.id, code, reason });
+    });
+    server.onMessage(async (connection, data, info) => {
+      try {
+        await routeMessage(connection.id, data, info);
+      } catch (error) {
+        reportError(error, connection);
+      }
+    });
+    server.onError(reportError);
+
+    const resolveAttachTarget = () => {
+      if (!config.attachToServer) {
+        return undefined;
+      }
+      const httpServer = subsystem.find('server')?._server?.server;
+      if (!httpServer) {
+        throw new Error(`useWebSocket ${name}: attachToServer requires the server facet`);
+      }
+      return httpServer;
+    };
+
+    return new Facet('websocket', { attach: true, source: import.meta.url, contract: 'websocket' })
+    .add({
+      /**
+       * Start accepting connections
+       * With config.attachToServer, upgrades are taken from the server facet's HTTP server.
+       * @param {Object} [options={}] - { port, host } overriding config.websocket
+       * @returns {Promise<{host: string, port: number, url: string}|null>} Bound address
+       */
+      async start(options = {}) {
+        const address = await server.start({ ...options, server: resolveAttachTarget() });
+        logger.debug(`Accepting connections${address ? ` on ${address.url}` : ''}`);
+        return address;
+      },
+
+      /**
+       * Close all connections (1001 Going Away) and stop accepting new ones
+       * @returns {Promise<void>}
+       */
+      async stop() {
+        await server.stop();
+      },
+
+      /**
+       * Check if the server is accepting connections
+       * @returns {boolean} True if running
+       */
+      isRunning() {
+        return server.running;
+      },
+
+      /**
+       * Get the bound address
+       * @returns {{host: string, port: number, url: string}|null} Address or null if not listening
+       */
+      getAddress() {
+        return server.getAddress();
+      },
+
+      /**
+       * Get the bound port
+       * @returns {number|null} Port or null if not listening
+       */
+      getPort() {
+        return server.getAddress()?.port ?? null;
+      },
+
+      /**
+       * Get a connection by id
+       * @param {string} connectionId - Connection id
+       * @returns {WebSocketConnection|undefined} Connection or undefined
+       */
+      getConnection(connectionId) {
+        return server.connections.get(connectionId);
+      },
+
+      /**
+       * Get all open connections
+       * @returns {Array<WebSocketConnection>} Connections
+       */
+      getAllConnections() {
+        return [...server.connections.values()];
+      },
+
+      /**
+       * Get the number of open connections
+       * @returns {number} Connection count
+       */
+      getConnectionCount() {
+        return server.connections.size;
+      },
+
+      /**
+       * Close a connection
+       * @param {string} connectionId - Connection id
+       * @param {number} [code=1000] - Close code
+       * @param {string} [reason=''] - Close reason
+       * @returns {boolean} True if a close frame was sent
+       */
+      closeConnection(connectionId, code, reason) {
+        return server.connections.get(connectionId)?.close(code, reason) ?? false;
+      },
+
+      /**
+       * Send a message to one connection
+       * Strings are sent as text, Buffers as binary, anything else as JSON.
+       * @param {string} connectionId - Connection id
+       * @param {*} data - Message data
+       * @returns {boolean} True if the message was written
+       */
+      send(connectionId, data) {
+        return server.connections.get(connectionId)?.send(data) ?? false;
+      },
+
+      /**
+       * Send a message to every open connection
+       * @param {*} data - Message data
+       * @param {Object} [options={}] - { exclude: connection id or array of ids }
+       * @returns {number} Number of connections the message was written to
+       */
+      broadcast(data, options = {}) {
+        const exclude = new Set([].concat(options.exclude ?? []));
+        let sent = 0;
+        for (const connection of server.connections.values()) {
+          if (!exclude.has(connection.id) && connection.send(data)) {
+            sent++;
+          }
+        }
+        return sent;
+      },
+
+      /**
+       * Register a connection handler
+       * @param {Function} handler - (connection, request) => void
+       * @returns {Function} Unsubscribe function
+       */
+      onConnection(handler) {
+        return server.onConnection(handler);
+      },
+
+      /**
+       * Register a disconnection handler
+       * @param {Function} handler - (connection, { code, reason }) => void
+       * @returns {Function} Unsubscribe function
+       */
+      onDisconnection(handler) {
+        return server.onDisconnection(handler);
+      },
+
+      /**
+       * Register an error handler
+       * @param {Function} handler - (error, connection|null) => void
+       * @returns {Function} Unsubscribe function
+       */
+      onError(handler) {
+        return server.onError(handler);
+      },
+
+      /**
+       * Register the handler for a message type
+       * Messages are typed by their JSON `type` (or `path`) field; '*' handles untyped
+       * and unhandled messages.
+       * @param {string} type - Message type or '*'
+       * @param {Function} handler - (message, connection) => any
+       * @param {Object} [options={}] - { replace: allow replacing an existing handler }
+       * @returns {Function} Unregister function
+       * @throws {Error} If a handler is already registered for the type
+       */
+      registerMessageHandler(type, handler, options = {}) {
+        if (!type || typeof type !== 'string') {
+          throw new Error(`useWebSocket ${name}: message type must be a non-empty string`);
+        }
+        if (typeof handler !== 'function') {
+          throw new Error(`useWebSocket ${name}: handler for '${type}' must be a function`);
+        }
+        if (messageHandlers.has(type) && !options.replace) {
+          throw new Error(`useWebSocket ${name}: a handler for '${type}' is already registered`);
+        }
+        messageHandlers.set(type, handler);
+        return () => {
+          if (messageHandlers.get(type) === handler) {
+            messageHandlers.delete(type);
+          }
+        };
+      },
+
+      /**
+       * Route a message as if it arrived on a connection
+       * @param {string} connectionId - Connection id
+       * @param {string|Buffer|Object} data - Message data
+       * @param {Object} [options={}] - { binary }
+       * @returns {Promise<*>} Handler result, or undefined if no handler matched
+       */
+      routeMessage,
+
+      // Expose server for internal use by other hooks
+      _server: server,
+      _connections: server.connections,
+
+      get _isRunning() {
+        return server.running;
+      }
+    })
+    .onInit(async () => {
+      if (config.autoStart) {
+        const address = await server.start({ server: resolveAttachTarget() });
+        logger.debug(`Accepting connections${address ? ` on ${address.url}` : ''}`);
+      }
+    })
+    .onDispose(async () => {
+      await server.stop();
+    });
+  }
+});
@@ -0,0 +1,315 @@
+/**
+ * WebSocketConnection Class
+ *
+ * One server-side WebSocket connection over an upgraded socket. Reads frames with
+ * FrameParser, reassembles fragmented messages, answers pings, and runs the close
+ * handshake. Protocol violations fail the connection with the matching close code.
+ *
+ * Callbacks (all optional):
+ * - onMessage(data, { binary }) - data is a string for text and a Buffer for binary messages
+ * - onClose({ code, reason }) - once the socket has closed (1006 if no close frame was received)
+ * - onError(error) - protocol or socket errors
+ * - onPong(payload)
+ *
+ * @example
+ * const connection = new WebSocketConnection(socket, {
+ *   id: 'abc',
+ *   onMessage: (data) => connection.send(`echo: ${data}`)
+ * });
+ */
+import {
+  FrameParser,
+  OPCODES,
+  CLOSE_CODES,
+  encodeFrame,
+  encodeClosePayload,
+  decodeClosePayload,
+  decodeText,
+  createWebSocketError
+} from './websocket-frame.js';
+import { createComponentLogger } from '../../utils/logger.js';
+
+const DEFAULT_CLOSE_TIMEOUT = 5000;
+
+export class WebSocketConnection {
+  /**
+   * Create a new WebSocketConnection instance
+   *
+   * @param {net.Socket} socket - Upgraded socket
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.id] - Connection id
+   * @param {http.IncomingMessage} [options.request] - Upgrade request
+   * @param {number} [options.maxPayload=1048576] - Maximum message size in bytes
+   * @param {number} [options.closeTimeout=5000] - Ms to wait for the peer's close frame before destroying the socket
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Logger} [options.logger] - Parent logger (usually the facet's logger)
+   */
+  constructor(socket, options = {}) {
+    this.socket = socket;
+    this.id = options.id;
+    this.request = options.request || null;
+    this.remoteAddress = socket.remoteAddress || null;
+    this.connectedAt = Date.now();
+    this.maxPayload = options.maxPayload ?? 1024 * 1024;
+    this.closeTimeout = options.closeTimeout ?? DEFAULT_CLOSE_TIMEOUT;
+    this.debug = options.debug || false;
+    this.logger = createComponentLogger('WebSocketConnection', options);
+
+    // Free-form per-connection data for handlers (e.g. authenticated user)
+    this.metadata = {};
+
+    this.state = 'open';
+    this.isAlive = true;
+    this.closeCode = null;
+    this.closeReason = '';
+
+    this.onMessage = options.onMessage || null;
+    this.onClose = options.onClose || null;
+    this.onError = options.onError || null;
+    this.onPong = options.onPong || null;
+
+    this.parser = new FrameParser({ maxPayload: this.maxPayload });
+    this.fragments = null;
+    this.closeTimer = null;
+    this.failed = false;
+
+    socket.on('data', chunk => this.#onData(chunk));
+    socket.on('error', error => this.#emitError(error));
+    // Upgraded sockets allow half-open connections; a peer FIN ends the connection
+    socket.on('end', () => socket.end());
+    socket.on('close', () => this.#onSocketClose());
+  }
+
+  /**
+   * Check if the connection is open for sending
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    return this.state === 'open';
+  }
+
+  /**
+   * Send a message
+   * Strings are sent as text, Buffers/typed arrays as binary, anything else as JSON text.
+   *
+   * @param {*} data - Message data
+   * @returns {boolean} True if the message was written
+   */
+  send(data) {
+    if (!this.isOpen()) {
+      return false;
+    }
+    if (Buffer.isBuffer(data) || ArrayBuffer.isView(data)) {
+      const payload = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+      return this.#write(OPCODES.BINARY, payload);
+    }
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return this.#write(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+  }
+
+  /**
+   * Send a ping
+   * @param {string|Buffer} [data=''] - Ping payload (at most 125 bytes)
+   * @returns {boolean} True if the ping was written
+   */
+  ping(data = '') {
+    if (!this.isOpen()) {
+      return false;
+    }
+    return this.#write(OPCODES.PING, Buffer.from(data).subarray(0, 125));
+  }
+
+  /**
+   * Start the close handshake
+   * The socket is destroyed if the peer does not answer within closeTimeout.
+   *
+   * @param {number} [code=1000] - Close code
+   * @param {string} [reason=''] - Close reason
+   * @returns {boolean} True if a close frame was sent
+   */
+  close(code = CLOSE_CODES.NORMAL, reason = '') {
+    if (!this.isOpen()) {
+      return false;
+    }
+    this.state = 'closing';
+    this.closeCode = code;
+    this.closeReason = reason;
+    this.#write(OPCODES.CLOSE, encodeClosePayload(code, reason));
+
+    this.closeTimer = setTimeout(() => this.terminate(), this.closeTimeout);
+    this.closeTimer.unref?.();
+
+    this.logger.debug(`Closing (${code}${reason ? ` ${reason}` : ''})`);
+    return true;
+  }
+
+  /**
+   * Destroy the socket without a close handshake
+   */
+  terminate() {
+    this.socket.destroy();
+  }
+
+  /**
+   * Write a frame to the socket
+   * @private
+   */
+  #write(opcode, payload) {
+    if (this.socket.destroyed) {
+      return false;
+    }
+    this.socket.write(encodeFrame(opcode, payload));
+    return true;
+  }
+
+  /**
+   * Parse incoming bytes and handle each complete frame
+   * @private
+   */
+  #onData(chunk) {
+    // After a protocol error the byte stream can no longer be framed
+    if (this.failed) {
+      return;
+    }
+    try {
+      for (const frame of this.parser.push(chunk)) {
+        this.#handleFrame(frame);
+        if (this.state === 'closed' || this.socket.destroyed) {
+          return;
+        }
+      }
+    } catch (error) {
+      this.#fail(error);
+    }
+  }
+
+  /**
+   * Handle a single frame
+   * @private
+   */
+  #handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.CLOSE:
+        this.#handleClose(payload);
+        return;
+
+      case OPCODES.PING:
+        if (this.isOpen()) {
+          this.#write(OPCODES.PONG, payload);
+        }
+        return;
+
+      case OPCODES.PONG:
+        this.isAlive = true;
+        this.onPong?.(payload);
+        return;
+
+      case OPCODES.TEXT:
+      case OPCODES.BINARY:
+        if (this.fragments) {
+          throw createWebSocketError(CLOSE_CODES.PROTOCOL_ERROR, 'New message started before the previous one finished');
+        }
+        if (fin) {
+          this.#deliver(opcode, payload);
+        } else {
+          this.fragments = { opcode, chunks: [payload], size: payload.length };
+        }
+        return;
+
+      case OPCODES.CONTINUATION: {
+        if (!this.fragments) {
+          throw createWebSocketError(CLOSE_CODES.PROTOCOL_ERROR, 'Continuation frame without a message to continue');
+        }
+        const fragments = this.fragments;
+        fragments.size += payload.length;
+        if (fragments.size > this.maxPayload) {
+          throw createWebSocketError(CLOSE_CODES.MESSAGE_TOO_BIG, `Message exceeds ${this.maxPayload} bytes`);
+        }
+        fragments.chunks.push(payload);
+        if (fin) {
+          this.fragments = null;
+          this.#deliver(fragments.opcode, Buffer.concat(fragments.chunks, fragments.size));
+        }
+      }
+    }
+  }
+
+  /**
+   * Deliver a complete message to onMessage
+   * Messages arriving after this side sent a close frame are dropped.
+   * @private
+   */
+  #deliver(opcode, payload) {
+    if (!this.isOpen()) {
+      return;
+    }
+    const binary = opcode === OPCODES.BINARY;
+    const data = binary ? payload : decodeText(payload);
+    this.onMessage?.(data, { binary });
+  }
+
+  /**
+   * Handle a close frame: echo it if the peer started the handshake, then end the socket
+   * @private
+   */
+  #handleClose(payload) {
+    const { code, reason } = decodeClosePayload(payload);
+
+    if (this.isOpen()) {
+      this.state = 'closing';
+      this.closeCode = code;
+      this.closeReason = reason;
+      this.#write(OPCODES.CLOSE, encodeClosePayload(code === CLOSE_CODES.NO_STATUS ? undefined : code));
+    } else if (this.closeCode === null) {
+      this.closeCode = code;
+      this.closeReason = reason;
+    }
+    this.socket.end();
+  }
+
+  /**
+   * Fail the connection after a protocol error
+   * @private
+   */
+  #fail(error) {
+    this.failed = true;
+    this.#emitError(error);
+    if (this.isOpen()) {
+      this.state = 'closing';
+      this.closeCode = error.closeCode || CLOSE_CODES.INTERNAL_ERROR;
+      this.closeReason = error.message;
+      this.#write(OPCODES.CLOSE, encodeClosePayload(this.closeCode, error.message));
+    }
+    this.socket.end();
+    this.closeTimer ??= setTimeout(() => this.terminate(), this.closeTimeout);
+    this.closeTimer.unref?.();
+  }
+
+  /**
+   * Report an error to onError
+   * @private
+   */
+  #emitError(error) {
+    if (this.logger.isDebugEnabled()) {
+      this.logger.error(error);
+    }
+    this.onError?.(error);
+  }
+
+  /**
+   * Finalize state once the socket is closed
+   * @private
+   */
+  #onSocketClose() {
+    if (this.state === 'closed') {
+      return;
+    }
+    clearTimeout(this.closeTimer);
+    this.state = 'closed';
+
+    const code = this.closeCode ?? CLOSE_CODES.ABNORMAL;
+    const reason = this.closeReason;
+    this.logger.debug(`Closed (${code})`);
+    this.onClose?.({ code, reason });
+  }
+}
@@ -0,0 +1,306 @@
+/**
+ * WebSocket Framing (RFC 6455)
+ *
+ * Opcodes, close codes, the opening-handshake accept key, frame encoding and
+ * an incremental FrameParser. Used by WebSocketConnection; the parser can also
+ * read server frames (requireMask: false), which is what a client needs.
+ *
+ * Protocol violations are thrown as errors carrying the close code the
+ * connection should fail with (see createWebSocketError).
+ *
+ * @example
+ * const parser = new FrameParser({ maxPayload: 1024 });
+ * for (const frame of parser.push(chunk)) {
+ *   // { fin, opcode, payload }
+ * }
+ * socket.write(encodeFrame(OPCODES.TEXT, Buffer.from('hello')));
+ */
+import { createHash, randomBytes } from 'node:crypto';
+
+export const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+export const OPCODES = Object.freeze({
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+});
+
+export const CLOSE_CODES = Object.freeze({
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  NO_STATUS: 1005,
+  ABNORMAL: 1006,
+  INVALID_PAYLOAD: 1007,
+  POLICY_VIOLATION: 1008,
+  MESSAGE_TOO_BIG: 1009,
+  INTERNAL_ERROR: 1011
+});
+
+const MAX_CONTROL_PAYLOAD = 125;
+
+/**
+ * Create an Error carrying a WebSocket close code
+ *
+ * @param {number} closeCode - Close code to fail the connection with
+ * @param {string} message - Error message
+ * @returns {Error} Error with closeCode
+ */
+export function createWebSocketError(closeCode, message) {
+  const error = new Error(message);
+  error.closeCode = closeCode;
+  return error;
+}
+
+/**
+ * Compute the Sec-WebSocket-Accept value for a Sec-WebSocket-Key
+ *
+ * @param {string} key - Sec-WebSocket-Key request header
+ * @returns {string} Base64 SHA-1 accept key
+ */
+export function createAcceptKey(key) {
+  return createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+}
+
+/**
+ * Check whether a close code may be sent in a close frame
+ * (1005, 1006 and 1015 are reserved for local reporting only)
+ *
+ * @param {number} code - Close code
+ * @returns {boolean} True if valid on the wire
+ */
+export function isValidCloseCode(code) {
+  return (code >= 1000 && code <= 1003) ||
+    (code >= 1007 && code <= 1014) ||
+    (code >= 3000 && code <= 4999);
+}
+
+/**
+ * Check whether an opcode is a control frame opcode
+ *
+ * @param {number} opcode - Frame opcode
+ * @returns {boolean} True for close, ping and pong
+ */
+export function isControlOpcode(opcode) {
+  return (opcode & 0x8) !== 0;
+}
+
+/**
+ * Encode a single frame
+ *
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} [payload=Buffer.alloc(0)] - Payload
+ * @param {Object} [options={}] - Frame options
+ * @param {boolean} [options.fin=true] - Final fragment flag
+ * @param {boolean} [options.mask=false] - Mask the payload (client-to-server frames)
+ * @returns {Buffer} Encoded frame
+ */
+export function encodeFrame(opcode, payload = Buffer.alloc(0), options = {}) {
+  const { fin = true, mask = false } = options;
+  const length = payload.length;
+
+  let headerLength = 2;
+  if (length > 0xFFFF) {
+    headerLength += 8;
+  } else if (length > MAX_CONTROL_PAYLOAD) {
+    headerLength += 2;
+  }
+  const maskOffset = headerLength;
+  if (mask) {
+    headerLength += 4;
+  }
+
+  const frame = Buffer.alloc(headerLength + length);
+  frame[0] = (fin ? 0x80 : 0) | opcode;
+
+  if (length > 0xFFFF) {
+    frame[1] = 127;
+    frame.writeBigUInt64BE(BigInt(length), 2);
+  } else if (length > MAX_CONTROL_PAYLOAD) {
+    frame[1] = 126;
+    frame.writeUInt16BE(length, 2);
+  } else {
+    frame[1] = length;
+  }
+
+  if (mask) {
+    frame[1] |= 0x80;
+    const key = randomBytes(4);
+    key.copy(frame, maskOffset);
+    for (let i = 0; i < length; i++) {
+      frame[headerLength + i] = payload[i] ^ key[i & 3];
+    }
+  } else {
+    payload.copy(frame, headerLength);
+  }
+
+  return frame;
+}
+
+/**
+ * Encode a close frame payload
+ *
+ * @param {number} [code] - Close code (omitted payload if undefined)
+ * @param {string} [reason=''] - Close reason (truncated to fit a control frame)
+ * @returns {Buffer} Close payload
+ */
+export function encodeClosePayload(code, reason = '') {
+  if (code === undefined) {
+    return Buffer.alloc(0);
+  }
+  let reasonBuffer = Buffer.from(String(reason), 'utf8');
+  if (reasonBuffer.length > MAX_CONTROL_PAYLOAD - 2) {
+    reasonBuffer = reasonBuffer.subarray(0, MAX_CONTROL_PAYLOAD - 2);
+  }
+  const payload = Buffer.alloc(2 + reasonBuffer.length);
+  payload.writeUInt16BE(code, 0);
+  reasonBuffer.copy(payload, 2);
+  return payload;
+}
+
+/**
+ * Decode a close frame payload
+ *
+ * @param {Buffer} payload - Close payload
+ * @returns {{code: number, reason: string}} Close code (1005 if none) and reason
+ * @throws {Error} 1002 for a malformed payload or invalid code, 1007 for invalid UTF-8
+ */
+export function decodeClosePayload(payload) {
+  if (payload.length === 0) {
+    return { code: CLOSE_CODES.NO_STATUS, reason: '' };
+  }
+  if (payload.length === 1) {
+    throw createWebSocketError(CLOSE_CODES.PROTOCOL_ERROR, 'Close frame payload of length 1');
+  }
+  const code = payload.readUInt16BE(0);
+  if (!isValidCloseCode(code)) {
+    throw createWebSocketError(CLOSE_CODES.PROTOCOL_ERROR, `Invalid close code ${code}`);
+  }
+  return { code, reason: decodeText(payload.subarray(2)) };
+}
+
+/**
+ * Decode UTF-8 text, rejecting invalid sequences
+ *
+ * @param {Buffer} buffer - UTF-8 bytes
+ * @returns {string} Decoded text
+ * @throws {Error} 1007 for invalid UTF-8
+ */
+export function decodeText(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    throw createWebSocketError(CLOSE_CODES.INVALID_PAYLOAD, 'Invalid UTF-8 in text payload');
+  }
+}
+
+export class FrameParser {
+  /**
+   * Create a new FrameParser instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.maxPayload=1048576] - Maximum frame payload in bytes
+   * @param {boolean} [options.requireMask=true] - Require masked frames (server side)
+   */
+  constructor(options = {}) {
+    this.maxPayload = options.maxPayload ?? 1024 * 1024;
+    this.requireMask = options.requireMask ?? true;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Append bytes and return every complete frame
+   *
+   * @param {Buffer} chunk - Bytes read from the socket
+   * @returns {Array<{fin: boolean, opcode: number, payload: Buffer}>} Complete frames
+   * @throws {Error} Protocol errors carrying closeCode
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+
+    const frames = [];
+    let frame;
+    while ((frame = this.#readFrame()) !== null) {
+      frames.push(frame);
+    }
+    return frames;
+  }
+
+  /**
+   * Read one frame from the buffer
+   * @private
+   * @returns {{fin: boolean, opcode: number, payload: Buffer}|null} Frame or null if incomplete
+   */
+  #readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) {
+      return null;
+    }
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if ((buffer[0] & 0x70) !== 0) {
+      throw createWebSocketError(CLOSE_CODES.PROTOCOL_ERROR, 'RSV bits set without a negotiated extension');
+    }
+    if (!Object.values(OPCODES).includes(opcode)) {
+      throw createWebSocketError(CLOSE_CODES.PROTOCOL_ERROR, `Unknown opcode 0x${opcode.toString(16)}`);
+    }
+    if (isControlOpcode(opcode) && (!fin || length > MAX_CONTROL_PAYLOAD)) {
+      throw createWebSocketError(CLOSE_CODES.PROTOCOL_ERROR, 'Control frames must be final and at most 125 bytes');
+    }
+    if (masked !== this.requireMask) {
+      throw createWebSocketError(
+        CLOSE_CODES.PROTOCOL_ERROR,
+        this.requireMask ? 'Client frames must be masked' : 'Server frames must not be masked'
+      );
+    }
+
+    if (length === 126) {
+      if (buffer.length < offset + 2) {
+        return null;
+      }
+      length = buffer.readUInt16BE(offset);
+      offset += 2;
+    } else if (length === 127) {
+      if (buffer.length < offset + 8) {
+        return null;
+      }
+      const bigLength = buffer.readBigUInt64BE(offset);
+      if (bigLength > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw createWebSocketError(CLOSE_CODES.MESSAGE_TOO_BIG, 'Frame length exceeds 2^53 - 1');
+      }
+      length = Number(bigLength);
+      offset += 8;
+    }
+
+    if (length > this.maxPayload) {
+      throw createWebSocketError(CLOSE_CODES.MESSAGE_TOO_BIG, `Frame payload of ${length} bytes exceeds ${this.maxPayload}`);
+    }
+
+    const maskOffset = offset;
+    if (masked) {
+      offset += 4;
+    }
+    if (buffer.length < offset + length) {
+      return null;
+    }
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < length; i++) {
+        payload[i] ^= buffer[maskOffset + (i & 3)];
+      }
+    }
+
+    this.buffer = buffer.subarray(offset + length);
+    return { fin, opcode, payload };
+  }
+}
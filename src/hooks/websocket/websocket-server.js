@@ -0,0 +1,340 @@
+/**
+ * WebSocketServer Class
+ *
+ * Accepts WebSocket connections on node:http 'upgrade' events and tracks them by id.
+ * Listens on its own http.Server (plain HTTP requests get 426 Upgrade Required), or
+ * attaches to an existing one, such as the useServer hook's HttpServer, so HTTP and
+ * WebSocket traffic can share a port.
+ *
+ * Connections that miss a heartbeat ping are terminated.
+ *
+ * @example
+ * const wss = new WebSocketServer({ port: 0, path: '/ws' });
+ * wss.onMessage((connection, data) => connection.send(data));
+ * await wss.start();
+ */
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { WebSocketConnection } from './websocket-connection.js';
+import { CLOSE_CODES, createAcceptKey } from './websocket-frame.js';
+import { createComponentLogger } from '../../utils/logger.js';
+
+export class WebSocketServer {
+  /**
+   * Create a new WebSocketServer instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.port=8080] - Port to listen on (0 picks a free port)
+   * @param {string} [options.host='127.0.0.1'] - Host to bind
+   * @param {string} [options.path=null] - Only accept upgrades for this path (any path if null)
+   * @param {number} [options.maxPayload=1048576] - Maximum message size in bytes
+   * @param {number} [options.pingInterval=30000] - Heartbeat interval in ms (0 disables)
+   * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Logger} [options.logger] - Parent logger (usually the facet's logger)
+   * @param {string} [options.name='websocket'] - Name used in log messages
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 8080;
+    this.host = options.host || '127.0.0.1';
+    this.path = options.path || null;
+    this.maxPayload = options.maxPayload ?? 1024 * 1024;
+    this.pingInterval = options.pingInterval ?? 30000;
+    this.debug = options.debug || false;
+    this.logger = createComponentLogger('WebSocketServer', options);
+    this.name = options.name || 'websocket';
+
+    // Connection id -> WebSocketConnection
+    this.connections = new Map();
+
+    this.handlers = {
+      connection: new Set(),
+      disconnection: new Set(),
+      message: new Set(),
+      error: new Set()
+    };
+
+    this.running = false;
+    this.server = null;
+    this.ownsServer = false;
+    this.heartbeat = null;
+    this.upgradeListener = (req, socket, head) => this.handleUpgrade(req, socket, head);
+  }
+
+  /**
+   * Register a connection handler
+   * @param {Function} handler - (connection, request) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onConnection(handler) {
+    return this.#addHandler('connection', handler);
+  }
+
+  /**
+   * Register a disconnection handler
+   * @param {Function} handler - (connection, { code, reason }) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onDisconnection(handler) {
+    return this.#addHandler('disconnection', handler);
+  }
+
+  /**
+   * Register a message handler
+   * @param {Function} handler - (connection, data, { binary }) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onMessage(handler) {
+    return this.#addHandler('message', handler);
+  }
+
+  /**
+   * Register an error handler
+   * @param {Function} handler - (error, connection|null) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onError(handler) {
+    return this.#addHandler('error', handler);
+  }
+
+  /**
+   * Start accepting connections
+   * With an http.Server, attaches to it and leaves listening to its owner.
+   *
+   * @param {Object} [options={}] - Start options
+   * @param {http.Server} [options.server] - Existing server to attach to
+   * @param {number} [options.port] - Port overriding the constructor option
+   * @param {string} [options.host] - Host overriding the constructor option
+   * @returns {Promise<{host: string, port: number, url: string}|null>} Bound address (null if the attached server is not listening)
+   */
+  async start(options = {}) {
+    if (this.running) {
+      return this.getAddress();
+    }
+
+    if (options.server) {
+      this.server = options.server;
+      this.ownsServer = false;
+    } else {
+      this.server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' });
+        res.end(http.STATUS_CODES[426]);
+      });
+      this.ownsServer = true;
+    }
+    this.server.on('upgrade', this.upgradeListener);
+
+    if (this.ownsServer) {
+      const port = options.port ?? this.port;
+      const host = options.host || this.host;
+      try {
+        await new Promise((resolve, reject) => {
+          this.server.once('error', reject);
+          this.server.listen(port, host, () => {
+            this.server.off('error', reject);
+            resolve();
+          });
+        });
+      } catch (error) {
+        this.server.off('upgrade', this.upgradeListener);
+        this.server = null;
+        throw error;
+      }
+    }
+
+    if (this.pingInterval > 0) {
+      this.heartbeat = setInterval(() => this.#checkHeartbeats(), this.pingInterval);
+      this.heartbeat.unref?.();
+    }
+
+    this.running = true;
+    const address = this.getAddress();
+    this.logger.debug(`Accepting connections${address ? ` on ${address.url}` : ''}`);
+    return address;
+  }
+
+  /**
+   * Stop accepting connections and close open ones with 1001 Going Away
+   * An attached server is detached but left running.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    this.server.off('upgrade', this.upgradeListener);
+
+    const closed = [...this.connections.values()].map(connection => new Promise((resolve) => {
+      connection.socket.once('close', resolve);
+      if (!connection.close(CLOSE_CODES.GOING_AWAY, 'Server shutting down')) {
+        connection.terminate();
+      }
+    }));
+    await Promise.all(closed);
+
+    if (this.ownsServer) {
+      await new Promise((resolve, reject) => {
+        this.server.close(error => (error ? reject(error) : resolve()));
+        this.server.closeAllConnections?.();
+      });
+    }
+    this.server = null;
+
+    this.logger.debug(`Stopped`);
+  }
+
+  /**
+   * Get the bound address
+   * @returns {{host: string, port: number, url: string}|null} Address or null if not listening
+   */
+  getAddress() {
+    const address = this.server?.address();
+    if (!address || typeof address === 'string') {
+      return null;
+    }
+    const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    return { host: address.address, port: address.port, url: `ws://${host}:${address.port}${this.path || ''}` };
+  }
+
+  /**
+   * Complete the opening handshake for an upgrade request
+   *
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {net.Socket} socket - Underlying socket
+   * @param {Buffer} head - Bytes read past the request headers
+   * @returns {WebSocketConnection|null} Connection, or null if the request was rejected
+   */
+  handleUpgrade(req, socket, head) {
+    let pathname;
+    try {
+      pathname = new URL(req.url, 'http://localhost').pathname;
+    } catch {
+      // Runs inside the 'upgrade' listener, where a throw would end the process
+      return this.#reject(socket, 400);
+    }
+    if (this.path && pathname !== this.path) {
+      return this.#reject(socket, 404);
+    }
+
+    const key = req.headers['sec-websocket-key'];
+    const upgrade = String(req.headers.upgrade || '').toLowerCase();
+    const connectionHeader = String(req.headers.connection || '').toLowerCase();
+    if (
+      req.method !== 'GET' ||
+      upgrade !== 'websocket' ||
+      !connectionHeader.split(',').some(token => token.trim() === 'upgrade') ||
+      !key || Buffer.from(key, 'base64').length !== 16
+    ) {
+      return this.#reject(socket, 400);
+    }
+    if (req.headers['sec-websocket-version'] !== '13') {
+      return this.#reject(socket, 426, { 'Sec-WebSocket-Version': '13' });
+    }
+
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${createAcceptKey(key)}`,
+      '',
+      ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    socket.setTimeout(0);
+
+    const connection = new WebSocketConnection(socket, {
+      id: randomUUID(),
+      request: req,
+      maxPayload: this.maxPayload,
+      debug: this.debug,
+      logger: this.logger,
+      onMessage: (data, info) => this.#emit('message', connection, data, info),
+      onError: error => this.#emit('error', error, connection),
+      onClose: (details) => {
+        this.connections.delete(connection.id);
+        this.#emit('disconnection', connection, details);
+      }
+    });
+    this.connections.set(connection.id, connection);
+
+    this.logger.debug(`Connection ${connection.id} from ${connection.remoteAddress}`);
+    this.#emit('connection', connection, req);
+
+    if (head?.length) {
+      socket.unshift(head);
+    }
+    return connection;
+  }
+
+  /**
+   * Ping every connection; terminate those that did not answer the previous ping
+   * @private
+   */
+  #checkHeartbeats() {
+    for (const connection of this.connections.values()) {
+      if (!connection.isAlive) {
+        connection.terminate();
+        continue;
+      }
+      connection.isAlive = false;
+      connection.ping();
+    }
+  }
+
+  /**
+   * Reject an upgrade request with a plain HTTP response
+   * @private
+   */
+  #reject(socket, statusCode, headers = {}) {
+    const lines = [`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}`, 'Connection: close'];
+    for (const [name, value] of Object.entries(headers)) {
+      lines.push(`${name}: ${value}`);
+    }
+    socket.end(lines.join('\r\n') + '\r\n\r\n');
+    return null;
+  }
+
+  /**
+   * Add a handler to one of the handler sets
+   * @private
+   */
+  #addHandler(event, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`WebSocketServer ${this.name}: ${event} handler must be a function`);
+    }
+    this.handlers[event].add(handler);
+    return () => this.handlers[event].delete(handler);
+  }
+
+  /**
+   * Call every handler for an event, reporting handler errors to the error handlers
+   * @private
+   */
+  #emit(event, ...args) {
+    for (const handler of this.handlers[event]) {
+      try {
+        const result = handler(...args);
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => this.#handlerFailed(event, error, args));
+        }
+      } catch (error) {
+        this.#handlerFailed(event, error, args);
+      }
+    }
+  }
+
+  /**
+   * Route a handler error to the error handlers (or the logger for error handlers themselves)
+   * @private
+   */
+  #handlerFailed(event, error, args) {
+    if (event === 'error') {
+      this.logger.error('Error handler failed', error);
+      return;
+    }
+    this.#emit('error', error, args[0] || null);
+  }
+}
@@ -6,7 +6,7 @@
  */
 
 // Core exports
-export { createHook } from './core/create-hook.js';
+export { createHook, isHook } from './core/create-hook.js';
 export { Facet } from './core/facet.js';
 
 // Manager exports
@@ -34,6 +34,19 @@ export { useListeners } from './hooks/listeners/use-listeners.js';
 export { useSimpleListeners } from './hooks/listeners/use-simple-listeners.js';
 export { useQueue } from './hooks/queue/use-queue.js';
 export { useSpeak } from './hooks/speak/use-speak.js';
+export { useRouter } from './hooks/router/use-router.js';
+export { useStorage } from './hooks/storage/use-storage.js';
+export { MemoryStorageBackend } from './hooks/storage/memory-storage-backend.js';
+export { useScheduler } from './hooks/scheduler/use-scheduler.js';
+export { SubsystemScheduler } from './hooks/scheduler/subsystem-scheduler.js';
+export { useProcessor } from './hooks/processor/use-processor.js';
+export { useStatistics } from './hooks/statistics/use-statistics.js';
+export { MetricsRegistry, DEFAULT_BUCKETS } from './hooks/statistics/metrics-registry.js';
+export { formatPrometheus, PROMETHEUS_CONTENT_TYPE } from './hooks/statistics/prometheus-formatter.js';
+export { useHierarchy } from './hooks/hierarchy/use-hierarchy.js';
+export { ChildSubsystemRegistry } from './hooks/hierarchy/child-subsystem-registry.js';
+
+// Node.js-only exports (file storage and log sinks, HTTP and WebSocket servers, config loading, plugin discovery, ...) are available via 'mycelia-kernel-plugin/node'
 
 // Framework bindings are available via subpath exports:
 // - 'mycelia-kernel-plugin/react' for React bindings
@@ -47,22 +60,42 @@ export { useSpeak } from './hooks/speak/use-speak.js';
 // requiring framework dependencies when using the core system.
 
 // Utility exports
-export { createLogger, createSubsystemLogger } from './utils/logger.js';
+export {
+  Logger,
+  LOG_LEVELS,
+  consoleSink,
+  memorySink,
+  createLogger,
+  createSubsystemLogger,
+  createFacetLogger,
+  createComponentLogger
+} from './utils/logger.js';
 export { getDebugFlag } from './utils/debug-flag.js';
 export { findFacet } from './utils/find-facet.js';
 export { useBase } from './utils/use-base.js';
+export { assertConfigSchema, applyConfigSchema, createConfigValidationError } from './utils/config-schema.js';
+export { LayeredConfig, CONFIG_LAYERS } from './utils/layered-config.js';
 export { 
   isInstrumentationEnabled,
   instrumentHookExecution,
   instrumentFacetInit,
   instrumentDisposeCallback,
-  instrumentBuildPhase
+  instrumentBuildPhase,
+  instrumentDisposePhase,
+  getSpanCollector
 } from './utils/instrumentation.js';
+export { SpanCollector } from './utils/span-collector.js';
 export { 
   parseVersion, 
   isValidSemver, 
   compareVersions, 
   satisfiesRange, 
+  isValidRange,
+  parseRange,
+  maxSatisfying,
+  minSatisfying,
+  intersects,
+  minVersion,
   getDefaultVersion, 
   validateVersion 
 } from './utils/semver.js';
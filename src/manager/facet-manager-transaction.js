@@ -10,7 +10,7 @@ export class FacetManagerTransaction {
 
   /** Begin a transaction frame */
   beginTransaction() {
-    this.#txnStack.push({ added: [] });
+    this.#txnStack.push({ added: [], versions: [], restores: [] });
   }
 
   /** Commit current transaction frame */
@@ -19,7 +19,7 @@ export class FacetManagerTransaction {
     this.#txnStack.pop();
   }
 
-  /** Roll back current transaction frame: dispose + remove in reverse add order */
+  /** Roll back current transaction frame: dispose + remove in reverse add order (facets, then alternate versions), then restore replaced facets */
   async rollback() {
     if (!this.#txnStack.length) throw new Error('FacetManagerTransaction.rollback: no active transaction');
     const frame = this.#txnStack.pop();
@@ -29,6 +29,14 @@ export class FacetManagerTransaction {
       try { facet?.dispose?.(this.#subsystem); } catch { /* best-effort disposal */ }
       this.#facetManager.remove(k);
     }
+    for (let i = frame.versions.length - 1; i >= 0; i--) {
+      const { kind, facet } = frame.versions[i];
+      try { facet?.dispose?.(this.#subsystem); } catch { /* best-effort disposal */ }
+      this.#facetManager.removeVersion(kind, facet);
+    }
+    for (let i = frame.restores.length - 1; i >= 0; i--) {
+      frame.restores[i]();
+    }
   }
 
   /** Track addition in current transaction frame */
@@ -37,6 +45,18 @@ export class FacetManagerTransaction {
     if (frame) frame.added.push(kind);
   }
 
+  /** Track an alternate version (older provider of a versioned kind) in current transaction frame */
+  trackVersion(kind, facet) {
+    const frame = this.#txnStack[this.#txnStack.length - 1];
+    if (frame) frame.versions.push({ kind, facet });
+  }
+
+  /** Track a replacement in current transaction frame; restore() re-registers the previous facets */
+  trackReplacement(restore) {
+    const frame = this.#txnStack[this.#txnStack.length - 1];
+    if (frame) frame.restores.push(restore);
+  }
+
   /** Check if there's an active transaction */
   hasActiveTransaction() {
     return this.#txnStack.length > 0;
@@ -1,9 +1,12 @@
 import { FacetManagerTransaction } from './facet-manager-transaction.js';
+import { groupByDependencyLevel } from '../builder/dependency-graph.js';
 import { createSubsystemLogger } from '../utils/logger.js';
+import { compareVersions, satisfiesRange, getDefaultVersion } from '../utils/semver.js';
 import { instrumentFacetInit, instrumentDisposeCallback } from '../utils/instrumentation.js';
 
 export class FacetManager {
   #facets = new Map(); // Map<kind, Array<facet>> - stores arrays of facets per kind, sorted by orderIndex
+  #versions = new Map(); // Map<kind, Array<facet>> - older providers of versioned kinds (never attached)
   #subsystem;
   #txn;
 
@@ -60,7 +63,7 @@ export class FacetManager {
     this.#txn.commit();
   }
 
-  /** Roll back current transaction frame: dispose + remove in reverse add order */
+  /** Roll back current transaction frame: dispose + remove in reverse add order (facets, then alternate versions), then restore replaced facets */
   async rollback() {
     await this.#txn.rollback();
   }
@@ -112,63 +115,105 @@ export class FacetManager {
   }
 
   /**
-   * Group facets by dependency level for parallel initialization.
-   * Uses the topological sort order to identify facets that can be initialized in parallel.
-   * Facets at the same level (all dependencies already initialized) can be initialized in parallel.
-   * 
-   * Since orderedKinds is topologically sorted, we can group facets by finding the maximum
-   * level of their dependencies. Facets with no dependencies go to level 0, facets that
-   * depend on level 0 facets go to level 1, etc.
-   * 
-   * @param {string[]} orderedKinds - Topologically sorted facet kinds
-   * @param {Object} facetsByKind - Map of facet kind to Facet instance
-   * @returns {string[][]} Array of arrays, where each inner array contains facet kinds at the same dependency level
+   * Swap the facets of a kind for a new facet: unregister the current ones (without
+   * disposing them), then add → (optional init) → (optional attach) the new one.
+   * Inside a transaction, rollback disposes the new facet and restores the previous ones.
+   * The previous facets are returned so the caller can dispose them once the swap commits.
+   * @param {string} kind - Facet kind to replace
+   * @param {Object} facet - Replacement facet
+   * @param {Object} [opts] - Same options as add()
+   * @returns {Promise<Array<Object>>} Previous facets of this kind
    */
-  #groupByDependencyLevel(orderedKinds, facetsByKind) {
-    // Build dependency map: kind -> Set of dependencies
-    const dependencyMap = new Map();
-    
-    for (const kind of orderedKinds) {
-      const facet = facetsByKind[kind];
-      const deps = (typeof facet?.getDependencies === 'function' && facet.getDependencies()) || [];
-      // Only include dependencies that are in orderedKinds
-      const processedDeps = deps.filter(dep => orderedKinds.includes(dep));
-      dependencyMap.set(kind, new Set(processedDeps));
-    }
-    
-    // Build a map of kind -> level for quick lookup
-    const kindToLevel = new Map();
-    const levels = [];
-    
-    for (const kind of orderedKinds) {
-      const deps = dependencyMap.get(kind) || new Set();
-      
-      // Find the maximum level of any dependency
-      let targetLevel = 0;
-      if (deps.size > 0) {
-        for (const dep of deps) {
-          const depLevel = kindToLevel.get(dep);
-          if (depLevel !== undefined) {
-            targetLevel = Math.max(targetLevel, depLevel + 1);
-          }
-        }
+  async replace(kind, facet, opts = { init: false, attach: false, ctx: undefined, api: undefined }) {
+    if (!kind || typeof kind !== 'string') throw new Error('FacetManager.replace: kind must be a non-empty string');
+    if (!facet || typeof facet !== 'object') throw new Error('FacetManager.replace: facet must be an object');
+
+    const current = this.#facets.get(kind);
+    const previous = current ? (Array.isArray(current) ? [...current] : [current]) : [];
+    const wasAttached = kind in this.#subsystem;
+    const attachedValue = wasAttached ? this.#subsystem[kind] : undefined;
+
+    const restore = () => {
+      if (previous.length > 0) {
+        this.#facets.set(kind, previous);
       }
-      
-      // Ensure levels array is large enough
-      while (levels.length <= targetLevel) {
-        levels.push([]);
+      if (wasAttached) {
+        this.#subsystem[kind] = attachedValue;
       }
-      
-      levels[targetLevel].push(kind);
-      kindToLevel.set(kind, targetLevel);
+    };
+
+    this.#facets.delete(kind);
+    if (wasAttached) {
+      try { delete this.#subsystem[kind]; } catch { /* best-effort cleanup */ }
     }
-    
-    // Filter out empty levels
-    return levels.filter(level => level.length > 0);
+    this.#txn.trackReplacement(restore);
+
+    try {
+      await this.add(kind, facet, opts);
+    } catch (err) {
+      // Outside a transaction nobody else will put the previous facets back
+      if (!this.#txn.hasActiveTransaction()) restore();
+      throw err;
+    }
+    return previous;
+  }
+
+  /**
+   * Register an alternate version of a kind: a facet from an older provider that some
+   * consumers are bound to (see builder/version-resolver.js). Alternates are found with
+   * find(kind, { range }) and getVersions(kind), are never attached, and are initialized
+   * by addMany (opts.alternateFacets).
+   * @param {string} kind - Facet kind
+   * @param {Object} facet - Facet instance
+   * @returns {boolean} True once registered
+   */
+  addVersion(kind, facet) {
+    if (!kind || typeof kind !== 'string') throw new Error('FacetManager.addVersion: kind must be a non-empty string');
+    if (!facet || typeof facet !== 'object') throw new Error('FacetManager.addVersion: facet must be an object');
+
+    if (!this.#versions.has(kind)) {
+      this.#versions.set(kind, []);
+    }
+    const versions = this.#versions.get(kind);
+    if (!versions.includes(facet)) {
+      versions.push(facet);
+    }
+    this.#txn.trackVersion(kind, facet);
+    return true;
+  }
+
+  /**
+   * Unregister an alternate version (without disposing it)
+   * @param {string} kind - Facet kind
+   * @param {Object} facet - Facet instance
+   * @returns {boolean} True if it was registered
+   */
+  removeVersion(kind, facet) {
+    const versions = this.#versions.get(kind);
+    const index = versions ? versions.indexOf(facet) : -1;
+    if (index === -1) return false;
+    versions.splice(index, 1);
+    if (versions.length === 0) {
+      this.#versions.delete(kind);
+    }
+    return true;
+  }
+
+  /**
+   * Get every installed version of a kind: the primary facet and its alternates
+   * @param {string} kind - Facet kind
+   * @returns {Array<Object>} Facets, newest version first (the primary first on ties)
+   */
+  getVersions(kind) {
+    const primary = this.find(kind);
+    const all = [...(primary ? [primary] : []), ...(this.#versions.get(kind) || [])];
+    const versionOf = facet => facet.getVersion?.() || getDefaultVersion();
+    return all.sort((a, b) => compareVersions(versionOf(b), versionOf(a)));
   }
 
   /** Bulk add with automatic rollback on any failure.
    * Initializes facets in parallel when they're at the same dependency level.
+   * opts.alternateFacets ({ kind: [facet] }) adds alternate versions next to their primary kind.
    */
   async addMany(orderedKinds, facetsByKind, opts = { init: true, attach: true, ctx: undefined, api: undefined }) {
     this.beginTransaction();
@@ -183,7 +228,7 @@ export class FacetManager {
       }
       
       // Group facets by dependency level for parallel initialization
-      const levels = this.#groupByDependencyLevel(orderedKinds, facetsByKind);
+      const levels = groupByDependencyLevel(orderedKinds, facetsByKind);
       
       // Process each level sequentially, but facets within a level in parallel
       for (const level of levels) {
@@ -265,6 +310,12 @@ export class FacetManager {
           }
           this.#txn.trackAddition(kind);
         }
+
+        // Alternate versions share their kind's level; they are registered but never attached
+        const levelAlternates = level.flatMap(kind => (opts.alternateFacets?.[kind] || []).map(facet => ({ kind, facet })));
+        for (const { kind, facet } of levelAlternates) {
+          this.addVersion(kind, facet);
+        }
         
         // Then, initialize all facets at this level in parallel
         const initPromises = level.map(async (kind) => {
@@ -310,8 +361,15 @@ export class FacetManager {
           }
         });
         
+        // Alternates are disposed and unregistered by the transaction rollback on failure
+        const alternatePromises = levelAlternates.map(async ({ facet }) => {
+          if (opts.init && typeof facet.init === 'function') {
+            await facet.init(opts.ctx, opts.api, this.#subsystem);
+          }
+        });
+        
         // Wait for all facets at this level to initialize
-        await Promise.all(initPromises);
+        await Promise.all([...initPromises, ...alternatePromises]);
       }
       
       this.commit();
@@ -336,7 +394,7 @@ export class FacetManager {
       if (existingValue && typeof existingValue === 'object' && '__facets' in existingValue && existingValue !== facet) {
         // This is the API object, not a facet - skip attachment to avoid overwriting it
         const logger = createSubsystemLogger(this.#subsystem);
-        logger.log(`Skipping attachment of facet '${facetKind}' - property name conflicts with subsystem API object`);
+        logger.debug(`Skipping attachment of facet '${facetKind}' - property name conflicts with subsystem API object`);
         return facet;
       } else if (existingValue === facet) {
         // If it's the same facet instance, no need to re-attach
@@ -353,7 +411,7 @@ export class FacetManager {
     
     this.#subsystem[facetKind] = facet;
     const logger = createSubsystemLogger(this.#subsystem);
-    logger.log(`Attached facet '${facetKind}' to subsystem`);
+    logger.debug(`Attached facet '${facetKind}' to subsystem`);
     return facet;
   }
 
@@ -361,26 +419,17 @@ export class FacetManager {
     if (!kind || typeof kind !== 'string') return false;
     if (!this.#facets.has(kind)) return false;
     
-    // Dispose all facets of this kind
+    // Dispose all facets of this kind (and its alternate versions)
     const facets = this.#facets.get(kind);
-    if (Array.isArray(facets)) {
-      for (const facet of facets) {
-        try {
-          facet?.dispose?.(this.#subsystem);
-        } catch {
-          // Best-effort disposal
-        }
-      }
-    } else {
-      // Legacy: single facet
-      try {
-        facets?.dispose?.(this.#subsystem);
-      } catch {
-        // Best-effort disposal
-      }
+    for (const facet of Array.isArray(facets) ? facets : [facets]) {
+      this.#disposeDetached(kind, facet);
+    }
+    for (const facet of this.#versions.get(kind) || []) {
+      this.#disposeDetached(kind, facet);
     }
     
     this.#facets.delete(kind);
+    this.#versions.delete(kind);
     if (kind in this.#subsystem) {
       try { delete this.#subsystem[kind]; } catch { /* best-effort cleanup */ }
     }
@@ -388,13 +437,23 @@ export class FacetManager {
   }
 
   /**
-   * Find a facet by kind and optional orderIndex
+   * Find a facet by kind and optional orderIndex or version range
    * @param {string} kind - Facet kind to find
-   * @param {number} [orderIndex] - Optional order index. If provided, returns facet at that index. If not, returns the last facet (highest orderIndex).
+   * @param {number|Object} [orderIndex] - Optional order index. If provided, returns facet at that index. If not, returns the last facet (highest orderIndex).
+   *   An object `{ range }` returns the newest installed version of the kind (including alternate versions) that satisfies the semver range.
    * @returns {Object|undefined} Facet instance or undefined if not found
+   * @example
+   * facets.find('cache', { range: '^1.0.0' }); // newest cache 1.x, even if cache 2.x is the primary facet
    */
   find(kind, orderIndex = undefined) {
     if (!kind || typeof kind !== 'string') return undefined;
+    if (orderIndex !== null && typeof orderIndex === 'object') {
+      const { range } = orderIndex;
+      const candidates = orderIndex.orderIndex !== undefined
+        ? [this.find(kind, orderIndex.orderIndex)]
+        : this.getVersions(kind);
+      return candidates.find(facet => facet && (!range || satisfiesRange(facet.getVersion?.() || getDefaultVersion(), range)));
+    }
     const facets = this.#facets.get(kind);
     if (!facets) return undefined;
     
@@ -510,26 +569,38 @@ export class FacetManager {
   }
   
   clear() {
-    // Dispose all facets before clearing
-    for (const [, facets] of this.#facets.entries()) {
-      if (Array.isArray(facets)) {
-        for (const facet of facets) {
-          try {
-            facet?.dispose?.(this.#subsystem);
-          } catch {
-            // Best-effort disposal
-          }
-        }
-      } else {
-        // Legacy: single facet
-        try {
-          facets?.dispose?.(this.#subsystem);
-        } catch {
-          // Best-effort disposal
-        }
+    // Dispose all facets (and alternate versions) before clearing
+    for (const [kind, facets] of this.#facets.entries()) {
+      for (const facet of Array.isArray(facets) ? facets : [facets]) {
+        this.#disposeDetached(kind, facet);
+      }
+    }
+    for (const [kind, versions] of this.#versions) {
+      for (const facet of versions) {
+        this.#disposeDetached(kind, facet);
       }
     }
     this.#facets.clear();
+    this.#versions.clear();
+  }
+
+  /**
+   * Dispose a facet without waiting for it (remove() and clear() are synchronous).
+   * Failures, sync or async, are logged instead of surfacing as unhandled rejections.
+   * @private
+   */
+  #disposeDetached(kind, facet) {
+    const report = (error) => {
+      createSubsystemLogger(this.#subsystem).error(`Failed to dispose facet '${kind}'`, error);
+    };
+    try {
+      const pending = facet?.dispose?.(this.#subsystem);
+      if (pending && typeof pending.catch === 'function') {
+        pending.catch(report);
+      }
+    } catch (error) {
+      report(error);
+    }
   }
 
   /** Legacy helper (kept for compatibility) */
@@ -566,11 +637,23 @@ export class FacetManager {
         }
       }
     }
+    for (const [kind, versions] of this.#versions) {
+      for (const facet of versions) {
+        if (typeof facet.dispose === 'function') {
+          try {
+            await facet.dispose(subsystem);
+          }
+          catch (e) { errors.push({ kind, error: e }); }
+        }
+      }
+    }
     if (errors.length) {
       const logger = createSubsystemLogger(subsystem);
       logger.error('Some facets failed to dispose', errors);
     }
-    this.clear();
+    // Already disposed above; clear() would dispose them a second time
+    this.#facets.clear();
+    this.#versions.clear();
   }
 
   [Symbol.iterator]() { return this.#facets[Symbol.iterator](); }
@@ -0,0 +1,32 @@
+/**
+ * Mycelia Plugin System - Node.js entry point
+ * 
+ * Exports the parts of the plugin system that depend on Node.js built-ins
+ * (node:fs, node:http, ...). They are kept out of the main entry point so
+ * 'mycelia-kernel-plugin' still bundles for the browser.
+ * 
+ * @example
+ * import { useStorage } from 'mycelia-kernel-plugin';
+ * import { JsonFileStorageBackend } from 'mycelia-kernel-plugin/node';
+ */
+
+// Storage backends
+export { JsonFileStorageBackend } from './hooks/storage/json-file-storage-backend.js';
+
+// File log sink
+export { fileSink } from './utils/file-log-sink.js';
+
+// HTTP server
+export { useServer } from './hooks/server/use-server.js';
+export { HttpServer, createHttpError } from './hooks/server/http-server.js';
+
+// WebSocket server
+export { useWebSocket } from './hooks/websocket/use-websocket.js';
+export { WebSocketServer } from './hooks/websocket/websocket-server.js';
+export { WebSocketConnection } from './hooks/websocket/websocket-connection.js';
+
+// Config loading (files and environment variables)
+export { loadConfig, parseEnvConfig } from './utils/config-loader.js';
+
+// Plugin discovery
+export { discoverPlugins, readPluginManifest, loadPlugin, PLUGIN_MANIFEST_FILE } from './utils/discover-plugins.js';
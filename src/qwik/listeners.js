@@ -37,11 +37,7 @@ export function useListener(eventName, handler) {
       handler(msg);
     };
 
-    listeners.on(eventName, wrappedHandler);
-
-    cleanup(() => {
-      listeners.off?.(eventName, wrappedHandler);
-    });
+    cleanup(listeners.on(eventName, wrappedHandler));
   });
 }
 
@@ -84,11 +80,7 @@ export function useEventStream(eventName, options = {}) {
       }
     };
 
-    listeners.on(eventName, handler);
-
-    cleanup(() => {
-      listeners.off?.(eventName, handler);
-    });
+    cleanup(listeners.on(eventName, handler));
   });
 
   return value;
@@ -199,20 +199,21 @@ export function useListener(eventName, handler, deps = []) {
       handlerRef.current(msg);
     };
 
-    listeners.on(eventName, wrappedHandler);
-
-    return () => {
-      listeners.off?.(eventName, wrappedHandler);
-    };
+    return listeners.on(eventName, wrappedHandler);
   }, [listeners, eventName]);
 }
 
 /**
  * useEventStream - Subscribe to events and keep them in React state
  * 
+ * Starts from the messages retained for the path (see listeners.retain()), so a component
+ * that mounts after an emit still shows the current state.
+ * 
  * @param {string} eventName - Event name/path to listen for
  * @param {Object} [options={}] - Options
  * @param {boolean} [options.accumulate=false] - If true, accumulate events in array
+ * @param {number} [options.replay] - Retained messages to start from (default: all when
+ *   accumulating, otherwise the last one; 0 to start empty)
  * @returns {any|any[]|null} Latest event value, array of events, or null
  * 
  * @example
@@ -224,16 +225,33 @@ export function useListener(eventName, handler, deps = []) {
  * ```
  */
 export function useEventStream(eventName, options = {}) {
-  const { accumulate = false } = options;
-  const [value, setValue] = useState(accumulate ? [] : null);
-
-  useListener(eventName, (msg) => {
+  const { accumulate = false, replay = accumulate ? Infinity : 1 } = options;
+  const system = useMycelia();
+  const listeners = system.listeners; // useListeners facet
+  const [value, setValue] = useState(() => {
+    const retained = replay > 0 ? listeners?.getRetained?.(eventName, replay) ?? [] : [];
     if (accumulate) {
-      setValue((prev) => [...prev, msg.body]);
-    } else {
-      setValue(msg.body);
+      return retained.map((msg) => msg.body);
+    }
+    return retained.length > 0 ? retained[retained.length - 1].body : null;
+  });
+
+  useEffect(() => {
+    if (!listeners || !listeners.hasListeners?.()) {
+      return;
     }
-  }, [accumulate]);
+
+    // The replay below delivers the retained messages again
+    setValue(accumulate ? [] : null);
+
+    return listeners.on(eventName, (msg) => {
+      if (accumulate) {
+        setValue((prev) => [...prev, msg.body]);
+      } else {
+        setValue(msg.body);
+      }
+    }, { replay });
+  }, [listeners, eventName, accumulate, replay]);
 
   return value;
 }
@@ -166,29 +166,28 @@ export function useFacet(kind) {
  */
 export function useListener(eventName, handler) {
   const system = useMycelia();
-  let listeners = null;
-  let wrappedHandler = null;
+  let unsubscribe = null;
 
   createEffect(() => {
+    // The effect re-runs when the system changes; drop the previous registration
+    unsubscribe?.();
+    unsubscribe = null;
+
     const sys = system();
     if (!sys) return;
 
-    listeners = sys.listeners; // useListeners facet
+    const listeners = sys.listeners; // useListeners facet
     if (!listeners || !listeners.hasListeners?.()) {
       return;
     }
 
-    wrappedHandler = (msg) => {
+    unsubscribe = listeners.on(eventName, (msg) => {
       handler(msg);
-    };
-
-    listeners.on(eventName, wrappedHandler);
+    });
   });
 
   onCleanup(() => {
-    if (listeners && wrappedHandler) {
-      listeners.off?.(eventName, wrappedHandler);
-    }
+    unsubscribe?.();
   });
 }
 
@@ -13,6 +13,7 @@ import { getMyceliaSystem } from './index.js';
  * 
  * @param {string} eventName - Event name/path to listen for
  * @param {Function} handler - Handler function: (message) => void
+ * @param {Object} [options={}] - Options passed to listeners.on() (e.g. { replay: 1 })
  * 
  * @example
  * ```svelte
@@ -25,19 +26,24 @@ import { getMyceliaSystem } from './index.js';
  * </script>
  * ```
  */
-export function useListener(eventName, handler) {
+export function useListener(eventName, handler, options = {}) {
   const systemStore = getMyceliaSystem();
-  let listeners = null;
+  let registeredOn = null;
+  let unsubscribeListener = null;
   let unsubscribe = null;
   
   const setup = () => {
     const system = get(systemStore);
-    if (!system) return;
+    const listeners = system?.listeners;
+    const usable = listeners && listeners.hasListeners?.() ? listeners : null;
     
-    listeners = system?.listeners;
-    if (!listeners || !listeners.hasListeners?.()) return;
+    // The store also notifies when the system did not change; registering again
+    // would stack listeners (and replay retained messages twice)
+    if (usable === registeredOn) return;
     
-    listeners.on(eventName, handler);
+    unsubscribeListener?.();
+    unsubscribeListener = usable ? usable.on(eventName, handler, options) : null;
+    registeredOn = usable;
   };
   
   // Subscribe to system store to set up listener when system is available
@@ -49,9 +55,7 @@ export function useListener(eventName, handler) {
   setup();
   
   onDestroy(() => {
-    if (listeners) {
-      listeners.off?.(eventName, handler);
-    }
+    unsubscribeListener?.();
     if (unsubscribe) {
       unsubscribe();
     }
@@ -61,9 +65,14 @@ export function useListener(eventName, handler) {
 /**
  * useEventStream - Subscribe to events and keep them in a reactive store
  * 
+ * Starts from the messages retained for the path (see listeners.retain()), so a component
+ * created after an emit still shows the current state.
+ * 
  * @param {string} eventName - Event name/path to listen for
  * @param {Object} [options={}] - Options
  * @param {boolean} [options.accumulate=false] - If true, accumulate events in array
+ * @param {number} [options.replay] - Retained messages to start from (default: all when
+ *   accumulating, otherwise the last one; 0 to start empty)
  * @returns {import('svelte/store').Writable} Writable store containing latest event value, array of events, or null
  * 
  * @example
@@ -80,7 +89,7 @@ export function useListener(eventName, handler) {
  * ```
  */
 export function useEventStream(eventName, options = {}) {
-  const { accumulate = false } = options;
+  const { accumulate = false, replay = accumulate ? Infinity : 1 } = options;
   const store = writable(accumulate ? [] : null);
   
   useListener(eventName, (msg) => {
@@ -89,7 +98,7 @@ export function useEventStream(eventName, options = {}) {
     } else {
       store.set(msg.body);
     }
-  });
+  }, { replay });
   
   return store;
 }
@@ -1,8 +1,12 @@
 import { SubsystemBuilder } from '../builder/subsystem-builder.js';
 import { FacetManager } from '../manager/facet-manager.js';
 import { disposeChildren } from './base-subsystem.utils.js';
-import { createSubsystemLogger } from '../utils/logger.js';
+import { createSubsystemLogger, createRootLogger } from '../utils/logger.js';
 import { DependencyGraphCache } from '../builder/dependency-graph-cache.js';
+import { collectHooks } from '../builder/hook-processor.js';
+import { deepMerge } from '../builder/context-resolver.js';
+import { LayeredConfig, explainConfigValue } from '../utils/layered-config.js';
+import { getSpanCollector, getBuildProfile, instrumentDisposePhase } from '../utils/instrumentation.js';
 
 // Constants for facet kinds (used if facets are available)
 const HIERARCHY_KIND = 'hierarchy';
@@ -15,15 +19,22 @@ export class BaseSubsystem {
   _initCallbacks = [];
   _disposeCallbacks = [];
   _parent = null; // ← parent subsystem
+  _configLayers = null; // LayeredConfig the config was built from (for explainConfig)
 
   /**
    * @param {string} name - Unique name for the subsystem
    * @param {Object} options - Configuration options
    * @param {Object} [options.ms] - Optional message system instance (for compatibility, not required for standalone)
-   * @param {Object} [options.config={}] - Optional configuration object keyed by facet kind.
+   * @param {Object|LayeredConfig} [options.config={}] - Optional configuration object keyed by facet kind.
    *   Each key corresponds to a facet kind (e.g., 'router', 'queue', 'scheduler').
    *   Each value is the configuration object for that specific hook/facet.
+   *   A LayeredConfig (see loadConfig) is merged and keeps its layers for explainConfig().
    * @param {boolean} [options.debug=false] - Enable debug logging
+   * @param {Logger|Object} [options.logger] - Root logger exposed as ctx.logger, or Logger options
+   *   (default: console logger at level 'debug' with options.debug, 'error' otherwise).
+   *   Child subsystems without their own logger use their parent's.
+   * @param {boolean} [options.instrumentation=false] - Record build/init/dispose spans without
+   *   enabling debug logging (see getBuildProfile()). Inherited by child subsystems.
    */
   constructor(name, options = {}) {
     if (!name || typeof name !== 'string')
@@ -40,8 +51,19 @@ export class BaseSubsystem {
     // create the context object
     this.ctx = {};
     this.ctx.ms = options.ms || null; // Optional message system
-    this.ctx.config = options.config || {}; // Optional configuration object keyed by facet kind
+    if (options.config instanceof LayeredConfig) {
+      this._configLayers = options.config;
+      this.ctx.config = options.config.toObject();
+    } else {
+      this.ctx.config = options.config || {}; // Optional configuration object keyed by facet kind
+      // Snapshot, so values set on ctx.config later are reported as 'runtime'
+      this._configLayers = new LayeredConfig().addLayer('options', deepMerge({}, this.ctx.config), 'constructor options');
+    }
     this.ctx.debug = !!options.debug;
+    this.ctx.logger = createRootLogger(options.logger, this.ctx.debug);
+    if (options.instrumentation) {
+      this.ctx.instrumentation = true;
+    }
     
     // Legacy property for backward compatibility (use ctx.debug instead)
     this.debug = this.ctx.debug;
@@ -154,7 +176,8 @@ export class BaseSubsystem {
   /**
    * Find a facet by kind and optional orderIndex
    * @param {string} kind - Facet kind to find
-   * @param {number} [orderIndex] - Optional order index. If provided, returns facet at that index. If not, returns the last facet (highest orderIndex).
+   * @param {number|Object} [orderIndex] - Optional order index. If provided, returns facet at that index. If not, returns the last facet (highest orderIndex).
+   *   Pass `{ range }` to get the newest installed version of the kind that satisfies a semver range.
    * @returns {Object|undefined} Facet instance or undefined if not found
    */
   find(kind, orderIndex = undefined) { return this.api.__facets.find(kind, orderIndex); }
@@ -187,6 +210,11 @@ export class BaseSubsystem {
         // Set graphCache on ctx so it's available after build
         this.ctx.graphCache = graphCache;
         
+        if (ctx.config && typeof ctx.config === 'object' && !Array.isArray(ctx.config) && Object.keys(ctx.config).length > 0) {
+          // The builder merges the config of every build(ctx) call, so keep one layer that does the same
+          const previous = this._configLayers.layers.find(layer => layer.name === 'overrides' && layer.source === 'build(ctx)');
+          this._configLayers.setLayer('overrides', deepMerge(previous?.values || {}, ctx.config), 'build(ctx)');
+        }
         this._builder.withCtx(ctx); // any additional context to be passed to the builder
         await this._builder.build(graphCache); // Pass graphCache explicitly
         for (const cb of this._initCallbacks)
@@ -198,7 +226,7 @@ export class BaseSubsystem {
         this.coreProcessor = null;
         
         const logger = createSubsystemLogger(this);
-        logger.log('Built successfully');
+        logger.debug('Built successfully');
         return this;
       } finally {
         this._buildPromise = null;
@@ -219,10 +247,12 @@ export class BaseSubsystem {
         await waitBuild;
         if (!this._isBuilt) return;
 
-        await disposeChildren(this);
-        if (this.api && this.api.__facets) {
-          await this.api.__facets.disposeAll(this);
-        }
+        await instrumentDisposePhase(this, async () => {
+          await disposeChildren(this);
+          if (this.api && this.api.__facets) {
+            await this.api.__facets.disposeAll(this);
+          }
+        });
 
         const logger = createSubsystemLogger(this);
         for (const cb of this._disposeCallbacks) {
@@ -234,7 +264,7 @@ export class BaseSubsystem {
         this.coreProcessor = null;
         this._builder.invalidate();
 
-        logger.log('Disposed');
+        logger.debug('Disposed');
       } finally {
         this._disposePromise = null;
       }
@@ -313,60 +343,195 @@ export class BaseSubsystem {
     // - this._disposeCallbacks
     
     const logger = createSubsystemLogger(this);
-    logger.log('Reloaded - ready for extension and rebuild');
+    logger.debug('Reloaded - ready for extension and rebuild');
     
     return this; // For chaining: system.reload().use(hook).build()
   }
 
-  // ==== Message flow (No-ops for standalone plugin system) ====
+  /**
+   * Hot-swap a single facet without a full reload().
+   * 
+   * Runs `hook` in place of the hook that created `kind`, then re-creates every facet
+   * that transitively depends on it so they pick up the new instance. The swap is
+   * transactional: if any hook, contract check or init fails, the previous facets
+   * stay in place and the error is rethrown. Replaced facets are disposed afterwards,
+   * and the new hook is kept for later rebuilds.
+   * 
+   * @param {string} kind - Facet kind to replace
+   * @param {Function} hook - Hook creating the replacement facet (hook.kind must equal kind)
+   * @returns {Promise<string[]>} Re-initialized kinds in dependency order (`kind` first)
+   * 
+   * @example
+   * // Dev server: swap in the re-imported plugin
+   * const { useCache } = await import(`./use-cache.js?t=${Date.now()}`);
+   * await system.replaceFacet('cache', useCache); // → ['cache', 'sessions']
+   */
+  async replaceFacet(kind, hook) {
+    if (this._buildPromise) {
+      await this._buildPromise;
+    }
+    if (!this._isBuilt) {
+      throw new Error(`${this.name}: cannot replace facets before build()`);
+    }
+    return this._builder.replaceFacet(kind, hook);
+  }
 
   /**
-   * No-op: Message acceptance is not needed for standalone plugin system.
-   * @param {*} _message - Ignored
-   * @param {*} _options - Ignored
-   * @returns {Promise<boolean>} Always returns true
+   * Change the config of one facet at runtime.
+   * 
+   * `patch` is deep-merged into `ctx.config[kind]` and validated against the kind's
+   * configSchema. A facet that registered `onConfigChange(next, prev)` applies the new
+   * config in place; any other facet is hot-swapped (see replaceFacet) so its hook runs
+   * again with the new config. On failure `ctx.config[kind]` keeps its previous value.
+   * Successful updates are recorded as a 'runtime' layer for explainConfig().
+   * 
+   * @param {string} kind - Facet kind whose config is updated
+   * @param {Object} patch - Values to merge into ctx.config[kind]
+   * @returns {Promise<{ config: Object, reinitialized: string[] }>} The new config, and the kinds
+   *   re-created by the hot-swap fallback (empty when the facet handled the change itself)
+   * @throws {Error} If not built, the facet is missing, or the new config is invalid
+   *   (code 'FACET_CONFIG_INVALID')
+   * 
+   * @example
+   * await system.updateConfig('queue', { capacity: 5000, policy: 'drop-newest' });
+   * system.explainConfig('queue.capacity'); // → { value: 5000, layer: 'runtime', source: "updateConfig('queue')", ... }
    */
-  async accept(_message, _options = {}) {
-    // No-op for standalone plugin system
-    return true;
+  async updateConfig(kind, patch) {
+    if (this._buildPromise) {
+      await this._buildPromise;
+    }
+    if (!this._isBuilt) {
+      throw new Error(`${this.name}: cannot update config before build()`);
+    }
+    const result = await this._builder.updateConfig(kind, patch);
+    this._configLayers.addLayer('runtime', { [kind]: deepMerge({}, patch) }, `updateConfig('${kind}')`);
+    return result;
   }
 
   /**
-   * No-op: Message processing is not needed for standalone plugin system.
-   * @param {*} _timeSlice - Ignored
-   * @returns {Promise<null>} Always returns null
+   * Describe the facet dependency graph for review or debugging.
+   * 
+   * Before build() the graph comes from a dry-run plan (hooks are executed, nothing is
+   * initialized); afterwards it reflects the live facets, including replaced ones.
+   * Nodes carry hook sources, versions, contracts and init levels; overwrite chains
+   * are listed per kind.
+   * 
+   * @param {Object} [options={}] - Options
+   * @param {'json'|'dot'|'mermaid'} [options.format='json'] - Output format
+   * @returns {Object|string} Graph object for 'json', DOT/Mermaid source otherwise
+   * 
+   * @example
+   * fs.writeFileSync('graph.dot', system.inspectGraph({ format: 'dot' }));
    */
-  async process(_timeSlice) {
-    // No-op for standalone plugin system
-    return null;
+  inspectGraph(options = {}) {
+    return this._builder.inspectGraph(options);
   }
 
   /**
-   * No-op: Immediate message processing is not needed for standalone plugin system.
-   * @param {*} _message - Ignored
-   * @param {*} _options - Ignored
-   * @returns {Promise<null>} Always returns null
+   * Spans recorded while instrumentation is enabled (debug, or options.instrumentation).
+   * Shared by the whole subsystem tree; export them with toOTLP() or toChromeTrace().
+   * 
+   * @returns {SpanCollector} Span collector of this subsystem's root
    */
-  async processImmediately(_message, _options = {}) {
-    // No-op for standalone plugin system
-    return null;
+  getSpanCollector() {
+    return getSpanCollector(this);
+  }
+
+  /**
+   * Summarize the last build: total time, hook and init time per facet, time per
+   * dependency level, and the critical path (the slowest facet of every level).
+   * 
+   * @returns {Object|null} Build profile, or null if the build was not instrumented
+   * 
+   * @example
+   * const system = await new BaseSubsystem('app', { instrumentation: true }).use(useQueue).build();
+   * system.getBuildProfile().criticalPath; // [{ kind: 'queue', level: 0, hookMs: 0.4, initMs: 0 }]
+   */
+  getBuildProfile() {
+    let levels = [];
+    if (this._isBuilt) {
+      levels = this.inspectGraph().levels;
+    }
+    return getBuildProfile(this, levels);
+  }
+
+  /**
+   * Explain where a configuration value comes from.
+   * 
+   * Reports the layer that set the value (defaults, file, environment-file, env,
+   * overrides, or 'options' for a plain config object), values filled from a hook's
+   * configSchema ('schema-default') and values set on ctx.config directly ('runtime').
+   * 
+   * @param {string} path - Dotted path below ctx.config (e.g. 'queue.capacity')
+   * @returns {{ path: string, value: *, layer: string|null, source: string|null, history: Array<Object> }}
+   *   Effective value, winning layer and its source, and every layer that set the path (lowest first)
+   * 
+   * @example
+   * system.explainConfig('queue.capacity');
+   * // { path: 'queue.capacity', value: 50, layer: 'env', source: 'MYCELIA__QUEUE__CAPACITY', history: [...] }
+   */
+  explainConfig(path) {
+    return explainConfigValue(this._configLayers, this.ctx.config, collectHooks(this), path);
+  }
+
+  // ==== Message flow (No-ops unless the matching facet is present) ====
+
+  /**
+   * Accept a message onto the queue (optional - returns true if processor facet not available).
+   * @param {*} message - Message to accept
+   * @param {Object} [options={}] - Message options
+   * @returns {Promise<boolean>} Result of processor.accept(), or true if processor not available
+   */
+  async accept(message, options = {}) {
+    const processor = this.find('processor');
+    if (!processor?.accept) {
+      return true;
+    }
+    return processor.accept(message, options);
+  }
+
+  /**
+   * Process queued messages for one time slice (optional - returns null if scheduler facet not available).
+   * @param {number} [timeSlice] - Time budget in milliseconds
+   * @returns {Promise<Object|null>} Slice result from the scheduler, or null if scheduler not available
+   */
+  async process(timeSlice) {
+    const scheduler = this.find('scheduler');
+    if (!scheduler?.process) {
+      return null;
+    }
+    return scheduler.process(timeSlice);
+  }
+
+  /**
+   * Process a message without queuing (optional - returns null if processor facet not available).
+   * @param {*} message - Message to process
+   * @param {Object} [options={}] - Message options
+   * @returns {Promise<*>} Route handler result, or null if processor not available
+   */
+  async processImmediately(message, options = {}) {
+    const processor = this.find('processor');
+    if (!processor?.processImmediately) {
+      return null;
+    }
+    return processor.processImmediately(message, options);
   }
 
   /**
-   * No-op: Pause functionality is not needed for standalone plugin system.
+   * Pause message processing (no-op if scheduler facet not available).
    * @returns {BaseSubsystem} Returns this for chaining
    */
   pause() {
-    // No-op for standalone plugin system
+    this.find('scheduler')?.pauseProcessing?.();
     return this;
   }
 
   /**
-   * No-op: Resume functionality is not needed for standalone plugin system.
+   * Resume message processing (no-op if scheduler facet not available).
    * @returns {BaseSubsystem} Returns this for chaining
    */
   resume() {
-    // No-op for standalone plugin system
+    this.find('scheduler')?.resumeProcessing?.();
     return this;
   }
 
@@ -75,6 +75,12 @@ export async function buildChildren(parent) {
       }
       child.ctx.parent = parent.ctx;
       child.ctx.graphCache = parent.ctx.graphCache;
+      if (!child.options?.logger && parent.ctx.logger) {
+        child.ctx.logger = parent.ctx.logger;
+      }
+      if (parent.ctx.instrumentation && child.ctx.instrumentation === undefined) {
+        child.ctx.instrumentation = true;
+      }
       await child.build(); // parent.ctx is now accessible via child.ctx.parent
     }
   }
@@ -0,0 +1,168 @@
+/**
+ * Config Loader
+ *
+ * Builds a LayeredConfig from, lowest precedence first:
+ *
+ * 1. `defaults`          - options.defaults
+ * 2. `file`              - mycelia.config.json or mycelia.config.mjs in options.cwd
+ * 3. `environment-file`  - mycelia.config.<environment>.json / .mjs
+ * 4. `env`               - MYCELIA__QUEUE__CAPACITY=50 style environment variables
+ * 5. `overrides`         - options.overrides
+ *
+ * Layers are merged with deepMerge: objects merge key by key, everything else
+ * (including arrays) is replaced by the higher layer.
+ *
+ * @example
+ * import { useBase, useQueue } from 'mycelia-kernel-plugin';
+ * import { loadConfig } from 'mycelia-kernel-plugin/node';
+ *
+ * const system = await useBase('app', { config: await loadConfig({ environment: 'production' }) })
+ *   .use(useQueue)
+ *   .build();
+ *
+ * system.explainConfig('queue.capacity');
+ * // { path: 'queue.capacity', value: 50, layer: 'env', source: 'MYCELIA__QUEUE__CAPACITY', history: [...] }
+ */
+import { access, readFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { LayeredConfig } from './layered-config.js';
+
+/** Base name of configuration files */
+const CONFIG_FILE_NAME = 'mycelia.config';
+
+/**
+ * Load layered configuration from defaults, files, environment variables and overrides.
+ *
+ * @param {Object} [options={}] - Loader options
+ * @param {Object} [options.defaults={}] - Lowest-precedence values
+ * @param {Object} [options.overrides={}] - Highest-precedence values
+ * @param {string} [options.cwd=process.cwd()] - Directory containing the config files
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {string} [options.environment] - Environment name for mycelia.config.<environment>.*
+ *   (default: env.MYCELIA_ENV, then env.NODE_ENV; no environment file when neither is set)
+ * @param {string} [options.envPrefix='MYCELIA'] - Prefix of configuration environment variables
+ * @returns {Promise<LayeredConfig>} Layered configuration, accepted as `config` by BaseSubsystem and useBase
+ * @throws {Error} If a config file is invalid, or both the .json and .mjs variant of a file exist
+ */
+export async function loadConfig(options = {}) {
+  const {
+    defaults = {},
+    overrides = {},
+    cwd = process.cwd(),
+    env = process.env,
+    environment = env.MYCELIA_ENV || env.NODE_ENV,
+    envPrefix = 'MYCELIA'
+  } = options;
+
+  const config = new LayeredConfig().addLayer('defaults', defaults);
+
+  const file = await readConfigFile(resolve(cwd), CONFIG_FILE_NAME, { environment, env });
+  if (file) config.addLayer('file', file.values, file.path);
+
+  if (environment) {
+    const environmentFile = await readConfigFile(resolve(cwd), `${CONFIG_FILE_NAME}.${environment}`, { environment, env });
+    if (environmentFile) config.addLayer('environment-file', environmentFile.values, environmentFile.path);
+  }
+
+  const { values, sources } = parseEnvConfig(env, envPrefix);
+  config.addLayer('env', values, 'environment', sources);
+
+  return config.addLayer('overrides', overrides);
+}
+
+/**
+ * Read configuration from environment variables.
+ *
+ * `<PREFIX>__QUEUE__CAPACITY=50` sets `queue.capacity`; segments are split on `__` and
+ * converted to camelCase (`REGISTRATION_POLICY` → `registrationPolicy`). Values are parsed
+ * as JSON when possible (`50`, `true`, `["a"]`) and kept as strings otherwise.
+ *
+ * @param {Object} env - Environment variables
+ * @param {string} [prefix='MYCELIA'] - Variable prefix
+ * @returns {{ values: Object, sources: Object }} Nested values and the variable name per dotted path
+ */
+export function parseEnvConfig(env, prefix = 'MYCELIA') {
+  const values = {};
+  const sources = {};
+  const marker = `${prefix}__`;
+
+  for (const name of Object.keys(env).sort()) {
+    if (!name.startsWith(marker) || env[name] === undefined) continue;
+    const segments = name.slice(marker.length).split('__').filter(Boolean).map(toCamelCase);
+    if (segments.length === 0) continue;
+
+    let target = values;
+    for (const segment of segments.slice(0, -1)) {
+      if (!target[segment] || typeof target[segment] !== 'object' || Array.isArray(target[segment])) {
+        target[segment] = {};
+      }
+      target = target[segment];
+    }
+    target[segments[segments.length - 1]] = parseEnvValue(env[name]);
+    sources[segments.join('.')] = name;
+  }
+
+  return { values, sources };
+}
+
+/**
+ * Read <name>.json or <name>.mjs from a directory.
+ * An .mjs file default-exports an object, or a (possibly async) function of { environment, env }.
+ *
+ * @returns {Promise<{ path: string, values: Object }|null>} File contents, or null if neither exists
+ */
+async function readConfigFile(dir, name, { environment, env }) {
+  const jsonPath = join(dir, `${name}.json`);
+  const modulePath = join(dir, `${name}.mjs`);
+  const [hasJson, hasModule] = await Promise.all([exists(jsonPath), exists(modulePath)]);
+
+  if (hasJson && hasModule) {
+    throw new Error(`loadConfig: both ${jsonPath} and ${modulePath} exist; keep only one`);
+  }
+
+  let path;
+  let values;
+  if (hasJson) {
+    path = jsonPath;
+    try {
+      values = JSON.parse(await readFile(jsonPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`loadConfig: invalid JSON in ${jsonPath} (${error.message})`);
+    }
+  } else if (hasModule) {
+    path = modulePath;
+    const module = await import(pathToFileURL(modulePath).href);
+    values = typeof module.default === 'function'
+      ? await module.default({ environment, env })
+      : module.default;
+  } else {
+    return null;
+  }
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`loadConfig: ${path} must provide an object keyed by facet kind`);
+  }
+  return { path, values };
+}
+
+async function exists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toCamelCase(segment) {
+  return segment.toLowerCase().replace(/_+([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+function parseEnvValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Config Schema Utilities
+ *
+ * Validates and default-fills facet configuration (`ctx.config[kind]`) against a
+ * small JSON-Schema subset:
+ *
+ * - `type`: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null' | 'function'
+ *   (or an array of them; 'function' is an extension for callbacks such as useSpeak's output)
+ * - `enum`: allowed values
+ * - `minimum` / `maximum` (numbers), `minLength` / `maxLength` (strings), `minItems` / `maxItems` (arrays)
+ * - `default`: used when the value is undefined
+ * - `properties`, `required`, `additionalProperties` (objects), `items` (arrays)
+ *
+ * Unlike JSON Schema, an object that declares `properties` rejects unknown keys unless
+ * `additionalProperties` is true (or a schema), so typos fail instead of falling back
+ * to defaults. A missing nested object is only filled when its schema has a `default`.
+ *
+ * @example
+ * const { value, errors } = applyConfigSchema(
+ *   { type: 'object', properties: { capacity: { type: 'integer', minimum: 1, default: 1000 } } },
+ *   { capacty: 10 },
+ *   'config.queue'
+ * );
+ * // value: { capacty: 10, capacity: 1000 }
+ * // errors: [{ path: 'config.queue.capacty', message: 'unknown option (did you mean "capacity"?)' }]
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null', 'function'];
+
+/**
+ * Check that a schema is well-formed (types, keywords, nested schemas, defaults).
+ *
+ * @param {Object} schema - Schema to check
+ * @param {string} [path='configSchema'] - Location of the schema (for error messages)
+ * @throws {Error} If the schema is malformed or a default does not satisfy its own schema
+ */
+export function assertConfigSchema(schema, path = 'configSchema') {
+  if (!isPlainObject(schema)) {
+    throw new Error(`${path} must be an object`);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const unknown = types.find(type => !TYPES.includes(type));
+    if (types.length === 0 || unknown !== undefined) {
+      throw new Error(`${path}.type must be one of ${TYPES.join(', ')} (got ${JSON.stringify(unknown ?? schema.type)})`);
+    }
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    throw new Error(`${path}.enum must be a non-empty array`);
+  }
+  for (const keyword of ['minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems']) {
+    if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') {
+      throw new Error(`${path}.${keyword} must be a number`);
+    }
+  }
+  if (schema.properties !== undefined) {
+    if (!isPlainObject(schema.properties)) {
+      throw new Error(`${path}.properties must be an object`);
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties)) {
+      assertConfigSchema(propertySchema, `${path}.properties.${name}`);
+    }
+  }
+  if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some(name => typeof name !== 'string'))) {
+    throw new Error(`${path}.required must be an array of property names`);
+  }
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    assertConfigSchema(schema.additionalProperties, `${path}.additionalProperties`);
+  }
+  if (schema.items !== undefined) {
+    assertConfigSchema(schema.items, `${path}.items`);
+  }
+
+  if (schema.default !== undefined) {
+    const { errors } = applyConfigSchema({ ...schema, default: undefined }, schema.default, 'default');
+    if (errors.length > 0) {
+      throw new Error(`${path}.default is invalid: ${errors[0].path}: ${errors[0].message}`);
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema and fill in defaults.
+ *
+ * The input is not mutated; objects and arrays that receive defaults are copied.
+ * An undefined root value is validated as an empty object when the schema describes
+ * an object, so top-level defaults always apply.
+ *
+ * @param {Object} schema - Schema (see assertConfigSchema)
+ * @param {*} value - Value to validate
+ * @param {string} [path='config'] - Path of the value (prefix of error paths)
+ * @returns {{ value: *, errors: Array<{ path: string, message: string }> }} Filled value and every violation
+ */
+export function applyConfigSchema(schema, value, path = 'config') {
+  const errors = [];
+  const root = value === undefined && schema.default === undefined && describesObject(schema) ? {} : value;
+  return { value: applyNode(schema, root, path, errors), errors };
+}
+
+/**
+ * Build the error thrown for invalid configuration.
+ *
+ * @param {Array<Object>} violations - Violations: { path, message } plus optional { kind, source } of the hook
+ * @returns {Error} Error with code 'FACET_CONFIG_INVALID' and the violations attached
+ */
+export function createConfigValidationError(violations) {
+  const lines = [`Invalid configuration (${violations.length} ${violations.length === 1 ? 'problem' : 'problems'}):`];
+  for (const violation of violations) {
+    const origin = violation.source ? ` (hook '${violation.kind}' from ${violation.source})` : '';
+    lines.push(`  ${violation.path}: ${violation.message}${origin}`);
+  }
+
+  const error = new Error(lines.join('\n'));
+  error.code = 'FACET_CONFIG_INVALID';
+  error.violations = violations;
+  return error;
+}
+
+function applyNode(schema, value, path, errors) {
+  if (value === undefined) {
+    if (schema.default === undefined) return undefined;
+    value = cloneDefault(schema.default);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${describeValue(value)}` });
+      return value;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some(allowed => allowed === value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')} (got ${describeValue(value)})` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum} (got ${value})` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum} (got ${value})` });
+  } else if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path, message: `must be at least ${schema.minLength} characters long` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ path, message: `must be at most ${schema.maxLength} characters long` });
+  } else if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) {
+      return value.map((item, index) => applyNode(schema.items, item, `${path}[${index}]`, errors));
+    }
+  } else if (isPlainObject(value)) {
+    return applyObject(schema, value, path, errors);
+  }
+
+  return value;
+}
+
+function applyObject(schema, value, path, errors) {
+  const result = { ...value };
+  const properties = schema.properties || {};
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    const filled = applyNode(propertySchema, value[name], `${path}.${name}`, errors);
+    if (filled !== undefined) result[name] = filled;
+  }
+
+  for (const name of schema.required || []) {
+    if (result[name] === undefined) {
+      errors.push({ path: `${path}.${name}`, message: 'is required' });
+    }
+  }
+
+  const known = Object.keys(properties);
+  for (const name of Object.keys(value)) {
+    if (name in properties) continue;
+    if (isPlainObject(schema.additionalProperties)) {
+      result[name] = applyNode(schema.additionalProperties, value[name], `${path}.${name}`, errors);
+    } else if (schema.additionalProperties === false || (schema.additionalProperties === undefined && schema.properties)) {
+      const suggestion = closestName(name, known);
+      errors.push({ path: `${path}.${name}`, message: `unknown option${suggestion ? ` (did you mean "${suggestion}"?)` : ''}` });
+    }
+  }
+
+  return result;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    case 'function': return typeof value === 'function';
+    default: return false;
+  }
+}
+
+function describesObject(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return types.includes('object') || (schema.type === undefined && schema.properties !== undefined);
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'function') return 'function';
+  if (typeof value === 'object') return 'object';
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Copy object/array defaults so filled configs never share (and mutate) the schema's default */
+function cloneDefault(value) {
+  if (Array.isArray(value)) return value.map(cloneDefault);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneDefault(item)]));
+  }
+  return value;
+}
+
+/** Closest known name within an edit distance of 2, for "did you mean" hints */
+function closestName(name, candidates) {
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -0,0 +1,246 @@
+/**
+ * Plugin Discovery
+ *
+ * Loads hooks from plugin packages described by a `mycelia.plugin.json` manifest,
+ * so applications don't have to keep hand-written import lists in sync.
+ *
+ * Manifest format:
+ * {
+ *   "kind": "cache",                         // facet kind the hook creates (required)
+ *   "version": "1.2.0",                      // must match the hook's version
+ *   "entry": "./src/use-cache.js",           // module to import, relative to the manifest (required)
+ *   "export": "useCache",                    // export name (default: "default", or the module's only hook)
+ *   "required": ["storage", { "kind": "logger", "range": "^1.0.0", "optional": true }],
+ *   "contract": "cache",
+ *   "configSchema": { ... }                  // schema of the facet's ctx.config[kind]
+ * }
+ *
+ * Declared fields are checked against the metadata of the imported hook; a manifest
+ * that disagrees with its code fails instead of silently winning. A configSchema in
+ * the manifest is applied to hooks that do not declare one themselves.
+ *
+ * @example
+ * import { useBase, discoverPlugins } from 'mycelia-kernel-plugin';
+ *
+ * const system = await useBase('app')
+ *   .useMultiple(await discoverPlugins('./plugins'))
+ *   .build();
+ */
+import { readdir, readFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createHook, isHook, normalizeRequired } from '../core/create-hook.js';
+import { isValidSemver } from './semver.js';
+import { assertConfigSchema } from './config-schema.js';
+
+/** File name of plugin manifests */
+export const PLUGIN_MANIFEST_FILE = 'mycelia.plugin.json';
+
+/** Directories never scanned when discovering recursively */
+const IGNORED_DIRECTORIES = new Set(['node_modules']);
+
+/**
+ * Read and validate a plugin manifest.
+ *
+ * @param {string} manifestPath - Path of a mycelia.plugin.json file
+ * @returns {Promise<Object>} Manifest with `required` normalized to { kind, range, optional } entries
+ *   and `entryPath` resolved to an absolute path
+ * @throws {Error} If the file cannot be read or parsed, or a field is invalid
+ */
+export async function readPluginManifest(manifestPath) {
+  const path = resolve(manifestPath);
+  const fail = (message) => new Error(`Plugin manifest ${path}: ${message}`);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    throw fail(error instanceof SyntaxError ? `invalid JSON (${error.message})` : error.message);
+  }
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw fail('must contain a JSON object');
+  }
+  if (!manifest.kind || typeof manifest.kind !== 'string') {
+    throw fail('kind must be a non-empty string');
+  }
+  if (!manifest.entry || typeof manifest.entry !== 'string') {
+    throw fail('entry must be a non-empty string');
+  }
+  if (manifest.version !== undefined && (typeof manifest.version !== 'string' || !isValidSemver(manifest.version))) {
+    throw fail(`invalid semver version "${manifest.version}"`);
+  }
+  if (manifest.export !== undefined && (typeof manifest.export !== 'string' || !manifest.export)) {
+    throw fail('export must be a non-empty string');
+  }
+  if (manifest.required !== undefined && !Array.isArray(manifest.required)) {
+    throw fail('required must be an array');
+  }
+  if (manifest.contract !== undefined && manifest.contract !== null && (typeof manifest.contract !== 'string' || !manifest.contract.trim())) {
+    throw fail('contract must be a non-empty string or null');
+  }
+  if (manifest.configSchema !== undefined) {
+    try {
+      assertConfigSchema(manifest.configSchema);
+    } catch (error) {
+      throw fail(error.message);
+    }
+  }
+
+  let required;
+  try {
+    required = manifest.required === undefined ? undefined : normalizeRequired(manifest.required, manifest.kind);
+  } catch (error) {
+    throw fail(error.message);
+  }
+
+  return {
+    ...manifest,
+    required,
+    manifestPath: path,
+    entryPath: resolve(dirname(path), manifest.entry)
+  };
+}
+
+/**
+ * Import the hook a manifest points to and check it against the manifest.
+ *
+ * @param {Object} manifest - Result of readPluginManifest
+ * @returns {Promise<Function>} The hook (wrapped to carry the manifest's configSchema when
+ *   the hook declares none)
+ * @throws {Error} If the entry cannot be imported, the export is not a createHook
+ *   product, or the hook's metadata disagrees with the manifest
+ */
+export async function loadPlugin(manifest) {
+  const fail = (message) => new Error(`Plugin manifest ${manifest.manifestPath}: ${message}`);
+
+  let module;
+  try {
+    module = await import(pathToFileURL(manifest.entryPath).href);
+  } catch (error) {
+    throw fail(`cannot import entry "${manifest.entry}" (${error.message})`);
+  }
+
+  let exportName = manifest.export;
+  if (!exportName) {
+    // Without an explicit export, use the default export or the module's only hook
+    const hookExports = Object.keys(module).filter(name => isHook(module[name]));
+    exportName = 'default' in module || hookExports.length !== 1 ? 'default' : hookExports[0];
+  }
+
+  const hook = module[exportName];
+  if (!isHook(hook)) {
+    throw fail(`export "${exportName}" of "${manifest.entry}" is not a hook created with createHook`);
+  }
+
+  if (hook.kind !== manifest.kind) {
+    throw fail(`kind "${manifest.kind}" does not match hook kind "${hook.kind}"`);
+  }
+  if (manifest.version !== undefined && hook.version !== manifest.version) {
+    throw fail(`version ${manifest.version} does not match hook version ${hook.version}`);
+  }
+  if (manifest.contract !== undefined && (manifest.contract || null) !== hook.contract) {
+    throw fail(`contract "${manifest.contract}" does not match hook contract "${hook.contract}"`);
+  }
+  if (manifest.required !== undefined && !sameDependencies(manifest.required, hook.dependencies)) {
+    const describe = deps => JSON.stringify(deps.map(dep => dep.kind));
+    throw fail(`required ${describe(manifest.required)} does not match hook dependencies ${describe(hook.dependencies)}`);
+  }
+
+  if (manifest.configSchema !== undefined) {
+    if (!hook.configSchema) {
+      // The manifest supplies the schema the code does not declare
+      return createHook({
+        kind: hook.kind,
+        version: hook.version,
+        overwrite: hook.overwrite,
+        required: hook.dependencies,
+        attach: hook.attach,
+        source: hook.source,
+        contract: hook.contract,
+        configSchema: manifest.configSchema,
+        fn: hook
+      });
+    }
+    if (JSON.stringify(hook.configSchema) !== JSON.stringify(manifest.configSchema)) {
+      throw fail('configSchema does not match the configSchema of the hook');
+    }
+  }
+
+  return hook;
+}
+
+/**
+ * Discover plugins in a directory.
+ *
+ * Looks for mycelia.plugin.json in `dir` and in each of its subdirectories (any depth
+ * with `recursive`; node_modules and dot-directories are skipped), imports every entry
+ * and returns the hooks in directory order.
+ *
+ * @param {string} dir - Directory to scan
+ * @param {Object} [options={}] - Discovery options
+ * @param {boolean} [options.recursive=false] - Scan nested directories below the first level
+ * @returns {Promise<Array<Function>>} Hooks, ready for useBase().useMultiple() or subsystem.use()
+ * @throws {Error} If the directory cannot be read or any manifest or plugin is invalid
+ *
+ * @example
+ * // plugins/cache/mycelia.plugin.json, plugins/auth/mycelia.plugin.json
+ * const hooks = await discoverPlugins('./plugins');
+ */
+export async function discoverPlugins(dir, options = {}) {
+  if (!dir || typeof dir !== 'string') {
+    throw new Error('discoverPlugins: dir must be a non-empty string');
+  }
+  const { recursive = false } = options;
+
+  const manifestPaths = await findManifests(resolve(dir), recursive ? Infinity : 1);
+  const hooks = [];
+  for (const manifestPath of manifestPaths) {
+    hooks.push(await loadPlugin(await readPluginManifest(manifestPath)));
+  }
+  return hooks;
+}
+
+/**
+ * Collect manifest paths below a directory, sorted by path.
+ *
+ * @param {string} dir - Absolute directory path
+ * @param {number} depth - Levels of subdirectories still to scan
+ * @returns {Promise<Array<string>>} Manifest paths
+ */
+async function findManifests(dir, depth) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    throw new Error(`discoverPlugins: cannot read directory ${dir} (${error.message})`);
+  }
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  const manifests = [];
+  if (entries.some(entry => entry.isFile() && entry.name === PLUGIN_MANIFEST_FILE)) {
+    manifests.push(join(dir, PLUGIN_MANIFEST_FILE));
+  }
+  if (depth > 0) {
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || IGNORED_DIRECTORIES.has(entry.name)) continue;
+      manifests.push(...await findManifests(join(dir, entry.name), depth - 1));
+    }
+  }
+  return manifests;
+}
+
+/**
+ * Compare dependency descriptors regardless of order.
+ *
+ * @param {Array<Object>} a - Normalized dependencies
+ * @param {Array<Object>} b - Normalized dependencies
+ * @returns {boolean} True if both declare the same kinds, ranges and optionality
+ */
+function sameDependencies(a, b) {
+  const key = deps => deps
+    .map(({ kind, range, optional }) => `${kind}@${range ?? '*'}${optional ? '?' : ''}`)
+    .sort()
+    .join(',');
+  return key(a) === key(b || []);
+}
@@ -0,0 +1,70 @@
+/**
+ * File Log Sink
+ *
+ * Appends log records to a file as JSON lines. Kept apart from logger.js, which
+ * has no Node.js dependencies.
+ *
+ * @example
+ * import { Logger } from 'mycelia-kernel-plugin';
+ * import { fileSink } from 'mycelia-kernel-plugin/node';
+ *
+ * const logger = new Logger({ level: 'info', sinks: [fileSink('./logs/app.jsonl')] });
+ * const system = await useBase('app', { logger }).use(useQueue).build();
+ * // ...
+ * await logger.close(); // flush and close the file
+ */
+import { createWriteStream, mkdirSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { safeStringify } from './logger.js';
+
+/**
+ * Create a sink that appends JSON lines to a file.
+ *
+ * @param {string} path - Log file path (parent directories are created)
+ * @param {Object} [options={}] - Sink options
+ * @param {string} [options.flags='a'] - File open flags ('a' appends, 'w' truncates)
+ * @returns {{ path: string, write: Function, close: Function }} Sink; close() resolves once the file is
+ *   flushed, or rejects with the first error of the file stream (records written after it are dropped)
+ */
+export function fileSink(path, options = {}) {
+  if (!path || typeof path !== 'string') {
+    throw new Error('fileSink: path must be a non-empty string');
+  }
+  const { flags = 'a' } = options;
+  const filePath = resolve(path);
+  mkdirSync(dirname(filePath), { recursive: true });
+
+  const stream = createWriteStream(filePath, { flags, encoding: 'utf8' });
+  let closed = null;
+
+  // Open and write failures (EISDIR, EACCES, ENOSPC, ...) are emitted asynchronously; without
+  // a listener they would crash the process. Keep the first one and report it from close().
+  let failure = null;
+  stream.on('error', (error) => {
+    failure ??= error;
+  });
+
+  return {
+    path: filePath,
+    write(record) {
+      if (closed) {
+        throw new Error(`fileSink: ${filePath} is closed`);
+      }
+      if (failure) {
+        return;
+      }
+      stream.write(`${safeStringify(record)}\n`);
+    },
+    close() {
+      if (!closed) {
+        closed = failure
+          ? Promise.reject(failure)
+          : new Promise((resolvePromise, reject) => {
+            stream.once('error', () => reject(failure));
+            stream.end(resolvePromise);
+          });
+      }
+      return closed;
+    }
+  };
+}
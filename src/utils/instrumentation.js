@@ -2,10 +2,19 @@
  * Instrumentation Utilities
  * 
  * Provides timing instrumentation for debugging build, initialization, and disposal phases.
- * Helps identify slow hooks and facets when debugging performance issues.
+ * Each timed operation is recorded as a span in the SpanCollector of the subsystem tree
+ * (see getSpanCollector), nested under the build or dispose span of its subsystem, and
+ * operations slower than their threshold are logged as warnings.
  */
 
 import { createSubsystemLogger } from './logger.js';
+import { SpanCollector } from './span-collector.js';
+
+/** SpanCollector per root subsystem */
+const collectors = new WeakMap();
+
+/** Running build/dispose span per subsystem (parent of its hook and facet spans) */
+const activePhaseSpans = new WeakMap();
 
 /**
  * Default thresholds for timing warnings (in milliseconds)
@@ -43,7 +52,51 @@ function getThresholds(subsystem) {
 }
 
 /**
- * Time a hook execution and log if it exceeds threshold
+ * Get the span collector of a subsystem tree, creating it on first use.
+ * A subsystem and all its descendants share the collector of their root.
+ *
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @returns {SpanCollector} Collector
+ */
+export function getSpanCollector(subsystem) {
+  const root = subsystem.getRoot?.() ?? subsystem;
+  let collector = collectors.get(root);
+  if (!collector) {
+    const capacity = root.ctx?.config?.instrumentation?.maxSpans;
+    collector = new SpanCollector(capacity ? { capacity } : {});
+    collectors.set(root, collector);
+  }
+  return collector;
+}
+
+function startSpan(subsystem, name, fields, parent = activePhaseSpans.get(subsystem)) {
+  const collector = getSpanCollector(subsystem);
+  const span = collector.start(name, { subsystem: subsystem.getNameString?.() ?? subsystem.name ?? null, ...fields }, parent);
+  return { collector, span };
+}
+
+/**
+ * End a span and warn if it took longer than its threshold.
+ */
+function endSpan(subsystem, { collector, span }, { error, threshold, label }) {
+  collector.end(span, error);
+  if (threshold !== undefined && (error || span.duration > threshold)) {
+    const logger = createSubsystemLogger(subsystem);
+    const fields = { kind: span.kind, source: span.source, durationMs: round(span.duration), thresholdMs: threshold };
+    if (error) {
+      logger.warn(`${label} failed`, fields, error);
+    } else {
+      logger.warn(`Slow ${label.toLowerCase()}`, fields);
+    }
+  }
+}
+
+function round(ms) {
+  return Math.round(ms * 100) / 100;
+}
+
+/**
+ * Time a hook execution as a 'hook' span and warn if it exceeds the threshold
  * 
  * @param {Function} hook - Hook function to execute
  * @param {Object} resolvedCtx - Resolved context
@@ -57,33 +110,22 @@ export function instrumentHookExecution(hook, resolvedCtx, api, subsystem) {
     return hook(resolvedCtx, api, subsystem);
   }
 
-  const logger = createSubsystemLogger(subsystem);
-  const hookKind = hook.kind || '<unknown>';
-  const hookSource = hook.source || '<unknown>';
-  const thresholds = getThresholds(subsystem);
-
-  const start = performance.now();
-  let result;
+  const active = startSpan(subsystem, 'hook', {
+    kind: hook.kind || '<unknown>',
+    source: hook.source || '<unknown>'
+  });
   try {
-    result = hook(resolvedCtx, api, subsystem);
-  } finally {
-    const duration = performance.now() - start;
-    
-    if (duration > thresholds.hookExecution) {
-      logger.warn(
-        `⚠️  Slow hook execution: '${hookKind}' took ${duration.toFixed(2)}ms ` +
-        `(threshold: ${thresholds.hookExecution}ms) [${hookSource}]`
-      );
-    } else {
-      logger.log(`✓ Hook '${hookKind}' executed in ${duration.toFixed(2)}ms [${hookSource}]`);
-    }
+    const result = hook(resolvedCtx, api, subsystem);
+    endSpan(subsystem, active, { threshold: getThresholds(subsystem).hookExecution, label: 'Hook execution' });
+    return result;
+  } catch (error) {
+    endSpan(subsystem, active, { error });
+    throw error;
   }
-
-  return result;
 }
 
 /**
- * Time a facet initialization callback and log if it exceeds threshold
+ * Time a facet initialization callback as a 'facet.init' span and warn if it exceeds the threshold
  * 
  * @param {Facet} facet - Facet instance
  * @param {Object} ctx - Context object
@@ -102,30 +144,21 @@ export async function instrumentFacetInit(facet, ctx, api, subsystem, initCallba
     return initCallback({ ctx, api, subsystem, facet });
   }
 
-  const logger = createSubsystemLogger(subsystem);
-  const facetKind = facet.getKind?.() || '<unknown>';
-  const facetSource = facet.getSource?.() || '<unknown>';
-  const thresholds = getThresholds(subsystem);
-
-  const start = performance.now();
+  const active = startSpan(subsystem, 'facet.init', {
+    kind: facet.getKind?.() || '<unknown>',
+    source: facet.getSource?.() || '<unknown>'
+  });
   try {
     await initCallback({ ctx, api, subsystem, facet });
-  } finally {
-    const duration = performance.now() - start;
-    
-    if (duration > thresholds.facetInit) {
-      logger.warn(
-        `⚠️  Slow facet initialization: '${facetKind}' took ${duration.toFixed(2)}ms ` +
-        `(threshold: ${thresholds.facetInit}ms) [${facetSource}]`
-      );
-    } else {
-      logger.log(`✓ Facet '${facetKind}' initialized in ${duration.toFixed(2)}ms [${facetSource}]`);
-    }
+  } catch (error) {
+    endSpan(subsystem, active, { error });
+    throw error;
   }
+  endSpan(subsystem, active, { threshold: getThresholds(subsystem).facetInit, label: 'Facet initialization' });
 }
 
 /**
- * Time a facet disposal callback and warn if it exceeds threshold
+ * Time a facet disposal callback as a 'facet.dispose' span and warn if it is slow or fails
  * 
  * @param {Facet} facet - Facet instance
  * @param {BaseSubsystem} subsystem - Subsystem instance
@@ -142,63 +175,129 @@ export async function instrumentDisposeCallback(facet, subsystem, disposeCallbac
     return disposeCallback(facet);
   }
 
-  const logger = createSubsystemLogger(subsystem);
-  const facetKind = facet.getKind?.() || '<unknown>';
-  const facetSource = facet.getSource?.() || '<unknown>';
-  const thresholds = getThresholds(subsystem);
-
-  const start = performance.now();
-  let errorOccurred = false;
+  const active = startSpan(subsystem, 'facet.dispose', {
+    kind: facet.getKind?.() || '<unknown>',
+    source: facet.getSource?.() || '<unknown>'
+  });
+  const threshold = getThresholds(subsystem).facetDispose;
   try {
     await disposeCallback(facet);
-    const duration = performance.now() - start;
-    
-    if (duration > thresholds.facetDispose) {
-      logger.warn(
-        `⚠️  Slow facet disposal: '${facetKind}' took ${duration.toFixed(2)}ms ` +
-        `(threshold: ${thresholds.facetDispose}ms) [${facetSource}]`
-      );
-    } else {
-      logger.log(`✓ Facet '${facetKind}' disposed in ${duration.toFixed(2)}ms [${facetSource}]`);
-    }
   } catch (error) {
-    errorOccurred = true;
-    const duration = performance.now() - start;
-    logger.warn(
-      `⚠️  Facet disposal error: '${facetKind}' failed after ${duration.toFixed(2)}ms ` +
-      `[${facetSource}]: ${error.message}`
-    );
+    endSpan(subsystem, active, { error, threshold, label: 'Facet disposal' });
     // Re-throw so disposeAll can catch and handle it
     throw error;
-  } finally {
-    // Ensure timing is logged even if error occurred
-    if (!errorOccurred) {
-      // Already logged in try block
-    }
   }
+  endSpan(subsystem, active, { threshold, label: 'Facet disposal' });
 }
 
 /**
- * Time the entire build phase and log summary
- * 
- * @param {BaseSubsystem} subsystem - Subsystem instance
- * @param {Function} buildFn - Build function to execute
- * @returns {Promise<void>}
+ * Run a phase ('build' or 'dispose') as the parent span of the hook and facet spans
+ * recorded while it runs. A child subsystem's phase nests under its parent's.
  */
-export async function instrumentBuildPhase(subsystem, buildFn) {
+async function instrumentPhase(subsystem, name, fn) {
   if (!isInstrumentationEnabled(subsystem)) {
-    // No instrumentation - just build
-    return buildFn();
+    return fn();
   }
 
-  const logger = createSubsystemLogger(subsystem);
-  const start = performance.now();
-  
+  const parent = subsystem.getParent?.() ?? null;
+  const active = startSpan(subsystem, name, {}, (parent && activePhaseSpans.get(parent)) ?? null);
+  activePhaseSpans.set(subsystem, active.span);
   try {
-    await buildFn();
+    const result = await fn();
+    endSpan(subsystem, active, {});
+    createSubsystemLogger(subsystem).debug(`${name === 'build' ? 'Build' : 'Dispose'} phase completed`, {
+      durationMs: round(active.span.duration)
+    });
+    return result;
+  } catch (error) {
+    endSpan(subsystem, active, { error });
+    throw error;
   } finally {
-    const duration = performance.now() - start;
-    logger.log(`📦 Build phase completed in ${duration.toFixed(2)}ms`);
+    if (activePhaseSpans.get(subsystem) === active.span) activePhaseSpans.delete(subsystem);
   }
 }
 
+/**
+ * Time the entire build phase (planning, hook execution, facet init and child builds) as a 'build' span
+ * 
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @param {Function} buildFn - Build function to execute
+ * @returns {Promise<*>} Result of buildFn
+ */
+export function instrumentBuildPhase(subsystem, buildFn) {
+  return instrumentPhase(subsystem, 'build', buildFn);
+}
+
+/**
+ * Time the dispose phase (children and facets) as a 'dispose' span
+ * 
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @param {Function} disposeFn - Dispose function to execute
+ * @returns {Promise<*>} Result of disposeFn
+ */
+export function instrumentDisposePhase(subsystem, disposeFn) {
+  return instrumentPhase(subsystem, 'dispose', disposeFn);
+}
+
+/**
+ * Summarize the most recent recorded build of a subsystem.
+ *
+ * Facets of one dependency level are initialized in parallel, so each level lasts as long
+ * as its slowest facet. The critical path is that slowest facet at every level: speeding
+ * up any other facet does not shorten the build.
+ *
+ * @param {BaseSubsystem} subsystem - Subsystem instance
+ * @param {string[][]} levels - Facet kinds grouped by dependency level
+ * @returns {Object|null} Profile, or null if no build span was recorded (instrumentation disabled)
+ */
+export function getBuildProfile(subsystem, levels = []) {
+  const name = subsystem.getNameString?.() ?? subsystem.name;
+  const spans = getSpanCollector(subsystem).spans;
+  const build = spans.findLast(span => span.name === 'build' && span.subsystem === name);
+  if (!build) return null;
+
+  const ownSpans = spans.filter(span => span.parentId === build.id);
+  const sumBy = (spanName, reduce) => {
+    const byKind = new Map();
+    for (const span of ownSpans) {
+      if (span.name !== spanName) continue;
+      byKind.set(span.kind, reduce(byKind.get(span.kind) ?? 0, span.duration));
+    }
+    return byKind;
+  };
+  const hookMs = sumBy('hook', (total, duration) => total + duration);
+  // Alternate versions of a kind are initialized in parallel with it
+  const initMs = sumBy('facet.init', Math.max);
+
+  const facets = [];
+  const levelSummaries = levels.map((kinds, level) => {
+    const levelFacets = kinds.map(kind => ({
+      kind,
+      level,
+      hookMs: round(hookMs.get(kind) ?? 0),
+      initMs: round(initMs.get(kind) ?? 0)
+    }));
+    facets.push(...levelFacets);
+    const slowest = levelFacets.reduce((max, facet) => (facet.initMs > max.initMs ? facet : max), levelFacets[0]);
+    return { level, kinds: [...kinds], durationMs: slowest?.initMs ?? 0, slowest: slowest?.kind ?? null };
+  });
+
+  const criticalPath = levelSummaries
+    .filter(level => level.slowest)
+    .map(level => facets.find(facet => facet.kind === level.slowest));
+
+  return {
+    subsystem: name,
+    traceId: build.traceId,
+    durationMs: round(build.duration),
+    error: build.error,
+    hookMs: round([...hookMs.values()].reduce((total, ms) => total + ms, 0)),
+    levels: levelSummaries,
+    criticalPath,
+    criticalPathMs: round(criticalPath.reduce((total, facet) => total + facet.initMs, 0)),
+    facets,
+    children: spans
+      .filter(span => span.name === 'build' && span.parentId === build.id)
+      .map(span => ({ subsystem: span.subsystem, durationMs: round(span.duration) }))
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * Layered Configuration
+ *
+ * Holds configuration as an ordered list of layers (lowest precedence first), merges
+ * them with deepMerge and remembers which layer set each value, so
+ * `subsystem.explainConfig('queue.capacity')` can say where a value came from.
+ *
+ * This module has no Node.js dependencies; loading layers from files and the
+ * environment lives in config-loader.js.
+ *
+ * @example
+ * const config = new LayeredConfig()
+ *   .addLayer('defaults', { queue: { capacity: 1000 } })
+ *   .addLayer('env', { queue: { capacity: 50 } }, 'environment', { 'queue.capacity': 'MYCELIA__QUEUE__CAPACITY' });
+ *
+ * config.toObject();                 // { queue: { capacity: 50 } }
+ * config.explain('queue.capacity');  // { value: 50, layer: 'env', source: 'MYCELIA__QUEUE__CAPACITY', history: [...] }
+ */
+import { deepMerge } from '../builder/context-resolver.js';
+
+/** Layer names used by loadConfig, lowest precedence first */
+export const CONFIG_LAYERS = Object.freeze(['defaults', 'file', 'environment-file', 'env', 'overrides']);
+
+export class LayeredConfig {
+  #layers = [];
+
+  /**
+   * Add a layer on top of the existing ones (it takes precedence over them).
+   *
+   * @param {string} name - Layer name (e.g. 'defaults', 'file', 'env', 'overrides')
+   * @param {Object} values - Configuration keyed by facet kind
+   * @param {string} [source=name] - Where the layer came from (file path, 'useBase().config()', ...)
+   * @param {Object} [sources] - Per-value sources keyed by dotted path (e.g. the environment variable of each value)
+   * @returns {LayeredConfig} This instance for chaining
+   */
+  addLayer(name, values, source = name, sources = undefined) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('LayeredConfig.addLayer: name must be a non-empty string');
+    }
+    if (!isPlainObject(values)) {
+      throw new Error(`LayeredConfig.addLayer: values of layer '${name}' must be an object`);
+    }
+    this.#layers.push({ name, source, values, sources: sources || {} });
+    return this;
+  }
+
+  /**
+   * Replace the layer with the same name and source, or add it if there is none.
+   * The layer moves to the top either way.
+   *
+   * @param {string} name - Layer name
+   * @param {Object} values - Configuration keyed by facet kind
+   * @param {string} [source=name] - Where the layer came from
+   * @param {Object} [sources] - Per-value sources keyed by dotted path
+   * @returns {LayeredConfig} This instance for chaining
+   */
+  setLayer(name, values, source = name, sources = undefined) {
+    const index = this.#layers.findIndex(layer => layer.name === name && layer.source === source);
+    this.addLayer(name, values, source, sources);
+    if (index !== -1) {
+      this.#layers.splice(index, 1);
+    }
+    return this;
+  }
+
+  /**
+   * Get the layers, lowest precedence first.
+   * @returns {Array<{ name: string, source: string, values: Object }>} Layers
+   */
+  get layers() {
+    return this.#layers.map(({ name, source, values }) => ({ name, source, values }));
+  }
+
+  /**
+   * Merge all layers.
+   * @returns {Object} Merged configuration (a new object)
+   */
+  toObject() {
+    return this.#layers.reduce((merged, layer) => deepMerge(merged, layer.values), {});
+  }
+
+  /**
+   * Explain which layer set a value.
+   *
+   * @param {string} path - Dotted path below config (e.g. 'queue.capacity')
+   * @returns {{ path: string, value: *, layer: string|null, source: string|null, history: Array<Object> }}
+   *   The merged value, the layer that won, and every layer that set the path
+   *   (`{ layer, source, value }`, lowest precedence first)
+   */
+  explain(path) {
+    const segments = splitPath(path);
+    const history = [];
+
+    for (const layer of this.#layers) {
+      // A non-object above the path replaces whatever lower layers set below it (as deepMerge does)
+      if (replacesAncestor(layer.values, segments)) {
+        history.length = 0;
+        continue;
+      }
+      const value = getPathValue(layer.values, segments);
+      if (value === undefined) continue;
+      history.push({ layer: layer.name, source: layer.sources[path] ?? layer.source, value });
+    }
+
+    const winner = history[history.length - 1];
+    return {
+      path,
+      value: getPathValue(this.toObject(), segments),
+      layer: winner ? winner.layer : null,
+      source: winner ? winner.source : null,
+      history
+    };
+  }
+}
+
+/**
+ * Explain a value of a subsystem's effective config.
+ *
+ * Values that the layers do not account for were either filled in from a hook's
+ * configSchema default ('schema-default') or set on ctx.config directly ('runtime').
+ *
+ * @param {LayeredConfig} layers - Layers the config was built from
+ * @param {Object} config - Effective configuration (subsystem.ctx.config)
+ * @param {Array<Function>} hooks - Hooks of the subsystem (for configSchema defaults)
+ * @param {string} path - Dotted path below config (e.g. 'queue.capacity')
+ * @returns {Object} Explanation (see LayeredConfig.explain)
+ */
+export function explainConfigValue(layers, config, hooks, path) {
+  const explanation = layers.explain(path);
+  const segments = splitPath(path);
+  const value = getPathValue(config, segments);
+
+  // Objects are merged from several places; report the layers that contributed
+  if (isPlainObject(value) || sameValue(value, explanation.value)) {
+    return { ...explanation, value };
+  }
+
+  const [kind, ...rest] = segments;
+  const schemaHook = hooks.find(hook => hook?.kind === kind && hook.configSchema &&
+    sameValue(getSchemaDefault(hook.configSchema, rest), value));
+  const origin = schemaHook
+    ? { layer: 'schema-default', source: schemaHook.source, value }
+    : { layer: 'runtime', source: 'ctx.config', value };
+
+  return {
+    ...explanation,
+    value,
+    layer: origin.layer,
+    source: origin.source,
+    history: [...explanation.history, origin]
+  };
+}
+
+function splitPath(path) {
+  if (!path || typeof path !== 'string') {
+    throw new Error('explainConfig: path must be a non-empty string');
+  }
+  return path.split('.');
+}
+
+function getPathValue(object, segments) {
+  let current = object;
+  for (const segment of segments) {
+    if (!isPlainObject(current)) return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+function replacesAncestor(object, segments) {
+  let current = object;
+  for (const segment of segments.slice(0, -1)) {
+    current = current[segment];
+    if (current === undefined) return false;
+    if (!isPlainObject(current)) return true;
+  }
+  return false;
+}
+
+function getSchemaDefault(schema, segments) {
+  let current = schema;
+  for (const segment of segments) {
+    current = current?.properties?.[segment];
+  }
+  return current?.default;
+}
+
+function sameValue(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
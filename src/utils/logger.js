@@ -1,84 +1,474 @@
 /**
  * Logger Utilities
- * 
- * Provides a simple logger abstraction for improved testability and consistency.
+ *
+ * Structured logging for subsystems, facets and their internal classes.
+ *
+ * A root Logger is created per subsystem (or passed in as `options.logger`) and
+ * exposed as `ctx.logger`. Built-in hooks and classes log through child loggers
+ * that carry `subsystem` (the subsystem name string) and `facet` (the facet kind),
+ * so every record can be traced back to where it came from:
+ *
+ * {"time":"2026-01-01T12:00:00.000Z","level":"debug","subsystem":"app://","facet":"queue","msg":"Capacity changed","capacity":5000}
+ *
+ * Records go to sinks: `consoleSink()` (JSON lines or pretty text), `memorySink()`
+ * (ring buffer, for tests) and `fileSink()` (JSON lines, see file-log-sink.js; exported
+ * from 'mycelia-kernel-plugin/node').
+ * Values under `redact`ed keys are replaced before any sink sees them.
  */
+import { CircularBuffer } from '../hooks/queue/circular-buffer.js';
+import { getDebugFlag } from './debug-flag.js';
+
+/** Log levels by severity; a logger writes records at or above its level */
+export const LOG_LEVELS = Object.freeze({
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60,
+  silent: Infinity
+});
+
+/** Replacement for redacted values */
+const REDACTED = '[REDACTED]';
+
+/** Marks constructor calls made by Logger.child() */
+const CHILD = Symbol('child');
+
+export class Logger {
+  #shared;      // { sinks, redact, timestamp } - shared with all children
+  #parent = null;
+  #level = null; // null inherits the parent's level
+  #bindings;
+
+  /**
+   * @param {Object} [options={}] - Logger options
+   * @param {string} [options.level='info'] - Minimum level: trace, debug, info, warn, error, fatal or silent
+   * @param {Array<Function|Object>} [options.sinks=[consoleSink()]] - Sinks; a function or an object
+   *   with write(record) (and optionally close())
+   * @param {Array<string>} [options.redact=[]] - Keys whose values are replaced with '[REDACTED]':
+   *   a plain key ('password') matches at any depth, a dotted path ('auth.token') matches from the record root
+   * @param {Object} [options.bindings={}] - Fields added to every record
+   * @param {Function} [options.timestamp] - Returns the `time` field (default: ISO string of now)
+   *
+   * @example
+   * const logger = new Logger({ level: 'debug', sinks: [consoleSink({ format: 'pretty' })], redact: ['password'] });
+   * logger.child({ subsystem: 'app://' }).info('Built', { facets: 4 });
+   */
+  constructor(options = {}) {
+    if (options[CHILD]) {
+      const { parent, bindings, level } = options[CHILD];
+      this.#shared = parent.#shared;
+      this.#parent = parent;
+      this.#bindings = { ...parent.#bindings, ...bindings };
+      this.setLevel(level ?? null);
+      return;
+    }
+
+    const { level = 'info', sinks = [consoleSink()], redact = [], bindings = {}, timestamp } = options;
+    if (!Array.isArray(sinks)) {
+      throw new Error('Logger: sinks must be an array');
+    }
+    if (!Array.isArray(redact) || redact.some(key => typeof key !== 'string' || !key)) {
+      throw new Error('Logger: redact must be an array of non-empty strings');
+    }
+    sinks.forEach(assertSink);
+    this.#shared = {
+      sinks: [...sinks],
+      redact: compileRedaction(redact),
+      timestamp: timestamp || (() => new Date().toISOString())
+    };
+    this.#bindings = { ...bindings };
+    this.setLevel(level);
+  }
+
+  /** Effective level (own, or inherited from the parent) */
+  get level() {
+    return this.#level ?? this.#parent?.level ?? 'info';
+  }
+
+  /** Fields added to every record of this logger */
+  get bindings() {
+    return { ...this.#bindings };
+  }
+
+  /**
+   * Set the minimum level of this logger (and of children that inherit it).
+   * @param {string|null} level - Level name, or null to inherit the parent's level (children only)
+   * @returns {Logger} This logger
+   */
+  setLevel(level) {
+    if (level === null && this.#parent) {
+      this.#level = null;
+      return this;
+    }
+    if (!Object.prototype.hasOwnProperty.call(LOG_LEVELS, level)) {
+      throw new Error(`Logger: unknown level '${level}'. Available: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    this.#level = level;
+    return this;
+  }
+
+  /**
+   * Check whether records of a level would be written.
+   * @param {string} level - Level name
+   * @returns {boolean} True if enabled
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Create a child logger that shares sinks and redaction and adds bindings.
+   *
+   * @param {Object} bindings - Fields added to the child's records (e.g. { subsystem, facet })
+   * @param {Object} [options={}] - Child options
+   * @param {string} [options.level] - Own level (default: inherit this logger's level)
+   * @returns {Logger} Child logger
+   *
+   * @example
+   * const queueLogger = ctx.logger.child({ subsystem: 'app://', facet: 'queue' });
+   */
+  child(bindings = {}, options = {}) {
+    return new Logger({ [CHILD]: { parent: this, bindings, level: options.level } });
+  }
+
+  /**
+   * Add a sink to this logger's tree (root and all children).
+   * @param {Function|Object} sink - Sink function or { write(record) }
+   * @returns {Logger} This logger
+   */
+  addSink(sink) {
+    assertSink(sink);
+    this.#shared.sinks.push(sink);
+    return this;
+  }
+
+  /**
+   * Close sinks that hold resources (e.g. file streams).
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(this.#shared.sinks.map(sink => sink.close?.()));
+  }
+
+  /**
+   * Write a record. `message` is a string; further arguments are merged as fields
+   * (plain objects), stored as `err` (Errors) or collected in `args` (anything else).
+   */
+  trace(message, ...args) { this.#write('trace', message, args); }
+  debug(message, ...args) { this.#write('debug', message, args); }
+  info(message, ...args) { this.#write('info', message, args); }
+  warn(message, ...args) { this.#write('warn', message, args); }
+  error(message, ...args) { this.#write('error', message, args); }
+  fatal(message, ...args) { this.#write('fatal', message, args); }
+
+  /** Alias of debug() (kept for loggers created with createLogger) */
+  log(message, ...args) { this.#write('debug', message, args); }
+
+  /** Check whether debug records are written */
+  isDebugEnabled() {
+    return this.isLevelEnabled('debug');
+  }
+
+  #write(level, message, args) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const fields = {};
+    const extra = [];
+    let msg = message;
+    if (message instanceof Error) {
+      msg = message.message;
+      fields.err = serializeError(message);
+    } else if (typeof message !== 'string') {
+      msg = String(message);
+    }
+    for (const arg of args) {
+      if (arg instanceof Error) {
+        fields.err = serializeError(arg);
+      } else if (isPlainObject(arg)) {
+        Object.assign(fields, arg);
+      } else {
+        extra.push(arg);
+      }
+    }
+    if (extra.length > 0) fields.args = extra;
+
+    const record = redactRecord(
+      { time: this.#shared.timestamp(), level, ...this.#bindings, msg, ...fields },
+      this.#shared.redact
+    );
+
+    for (const sink of this.#shared.sinks) {
+      try {
+        if (typeof sink === 'function') {
+          sink(record);
+        } else {
+          sink.write(record);
+        }
+      } catch (error) {
+        // A broken sink must not break the code that logs
+        console.error('Logger: sink failed:', error);
+      }
+    }
+  }
+}
 
 /**
- * Simple logger that conditionally logs based on debug flag.
- * 
- * @param {boolean} debug - Whether debug logging is enabled
- * @param {string} prefix - Optional prefix for log messages (e.g., subsystem name)
- * @returns {Object} Logger object with log, error, warn methods
- * 
- * @example
- * ```javascript
- * const logger = createLogger(debug, subsystem.name);
- * logger.log('System initialized');
- * logger.error('Failed to initialize', error);
- * logger.warn('Deprecated feature used');
- * ```
+ * Sink writing to the console, one line per record.
+ *
+ * @param {Object} [options={}] - Sink options
+ * @param {'json'|'pretty'} [options.format='json'] - JSON lines, or `time LEVEL [subsystem facet] msg {fields}`
+ * @param {Object} [options.console=console] - Console to write to (error/fatal use error(), warn uses warn())
+ * @returns {Object} Sink
  */
-export function createLogger(debug = false, prefix = '') {
-  const prefixStr = prefix ? `[${prefix}] ` : '';
-  
+export function consoleSink(options = {}) {
+  const { format = 'json', console: out = console } = options;
+  if (format !== 'json' && format !== 'pretty') {
+    throw new Error(`consoleSink: format must be 'json' or 'pretty' (got '${format}')`);
+  }
   return {
-    /**
-     * Log an info message (only if debug is enabled)
-     * @param {...any} args - Arguments to log
-     */
-    log(...args) {
-      if (debug) {
-        console.log(prefixStr, ...args);
-      }
-    },
-    
-    /**
-     * Log an error message (always logged, but with prefix only if debug is enabled)
-     * @param {...any} args - Arguments to log
-     */
-    error(...args) {
-      if (debug) {
-        console.error(prefixStr, ...args);
+    write(record) {
+      const line = format === 'json' ? safeStringify(record) : formatPretty(record);
+      if (LOG_LEVELS[record.level] >= LOG_LEVELS.error) {
+        out.error(line);
+      } else if (record.level === 'warn') {
+        out.warn(line);
       } else {
-        // Still log errors even if debug is off, but without prefix
-        console.error(...args);
+        out.log(line);
       }
+    }
+  };
+}
+
+/**
+ * Sink keeping the most recent records in memory (for tests and diagnostics).
+ *
+ * @param {Object} [options={}] - Sink options
+ * @param {number} [options.capacity=1000] - Records kept; older ones are dropped
+ * @returns {{ write: Function, records: Array<Object>, clear: Function }} Sink; `records` is oldest first
+ *
+ * @example
+ * const sink = memorySink();
+ * const system = new BaseSubsystem('app', { logger: new Logger({ level: 'debug', sinks: [sink] }) });
+ * // ...
+ * expect(sink.records.some(r => r.facet === 'queue')).toBe(true);
+ */
+export function memorySink(options = {}) {
+  const { capacity = 1000 } = options;
+  const buffer = new CircularBuffer(capacity);
+  return {
+    write(record) {
+      if (buffer.isFull()) buffer.dropOldest();
+      buffer.enqueue(record);
     },
-    
-    /**
-     * Log a warning message (only if debug is enabled)
-     * @param {...any} args - Arguments to log
-     */
-    warn(...args) {
-      if (debug) {
-        console.warn(prefixStr, ...args);
-      }
+    get records() {
+      return buffer.toArray();
     },
-    
-    /**
-     * Check if debug logging is enabled
-     * @returns {boolean} True if debug is enabled
-     */
-    isDebugEnabled() {
-      return debug;
+    clear() {
+      buffer.clear();
     }
   };
 }
 
 /**
- * Create a logger for a subsystem
- * 
+ * Get the root logger of a context, falling back to a shared console logger
+ * (level 'error') when ctx has none (e.g. hooks called outside a subsystem).
+ *
+ * @param {Object} [ctx] - Hook or subsystem context
+ * @returns {Logger} Root logger
+ */
+export function getContextLogger(ctx) {
+  return ctx?.logger instanceof Logger ? ctx.logger : getFallbackLogger();
+}
+
+/**
+ * Create the default root logger of a subsystem, or wrap `options.logger`.
+ *
+ * @param {Logger|Object} [logger] - Logger, or Logger options
+ * @param {boolean} [debug=false] - Default level is 'debug' when true, 'error' otherwise
+ * @returns {Logger} Root logger
+ */
+export function createRootLogger(logger, debug = false) {
+  if (logger instanceof Logger) return logger;
+  if (logger !== undefined && !isPlainObject(logger)) {
+    throw new Error('logger must be a Logger instance or an object of Logger options');
+  }
+  return new Logger({ level: debug ? 'debug' : 'error', ...logger });
+}
+
+/**
+ * Logger for a facet: a child of ctx.logger bound to the subsystem name string and
+ * facet kind. Its level is 'debug' when ctx.config[kind].debug (or ctx.debug) is set.
+ *
+ * @param {Object} ctx - Hook context
+ * @param {BaseSubsystem} subsystem - Subsystem the facet belongs to
+ * @param {string} kind - Facet kind
+ * @returns {Logger} Facet logger
+ *
+ * @example
+ * fn: (ctx, api, subsystem) => {
+ *   const logger = createFacetLogger(ctx, subsystem, 'cache');
+ *   logger.debug('Cache created', { ttl: ctx.config.cache.ttl });
+ * }
+ */
+export function createFacetLogger(ctx, subsystem, kind) {
+  const debug = getDebugFlag(ctx?.config?.[kind], ctx);
+  return getContextLogger(ctx).child(
+    { subsystem: getSubsystemName(subsystem), facet: kind },
+    { level: debug ? 'debug' : undefined }
+  );
+}
+
+/**
+ * Logger for a class or utility outside a subsystem context.
+ *
+ * @param {boolean} debug - 'debug' level when true, 'error' otherwise
+ * @param {string} prefix - Component name, recorded as `scope` (e.g. 'BoundedQueue')
+ * @returns {Logger} Logger
+ *
+ * @example
+ * ```javascript
+ * const logger = createLogger(debug, 'RouteRegistry');
+ * logger.debug('Route registered', { pattern });
+ * logger.error('Failed to initialize', error);
+ * ```
+ */
+export function createLogger(debug = false, prefix = '') {
+  return getFallbackLogger().child(prefix ? { scope: prefix } : {}, { level: debug ? 'debug' : 'error' });
+}
+
+/**
+ * Logger for a component class (BoundedQueue, ListenerManager, ...), recorded as `scope`.
+ * Uses the logger passed in the component's options (usually its facet's logger), or a
+ * standalone console logger.
+ *
+ * @param {string} scope - Component name
+ * @param {Object} [options={}] - Component options
+ * @param {Logger} [options.logger] - Parent logger
+ * @param {boolean} [options.debug=false] - Log at 'debug' level
+ * @returns {Logger} Logger
+ *
+ * @example
+ * this.logger = createComponentLogger('RouteRegistry', options);
+ */
+export function createComponentLogger(scope, options = {}) {
+  const { logger, debug = false } = options;
+  if (logger instanceof Logger) {
+    return logger.child({ scope }, { level: debug ? 'debug' : undefined });
+  }
+  return createLogger(debug, scope);
+}
+
+/**
+ * Create a logger for a subsystem: a child of its ctx.logger bound to its name string.
+ *
  * @param {BaseSubsystem} subsystem - Subsystem instance
- * @returns {Object} Logger object
- * 
+ * @returns {Logger} Logger
+ *
  * @example
  * ```javascript
  * const logger = createSubsystemLogger(subsystem);
- * logger.log('Built successfully');
+ * logger.debug('Built successfully');
  * ```
  */
 export function createSubsystemLogger(subsystem) {
-  return createLogger(subsystem?.debug || false, subsystem?.name || '');
+  return getContextLogger(subsystem?.ctx).child(
+    { subsystem: getSubsystemName(subsystem) },
+    { level: subsystem?.debug ? 'debug' : undefined }
+  );
+}
+
+/**
+ * Serialize a value to JSON, replacing circular references and BigInts.
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON
+ */
+export function safeStringify(value) {
+  const seen = new WeakSet();
+  return JSON.stringify(value, (key, current) => {
+    if (typeof current === 'bigint') return current.toString();
+    if (current instanceof Error) return serializeError(current);
+    if (current && typeof current === 'object') {
+      if (seen.has(current)) return '[Circular]';
+      seen.add(current);
+    }
+    return current;
+  });
+}
+
+let fallbackLogger = null;
+
+function getFallbackLogger() {
+  if (!fallbackLogger) {
+    fallbackLogger = new Logger({ level: 'error' });
+  }
+  return fallbackLogger;
+}
+
+function getSubsystemName(subsystem) {
+  if (!subsystem) return undefined;
+  try {
+    return typeof subsystem.getNameString === 'function' ? subsystem.getNameString() : subsystem.name;
+  } catch {
+    return subsystem.name;
+  }
+}
+
+function assertSink(sink) {
+  if (typeof sink !== 'function' && typeof sink?.write !== 'function') {
+    throw new Error('Logger: a sink must be a function or an object with write(record)');
+  }
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message, stack: error.stack };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.cause !== undefined) {
+    serialized.cause = error.cause instanceof Error ? serializeError(error.cause) : error.cause;
+  }
+  return serialized;
 }
 
+function compileRedaction(keys) {
+  return {
+    keys: new Set(keys.filter(key => !key.includes('.'))),
+    paths: new Set(keys.filter(key => key.includes('.')))
+  };
+}
+
+function redactRecord(record, redact) {
+  if (redact.keys.size === 0 && redact.paths.size === 0) return record;
+  return redactValue(record, '', redact, new WeakSet());
+}
+
+function redactValue(value, path, redact, seen) {
+  if (!value || typeof value !== 'object' || (!Array.isArray(value) && !isPlainObject(value))) {
+    return value;
+  }
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  const copy = Array.isArray(value) ? [] : {};
+  for (const key of Object.keys(value)) {
+    const keyPath = path ? `${path}.${key}` : key;
+    copy[key] = redact.keys.has(key) || redact.paths.has(keyPath)
+      ? REDACTED
+      : redactValue(value[key], keyPath, redact, seen);
+  }
+  seen.delete(value);
+  return copy;
+}
+
+function formatPretty(record) {
+  const { time, level, subsystem, facet, scope, msg, ...fields } = record;
+  const origin = [subsystem, facet, scope].filter(Boolean).join(' ');
+  const rest = Object.keys(fields).length > 0 ? ` ${safeStringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${origin ? `[${origin}] ` : ''}${msg}${rest}`;
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
@@ -0,0 +1,33 @@
+/**
+ * Message Path Utilities
+ * 
+ * Resolves the routing path of a message so hooks that route, process or emit
+ * messages agree on what "the path" of a message is.
+ */
+
+/**
+ * Resolve the routing path of a message.
+ * Accepts a plain path string, an object exposing getPath(), or an object with a path property.
+ * 
+ * @param {string|Object} message - Message or path
+ * @returns {string|null} Path or null if none can be determined
+ * 
+ * @example
+ * ```javascript
+ * resolveMessagePath('users/42');            // 'users/42'
+ * resolveMessagePath({ path: 'users/42' });  // 'users/42'
+ * resolveMessagePath(message);               // message.getPath()
+ * ```
+ */
+export function resolveMessagePath(message) {
+  if (typeof message === 'string') {
+    return message;
+  }
+  if (message && typeof message.getPath === 'function') {
+    return message.getPath();
+  }
+  if (message && typeof message.path === 'string') {
+    return message.path;
+  }
+  return null;
+}
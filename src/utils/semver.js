@@ -1,22 +1,29 @@
 /**
  * Semantic Versioning (Semver) Utilities
  * 
- * Provides validation and comparison for semantic version strings.
- * Supports semver 2.0.0 specification with simplified ranges.
+ * Provides validation, comparison and range matching for semantic version strings
+ * (semver 2.0.0), following the range grammar used by npm.
  * 
- * Supported version formats:
- * - '1.0.0' - Exact version
- * - '^1.0.0' - Compatible with version (>=1.0.0 <2.0.0)
- * - '~1.0.0' - Approximately equivalent (>=1.0.0 <1.1.0)
- * - '>=1.0.0' - Greater than or equal
- * - '>1.0.0' - Greater than
- * - '<=1.0.0' - Less than or equal
- * - '<1.0.0' - Less than
- * - '*' - Any version
+ * Supported ranges:
+ * - '1.0.0', '=1.0.0' - Exact version
+ * - '>=1.0.0', '>1.0.0', '<=1.0.0', '<1.0.0' - Comparisons (partial versions allowed: '>=1.2')
+ * - '>=1.2.0 <2.0.0' - Comparators separated by spaces must all match
+ * - '^1.2.3' - Compatible: >=1.2.3 <2.0.0 (^0.2.3 → <0.3.0, ^0.0.3 → <0.0.4)
+ * - '~1.2.3' - Approximately equivalent: >=1.2.3 <1.3.0 ('~1' → <2.0.0)
+ * - '1.x', '1.2.*', '1', '*', '' - X-ranges
+ * - '1.2.3 - 1.4.0' - Hyphen ranges (inclusive; partial upper bounds round up: '1 - 2' → <3.0.0)
+ * - '^1.0.0 || ^2.0.0' - Unions
+ * 
+ * Prerelease versions (1.2.3-beta.1) only satisfy a range when one of the
+ * comparators in the matching set is a prerelease of the same major.minor.patch
+ * ('>=1.2.3-alpha' matches 1.2.3-beta but not 1.3.0-beta), unless the
+ * `includePrerelease` option is set.
  */
 
 const SEMVER_REGEX = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
-const RANGE_REGEX = /^([\^~><=*]*)(.*)$/;
+const PARTIAL_REGEX = /^v?(\d+|[xX*])(?:\.(\d+|[xX*])(?:\.(\d+|[xX*])(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?)?)?$/;
+const COMPARATOR_REGEX = /^(>=|<=|>|<|=|\^|~>?)?(.*)$/;
+const HYPHEN_REGEX = /^(\S+)\s+-\s+(\S+)$/;
 
 /**
  * Parse a semver string into components
@@ -98,98 +105,378 @@ export function compareVersions(v1, v2) {
   if (parsed1.prerelease !== parsed2.prerelease) {
     if (!parsed1.prerelease) return 1;
     if (!parsed2.prerelease) return -1;
-    return parsed1.prerelease < parsed2.prerelease ? -1 : 1;
+    return comparePrerelease(parsed1.prerelease, parsed2.prerelease);
   }
 
   return 0;
 }
 
 /**
- * Check if version satisfies a range
+ * Compare prerelease identifiers per semver 2.0.0 §11:
+ * numeric identifiers compare numerically and sort before alphanumeric ones,
+ * and a shorter set of identifiers sorts first when all preceding ones are equal.
  * 
- * Supported ranges:
- * - '1.0.0' - Exact match
- * - '^1.0.0' - Compatible (>=1.0.0 <2.0.0)
- * - '~1.0.0' - Approximately (>=1.0.0 <1.1.0)
- * - '>=1.0.0', '>1.0.0', '<=1.0.0', '<1.0.0' - Comparisons
- * - '*' - Any version
- * 
- * @param {string} version - Version to check
- * @param {string} range - Range specification
- * @returns {boolean} True if version satisfies range
- * @throws {Error} If version or range is invalid
+ * @param {string} a - First prerelease (e.g., 'alpha.2')
+ * @param {string} b - Second prerelease (e.g., 'alpha.10')
+ * @returns {number} -1, 0 or 1
  */
-export function satisfiesRange(version, range) {
-  if (typeof range !== 'string') {
-    throw new Error('Range must be a string');
-  }
+function comparePrerelease(a, b) {
+  const idsA = a.split('.');
+  const idsB = b.split('.');
 
-  // Wildcard matches any version
-  if (range === '*') {
-    return true;
-  }
+  for (let i = 0; i < Math.max(idsA.length, idsB.length); i++) {
+    if (idsA[i] === undefined) return -1;
+    if (idsB[i] === undefined) return 1;
+    if (idsA[i] === idsB[i]) continue;
 
-  const versionParsed = parseVersion(version);
-  if (!versionParsed) {
-    throw new Error(`Invalid semver: ${version}`);
+    const numA = /^\d+$/.test(idsA[i]);
+    const numB = /^\d+$/.test(idsB[i]);
+    if (numA && numB) {
+      return Number(idsA[i]) < Number(idsB[i]) ? -1 : 1;
+    }
+    if (numA) return -1;
+    if (numB) return 1;
+    return idsA[i] < idsB[i] ? -1 : 1;
   }
 
-  const match = range.match(RANGE_REGEX);
+  return 0;
+}
+
+/**
+ * Parse a partial version ('1', '1.2', '1.x', '1.2.3-beta') used inside ranges
+ * 
+ * @param {string} text - Partial version
+ * @returns {Object|null} { major, minor, patch, prerelease } with null for wildcard/missing parts, or null if invalid
+ */
+function parsePartial(text) {
+  const match = text.match(PARTIAL_REGEX);
   if (!match) {
-    throw new Error(`Invalid range: ${range}`);
+    return null;
   }
 
-  const operator = match[1] || '';
-  const targetVersion = match[2].trim();
+  const part = value => (value === undefined || /^[xX*]$/.test(value) ? null : parseInt(value, 10));
+  const major = part(match[1]);
+  const minor = major === null ? null : part(match[2]);
+  const patch = minor === null ? null : part(match[3]);
+  return { major, minor, patch, prerelease: patch === null ? '' : (match[4] || '') };
+}
 
-  const targetParsed = parseVersion(targetVersion);
-  if (!targetParsed) {
-    throw new Error(`Invalid semver in range: ${targetVersion}`);
+/**
+ * Format a version from its parts
+ * @param {number} major - Major
+ * @param {number} minor - Minor
+ * @param {number} patch - Patch
+ * @param {string} [prerelease=''] - Prerelease identifiers
+ * @returns {string} Version string
+ */
+function formatVersion(major, minor, patch, prerelease = '') {
+  return `${major}.${minor}.${patch}${prerelease ? `-${prerelease}` : ''}`;
+}
+
+/**
+ * Desugar one range token (operator + partial version) into primitive comparators
+ * 
+ * @param {string} operator - '', '=', '>', '>=', '<', '<=', '^', '~'
+ * @param {Object} p - Partial version from parsePartial
+ * @returns {Array<{operator: string, version: string}>} Comparators (empty = any version)
+ */
+function desugarComparator(operator, p) {
+  const { major: M, minor: m, patch: pa, prerelease } = p;
+  const full = pa !== null;
+  const gte = version => ({ operator: '>=', version });
+  const lt = version => ({ operator: '<', version });
+
+  if (M === null) {
+    // '*', 'x', '>=*' match everything; '<*' and '>*' match nothing
+    return operator === '<' || operator === '>' ? [lt('0.0.0-0')] : [];
   }
 
-  // Caret range: ^1.2.3 means >=1.2.3 <2.0.0
-  if (operator === '^') {
-    return (
-      versionParsed.major === targetParsed.major &&
-      compareVersions(version, targetVersion) >= 0
-    );
+  switch (operator) {
+    case '^': {
+      if (m === null) return [gte(formatVersion(M, 0, 0)), lt(formatVersion(M + 1, 0, 0, '0'))];
+      const lower = gte(formatVersion(M, m, pa ?? 0, prerelease));
+      if (M > 0) return [lower, lt(formatVersion(M + 1, 0, 0, '0'))];
+      if (m > 0 || !full) return [lower, lt(formatVersion(0, m + 1, 0, '0'))];
+      return [lower, lt(formatVersion(0, 0, pa + 1, '0'))];
+    }
+    case '~':
+    case '~>':
+      if (m === null) return [gte(formatVersion(M, 0, 0)), lt(formatVersion(M + 1, 0, 0, '0'))];
+      return [gte(formatVersion(M, m, pa ?? 0, prerelease)), lt(formatVersion(M, m + 1, 0, '0'))];
+    case '>':
+      if (m === null) return [gte(formatVersion(M + 1, 0, 0))];
+      if (!full) return [gte(formatVersion(M, m + 1, 0))];
+      return [{ operator: '>', version: formatVersion(M, m, pa, prerelease) }];
+    case '>=':
+      return [gte(formatVersion(M, m ?? 0, pa ?? 0, prerelease))];
+    case '<':
+      return [lt(full ? formatVersion(M, m, pa, prerelease) : formatVersion(M, m ?? 0, 0, '0'))];
+    case '<=':
+      if (m === null) return [lt(formatVersion(M + 1, 0, 0, '0'))];
+      if (!full) return [lt(formatVersion(M, m + 1, 0, '0'))];
+      return [{ operator: '<=', version: formatVersion(M, m, pa, prerelease) }];
+    default:
+      // '' or '=': exact version, or an x-range for partial versions
+      if (m === null) return [gte(formatVersion(M, 0, 0)), lt(formatVersion(M + 1, 0, 0, '0'))];
+      if (!full) return [gte(formatVersion(M, m, 0)), lt(formatVersion(M, m + 1, 0, '0'))];
+      return [{ operator: '=', version: formatVersion(M, m, pa, prerelease) }];
   }
+}
 
-  // Tilde range: ~1.2.3 means >=1.2.3 <1.3.0
-  if (operator === '~') {
-    return (
-      versionParsed.major === targetParsed.major &&
-      versionParsed.minor === targetParsed.minor &&
-      compareVersions(version, targetVersion) >= 0
-    );
+/**
+ * Parse a range into comparator sets.
+ * 
+ * The result is a union (`||`) of sets; every comparator of a set must match.
+ * An empty set matches any version.
+ * 
+ * @param {string} range - Range specification (e.g., '^1.2.0 || >=2.0.0 <2.5.0')
+ * @returns {Array<Array<{operator: string, version: string}>>} Comparator sets
+ * @throws {Error} If the range is invalid
+ * 
+ * @example
+ * parseRange('^0.2.3');
+ * // [[{ operator: '>=', version: '0.2.3' }, { operator: '<', version: '0.3.0-0' }]]
+ */
+export function parseRange(range) {
+  if (typeof range !== 'string') {
+    throw new Error('Range must be a string');
   }
 
-  // Greater than or equal
-  if (operator === '>=') {
-    return compareVersions(version, targetVersion) >= 0;
+  return range.split('||').map((alternative) => {
+    const text = alternative.trim();
+
+    const hyphen = text.match(HYPHEN_REGEX);
+    if (hyphen) {
+      const from = parsePartial(hyphen[1]);
+      const to = parsePartial(hyphen[2]);
+      if (!from || !to) {
+        throw new Error(`Invalid range: ${range}`);
+      }
+      const lower = from.major === null ? [] : desugarComparator('>=', from);
+      const upper = to.major === null ? [] : desugarComparator('<=', to);
+      return [...lower, ...upper];
+    }
+
+    // Allow whitespace between an operator and its version ('>= 1.2.0')
+    const tokens = text.replace(/(>=|<=|>|<|=|\^|~>?)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    return tokens.flatMap((token) => {
+      const [, operator = '', version] = token.match(COMPARATOR_REGEX);
+      const partial = parsePartial(version);
+      if (!partial || (operator && !version)) {
+        throw new Error(`Invalid range: ${range}`);
+      }
+      return desugarComparator(operator, partial);
+    });
+  });
+}
+
+/**
+ * Test a version against a primitive comparator
+ * @param {string} version - Version
+ * @param {{operator: string, version: string}} comparator - Comparator
+ * @returns {boolean} True if it matches
+ */
+function testComparator(version, { operator, version: target }) {
+  const cmp = compareVersions(version, target);
+  switch (operator) {
+    case '>': return cmp > 0;
+    case '>=': return cmp >= 0;
+    case '<': return cmp < 0;
+    case '<=': return cmp <= 0;
+    default: return cmp === 0;
   }
+}
+
+/**
+ * Test a version against one comparator set, applying the prerelease rule
+ * @param {Object} parsed - Parsed version
+ * @param {Array} set - Comparator set
+ * @param {boolean} includePrerelease - Let prereleases match any set
+ * @returns {boolean} True if it matches
+ */
+function testSet(parsed, set, includePrerelease) {
+  if (!set.every(comparator => testComparator(parsed.raw, comparator))) {
+    return false;
+  }
+  if (!parsed.prerelease || includePrerelease) {
+    return true;
+  }
+
+  // Prereleases only match when the set opts into prereleases of the same tuple
+  return set.some(({ version }) => {
+    const target = parseVersion(version);
+    return target.prerelease &&
+      target.major === parsed.major &&
+      target.minor === parsed.minor &&
+      target.patch === parsed.patch;
+  });
+}
+
+/**
+ * Check if version satisfies a range
+ * 
+ * See the module documentation for the range grammar and prerelease rules.
+ * 
+ * @param {string} version - Version to check
+ * @param {string} range - Range specification
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.includePrerelease=false] - Let prerelease versions match any range
+ * @returns {boolean} True if version satisfies range
+ * @throws {Error} If version or range is invalid
+ */
+export function satisfiesRange(version, range, options = {}) {
+  const sets = parseRange(range);
 
-  // Greater than
-  if (operator === '>') {
-    return compareVersions(version, targetVersion) > 0;
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    throw new Error(`Invalid semver: ${version}`);
   }
 
-  // Less than or equal
-  if (operator === '<=') {
-    return compareVersions(version, targetVersion) <= 0;
+  return sets.some(set => testSet(parsed, set, options.includePrerelease === true));
+}
+
+/**
+ * Check if a string is a valid range for satisfiesRange
+ * 
+ * @param {string} range - Range specification
+ * @returns {boolean} True if the range can be evaluated
+ */
+export function isValidRange(range) {
+  try {
+    parseRange(range);
+    return true;
+  } catch {
+    return false;
   }
+}
+
+/**
+ * Highest version in a list that satisfies a range
+ * 
+ * @param {string[]} versions - Candidate versions (invalid entries are ignored)
+ * @param {string} range - Range specification
+ * @param {Object} [options={}] - Options passed to satisfiesRange
+ * @returns {string|null} Highest satisfying version, or null if none
+ */
+export function maxSatisfying(versions, range, options = {}) {
+  const matching = versions.filter(v => isValidSemver(v) && satisfiesRange(v, range, options));
+  return matching.reduce((max, v) => (max === null || compareVersions(v, max) > 0 ? v : max), null);
+}
 
-  // Less than
-  if (operator === '<') {
-    return compareVersions(version, targetVersion) < 0;
+/**
+ * Lowest version in a list that satisfies a range
+ * 
+ * @param {string[]} versions - Candidate versions (invalid entries are ignored)
+ * @param {string} range - Range specification
+ * @param {Object} [options={}] - Options passed to satisfiesRange
+ * @returns {string|null} Lowest satisfying version, or null if none
+ */
+export function minSatisfying(versions, range, options = {}) {
+  const matching = versions.filter(v => isValidSemver(v) && satisfiesRange(v, range, options));
+  return matching.reduce((min, v) => (min === null || compareVersions(v, min) < 0 ? v : min), null);
+}
+
+/**
+ * Bounds of a comparator set as an interval
+ * @param {Array} set - Comparator set
+ * @returns {{lower: {version: string, inclusive: boolean}, upper: {version: string, inclusive: boolean}|null}} Interval
+ */
+function setBounds(set) {
+  let lower = { version: '0.0.0-0', inclusive: true };
+  let upper = null;
+
+  for (const { operator, version } of set) {
+    if (operator === '>' || operator === '>=' || operator === '=') {
+      const inclusive = operator !== '>';
+      const cmp = compareVersions(version, lower.version);
+      if (cmp > 0 || (cmp === 0 && !inclusive)) {
+        lower = { version, inclusive };
+      }
+    }
+    if (operator === '<' || operator === '<=' || operator === '=') {
+      const inclusive = operator !== '<';
+      const cmp = upper ? compareVersions(version, upper.version) : -1;
+      if (cmp < 0 || (cmp === 0 && !inclusive)) {
+        upper = { version, inclusive };
+      }
+    }
   }
 
-  // Exact match (no operator)
-  if (operator === '') {
-    return compareVersions(version, targetVersion) === 0;
+  return { lower, upper };
+}
+
+/**
+ * Check if an interval contains at least one version
+ * @param {Object} bounds - Interval from setBounds
+ * @returns {boolean} True if not empty
+ */
+function isNonEmpty({ lower, upper }) {
+  if (!upper) return true;
+  const cmp = compareVersions(lower.version, upper.version);
+  return cmp < 0 || (cmp === 0 && lower.inclusive && upper.inclusive);
+}
+
+/**
+ * Check if two ranges have at least one version in common.
+ * Ranges are compared as version intervals; the prerelease rule is not applied.
+ * 
+ * @param {string} range1 - First range
+ * @param {string} range2 - Second range
+ * @returns {boolean} True if some version satisfies both ranges
+ * @throws {Error} If either range is invalid
+ * 
+ * @example
+ * intersects('^1.2.0', '>=1.5.0 <3.0.0'); // true
+ * intersects('^1.0.0', '^2.0.0');         // false
+ */
+export function intersects(range1, range2) {
+  const sets1 = parseRange(range1);
+  const sets2 = parseRange(range2);
+  return sets1.some(set1 => sets2.some(set2 => isNonEmpty(setBounds([...set1, ...set2]))));
+}
+
+/**
+ * Lowest version that satisfies a range
+ * 
+ * @param {string} range - Range specification
+ * @returns {string|null} Lowest satisfying version, or null if the range matches nothing
+ * @throws {Error} If the range is invalid
+ * 
+ * @example
+ * minVersion('^1.2.3');        // '1.2.3'
+ * minVersion('>1.2.3 || 0.x'); // '0.0.0'
+ */
+export function minVersion(range) {
+  const sets = parseRange(range);
+  let min = null;
+
+  for (const set of sets) {
+    const bounds = setBounds(set);
+    if (!isNonEmpty(bounds)) continue;
+
+    let candidate;
+    if (bounds.lower.version === '0.0.0-0') {
+      candidate = '0.0.0';
+    } else if (bounds.lower.inclusive) {
+      candidate = bounds.lower.version;
+    } else {
+      // Smallest version greater than an exclusive bound
+      const { major, minor, patch, prerelease } = parseVersion(bounds.lower.version);
+      candidate = prerelease
+        ? formatVersion(major, minor, patch, `${prerelease}.0`)
+        : formatVersion(major, minor, patch + 1);
+    }
+
+    // Fall back to the lowest prerelease when only prereleases are allowed (e.g. '<0.0.1-0')
+    if (!satisfiesRange(candidate, range) && satisfiesRange('0.0.0-0', range)) {
+      candidate = '0.0.0-0';
+    }
+    if (satisfiesRange(candidate, range) && (min === null || compareVersions(candidate, min) < 0)) {
+      min = candidate;
+    }
   }
 
-  throw new Error(`Unsupported range operator: ${operator}`);
+  return min;
 }
 
 /**
@@ -0,0 +1,215 @@
+/**
+ * Span Collector
+ *
+ * In-process store for the timing spans recorded by instrumentation.js (build phase,
+ * hook execution, facet init and dispose). Finished spans are kept in a ring buffer and
+ * can be exported as OTLP/JSON (OpenTelemetry) or as Chrome trace events, which open
+ * in chrome://tracing and https://ui.perfetto.dev.
+ *
+ * @example
+ * const system = await useBase('app', { instrumentation: true }).use(useQueue).build();
+ * const collector = system.getSpanCollector();
+ * fs.writeFileSync('build.trace.json', JSON.stringify(collector.toChromeTrace()));
+ */
+import { CircularBuffer } from '../hooks/queue/circular-buffer.js';
+
+const SCOPE_NAME = 'mycelia-kernel-plugin';
+
+/** OTLP status codes */
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+/** OTLP SPAN_KIND_INTERNAL */
+const SPAN_KIND_INTERNAL = 1;
+
+/**
+ * A finished or running span.
+ *
+ * @typedef {Object} Span
+ * @property {string} id - Span id (16 hex characters)
+ * @property {string} traceId - Trace id (32 hex characters), shared with the root span
+ * @property {string|null} parentId - Id of the parent span
+ * @property {string} name - 'build', 'dispose', 'hook', 'facet.init' or 'facet.dispose'
+ * @property {string|null} subsystem - Subsystem name string ('app://', 'app://child')
+ * @property {string|null} kind - Facet kind
+ * @property {string|null} source - Hook or facet source
+ * @property {number} start - Start time in milliseconds since the epoch (fractional)
+ * @property {number|null} duration - Duration in milliseconds (null while running)
+ * @property {{ name: string, message: string }|null} error - Error that ended the span
+ * @property {Object} attributes - Additional attributes
+ */
+
+export class SpanCollector {
+  #spans;
+
+  /**
+   * @param {Object} [options={}] - Collector options
+   * @param {number} [options.capacity=10000] - Finished spans kept; the oldest are dropped first
+   */
+  constructor(options = {}) {
+    const { capacity = 10000 } = options;
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error('SpanCollector: capacity must be a positive integer');
+    }
+    this.#spans = new CircularBuffer(capacity);
+  }
+
+  /**
+   * Start a span. It is stored when end() is called.
+   *
+   * @param {string} name - Span name
+   * @param {Object} [fields={}] - { subsystem, kind, source, attributes }
+   * @param {Span|null} [parent=null] - Parent span (its trace id is reused)
+   * @returns {Span} The running span
+   */
+  start(name, fields = {}, parent = null) {
+    const { subsystem = null, kind = null, source = null, attributes = {} } = fields;
+    return {
+      id: randomHex(8),
+      traceId: parent?.traceId ?? randomHex(16),
+      parentId: parent?.id ?? null,
+      name,
+      subsystem,
+      kind,
+      source,
+      start: now(),
+      duration: null,
+      error: null,
+      attributes: { ...attributes }
+    };
+  }
+
+  /**
+   * End a span and store it.
+   *
+   * @param {Span} span - Span returned by start()
+   * @param {Error} [error] - Error that ended the span
+   * @returns {Span} The finished span
+   */
+  end(span, error) {
+    span.duration = now() - span.start;
+    if (error) {
+      span.error = { name: error.name || 'Error', message: error.message ?? String(error) };
+    }
+    if (this.#spans.isFull()) this.#spans.dropOldest();
+    this.#spans.enqueue(span);
+    return span;
+  }
+
+  /**
+   * Finished spans, oldest first.
+   * @returns {Span[]}
+   */
+  get spans() {
+    return this.#spans.toArray();
+  }
+
+  /** Drop all finished spans. */
+  clear() {
+    this.#spans.clear();
+  }
+
+  /**
+   * Export finished spans as an OTLP/JSON trace request (the body of a POST to /v1/traces).
+   *
+   * @param {Object} [options={}] - Export options
+   * @param {string} [options.serviceName='mycelia'] - Value of the service.name resource attribute
+   * @returns {Object} `{ resourceSpans: [...] }`
+   */
+  toOTLP(options = {}) {
+    const { serviceName = 'mycelia' } = options;
+    const spans = this.spans.map(span => ({
+      traceId: span.traceId,
+      spanId: span.id,
+      ...(span.parentId ? { parentSpanId: span.parentId } : {}),
+      name: span.kind ? `${span.name} ${span.kind}` : span.name,
+      kind: SPAN_KIND_INTERNAL,
+      startTimeUnixNano: toUnixNano(span.start),
+      endTimeUnixNano: toUnixNano(span.start + span.duration),
+      attributes: toOtlpAttributes({
+        'mycelia.span': span.name,
+        'mycelia.subsystem': span.subsystem,
+        'mycelia.facet.kind': span.kind,
+        'mycelia.source': span.source,
+        ...prefixKeys(span.attributes, 'mycelia.')
+      }),
+      status: span.error
+        ? { code: STATUS_ERROR, message: `${span.error.name}: ${span.error.message}` }
+        : { code: STATUS_OK }
+    }));
+
+    return {
+      resourceSpans: [{
+        resource: { attributes: toOtlpAttributes({ 'service.name': serviceName }) },
+        scopeSpans: [{ scope: { name: SCOPE_NAME }, spans }]
+      }]
+    };
+  }
+
+  /**
+   * Export finished spans in the Chrome trace-event format. Each subsystem gets its own track.
+   *
+   * @returns {{ traceEvents: Object[], displayTimeUnit: string }} JSON for chrome://tracing
+   */
+  toChromeTrace() {
+    const tracks = new Map();
+    const trackOf = (subsystem) => {
+      const key = subsystem ?? '<unknown>';
+      if (!tracks.has(key)) tracks.set(key, tracks.size + 1);
+      return tracks.get(key);
+    };
+
+    const events = this.spans.map(span => ({
+      name: span.kind ? `${span.name} ${span.kind}` : span.name,
+      cat: span.name,
+      ph: 'X',
+      ts: Math.round(span.start * 1000),
+      dur: Math.round(span.duration * 1000),
+      pid: 1,
+      tid: trackOf(span.subsystem),
+      args: {
+        ...(span.kind ? { kind: span.kind } : {}),
+        ...(span.source ? { source: span.source } : {}),
+        ...(span.error ? { error: `${span.error.name}: ${span.error.message}` } : {}),
+        ...span.attributes
+      }
+    }));
+
+    const metadata = [...tracks].map(([subsystem, tid]) => ({
+      name: 'thread_name', ph: 'M', pid: 1, tid, args: { name: subsystem }
+    }));
+
+    return { traceEvents: [...metadata, ...events], displayTimeUnit: 'ms' };
+  }
+}
+
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+function randomHex(bytes) {
+  const values = globalThis.crypto.getRandomValues(new Uint8Array(bytes));
+  return Array.from(values, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function toUnixNano(ms) {
+  return (BigInt(Math.floor(ms)) * 1000000n + BigInt(Math.round((ms % 1) * 1e6))).toString();
+}
+
+function prefixKeys(object, prefix) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [`${prefix}${key}`, value]));
+}
+
+function toOtlpAttributes(object) {
+  return Object.entries(object)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+function toOtlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toOtlpValue) } };
+  return { stringValue: String(value) };
+}
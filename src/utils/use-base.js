@@ -10,7 +10,8 @@ import { deepMerge } from '../builder/context-resolver.js';
  * 
  * @param {string} name - Unique name for the plugin system
  * @param {Object} [options={}] - Initial configuration options
- * @param {Object} [options.config={}] - Initial configuration object keyed by facet kind
+ * @param {Object|LayeredConfig} [options.config={}] - Initial configuration object keyed by facet kind,
+ *   or a LayeredConfig from loadConfig()
  * @param {boolean} [options.debug=false] - Enable debug logging
  * @param {Array} [options.defaultHooks=[]] - Optional default hooks to install
  * @returns {UseBaseBuilder} Builder instance with fluent API
@@ -54,6 +55,7 @@ class UseBaseBuilder {
   #BaseClass = StandalonePluginSystem; // Default to StandalonePluginSystem
   #system = null; // Lazy initialization
   #pendingConfig = {};
+  #pendingLayers = []; // raw config() calls, in order
 
   constructor(name, options) {
     this.#name = name;
@@ -276,6 +278,7 @@ class UseBaseBuilder {
       // Override
       this.#pendingConfig[kind] = config;
     }
+    this.#pendingLayers.push({ [kind]: config });
 
     return this;
   }
@@ -408,8 +411,14 @@ class UseBaseBuilder {
         }
       }
 
+      // Record each config() call as an overrides layer for explainConfig()
+      for (const values of this.#pendingLayers) {
+        system._configLayers?.addLayer('overrides', values, 'useBase().config()');
+      }
+
       // Clear pending configs
       this.#pendingConfig = {};
+      this.#pendingLayers = [];
     }
 
     // Merge any additional context
@@ -0,0 +1,42 @@
+/**
+ * Timeout Utilities
+ * 
+ * Shared by hooks that await user code (route handlers, async listeners) with an
+ * optional time limit.
+ */
+
+/**
+ * Await a promise, rejecting if it does not settle within timeoutMs
+ *
+ * @param {Promise} promise - Promise to await
+ * @param {number} [timeoutMs] - Timeout in milliseconds (no timeout if not a positive number)
+ * @param {string} label - Description used in the timeout error
+ * @returns {Promise<*>} Promise result
+ * @throws {Error} With timedOut = true if the timeout elapses first
+ * 
+ * @example
+ * ```javascript
+ * await withTimeout(router.route(message), 500, "route 'users/42'");
+ * // Error: route 'users/42' timed out after 500ms (error.timedOut === true)
+ * ```
+ */
+export async function withTimeout(promise, timeoutMs, label) {
+  if (!(timeoutMs > 0)) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.timedOut = true;
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -12,6 +12,7 @@ import { useMycelia } from './index.js';
  * 
  * @param {string} eventName - Event name/path to listen for
  * @param {Function} handler - Handler function: (message) => void
+ * @param {Object} [options={}] - Options passed to listeners.on() (e.g. { replay: 1 })
  * 
  * @example
  * ```js
@@ -26,7 +27,7 @@ import { useMycelia } from './index.js';
  * }
  * ```
  */
-export function useListener(eventName, handler) {
+export function useListener(eventName, handler, options = {}) {
   const system = useMycelia();
   const listeners = system?.listeners; // useListeners facet
 
@@ -34,19 +35,22 @@ export function useListener(eventName, handler) {
     return;
   }
 
-  listeners.on(eventName, handler);
+  const unsubscribe = listeners.on(eventName, handler, options);
 
-  onUnmounted(() => {
-    listeners.off?.(eventName, handler);
-  });
+  onUnmounted(unsubscribe);
 }
 
 /**
  * useEventStream - Subscribe to events and keep them in reactive state
  * 
+ * Starts from the messages retained for the path (see listeners.retain()), so a component
+ * created after an emit still shows the current state.
+ * 
  * @param {string} eventName - Event name/path to listen for
  * @param {Object} [options={}] - Options
  * @param {boolean} [options.accumulate=false] - If true, accumulate events in array
+ * @param {number} [options.replay] - Retained messages to start from (default: all when
+ *   accumulating, otherwise the last one; 0 to start empty)
  * @returns {import('vue').Ref<any|any[]|null>} Reactive ref to latest event value, array of events, or null
  * 
  * @example
@@ -62,7 +66,7 @@ export function useListener(eventName, handler) {
  * ```
  */
 export function useEventStream(eventName, options = {}) {
-  const { accumulate = false } = options;
+  const { accumulate = false, replay = accumulate ? Infinity : 1 } = options;
   const value = ref(accumulate ? [] : null);
 
   useListener(eventName, (msg) => {
@@ -71,7 +75,7 @@ export function useEventStream(eventName, options = {}) {
     } else {
       value.value = msg.body;
     }
-  });
+  }, { replay });
 
   return value;
 }
@@ -0,0 +1,120 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { BaseSubsystem } from '../../../src/system/base-subsystem.js';
+import { createHook } from '../../../src/core/create-hook.js';
+import { Facet } from '../../../src/core/facet.js';
+import { useQueue } from '../../../src/hooks/queue/use-queue.js';
+import { useListeners } from '../../../src/hooks/listeners/use-listeners.js';
+
+describe('updateConfig', () => {
+  let system;
+
+  afterEach(async () => {
+    if (system?.isBuilt) {
+      await system.dispose();
+    }
+  });
+
+  const cacheSchema = {
+    type: 'object',
+    properties: {
+      ttl: { type: 'integer', minimum: 0, default: 60 },
+      store: { type: 'string', default: 'memory' }
+    }
+  };
+
+  function makeCacheHook({ handler } = {}) {
+    return createHook({
+      kind: 'cache',
+      source: 'cache.js',
+      configSchema: cacheSchema,
+      fn: (ctx) => {
+        const facet = new Facet('cache', { attach: true, source: 'cache.js' })
+          .add({ ttl: ctx.config.cache.ttl });
+        return handler ? facet.onConfigChange(handler) : facet;
+      }
+    });
+  }
+
+  it('should validate the merged config and call onConfigChange in place', async () => {
+    const calls = [];
+    system = new BaseSubsystem('app', { config: { cache: { ttl: 10 } } })
+      .use(makeCacheHook({ handler: (next, prev) => { calls.push({ next, prev }); } }));
+    await system.build();
+    const facet = system.find('cache');
+
+    const result = await system.updateConfig('cache', { ttl: 30 });
+
+    expect(result).toEqual({ config: { ttl: 30, store: 'memory' }, reinitialized: [] });
+    expect(calls).toEqual([{ next: { ttl: 30, store: 'memory' }, prev: { ttl: 10, store: 'memory' } }]);
+    expect(system.find('cache')).toBe(facet);
+    expect(system.ctx.config.cache).toEqual({ ttl: 30, store: 'memory' });
+    expect(system.explainConfig('cache.ttl')).toMatchObject({ value: 30, layer: 'runtime', source: "updateConfig('cache')" });
+  });
+
+  it('should hot-swap facets without a handler', async () => {
+    system = new BaseSubsystem('app', { config: { cache: { ttl: 10 } } }).use(makeCacheHook());
+    await system.build();
+    const facet = system.find('cache');
+
+    const result = await system.updateConfig('cache', { ttl: 5 });
+
+    expect(result.reinitialized).toEqual(['cache']);
+    expect(system.find('cache')).not.toBe(facet);
+    expect(system.find('cache').ttl).toBe(5);
+  });
+
+  it('should reject invalid patches and keep the previous config on failure', async () => {
+    system = new BaseSubsystem('app', { config: { cache: { ttl: 10 } } })
+      .use(makeCacheHook({ handler: (next) => { if (next.store === 'redis') throw new Error('redis unavailable'); } }));
+    await system.build();
+
+    const invalid = await system.updateConfig('cache', { ttl: -1, stor: 'x' }).catch(e => e);
+    expect(invalid.code).toBe('FACET_CONFIG_INVALID');
+    expect(invalid.violations.map(v => v.path)).toEqual(['config.cache.ttl', 'config.cache.stor']);
+
+    await expect(system.updateConfig('cache', { store: 'redis' }))
+      .rejects.toThrow("updateConfig: onConfigChange of 'cache' failed: redis unavailable");
+    expect(system.ctx.config.cache).toEqual({ ttl: 10, store: 'memory' });
+    expect(system.explainConfig('cache.store').layer).toBe('schema-default');
+
+    await expect(system.updateConfig('missing', {})).rejects.toThrow("updateConfig: no facet 'missing' to update");
+    await expect(new BaseSubsystem('idle', {}).updateConfig('cache', {}))
+      .rejects.toThrow('idle: cannot update config before build()');
+  });
+
+  it('should resize the queue and switch its policy live', async () => {
+    system = new BaseSubsystem('app', { config: { queue: { capacity: 4 } } }).use(useQueue);
+    await system.build();
+    const queue = system.queue.queue;
+    for (const n of [1, 2, 3, 4]) queue.enqueue(n);
+
+    await system.updateConfig('queue', { capacity: 2 });
+    expect(queue.peekAll()).toEqual([3, 4]);
+    expect(queue.getStatistics()).toMatchObject({ capacity: 2, itemsDropped: 2 });
+
+    await system.updateConfig('queue', { policy: 'drop-newest', capacity: 3 });
+    queue.enqueue(5);
+    expect(queue.enqueue(6)).toBe(false);
+    expect(queue.peekAll()).toEqual([3, 4, 5]);
+    expect(system.queue.queue).toBe(queue);
+
+    await system.updateConfig('queue', { policy: 'error' });
+    await expect(system.updateConfig('queue', { capacity: 1 })).rejects.toThrow(/cannot shrink to 1 with 3 queued items/);
+    expect(queue.getCapacity()).toBe(3);
+    expect(system.ctx.config.queue.capacity).toBe(3);
+  });
+
+  it('should change the listeners registration policy live', async () => {
+    system = new BaseSubsystem('app', {}).use(useListeners);
+    await system.build();
+    system.listeners.enableListeners();
+    const first = () => {};
+
+    expect(system.listeners.on('layers/create', first)).toBeTypeOf('function');
+    await system.updateConfig('listeners', { registrationPolicy: 'single' });
+
+    expect(system.listeners.listeners.getListenerPolicy()).toBe('single');
+    expect(() => system.listeners.on('layers/create', () => {})).toThrow();
+    expect(system.listeners.on('layers/update', first)).toBeTypeOf('function');
+  });
+});
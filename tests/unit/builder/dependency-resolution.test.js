@@ -2,6 +2,8 @@ import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { StandalonePluginSystem } from '../../../src/system/standalone-plugin-system.js';
 import { createHook } from '../../../src/core/create-hook.js';
 import { Facet } from '../../../src/core/facet.js';
+import { DependencyGraphCache } from '../../../src/builder/dependency-graph-cache.js';
+import { buildDepGraph, topoSort, findDependencyCycles } from '../../../src/builder/dependency-graph.js';
 
 describe('Dependency Resolution', () => {
   let system;
@@ -169,6 +171,90 @@ describe('Dependency Resolution', () => {
         system.use(useA).use(useB).build()
       ).rejects.toThrow();
     });
+
+    /**
+     * Facet stub: `hookDeps` go to hook.required, `facetDeps` to facet.getDependencies()
+     */
+    function graphFor(spec) {
+      const hooksByKind = {};
+      const facetsByKind = {};
+      for (const [kind, { hookDeps = [], facetDeps = [] }] of Object.entries(spec)) {
+        hooksByKind[kind] = [{ kind, required: hookDeps, overwrite: false, source: `file:///${kind}.js` }];
+        facetsByKind[kind] = new Facet(kind, { required: facetDeps, source: `file:///${kind}.facet.js` });
+      }
+      return { hooksByKind, facetsByKind };
+    }
+
+    it('should report the full cycle path with edge origins', async () => {
+      const hook = (kind, required, facetRequired = []) => createHook({
+        kind,
+        required,
+        attach: true,
+        source: `file:///${kind}.js`,
+        fn: () => new Facet(kind, { attach: true, required: facetRequired, source: `file:///${kind}.js` })
+      });
+
+      // a -> b -> c -> a, plus d which only sits behind the cycle
+      system
+        .use(hook('a', ['b']))
+        .use(hook('b', [], ['c']))
+        .use(hook('c', ['a']))
+        .use(hook('d', ['a']));
+
+      const error = await system.build().catch(err => err);
+
+      expect(error.code).toBe('FACET_DEPENDENCY_CYCLE');
+      // Hooks run dependencies-first, so 'b' is the first kind of the cycle
+      expect([...error.stuck].sort()).toEqual(['a', 'b', 'c', 'd']);
+      expect(error.cycles.map(cycle => cycle.path)).toEqual([['b', 'c', 'a', 'b']]);
+      expect(error.cycles[0].edges).toEqual([
+        { from: 'b', to: 'c', origins: ['facet.getDependencies()'], source: 'file:///b.js' },
+        { from: 'c', to: 'a', origins: ['hook.required'], source: 'file:///c.js' },
+        { from: 'a', to: 'b', origins: ['hook.required'], source: 'file:///a.js' }
+      ]);
+      expect(error.message).toContain('cycle 1: b -> c -> a -> b');
+      expect(error.message).toContain('b -> c (facet.getDependencies(), from file:///b.js)');
+      expect(error.message).not.toContain('-> d');
+    });
+
+    it('should list every cycle, including self-dependencies', () => {
+      const { hooksByKind, facetsByKind } = graphFor({
+        a: { hookDeps: ['b'] },
+        b: { hookDeps: ['a', 'c'] },
+        c: { hookDeps: ['a'], facetDeps: ['a'] },
+        x: { facetDeps: ['x'] },
+        ok: {}
+      });
+      const graphData = buildDepGraph(hooksByKind, facetsByKind);
+
+      expect(() => topoSort(graphData)).toThrow(/a -> b -> a[\s\S]*a -> b -> c -> a[\s\S]*x -> x/);
+
+      const cycles = findDependencyCycles({ ...graphData, kinds: ['a', 'b', 'c', 'x'] });
+      expect(cycles.map(cycle => cycle.path.join(' -> '))).toEqual(['a -> b -> a', 'a -> b -> c -> a', 'x -> x']);
+      const ca = cycles[1].edges.find(edge => edge.from === 'c');
+      expect(ca.origins).toEqual(['hook.required', 'facet.getDependencies()']);
+    });
+
+    it('should keep cycle details in the graph cache', () => {
+      const { hooksByKind, facetsByKind } = graphFor({ a: { hookDeps: ['b'] }, b: { hookDeps: ['a'] } });
+      const cache = new DependencyGraphCache();
+
+      const first = (() => {
+        try { topoSort(buildDepGraph(hooksByKind, facetsByKind), cache, 'a,b'); } catch (err) { return err; }
+      })();
+      expect(cache.get('a,b')).toMatchObject({
+        valid: false,
+        error: first.message,
+        details: { stuck: ['a', 'b'], cycles: first.cycles }
+      });
+
+      const cached = (() => {
+        try { topoSort(buildDepGraph(hooksByKind, facetsByKind), cache, 'a,b'); } catch (err) { return err; }
+      })();
+      expect(cached.message).toBe(first.message);
+      expect(cached.code).toBe('FACET_DEPENDENCY_CYCLE');
+      expect(cached.cycles).toEqual(first.cycles);
+    });
   });
 
   describe('missing dependencies', () => {
@@ -187,6 +273,92 @@ describe('Dependency Resolution', () => {
     });
   });
 
+  describe('optional dependencies and version ranges', () => {
+    const provider = (kind, version, facetVersion) => createHook({
+      kind,
+      version,
+      attach: true,
+      source: `${kind}.js`,
+      fn: () => new Facet(kind, { attach: true, source: `${kind}.js`, version: facetVersion })
+    });
+
+    const consumer = (required, seen = {}) => createHook({
+      kind: 'cache',
+      required,
+      attach: true,
+      source: 'cache.js',
+      fn: (ctx, api, subsystem) => {
+        seen.storage = subsystem.find('storage');
+        return new Facet('cache', { attach: true, source: 'cache.js' });
+      }
+    });
+
+    it('should order optional dependencies first when present', async () => {
+      const seen = {};
+      system
+        .use(consumer([{ kind: 'storage', optional: true }], seen))
+        .use(provider('storage', '1.0.0'));
+      await system.build();
+
+      expect(seen.storage).toBe(system.find('storage'));
+    });
+
+    it('should build without absent optional dependencies', async () => {
+      const seen = {};
+      system.use(consumer([{ kind: 'storage', range: '^2.0.0', optional: true }], seen));
+      await system.build();
+
+      expect(seen.storage).toBeUndefined();
+      expect(system.find('cache')).toBeDefined();
+    });
+
+    it('should check ranges against the facet version, falling back to the hook version', async () => {
+      system
+        .use(consumer([{ kind: 'storage', range: '^2.0.0' }]))
+        .use(provider('storage', '2.3.0'));
+      await system.build();
+      expect(system.find('cache')).toBeDefined();
+      await system.dispose();
+
+      // The facet's own version wins over the hook's
+      const other = new StandalonePluginSystem('other', {});
+      other
+        .use(consumer([{ kind: 'storage', range: '^2.0.0' }]))
+        .use(provider('storage', '2.3.0', '1.9.0'));
+      await expect(other.build()).rejects.toThrow(
+        "Hook 'cache' (from cache.js) requires facet 'storage' ^2.0.0, but version 1.9.0 is installed (from storage.js)."
+      );
+    });
+
+    it('should fail when a present optional dependency is out of range', async () => {
+      system
+        .use(consumer([{ kind: 'storage', range: '>=2.0.0', optional: true }]))
+        .use(provider('storage', '1.4.0'));
+
+      await expect(system.build()).rejects.toThrow(/requires optional facet 'storage' >=2\.0\.0, but version 1\.4\.0 is installed/);
+    });
+  });
+
+  describe('incompatible version requirements', () => {
+    it('should name both hooks when their ranges cannot be satisfied together', async () => {
+      const requester = (kind, range) => createHook({
+        kind,
+        required: [{ kind: 'storage', range }],
+        source: `${kind}.js`,
+        fn: () => new Facet(kind)
+      });
+      system
+        .use(createHook({ kind: 'storage', version: '1.5.0', source: 'storage.js', fn: () => new Facet('storage') }))
+        .use(requester('cache', '^1.2.0'))
+        .use(requester('search', '>=2.0.0 || <1.0.0'));
+
+      await expect(system.build()).rejects.toThrow(
+        "Incompatible version requirements for facet 'storage': hook 'cache' (from cache.js) requires ^1.2.0, " +
+        "hook 'search' (from search.js) requires >=2.0.0 || <1.0.0."
+      );
+    });
+  });
+
   describe('registration order independence', () => {
     it('should work regardless of registration order', async () => {
       const useDatabase = createHook({
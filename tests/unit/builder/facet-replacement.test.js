@@ -0,0 +1,203 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { BaseSubsystem } from '../../../src/system/base-subsystem.js';
+import { FacetManager } from '../../../src/manager/facet-manager.js';
+import { createHook } from '../../../src/core/create-hook.js';
+import { Facet } from '../../../src/core/facet.js';
+
+describe('replaceFacet', () => {
+  let system;
+  let events;
+
+  /**
+   * Hook factory: the facet records init/dispose and captures the facets it requires
+   */
+  function makeHook(kind, { required = [], version = 1, failInit = false, overwrite = false } = {}) {
+    return createHook({
+      kind,
+      required,
+      overwrite,
+      attach: true,
+      source: `${kind}.v${version}.js`,
+      fn: (ctx, api, subsystem) => {
+        const deps = Object.fromEntries(required.map(dep => [dep, subsystem.find(dep)]));
+        const facetRequired = required.filter(dep => dep !== kind);
+        return new Facet(kind, { attach: true, required: facetRequired, source: `${kind}.v${version}.js` })
+          .add({ version, deps })
+          .onInit(() => {
+            if (failInit) throw new Error(`${kind} init failed`);
+            events.push(`init ${kind}@${version}`);
+          })
+          .onDispose(() => {
+            events.push(`dispose ${kind}@${version}`);
+          });
+      }
+    });
+  }
+
+  beforeEach(async () => {
+    events = [];
+    // config <- database <- cache <- sessions ; logger is unrelated
+    system = new BaseSubsystem('app', { config: {} });
+    system
+      .use(makeHook('config'))
+      .use(makeHook('logger'))
+      .use(makeHook('database', { required: ['config'] }))
+      .use(makeHook('cache', { required: ['database'] }))
+      .use(makeHook('sessions', { required: ['cache'] }));
+    await system.build();
+    events = [];
+  });
+
+  afterEach(async () => {
+    if (system?.isBuilt) {
+      await system.dispose();
+    }
+  });
+
+  it('should re-run the hook and re-create transitive dependents only', async () => {
+    const logger = system.find('logger');
+    const config = system.find('config');
+
+    const replaced = await system.replaceFacet('database', makeHook('database', { required: ['config'], version: 2 }));
+
+    expect(replaced).toEqual(['database', 'cache', 'sessions']);
+    expect(system.database.version).toBe(2);
+    expect(system.find('database')).toBe(system.database);
+    expect(system.cache.deps.database).toBe(system.database);
+    expect(system.sessions.deps.cache).toBe(system.cache);
+    expect(system.find('logger')).toBe(logger);
+    expect(system.find('config')).toBe(config);
+
+    // New facets initialize in dependency order, then old ones are disposed dependents-first
+    expect(events).toEqual([
+      'init database@2', 'init cache@1', 'init sessions@1',
+      'dispose sessions@1', 'dispose cache@1', 'dispose database@1'
+    ]);
+  });
+
+  it('should keep order indexes so find() keeps working by index', async () => {
+    const index = system.find('cache').orderIndex;
+    await system.replaceFacet('database', makeHook('database', { required: ['config'], version: 2 }));
+
+    expect(system.find('cache').orderIndex).toBe(index);
+    expect(system.find('cache', index)).toBe(system.cache);
+  });
+
+  it('should restore the previous facets when a dependent fails to initialize', async () => {
+    const before = ['database', 'cache', 'sessions'].map(kind => system.find(kind));
+    const failingSessions = makeHook('sessions', { required: ['cache'], version: 2, failInit: true });
+
+    await expect(system.replaceFacet('sessions', failingSessions)).rejects.toThrow(/failed to replace 'sessions': sessions init failed/);
+    expect(system.find('sessions')).toBe(before[2]);
+    expect(system.sessions).toBe(before[2]);
+
+    await system.replaceFacet('database', makeHook('database', { required: ['config'], version: 2 }));
+    events = [];
+
+    // Make cache fail: database has been swapped by then and must come back too
+    const current = ['database', 'cache', 'sessions'].map(kind => system.find(kind));
+    system.hooks[3] = makeHook('cache', { required: ['database'], version: 9, failInit: true });
+    await expect(system.replaceFacet('database', makeHook('database', { required: ['config'], version: 3 }))).rejects.toThrow(/cache init failed/);
+
+    expect(['database', 'cache', 'sessions'].map(kind => system.find(kind))).toEqual(current);
+    expect(system.database).toBe(current[0]);
+    expect(system.cache).toBe(current[1]);
+    expect(events).toContain('dispose database@3');
+    expect(events).not.toContain('dispose database@2');
+  });
+
+  it('should keep the new hook for later rebuilds', async () => {
+    await system.replaceFacet('cache', makeHook('cache', { required: ['database'], version: 2 }));
+
+    await system.reload();
+    await system.build();
+    expect(system.cache.version).toBe(2);
+  });
+
+  it('should reject invalid replacements', async () => {
+    await expect(system.replaceFacet('cache', makeHook('database'))).rejects.toThrow(/does not match 'cache'/);
+    await expect(system.replaceFacet('metrics', makeHook('metrics'))).rejects.toThrow(/no facet 'metrics'/);
+    await expect(system.replaceFacet('config', makeHook('config', { required: ['sessions'] }))).rejects.toThrow(/cycle/);
+
+    const unbuilt = new BaseSubsystem('unbuilt', {});
+    await expect(unbuilt.replaceFacet('cache', makeHook('cache'))).rejects.toThrow(/before build/);
+  });
+
+  it('should reject replacements outside a version range requested by a dependent', async () => {
+    const ranged = new BaseSubsystem('ranged', {});
+    const store = version => createHook({
+      kind: 'store', version, attach: true, source: 'store.js', fn: () => new Facet('store', { attach: true })
+    });
+    ranged
+      .use(store('1.2.0'))
+      .use(createHook({
+        kind: 'reader',
+        required: [{ kind: 'store', range: '^1.0.0' }],
+        attach: true,
+        source: 'reader.js',
+        fn: () => new Facet('reader', { attach: true })
+      }));
+    await ranged.build();
+    const before = ranged.find('store');
+
+    await expect(ranged.replaceFacet('store', store('2.0.0'))).rejects.toThrow(/requires facet 'store' \^1\.0\.0, but version 2\.0\.0/);
+    expect(ranged.find('store')).toBe(before);
+
+    await ranged.replaceFacet('store', store('1.3.0'));
+    expect(ranged.find('store')).not.toBe(before);
+    await ranged.dispose();
+  });
+
+  it('should refuse kinds built from overwrite chains', async () => {
+    const chained = new BaseSubsystem('chained', {});
+    chained
+      .use(makeHook('store'))
+      .use(makeHook('store', { required: ['store'], overwrite: true, version: 2 }));
+    await chained.build();
+
+    await expect(chained.replaceFacet('store', makeHook('store', { version: 3 }))).rejects.toThrow(/several overwrite hooks/);
+    await chained.dispose();
+  });
+
+  it('should run the new hook with the context resolved by the last build', async () => {
+    const seen = [];
+    const makeProbe = (version) => createHook({
+      kind: 'probe',
+      source: `probe.v${version}.js`,
+      fn: (ctx) => {
+        seen.push(ctx);
+        return new Facet('probe', { attach: true, source: `probe.v${version}.js` }).add({ version });
+      }
+    });
+    const probed = new BaseSubsystem('probed', { config: { probe: { level: 1 } } }).use(makeProbe(1));
+    await probed.build({ config: { probe: { level: 2 } }, region: 'eu' });
+
+    await probed.replaceFacet('probe', makeProbe(2));
+    await probed.updateConfig('probe', { verbose: true });
+
+    expect(seen).toHaveLength(3);
+    expect(seen[1]).toMatchObject({ region: 'eu', config: { probe: { level: 2 } } });
+    expect(seen[2]).toMatchObject({ region: 'eu', config: { probe: { level: 2, verbose: true } } });
+    await probed.dispose();
+  });
+});
+
+describe('FacetManager.replace', () => {
+  it('should restore the previous facet on init failure outside a transaction', async () => {
+    const subsystem = { name: 'test', ctx: {} };
+    const manager = new FacetManager(subsystem);
+    const original = new Facet('cache', { attach: true });
+    await manager.add('cache', original, { init: true, attach: true });
+
+    const broken = new Facet('cache', { attach: true }).onInit(() => { throw new Error('boom'); });
+    await expect(manager.replace('cache', broken, { init: true, attach: true })).rejects.toThrow('boom');
+
+    expect(manager.find('cache')).toBe(original);
+    expect(subsystem.cache).toBe(original);
+
+    const next = new Facet('cache', { attach: true });
+    expect(await manager.replace('cache', next, { init: true, attach: true })).toEqual([original]);
+    expect(manager.find('cache')).toBe(next);
+    expect(subsystem.cache).toBe(next);
+  });
+});
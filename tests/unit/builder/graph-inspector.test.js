@@ -0,0 +1,159 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { BaseSubsystem } from '../../../src/system/base-subsystem.js';
+import { createHook } from '../../../src/core/create-hook.js';
+import { Facet } from '../../../src/core/facet.js';
+import { formatGraphAsDot, formatGraphAsMermaid } from '../../../src/builder/graph-inspector.js';
+
+describe('inspectGraph', () => {
+  let system;
+
+  function makeHook(kind, { required = [], version = '1.0.0', overwrite = false, contract = null } = {}) {
+    return createHook({
+      kind,
+      version,
+      required,
+      overwrite,
+      attach: true,
+      source: `file:///plugins/${kind}.js`,
+      fn: () => new Facet(kind, {
+        attach: true,
+        required: required.filter(dep => dep !== kind),
+        source: `file:///plugins/${kind}.js`,
+        contract
+      }).add({})
+    });
+  }
+
+  function createSystem() {
+    // config <- database <- cache ; config <- logger ; store has an overwrite chain
+    return new BaseSubsystem('app', { config: {} })
+      .use(makeHook('config'))
+      .use(makeHook('logger', { required: ['config'] }))
+      .use(makeHook('database', { required: ['config'], version: '2.1.0' }))
+      .use(makeHook('cache', { required: ['database', 'logger'] }))
+      .use(makeHook('store'))
+      .use(makeHook('store', { required: ['store'], overwrite: true, version: '1.1.0' }));
+  }
+
+  afterEach(async () => {
+    if (system?.isBuilt) {
+      await system.dispose();
+    }
+  });
+
+  it('should describe nodes, edges, init levels and overwrite chains as JSON', async () => {
+    system = createSystem();
+    await system.build();
+
+    const graph = system.inspectGraph();
+
+    expect(graph.subsystem).toBe('app');
+    expect(graph.levels).toEqual([['config', 'store'], ['logger', 'database'], ['cache']]);
+    expect(graph.edges).toEqual(expect.arrayContaining([
+      { from: 'config', to: 'logger' },
+      { from: 'config', to: 'database' },
+      { from: 'database', to: 'cache' },
+      { from: 'logger', to: 'cache' }
+    ]));
+    expect(graph.edges).toHaveLength(4);
+
+    const database = graph.nodes.find(node => node.kind === 'database');
+    expect(database).toMatchObject({
+      version: '2.1.0',
+      source: 'file:///plugins/database.js',
+      level: 1,
+      attach: true
+    });
+    expect(graph.order.indexOf('config')).toBeLessThan(graph.order.indexOf('database'));
+
+    expect(graph.overwriteChains).toEqual([{
+      kind: 'store',
+      hooks: [
+        { source: 'file:///plugins/store.js', version: '1.0.0', overwrite: false, required: [], dependencies: [], index: 0 },
+        {
+          source: 'file:///plugins/store.js',
+          version: '1.1.0',
+          overwrite: true,
+          required: ['store'],
+          dependencies: [{ kind: 'store', range: null, optional: false }],
+          index: 1
+        }
+      ]
+    }]);
+    expect(graph.hookOrder.filter(hook => hook.kind === 'store').map(hook => hook.index)).toEqual([0, 1]);
+    expect(JSON.parse(JSON.stringify(graph))).toEqual(graph);
+  });
+
+  it('should include contracts', async () => {
+    system = new BaseSubsystem('contracts', {})
+      .use(createHook({
+        kind: 'router',
+        attach: true,
+        source: 'router.js',
+        contract: 'router',
+        fn: () => new Facet('router', { attach: true, source: 'router.js', contract: 'router' })
+          .add({ registerRoute() {}, match() {}, route() {}, unregisterRoute() {}, hasRoute() {}, getRoutes() {}, _routeRegistry: {} })
+      }));
+    await system.build();
+
+    expect(system.inspectGraph().nodes[0].contract).toBe('router');
+    expect(system.inspectGraph({ format: 'dot' })).toContain('contract: router');
+  });
+
+  it('should inspect the plan before build without initializing anything', () => {
+    system = createSystem();
+
+    const graph = system.inspectGraph();
+
+    expect(system.isBuilt).toBe(false);
+    expect(graph.levels[0]).toEqual(['config', 'store']);
+  });
+
+  it('should render DOT with one cluster per init level', async () => {
+    system = createSystem();
+    await system.build();
+
+    const dot = system.inspectGraph({ format: 'dot' });
+
+    expect(dot.startsWith('digraph "app" {')).toBe(true);
+    expect(dot).toContain('subgraph cluster_level_0 {');
+    expect(dot).toContain('subgraph cluster_level_2 {');
+    expect(dot).toContain('"database" [label="database@2.1.0\\nfile:///plugins/database.js"];');
+    expect(dot).toContain('"config" -> "database";');
+    expect(dot).toMatch(/"store" \[label="store@1\.1\.0\\nhook #0: [^"]+\\noverwrite #1: [^"]+", style=bold\];/);
+    expect(dot.trim().endsWith('}')).toBe(true);
+  });
+
+  it('should render Mermaid with one subgraph per init level', async () => {
+    system = createSystem();
+    await system.build();
+
+    const mermaid = system.inspectGraph({ format: 'mermaid' });
+    const lines = mermaid.split('\n');
+
+    expect(lines[0]).toBe('flowchart LR');
+    expect(lines).toContain('  subgraph level_1 ["init level 1"]');
+    const id = mermaid.match(/(f\d+_database)\[/)[1];
+    const configId = mermaid.match(/(f\d+_config)\[/)[1];
+    expect(lines).toContain(`  ${configId} --> ${id}`);
+    expect(mermaid).toContain('database@2.1.0<br/>file:///plugins/database.js');
+  });
+
+  it('should escape quotes and sanitize identifiers', () => {
+    const graph = {
+      subsystem: 'a "quoted" name',
+      nodes: [{ kind: 'my-kind', version: null, source: 'say "hi".js', contract: null, hooks: [] }],
+      edges: [],
+      levels: [['my-kind']]
+    };
+
+    expect(formatGraphAsDot(graph)).toContain('digraph "a \\"quoted\\" name" {');
+    expect(formatGraphAsDot(graph)).toContain('[label="my-kind\\nsay \\"hi\\".js"]');
+    expect(formatGraphAsMermaid(graph)).toContain('f0_my_kind["my-kind<br/>say #quot;hi#quot;.js"]');
+  });
+
+  it('should reject unknown formats', () => {
+    system = createSystem();
+    expect(() => system.inspectGraph({ format: 'svg' })).toThrow(/unknown format 'svg'/);
+  });
+});
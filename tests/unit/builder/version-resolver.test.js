@@ -0,0 +1,159 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { BaseSubsystem } from '../../../src/system/base-subsystem.js';
+import { createHook } from '../../../src/core/create-hook.js';
+import { Facet } from '../../../src/core/facet.js';
+import { extractHookMetadata } from '../../../src/builder/hook-processor.js';
+import { getVersionedProviders, resolveDependencyBindings } from '../../../src/builder/version-resolver.js';
+
+describe('multi-version resolution', () => {
+  let system;
+
+  function makeCacheHook(version, events = []) {
+    return createHook({
+      kind: 'cache',
+      version,
+      attach: true,
+      source: `cache@${version}.js`,
+      fn: () => new Facet('cache', { attach: true, source: `cache@${version}.js` })
+        .add({ generation: version })
+        .onInit(() => { events.push(`init ${version}`); })
+        .onDispose(() => { events.push(`dispose ${version}`); })
+    });
+  }
+
+  function makeConsumerHook(kind, range, seen = {}) {
+    return createHook({
+      kind,
+      required: [{ kind: 'cache', range }],
+      source: `${kind}.js`,
+      fn: (ctx, api, subsystem) => {
+        seen[kind] = subsystem.find('cache', { range });
+        return new Facet(kind, { required: ['cache'], source: `${kind}.js` }).add({});
+      }
+    });
+  }
+
+  afterEach(async () => {
+    if (system?.isBuilt) {
+      await system.dispose();
+    }
+  });
+
+  it('should bind each consumer to the newest compatible provider', async () => {
+    const seen = {};
+    system = new BaseSubsystem('app', {})
+      .use(makeCacheHook('1.4.0'))
+      .use(makeCacheHook('2.1.0'))
+      .use(makeCacheHook('1.2.0'))
+      .use(makeConsumerHook('legacy', '^1.0.0', seen))
+      .use(makeConsumerHook('modern', '^2.0.0', seen));
+    await system.build();
+
+    expect(seen.legacy.generation).toBe('1.4.0');
+    expect(seen.modern.generation).toBe('2.1.0');
+    expect(system.find('cache').generation).toBe('2.1.0');
+    expect(system.cache.generation).toBe('2.1.0');
+    expect(system.find('cache', { range: '~1.2.0' }).generation).toBe('1.2.0');
+    expect(system.find('cache', { range: '^3.0.0' })).toBeUndefined();
+    expect(system.api.__facets.getVersions('cache').map(facet => facet.getVersion()))
+      .toEqual(['2.1.0', '1.4.0', '1.2.0']);
+  });
+
+  it('should expose the chosen bindings in the build plan', () => {
+    system = new BaseSubsystem('app', {})
+      .use(makeCacheHook('1.4.0'))
+      .use(makeCacheHook('2.1.0'))
+      .use(makeConsumerHook('legacy', '^1.0.0'))
+      .use(makeConsumerHook('modern', '^2.0.0'));
+
+    const plan = system._builder.plan().getPlan();
+
+    expect(plan.bindings).toEqual([
+      {
+        consumer: 'legacy', consumerVersion: '0.0.0', consumerIndex: 0, consumerSource: 'legacy.js',
+        dependency: 'cache', range: '^1.0.0', optional: false, version: '1.4.0', index: 0, source: 'cache@1.4.0.js'
+      },
+      {
+        consumer: 'modern', consumerVersion: '0.0.0', consumerIndex: 0, consumerSource: 'modern.js',
+        dependency: 'cache', range: '^2.0.0', optional: false, version: '2.1.0', index: 1, source: 'cache@2.1.0.js'
+      }
+    ]);
+    expect(plan.facetsByKind.cache.getVersion()).toBe('2.1.0');
+    expect(plan.alternateFacets.cache.map(facet => facet.getVersion())).toEqual(['1.4.0']);
+  });
+
+  it('should fail when no provider satisfies a mandatory range', () => {
+    system = new BaseSubsystem('app', {})
+      .use(makeCacheHook('1.4.0'))
+      .use(makeCacheHook('2.1.0'))
+      .use(makeConsumerHook('future', '^3.0.0'));
+
+    expect(() => system._builder.plan()).toThrow(
+      "Hook 'future' (from future.js) requires facet 'cache' ^3.0.0, but no provider satisfies it (available: 2.1.0, 1.4.0)."
+    );
+  });
+
+  it('should skip unsatisfied optional dependencies', () => {
+    const hooks = [
+      makeCacheHook('1.0.0'),
+      makeCacheHook('2.0.0'),
+      createHook({
+        kind: 'report',
+        required: [{ kind: 'cache', range: '^3.0.0', optional: true }],
+        source: 'report.js',
+        fn: () => new Facet('report')
+      })
+    ];
+    const hooksByKind = extractHookMetadata(hooks);
+
+    expect([...getVersionedProviders(hooksByKind).keys()]).toEqual(['cache']);
+    expect(resolveDependencyBindings(hooksByKind)).toEqual([]);
+  });
+
+  it('should not treat overwrite chains or same-version duplicates as versioned', () => {
+    const base = createHook({ kind: 'store', version: '1.0.0', source: 'store.js', fn: () => new Facet('store') });
+    const overwrite = createHook({
+      kind: 'store',
+      version: '2.0.0',
+      overwrite: true,
+      source: 'store-v2.js',
+      fn: () => new Facet('store', { overwrite: true })
+    });
+
+    expect(getVersionedProviders(extractHookMetadata([base, overwrite])).size).toBe(0);
+    expect(getVersionedProviders(extractHookMetadata([base, base])).size).toBe(0);
+  });
+
+  it('should initialize and dispose alternate versions with the subsystem', async () => {
+    const events = [];
+    system = new BaseSubsystem('app', {})
+      .use(makeCacheHook('1.0.0', events))
+      .use(makeCacheHook('2.0.0', events));
+    await system.build();
+
+    expect(events.sort()).toEqual(['init 1.0.0', 'init 2.0.0']);
+
+    await system.dispose();
+
+    expect(events).toEqual(expect.arrayContaining(['dispose 1.0.0', 'dispose 2.0.0']));
+    expect(system.api.__facets.getVersions('cache')).toEqual([]);
+  });
+
+  it('should dispose alternate versions when the build rolls back', async () => {
+    const events = [];
+    system = new BaseSubsystem('app', {})
+      .use(makeCacheHook('1.0.0', events))
+      .use(makeCacheHook('2.0.0', events))
+      .use(createHook({
+        kind: 'broken',
+        required: ['cache'],
+        source: 'broken.js',
+        fn: () => new Facet('broken', { required: ['cache'] }).onInit(() => { throw new Error('boom'); })
+      }));
+
+    await expect(system.build()).rejects.toThrow('boom');
+
+    expect(events).toContain('dispose 1.0.0');
+    expect(system.api.__facets.getVersions('cache')).toEqual([]);
+  });
+});
@@ -119,6 +119,30 @@ describe('createHook', () => {
       expect(hook.attach).toBe(false);
       expect(hook.contract).toBe(null);
     });
+
+    it('should normalize dependency objects', () => {
+      const hook = createHook({
+        kind: 'cache',
+        required: ['logger', { kind: 'storage', range: '^2.0.0' }, { kind: 'statistics', optional: true }],
+        source: 'test.js',
+        fn: () => new Facet('cache')
+      });
+
+      expect(hook.required).toEqual(['logger', 'storage']);
+      expect(hook.dependencies).toEqual([
+        { kind: 'logger', range: null, optional: false },
+        { kind: 'storage', range: '^2.0.0', optional: false },
+        { kind: 'statistics', range: null, optional: true }
+      ]);
+    });
+
+    it('should reject malformed dependency objects', () => {
+      const make = required => () => createHook({ kind: 'cache', required, source: 'test.js', fn: () => null });
+
+      expect(make([{ range: '^1.0.0' }])).toThrow(/must be facet kinds or \{ kind, range, optional \} objects/);
+      expect(make([42])).toThrow(/must be facet kinds/);
+      expect(make([{ kind: 'storage', range: '^two' }])).toThrow(/invalid semver range "\^two" for dependency "storage"/);
+    });
   });
 
   describe('hook execution', () => {
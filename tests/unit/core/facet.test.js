@@ -107,6 +107,26 @@ describe('Facet', () => {
     });
   });
 
+  describe('onConfigChange', () => {
+    it('should register a config change handler before init', async () => {
+      const facet = new Facet('test');
+      const calls = [];
+
+      expect(facet.hasConfigChangeHandler()).toBe(false);
+      expect(facet.onConfigChange((next, prev) => { calls.push([next, prev]); })).toBe(facet);
+      expect(facet.hasConfigChangeHandler()).toBe(true);
+
+      await facet.changeConfig({ size: 2 }, { size: 1 });
+      expect(calls).toEqual([[{ size: 2 }, { size: 1 }]]);
+    });
+
+    it('should reject handlers after init', async () => {
+      const facet = new Facet('test');
+      await facet.init({}, {}, null);
+      expect(() => facet.onConfigChange(() => {})).toThrow("Facet 'test': onConfigChange must be set before init()");
+    });
+  });
+
   describe('introspection methods', () => {
     it('should return kind', () => {
       const facet = new Facet('database');
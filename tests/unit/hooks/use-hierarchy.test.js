@@ -0,0 +1,131 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { useHierarchy } from '../../../src/hooks/hierarchy/use-hierarchy.js';
+import { ChildSubsystemRegistry } from '../../../src/hooks/hierarchy/child-subsystem-registry.js';
+import { StandalonePluginSystem } from '../../../src/system/standalone-plugin-system.js';
+import { collectChildren } from '../../../src/system/base-subsystem.utils.js';
+import { validateFacets } from '../../../src/builder/facet-validator.js';
+import { defaultContractRegistry } from '../../../src/contract/index.js';
+
+async function createNode(name) {
+  const node = new StandalonePluginSystem(name, {});
+  node.use(useHierarchy);
+  await node.build();
+  return node;
+}
+
+/**
+ * kernel://
+ * ├── cache
+ * │   └── manager
+ * └── net
+ */
+async function createTree() {
+  const kernel = await createNode('kernel');
+  const cache = await createNode('cache');
+  const manager = await createNode('manager');
+  const net = await createNode('net');
+  kernel.hierarchy.addChild(cache);
+  kernel.hierarchy.addChild(net);
+  cache.hierarchy.addChild(manager);
+  return { kernel, cache, manager, net };
+}
+
+describe('useHierarchy', () => {
+  let tree;
+
+  afterEach(async () => {
+    if (tree?.kernel.isBuilt) {
+      await tree.kernel.dispose();
+    }
+    tree = null;
+  });
+
+  it('should pass contract enforcement in validateFacets', () => {
+    const system = new StandalonePluginSystem('test', {});
+    const facet = useHierarchy(system.ctx, system.api, system);
+
+    expect(() => validateFacets({ hierarchy: facet }, system.ctx, system, defaultContractRegistry)).not.toThrow();
+    expect(facet.children).toBeInstanceOf(ChildSubsystemRegistry);
+  });
+
+  it('should add, get, list and remove children', async () => {
+    tree = await createTree();
+    const { kernel, cache, net } = tree;
+
+    expect(kernel.hierarchy.listChildren()).toEqual([cache, net]);
+    expect(kernel.hierarchy.getChild('cache')).toBe(cache);
+    expect(collectChildren(kernel)).toEqual([cache, net]);
+
+    expect(kernel.hierarchy.removeChild('net')).toBe(true);
+    expect(net.getParent()).toBeNull();
+    expect(kernel.hierarchy.removeChild(net)).toBe(false);
+    expect(kernel.hierarchy.listChildren()).toEqual([cache]);
+  });
+
+  it('should back BaseSubsystem parent and root accessors', async () => {
+    tree = await createTree();
+    const { kernel, cache, manager } = tree;
+
+    expect(manager.getParent()).toBe(cache);
+    expect(manager.isRoot()).toBe(false);
+    expect(kernel.isRoot()).toBe(true);
+    expect(manager.getRoot()).toBe(kernel);
+    expect(manager.getNameString()).toBe('kernel://cache/manager');
+  });
+
+  it('should return the lineage from root to node', async () => {
+    tree = await createTree();
+    const { kernel, cache, manager } = tree;
+
+    expect(manager.hierarchy.getLineage()).toEqual([kernel, cache, manager]);
+    expect(kernel.hierarchy.getLineage()).toEqual([kernel]);
+  });
+
+  it('should look up descendants by getNameString() path', async () => {
+    tree = await createTree();
+    const { kernel, cache, manager, net } = tree;
+
+    expect(kernel.hierarchy.getChild('kernel://cache/manager')).toBe(manager);
+    expect(kernel.hierarchy.getChild('cache/manager')).toBe(manager);
+    expect(cache.hierarchy.getChild('kernel://cache/manager')).toBe(manager);
+    expect(cache.hierarchy.getChild('kernel://net')).toBeUndefined();
+    expect(kernel.hierarchy.getChild('other://cache')).toBeUndefined();
+
+    // findByPath resolves absolute paths from the root, from anywhere in the tree
+    expect(manager.hierarchy.findByPath('kernel://net')).toBe(net);
+    expect(manager.hierarchy.findByPath('kernel://')).toBe(kernel);
+    expect(net.hierarchy.findByPath(manager.getNameString())).toBe(manager);
+  });
+
+  it('should reject duplicate names, second parents and cycles', async () => {
+    tree = await createTree();
+    const { kernel, manager } = tree;
+
+    const otherCache = new StandalonePluginSystem('cache', {});
+    expect(() => kernel.hierarchy.addChild(otherCache)).toThrow(/already has a child named 'cache'/);
+    expect(() => kernel.hierarchy.addChild(manager)).toThrow(/already a child of 'cache'/);
+    expect(() => manager.hierarchy.addChild(kernel)).toThrow(/would create a cycle/);
+    expect(() => kernel.hierarchy.addChild(kernel)).toThrow(/cycle/);
+  });
+
+  it('should build and dispose registered children with the parent', async () => {
+    const parent = new StandalonePluginSystem('parent', {});
+    parent.use(useHierarchy);
+    await parent.build();
+
+    const child = new StandalonePluginSystem('child', {});
+    const onDispose = vi.fn();
+    child.onDispose(onDispose);
+    parent.hierarchy.addChild(child);
+    expect(child.ctx.parent).toBe(parent.ctx);
+
+    await parent.reload();
+    await parent.build();
+    expect(parent.hierarchy.listChildren()).toEqual([child]);
+    expect(child.isBuilt).toBe(true);
+
+    await parent.dispose();
+    expect(child.isBuilt).toBe(false);
+    expect(onDispose).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,5 +1,6 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { useListeners } from '../../../src/hooks/listeners/use-listeners.js';
+import { ListenerManager } from '../../../src/hooks/listeners/listener-manager.js';
 import { StandalonePluginSystem } from '../../../src/system/standalone-plugin-system.js';
 
 describe('useListeners', () => {
@@ -77,8 +78,9 @@ describe('useListeners', () => {
       facet.enableListeners();
       
       const handler = () => {};
-      const result = facet.on('test/path', handler);
-      expect(result).toBe(true);
+      const unsubscribe = facet.on('test/path', handler);
+      expect(typeof unsubscribe).toBe('function');
+      expect(facet.emit('test/path', 'msg')).toBe(1);
     });
 
     it('should not register listeners when disabled', () => {
@@ -86,8 +88,8 @@ describe('useListeners', () => {
       // Don't enable listeners
       
       const handler = () => {};
-      const result = facet.on('test/path', handler);
-      expect(result).toBe(false);
+      const unsubscribe = facet.on('test/path', handler);
+      expect(unsubscribe()).toBe(false);
     });
 
     it('should emit events to registered listeners', () => {
@@ -132,6 +134,547 @@ describe('useListeners', () => {
     });
   });
 
+  describe('emitAsync', () => {
+    const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+    it('should await listeners one at a time in serial mode', async () => {
+      const facet = useListeners(ctx, api, subsystem);
+      facet.enableListeners();
+      const order = [];
+      facet.on('jobs/done', async () => { await delay(10); order.push('slow'); return 1; });
+      facet.on('jobs/done', () => { order.push('fast'); return 2; });
+
+      const results = await facet.emitAsync('jobs/done', 'msg');
+
+      expect(order).toEqual(['slow', 'fast']);
+      expect(results.map(({ path, status, value }) => ({ path, status, value }))).toEqual([
+        { path: 'jobs/done', status: 'fulfilled', value: 1 },
+        { path: 'jobs/done', status: 'fulfilled', value: 2 }
+      ]);
+    });
+
+    it('should stop at the first failure in serial mode and reject with an AggregateError', async () => {
+      const facet = useListeners(ctx, api, subsystem);
+      facet.enableListeners();
+      const later = vi.fn();
+      facet.on('jobs/done', async () => { throw new Error('disk full'); });
+      facet.on('jobs/done', later);
+
+      const error = await facet.emitAsync('jobs/done', 'msg').catch(e => e);
+
+      expect(error).toBeInstanceOf(AggregateError);
+      expect(error.message).toBe("1 listener(s) failed for 'jobs/done'");
+      expect(error.errors.map(e => e.message)).toEqual(['disk full']);
+      expect(error.results).toHaveLength(1);
+      expect(later).not.toHaveBeenCalled();
+      expect(facet.listeners.getStatistics()).toMatchObject({ asyncEmits: 1, notificationsSent: 1, notificationErrors: 1 });
+    });
+
+    it('should run listeners concurrently and collect every failure in parallel mode', async () => {
+      const facet = useListeners(ctx, api, subsystem);
+      facet.enableListeners();
+      facet.on('jobs/done', () => { throw new Error('first'); });
+      facet.on('jobs/done', () => delay(5, 'ok'));
+      facet.on('jobs/done', () => Promise.reject(new Error('third')));
+
+      const error = await facet.emitAsync('jobs/done', 'msg', { mode: 'parallel' }).catch(e => e);
+
+      expect(error.errors.map(e => e.message)).toEqual(['first', 'third']);
+      expect(error.results.map(result => result.status)).toEqual(['rejected', 'fulfilled', 'rejected']);
+    });
+
+    it('should resolve with failures in settled mode and time out slow listeners', async () => {
+      const manager = new ListenerManager();
+      manager.on('jobs/done', () => delay(50));
+      manager.onPattern('jobs/{state}', (msg, params) => params.state);
+
+      const results = await manager.emitAsync('jobs/done', 'msg', { mode: 'settled', timeoutMs: 10 });
+
+      expect(results[0].status).toBe('rejected');
+      expect(results[0].reason.timedOut).toBe(true);
+      expect(results[0].reason.message).toBe("Listener for 'jobs/done' timed out after 10ms");
+      expect(results[1]).toMatchObject({ path: 'jobs/{state}', status: 'fulfilled', value: 'done' });
+      expect(manager.getStatistics()).toMatchObject({ listenerTimeouts: 1, notificationErrors: 1, patternMatches: 1 });
+    });
+
+    it('should route failures to onListenerError instead of rejecting', async () => {
+      const onListenerError = vi.fn();
+      const facet = useListeners(ctx, api, subsystem);
+      facet.enableListeners({ onListenerError });
+      const failing = () => { throw new Error('boom'); };
+      facet.on('jobs/done', failing);
+
+      const results = await facet.emitAsync('jobs/done', 'msg', { mode: 'parallel' });
+      facet.emit('jobs/done', 'msg');
+
+      expect(results[0].status).toBe('rejected');
+      expect(onListenerError).toHaveBeenCalledTimes(2);
+      expect(onListenerError).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }), { path: 'jobs/done', handler: failing });
+    });
+
+    it('should report rejections of async listeners called by emit()', async () => {
+      const onListenerError = vi.fn();
+      const manager = new ListenerManager({ onListenerError });
+      const failing = async () => { throw new Error('async boom'); };
+      manager.on('jobs/done', failing);
+
+      expect(manager.emit('jobs/done', 'msg')).toBe(1);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(onListenerError).toHaveBeenCalledWith(expect.objectContaining({ message: 'async boom' }), { path: 'jobs/done', handler: failing });
+      expect(manager.getStatistics().notificationErrors).toBe(1);
+    });
+
+    it('should call handler groups with onSuccess and reject unknown modes', async () => {
+      const facet = useListeners(ctx, api, subsystem);
+      facet.enableListeners();
+      const onSuccess = vi.fn(async () => 'saved');
+      facet.on('jobs/done', { onSuccess, onFailure: vi.fn() }, { isHandlerGroup: true });
+
+      const results = await facet.emitAsync('jobs/done', 'msg');
+
+      expect(onSuccess).toHaveBeenCalledWith('msg', undefined, null);
+      expect(results[0].value).toBe('saved');
+      await expect(facet.emitAsync('jobs/done', 'msg', { mode: 'race' })).rejects.toThrow('Unknown emit mode: race');
+    });
+
+    it('should return an empty array when listeners are disabled', async () => {
+      const facet = useListeners(ctx, api, subsystem);
+      expect(await facet.emitAsync('jobs/done', 'msg')).toEqual([]);
+    });
+  });
+
+  describe('pattern listeners', () => {
+    const matchesFor = (manager, path) => manager.patternMatcher.findMatches(path)
+      .map(({ patternEntry, params }) => [patternEntry.pattern, params]);
+
+    it('should match single-segment and multi-segment wildcards', () => {
+      const manager = new ListenerManager();
+      manager.onPattern('todos/*', () => {});
+      manager.onPattern('user/{id:\\d+}/**', () => {});
+
+      expect(matchesFor(manager, 'todos/1')).toEqual([['todos/*', {}]]);
+      expect(matchesFor(manager, 'todos/1/done')).toEqual([]);
+      expect(matchesFor(manager, 'user/42')).toEqual([['user/{id:\\d+}/**', { id: '42', '**': '' }]]);
+      expect(matchesFor(manager, 'user/42/settings/theme')).toEqual([
+        ['user/{id:\\d+}/**', { id: '42', '**': 'settings/theme' }]
+      ]);
+      expect(matchesFor(manager, 'user/bob/settings')).toEqual([]);
+    });
+
+    it('should match a param to one segment, convert typed params and support optional segments', () => {
+      const manager = new ListenerManager();
+      manager.onPattern('orders/{id:int}/items/{format}?', () => {});
+      manager.onPattern('files/{name}.{ext:alpha}', () => {});
+      manager.onPattern('jobs/{state}', () => {});
+
+      expect(matchesFor(manager, 'orders/7/items')).toEqual([['orders/{id:int}/items/{format}?', { id: 7 }]]);
+      expect(matchesFor(manager, 'orders/7/items/csv')).toEqual([
+        ['orders/{id:int}/items/{format}?', { id: 7, format: 'csv' }]
+      ]);
+      expect(matchesFor(manager, 'orders/x/items')).toEqual([]);
+      expect(matchesFor(manager, 'files/report.final.pdf')).toEqual([
+        ['files/{name}.{ext:alpha}', { name: 'report.final', ext: 'pdf' }]
+      ]);
+      expect(matchesFor(manager, 'jobs/a/b')).toEqual([]);
+    });
+
+    it('should notify the most specific pattern first', () => {
+      const manager = new ListenerManager();
+      const calls = [];
+      for (const pattern of ['todos/**', 'todos/*', '{area}/{id}', 'todos/{id}', 'todos/{id:int}']) {
+        manager.onPattern(pattern, () => calls.push(pattern));
+      }
+      manager.on('todos/1', () => calls.push('exact'));
+
+      manager.emit('todos/1', 'msg');
+
+      expect(calls).toEqual(['exact', 'todos/{id:int}', 'todos/{id}', 'todos/*', 'todos/**', '{area}/{id}']);
+    });
+
+    it('should remove patterns from the trie when their last handler is removed', () => {
+      const manager = new ListenerManager();
+      const first = () => {};
+      const second = () => {};
+      manager.onPattern('todos/{id:int}', first);
+      manager.onPattern('todos/{id:int}', second);
+
+      manager.offPattern('todos/{id:int}', first);
+      expect(manager.getPatternListenerCount('todos/{id:int}')).toBe(1);
+      manager.offPattern('todos/{id:int}', second);
+
+      expect(manager.getRegisteredPatterns()).toEqual([]);
+      expect(manager.patternMatcher.findMatches('todos/1')).toEqual([]);
+      expect(manager.patternMatcher.trie.root.literals.size).toBe(0);
+    });
+
+    it('should reject malformed patterns', () => {
+      const manager = new ListenerManager();
+      expect(() => manager.onPattern('a/{id}/{id}', () => {})).toThrow("duplicate parameter 'id'");
+      expect(() => manager.onPattern('a/**/b/**', () => {})).toThrow("duplicate parameter '**'");
+      expect(() => manager.onPattern('a/{id:\\d{2}', () => {})).toThrow("unclosed '{'");
+      expect(() => manager.onPattern('a/{id:(}', () => {})).toThrow("invalid constraint '(' for 'id'");
+      expect(() => manager.onPattern('a/b', () => {})).toThrow('does not contain pattern syntax');
+    });
+
+    it('should match many patterns through the trie', () => {
+      const manager = new ListenerManager();
+      for (let i = 0; i < 5000; i++) {
+        manager.onPattern(`tenant${i}/orders/{id:int}`, () => {});
+      }
+
+      expect(matchesFor(manager, 'tenant4321/orders/9')).toEqual([['tenant4321/orders/{id:int}', { id: 9 }]]);
+    });
+  });
+
+  describe('middleware', () => {
+    it('should run koa-style around listeners and let middleware replace the message', () => {
+      const facet = useListeners(ctx, api, subsystem);
+      facet.enableListeners();
+      const calls = [];
+      facet.useMiddleware((ctx, next) => {
+        calls.push('outer:before');
+        const notified = next();
+        calls.push(`outer:after:${notified}`);
+        return notified;
+      });
+      facet.useMiddleware((ctx, next) => {
+        ctx.message = { ...ctx.message, traced: true };
+        ctx.state.seen = true;
+        return next();
+      });
+      facet.on('orders/placed', (message) => calls.push(message));
+
+      const notified = facet.emit('orders/placed', { id: 1 });
+
+      expect(notified).toBe(1);
+      expect(calls).toEqual(['outer:before', { id: 1, traced: true }, 'outer:after:1']);
+    });
+
+    it('should drop events when next() is not called and scope middleware to a pattern', () => {
+      const facet = useListeners(ctx, api, subsystem);
+      facet.enableListeners();
+      const delivered = [];
+      facet.useMiddleware('admin/**', (ctx, next) => (ctx.message.isAdmin ? next() : undefined));
+      facet.on('admin/users', (message) => delivered.push(['admin', message.name]));
+      facet.on('public/news', (message) => delivered.push(['public', message.name]));
+
+      expect(facet.emit('admin/users', { name: 'mallory', isAdmin: false })).toBe(0);
+      facet.emit('admin/users', { name: 'alice', isAdmin: true });
+      facet.emit('public/news', { name: 'bob' });
+
+      expect(delivered).toEqual([['admin', 'alice'], ['public', 'bob']]);
+      expect(facet.listeners.getStatistics().eventsBlocked).toBe(1);
+    });
+
+    it('should run before handler groups on processing outcomes', () => {
+      const manager = new ListenerManager();
+      const outcomes = [];
+      manager.useMiddleware('save/{id}', (ctx, next) => {
+        outcomes.push(ctx.outcome.success);
+        return next();
+      });
+      const onFailure = vi.fn();
+      manager.registerHandlerGroup('save/1', { onFailure });
+
+      manager.notifyListeners('save/1', 'msg', { success: false, error: new Error('nope') });
+
+      expect(outcomes).toEqual([false]);
+      expect(onFailure).toHaveBeenCalledOnce();
+    });
+
+    it('should await async middleware in emitAsync', async () => {
+      const facet = useListeners(ctx, api, subsystem);
+      facet.enableListeners();
+      facet.useMiddleware(async (ctx, next) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        ctx.message = ctx.message.toUpperCase();
+        const results = await next();
+        ctx.state.count = results.length;
+        return results;
+      });
+      facet.on('greet', async (message) => `${message}!`);
+
+      const results = await facet.emitAsync('greet', 'hi');
+
+      expect(results.map(result => result.value)).toEqual(['HI!']);
+    });
+
+    it('should await listeners when middleware calls next() without awaiting it', async () => {
+      const manager = new ListenerManager();
+      manager.useMiddleware((ctx, next) => { next(); });
+      manager.on('ok', async () => 'done');
+      manager.on('bad', async () => { throw new Error('listener failed'); });
+
+      const results = await manager.emitAsync('ok', 'msg', { mode: 'parallel' });
+      expect(results.map(result => result.value)).toEqual(['done']);
+
+      const failure = await manager.emitAsync('bad', 'msg', { mode: 'parallel' }).catch(error => error);
+      expect(failure).toBeInstanceOf(AggregateError);
+      expect(failure.errors[0].message).toBe('listener failed');
+      expect(manager.getStatistics()).toMatchObject({ eventsBlocked: 0, middlewareErrors: 0 });
+    });
+
+    it('should report middleware errors', async () => {
+      const manager = new ListenerManager();
+      const listener = vi.fn();
+      manager.on('jobs/done', listener);
+      manager.useMiddleware(() => { throw new Error('bad payload'); });
+
+      expect(manager.emit('jobs/done', 'msg')).toBe(0);
+      await expect(manager.emitAsync('jobs/done', 'msg')).rejects.toThrow('bad payload');
+
+      const onListenerError = vi.fn();
+      manager.setErrorSink(onListenerError);
+      expect(await manager.emitAsync('jobs/done', 'msg')).toEqual([]);
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(onListenerError).toHaveBeenCalledWith(expect.objectContaining({ message: 'bad payload' }), { path: 'jobs/done', middleware: true });
+      expect(manager.getStatistics()).toMatchObject({ middlewareErrors: 3, eventsBlocked: 0 });
+    });
+
+    it('should keep middleware added before listeners are enabled and remove it on request', () => {
+      const facet = useListeners(ctx, api, subsystem);
+      const seen = [];
+      const remove = facet.useMiddleware((ctx, next) => { seen.push(ctx.path); return next(); });
+      const removeEarly = facet.useMiddleware(() => {});
+      expect(removeEarly()).toBe(true);
+
+      facet.enableListeners();
+      facet.on('a', () => {});
+      expect(facet.emit('a', 'msg')).toBe(1);
+      expect(remove()).toBe(true);
+      expect(remove()).toBe(false);
+      facet.emit('a', 'msg');
+
+      expect(seen).toEqual(['a']);
+      expect(() => facet.useMiddleware('a')).toThrow('Middleware must be a function');
+    });
+
+    it('should reject next() being called twice', () => {
+      const manager = new ListenerManager();
+      manager.on('a', () => {});
+      const errors = [];
+      manager.setErrorSink((error) => errors.push(error.message));
+      manager.useMiddleware((ctx, next) => { next(); next(); });
+
+      manager.emit('a', 'msg');
+
+      expect(errors).toEqual(['ListenerManager: next() called multiple times']);
+    });
+  });
+
+  describe('subscriptions', () => {
+    it('should return an unsubscribe function from on()', () => {
+      const manager = new ListenerManager();
+      const listener = vi.fn();
+      const unsubscribe = manager.on('a', listener);
+
+      expect(manager.emit('a', 1)).toBe(1);
+      expect(unsubscribe()).toBe(true);
+      expect(unsubscribe()).toBe(false);
+      expect(manager.emit('a', 2)).toBe(0);
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('should unregister listeners when their signal aborts', () => {
+      const manager = new ListenerManager();
+      const controller = new AbortController();
+      const listener = vi.fn();
+      manager.on('a', listener, { signal: controller.signal });
+      manager.on('b', listener, { signal: controller.signal });
+
+      controller.abort();
+
+      expect(manager.getListenerCount('a') + manager.getListenerCount('b')).toBe(0);
+      expect(manager.registry.signalBindings.size).toBe(0);
+      expect(manager.on('a', listener, { signal: controller.signal })()).toBe(false);
+      expect(manager.hasListeners('a')).toBe(false);
+    });
+
+    it('should call once() listeners a single time and remove them with off()', () => {
+      const manager = new ListenerManager();
+      const listener = vi.fn();
+      manager.once('a', listener);
+
+      manager.emit('a', 1);
+      manager.emit('a', 2);
+      expect(listener.mock.calls).toEqual([[1]]);
+
+      manager.once('a', listener);
+      expect(manager.off('a', listener)).toBe(true);
+      expect(manager.emit('a', 3)).toBe(0);
+    });
+
+    it('should resolve waitFor() with the first message that passes the filter', async () => {
+      const manager = new ListenerManager();
+      const pending = manager.waitFor('orders', { filter: (msg) => msg.id === 2 });
+
+      manager.emit('orders', { id: 1 });
+      manager.emit('orders', { id: 2 });
+
+      await expect(pending).resolves.toEqual({ id: 2 });
+      expect(manager.hasListeners('orders')).toBe(false);
+    });
+
+    it('should reject waitFor() on timeout, abort and filter errors', async () => {
+      const manager = new ListenerManager();
+      const controller = new AbortController();
+
+      await expect(manager.waitFor('a', { timeoutMs: 10 })).rejects.toMatchObject({
+        message: "waitFor 'a' timed out after 10ms",
+        timedOut: true
+      });
+
+      const aborted = manager.waitFor('a', { signal: controller.signal });
+      controller.abort(new Error('navigated away'));
+      await expect(aborted).rejects.toThrow('navigated away');
+      await expect(manager.waitFor('a', { signal: controller.signal })).rejects.toThrow('navigated away');
+
+      const failing = manager.waitFor('a', { filter: () => { throw new Error('bad filter'); } });
+      manager.emit('a', 'msg');
+      await expect(failing).rejects.toThrow('bad filter');
+
+      expect(manager.hasListeners('a')).toBe(false);
+      expect(manager.waiters.size).toBe(0);
+    });
+
+    it('should release listeners and pending waits when the facet is disposed', async () => {
+      await system.use(useListeners).build();
+      system.listeners.enableListeners();
+      const manager = system.listeners.listeners;
+      const controller = new AbortController();
+      system.listeners.on('a', () => {}, { signal: controller.signal });
+      const once = vi.fn();
+      system.listeners.once('a', once);
+      const pending = system.listeners.waitFor('a');
+
+      await system.dispose();
+
+      await expect(pending).rejects.toThrow('disposed while waiting');
+      expect(manager.getListenerCount('a')).toBe(0);
+      expect(manager.registry.signalBindings.size).toBe(0);
+      expect(once).not.toHaveBeenCalled();
+    });
+
+    it('should reject waitFor() when listeners are not enabled', async () => {
+      const facet = useListeners(ctx, api, subsystem);
+
+      expect(facet.once('a', () => {})()).toBe(false);
+      await expect(facet.waitFor('a')).rejects.toThrow("cannot wait for 'a' - listeners not enabled");
+    });
+  });
+
+  describe('retention', () => {
+    it('should replay the sticky last value to late listeners', () => {
+      const manager = new ListenerManager();
+      manager.retain('todos:changed', { mode: 'sticky' });
+      manager.emit('todos:changed', { items: [1] });
+      manager.emit('todos:changed', { items: [1, 2] });
+
+      const late = vi.fn();
+      const plain = vi.fn();
+      manager.on('todos:changed', late, { replay: 1 });
+      manager.on('todos:changed', plain);
+
+      expect(late.mock.calls).toEqual([[{ items: [1, 2] }]]);
+      expect(plain).not.toHaveBeenCalled();
+      expect(manager.getStatistics()).toMatchObject({ messagesReplayed: 1, retainedPaths: 1, retainedMessages: 1 });
+    });
+
+    it('should keep a bounded replay buffer', async () => {
+      const manager = new ListenerManager();
+      manager.retain('chat', { mode: 'replay', size: 3 });
+      [1, 2, 3, 4, 5].forEach(n => manager.emit('chat', n));
+      await manager.emitAsync('chat', 6);
+
+      expect(manager.getRetained('chat')).toEqual([4, 5, 6]);
+      expect(manager.getRetained('chat', 2)).toEqual([5, 6]);
+
+      const seen = [];
+      manager.on('chat', (n) => seen.push(n), { replay: 2 });
+      manager.emit('chat', 7);
+      expect(seen).toEqual([5, 6, 7]);
+    });
+
+    it('should drop messages outside the time window', () => {
+      const manager = new ListenerManager();
+      let now = 1000;
+      manager.retention.now = () => now;
+      manager.retain('sensors/temp', { mode: 'window', windowMs: 100 });
+
+      manager.emit('sensors/temp', 20);
+      now = 1050;
+      manager.emit('sensors/temp', 21);
+      now = 1120;
+
+      expect(manager.getRetained('sensors/temp')).toEqual([21]);
+      now = 1200;
+      expect(manager.getRetained('sensors/temp')).toEqual([]);
+    });
+
+    it('should not retain blocked events or failed outcomes', () => {
+      const manager = new ListenerManager();
+      manager.retain('jobs', { mode: 'replay', size: 5 });
+      manager.useMiddleware((ctx, next) => (ctx.message === 'skip' ? undefined : next()));
+
+      manager.emit('jobs', 'skip');
+      manager.notifyListeners('jobs', 'failed', { success: false });
+      manager.emit('jobs', 'ok');
+
+      expect(manager.getRetained('jobs')).toEqual(['ok']);
+    });
+
+    it('should validate policies and stop retaining on request', () => {
+      const manager = new ListenerManager();
+
+      expect(() => manager.retain('a', { mode: 'forever' })).toThrow("unknown retention mode 'forever'");
+      expect(() => manager.retain('a', { mode: 'replay', size: 0 })).toThrow('replay size must be a positive integer');
+      expect(() => manager.retain('a', { mode: 'window' })).toThrow('windowMs must be a positive number');
+      expect(() => manager.retain('a/{id}', { mode: 'sticky' })).toThrow("retention needs an exact path, got pattern 'a/{id}'");
+
+      const stop = manager.retain('a', { mode: 'sticky' });
+      manager.emit('a', 1);
+      expect(stop()).toBe(true);
+      expect(stop()).toBe(false);
+      manager.emit('a', 2);
+      expect(manager.getRetained('a')).toEqual([]);
+    });
+
+    it('should replay into once() and waitFor()', async () => {
+      const manager = new ListenerManager();
+      manager.retain('ready', { mode: 'replay', size: 2 });
+      manager.emit('ready', 'first');
+      manager.emit('ready', 'second');
+
+      const once = vi.fn();
+      manager.once('ready', once, { replay: 2 });
+      expect(once.mock.calls).toEqual([['first']]);
+      expect(manager.hasListeners('ready')).toBe(false);
+
+      await expect(manager.waitFor('ready', { replay: 1 })).resolves.toBe('second');
+    });
+
+    it('should apply configured and pending policies when listeners are enabled', () => {
+      system = new StandalonePluginSystem('test', {
+        config: { listeners: { retention: { 'todos:changed': { mode: 'sticky' } } } }
+      });
+      const facet = useListeners(system.ctx, system.api, system);
+      const stopEarly = facet.retain('draft', { mode: 'sticky' });
+      facet.retain('chat', { mode: 'replay', size: 2 });
+      expect(stopEarly()).toBe(true);
+      expect(() => facet.retain('chat', { mode: 'replay' })).toThrow('replay size must be a positive integer');
+      expect(facet.getRetained('chat')).toEqual([]);
+
+      facet.enableListeners();
+      ['todos:changed', 'chat', 'draft'].forEach(path => facet.emit(path, path));
+
+      expect(facet.getRetained('todos:changed')).toEqual(['todos:changed']);
+      expect(facet.getRetained('chat')).toEqual(['chat']);
+      expect(facet.getRetained('draft')).toEqual([]);
+    });
+  });
+
   describe('integration with system', () => {
     it('should work when added to a system', async () => {
       await system.use(useListeners).build();
@@ -0,0 +1,175 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { useProcessor } from '../../../src/hooks/processor/use-processor.js';
+import { useQueue } from '../../../src/hooks/queue/use-queue.js';
+import { useRouter } from '../../../src/hooks/router/use-router.js';
+import { useListeners } from '../../../src/hooks/listeners/use-listeners.js';
+import { useScheduler } from '../../../src/hooks/scheduler/use-scheduler.js';
+import { ListenerManager } from '../../../src/hooks/listeners/listener-manager.js';
+import { StandalonePluginSystem } from '../../../src/system/standalone-plugin-system.js';
+import { validateFacets } from '../../../src/builder/facet-validator.js';
+import { defaultContractRegistry } from '../../../src/contract/index.js';
+
+describe('useProcessor', () => {
+  let system;
+
+  afterEach(async () => {
+    if (system?.isBuilt) {
+      await system.dispose();
+    }
+  });
+
+  async function createSystem(config = {}, ...extraHooks) {
+    system = new StandalonePluginSystem('proc', { config });
+    system.use(useQueue).use(useRouter).use(useListeners).use(useProcessor);
+    for (const hook of extraHooks) system.use(hook);
+    await system.build();
+    system.listeners.enableListeners();
+    system.registerRoute('users/{id}', (msg, params) => {
+      if (params.id === 'bad') throw new Error('no such user');
+      return { id: params.id };
+    });
+    system.registerRoute('slow', () => new Promise(resolve => setTimeout(resolve, 50)));
+    return system;
+  }
+
+  it('should pass contract enforcement in validateFacets', () => {
+    system = new StandalonePluginSystem('test', {});
+    const facet = useProcessor(system.ctx, system.api, system);
+    expect(() => validateFacets({ processor: facet }, system.ctx, system, defaultContractRegistry)).not.toThrow();
+  });
+
+  it('should require queue and router facets', async () => {
+    system = new StandalonePluginSystem('test', {});
+    system.use(useQueue).use(useProcessor);
+    await expect(system.build()).rejects.toThrow(/router/);
+  });
+
+  it('should accept messages onto the queue and process them per tick', async () => {
+    await createSystem();
+
+    expect(await system.accept({ path: 'users/1' })).toBe(true);
+    expect(await system.accept('users/2')).toBe(true);
+    expect(system.queue.hasMessagesToProcess()).toBe(true);
+
+    expect(await system.processor.processTick()).toEqual({ message: { path: 'users/1' }, success: true, result: { id: '1' } });
+    expect(await system.processor.processTick()).toMatchObject({ success: true, result: { id: '2' } });
+    expect(await system.processor.processTick()).toBeNull();
+    expect(system.processor.getProcessorStats()).toMatchObject({ accepted: 2, processed: 2, failed: 0 });
+  });
+
+  it('should reject messages without a path', async () => {
+    await createSystem();
+    await expect(system.accept({ body: 1 })).rejects.toThrow(/message has no path/);
+  });
+
+  it('should report queue rejections', async () => {
+    await createSystem({ queue: { capacity: 1, policy: 'drop-newest' } });
+
+    expect(await system.accept('users/1')).toBe(true);
+    expect(await system.accept('users/2')).toBe(false);
+    expect(system.processor.getProcessorStats()).toMatchObject({ accepted: 1, rejected: 1 });
+  });
+
+  it('should process immediately through BaseSubsystem', async () => {
+    await createSystem();
+
+    expect(await system.processImmediately('users/7')).toEqual({ id: '7' });
+    expect(await system.accept('users/8', { immediate: true })).toBe(true);
+    expect(system.queue.hasMessagesToProcess()).toBe(false);
+    await expect(system.processImmediately('users/bad')).rejects.toThrow('no such user');
+  });
+
+  it('should emit processed messages to plain listeners', async () => {
+    await createSystem();
+    const listener = vi.fn();
+    system.listeners.on('users/1', listener);
+    system.listeners.on('users/bad', listener);
+
+    await system.processImmediately('users/1');
+    await system.processImmediately('users/bad').catch(() => {});
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith('users/1');
+  });
+
+  it('should fire handler group onSuccess and onFailure', async () => {
+    await createSystem();
+    const group = { onSuccess: vi.fn(), onFailure: vi.fn(), onTimeout: vi.fn() };
+    system.listeners.on('users/1', group, { isHandlerGroup: true });
+    system.listeners.on('users/bad', group, { isHandlerGroup: true });
+
+    await system.accept('users/1');
+    await system.accept('users/bad');
+    await system.processor.processTick();
+    const failed = await system.processor.processTick();
+
+    expect(group.onSuccess).toHaveBeenCalledWith('users/1', { id: '1' }, null);
+    expect(group.onFailure).toHaveBeenCalledWith('users/bad', failed.error, null);
+    expect(failed.error.message).toBe('no such user');
+    expect(group.onTimeout).not.toHaveBeenCalled();
+  });
+
+  it('should fire onTimeout when a handler exceeds the timeout', async () => {
+    await createSystem({ processor: { timeout: 10 } });
+    const group = { onSuccess: vi.fn(), onFailure: vi.fn(), onTimeout: vi.fn() };
+    system.listeners.on('slow', group, { isHandlerGroup: true });
+
+    await expect(system.processImmediately('slow')).rejects.toThrow(/timed out after 10ms/);
+
+    expect(group.onTimeout).toHaveBeenCalledTimes(1);
+    expect(group.onFailure).not.toHaveBeenCalled();
+    expect(system.processor.getProcessorStats()).toMatchObject({ failed: 1, timedOut: 1 });
+  });
+
+  it('should be driven by the scheduler', async () => {
+    await createSystem({}, useScheduler);
+    const group = { onSuccess: vi.fn(), onFailure: vi.fn() };
+    system.listeners.on('users/1', group, { isHandlerGroup: true });
+
+    await system.accept('users/1');
+    await system.accept('users/bad');
+
+    expect(await system.process(100)).toMatchObject({ processed: 2, errors: 1 });
+    expect(group.onSuccess).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not notify without the listeners facet', async () => {
+    system = new StandalonePluginSystem('bare', {});
+    system.use(useQueue).use(useRouter).use(useProcessor);
+    await system.build();
+    system.registerRoute('ping', () => 'pong');
+
+    expect(await system.processImmediately('ping')).toBe('pong');
+  });
+});
+
+describe('ListenerManager handler groups', () => {
+  it('should call onSuccess on a plain emit', () => {
+    const manager = new ListenerManager();
+    const group = { onSuccess: vi.fn(), onFailure: vi.fn() };
+    manager.registerHandlerGroup('save', group);
+
+    expect(manager.emit('save', 'msg')).toBe(1);
+    expect(group.onSuccess).toHaveBeenCalledWith('msg', undefined, null);
+  });
+
+  it('should fall back to onFailure when a timed-out group has no onTimeout', () => {
+    const manager = new ListenerManager();
+    const group = { onFailure: vi.fn() };
+    manager.registerHandlerGroup('save', group);
+    const error = new Error('late');
+
+    manager.notifyListeners('save', 'msg', { success: false, error, timedOut: true });
+    expect(group.onFailure).toHaveBeenCalledWith('msg', error, null);
+  });
+
+  it('should record rejected async callbacks as listener errors', async () => {
+    const manager = new ListenerManager();
+    manager.registerHandlerGroup('save', { onSuccess: async () => { throw new Error('async'); } });
+
+    manager.emit('save', 'msg');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(manager.getStatistics().notificationErrors).toBe(1);
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { useRouter } from '../../../src/hooks/router/use-router.js';
+import { RouteRegistry } from '../../../src/hooks/router/route-registry.js';
+import { StandalonePluginSystem } from '../../../src/system/standalone-plugin-system.js';
+import { routerContract } from '../../../src/contract/contracts/router.contract.js';
+
+describe('useRouter', () => {
+  let system;
+  let ctx;
+  let api;
+  let subsystem;
+
+  beforeEach(() => {
+    system = new StandalonePluginSystem('test', {
+      config: {
+        router: {
+          debug: false
+        }
+      }
+    });
+    ctx = system.ctx;
+    api = system.api;
+    subsystem = system;
+  });
+
+  afterEach(async () => {
+    if (system && system.isBuilt) {
+      await system.dispose();
+    }
+  });
+
+  describe('hook execution', () => {
+    it('should create a router facet', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      expect(facet).toBeDefined();
+      expect(facet.getKind()).toBe('router');
+    });
+
+    it('should satisfy the router contract', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      expect(() => routerContract.enforce(ctx, api, subsystem, facet)).not.toThrow();
+    });
+
+    it('should expose the route registry', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      expect(facet._routeRegistry).toBeInstanceOf(RouteRegistry);
+    });
+  });
+
+  describe('route registration', () => {
+    it('should register and unregister routes', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      const handler = vi.fn();
+
+      expect(facet.registerRoute('users/list', handler)).toBe(true);
+      expect(facet.hasRoute('users/list')).toBe(true);
+      expect(facet.unregisterRoute('users/list')).toBe(true);
+      expect(facet.hasRoute('users/list')).toBe(false);
+      expect(facet.unregisterRoute('users/list')).toBe(false);
+    });
+
+    it('should reject duplicate patterns', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      facet.registerRoute('users/{id}', vi.fn());
+
+      expect(() => facet.registerRoute('users/{id}', vi.fn())).toThrow(/already registered/);
+    });
+
+    it('should reject structurally identical patterns at the same priority', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      facet.registerRoute('users/{id}', vi.fn());
+
+      expect(() => facet.registerRoute('users/{userId}', vi.fn())).toThrow(/conflicts with existing route 'users\/\{id\}'/);
+      expect(() => facet.registerRoute('users/{userId}', vi.fn(), { priority: 5 })).not.toThrow();
+    });
+
+    it('should replace a conflicting route when replace is set', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      const first = vi.fn();
+      const second = vi.fn();
+      facet.registerRoute('users/{id}', first);
+      facet.registerRoute('users/{userId}', second, { replace: true });
+
+      expect(facet.hasRoute('users/{id}')).toBe(false);
+      expect(facet.match('users/1').handler).toBe(second);
+    });
+
+    it('should list routes with metadata and priority', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      facet.registerRoute('a', vi.fn(), { metadata: { auth: true } });
+      facet.registerRoute('b/{id}', vi.fn(), { priority: 2 });
+
+      expect(facet.getRoutes()).toEqual([
+        { pattern: 'b/{id}', priority: 2, metadata: {}, params: ['id'] },
+        { pattern: 'a', priority: 0, metadata: { auth: true }, params: [] }
+      ]);
+    });
+  });
+
+  describe('matching', () => {
+    it('should extract {param} values from single segments', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      facet.registerRoute('users/{id}/posts/{postId}', vi.fn());
+
+      expect(facet.match('users/7/posts/99').params).toEqual({ id: '7', postId: '99' });
+      expect(facet.match('users/7/8/posts/99')).toBeNull();
+    });
+
+    it('should capture the remainder with a ** segment', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      facet.registerRoute('files/**', vi.fn());
+
+      expect(facet.match('files/a/b/c.txt').params).toEqual({ '**': 'a/b/c.txt' });
+    });
+
+    it('should support the typed, optional and single-segment syntax of PatternMatcher', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      facet.registerRoute('users/{id:int}/{format}?', vi.fn());
+      facet.registerRoute('todos/*/done', vi.fn());
+
+      expect(facet.match('users/42').params).toEqual({ id: 42, format: undefined });
+      expect(facet.match('users/42/json').params).toEqual({ id: 42, format: 'json' });
+      expect(facet.match('users/abc')).toBeNull();
+      expect(facet.match('todos/7/done').pattern).toBe('todos/*/done');
+      expect(facet.match('todos/7/8/done')).toBeNull();
+    });
+
+    it('should prefer exact over param over wildcard routes', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      const wildcard = vi.fn();
+      const param = vi.fn();
+      const exact = vi.fn();
+      facet.registerRoute('users/**', wildcard);
+      facet.registerRoute('users/{id}', param);
+      facet.registerRoute('users/me', exact);
+
+      expect(facet.match('users/me').handler).toBe(exact);
+      expect(facet.match('users/42').handler).toBe(param);
+      expect(facet.match('users/42/avatar').handler).toBe(wildcard);
+    });
+
+    it('should let priority override specificity', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      const catchAll = vi.fn();
+      facet.registerRoute('users/me', vi.fn());
+      facet.registerRoute('**', catchAll, { priority: 100 });
+
+      expect(facet.match('users/me').handler).toBe(catchAll);
+    });
+
+    it('should return null when nothing matches', () => {
+      const facet = useRouter(ctx, api, subsystem);
+      expect(facet.match('missing')).toBeNull();
+    });
+  });
+
+  describe('routing', () => {
+    it('should route string paths and message objects', async () => {
+      const facet = useRouter(ctx, api, subsystem);
+      facet.registerRoute('users/{id}', (msg, params) => `user:${params.id}`);
+
+      await expect(facet.route('users/1')).resolves.toBe('user:1');
+      await expect(facet.route({ path: 'users/2' })).resolves.toBe('user:2');
+      await expect(facet.route({ getPath: () => 'users/3' })).resolves.toBe('user:3');
+    });
+
+    it('should pass route metadata to the handler', async () => {
+      const facet = useRouter(ctx, api, subsystem);
+      const handler = vi.fn();
+      facet.registerRoute('admin', handler, { metadata: { role: 'admin' } });
+
+      await facet.route('admin', { traceId: 't1' });
+      expect(handler).toHaveBeenCalledWith('admin', {}, {
+        traceId: 't1',
+        route: { pattern: 'admin', metadata: { role: 'admin' } }
+      });
+    });
+
+    it('should reject when no route matches', async () => {
+      const facet = useRouter(ctx, api, subsystem);
+      await expect(facet.route('nowhere')).rejects.toThrow(/no route matches path 'nowhere'/);
+    });
+  });
+
+  describe('subsystem integration', () => {
+    it('should back BaseSubsystem.registerRoute and unregisterRoute', async () => {
+      system.use(useRouter);
+      await system.build();
+
+      expect(system.registerRoute('ping', () => 'pong')).toBe(true);
+      await expect(system.router.route('ping')).resolves.toBe('pong');
+      expect(system.unregisterRoute('ping')).toBe(true);
+      expect(system.router.hasRoute('ping')).toBe(false);
+    });
+  });
+});
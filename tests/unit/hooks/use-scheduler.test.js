@@ -0,0 +1,190 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { useScheduler } from '../../../src/hooks/scheduler/use-scheduler.js';
+import { SubsystemScheduler } from '../../../src/hooks/scheduler/subsystem-scheduler.js';
+import { useQueue } from '../../../src/hooks/queue/use-queue.js';
+import { useRouter } from '../../../src/hooks/router/use-router.js';
+import { StandalonePluginSystem } from '../../../src/system/standalone-plugin-system.js';
+import { validateFacets } from '../../../src/builder/facet-validator.js';
+import { defaultContractRegistry } from '../../../src/contract/index.js';
+
+/**
+ * Build a subsystem with queue, router and scheduler; every routed message is appended to log.
+ */
+async function createSystem(name, log, schedulerConfig = {}) {
+  const system = new StandalonePluginSystem(name, { config: { scheduler: schedulerConfig } });
+  system.use(useQueue).use(useRouter).use(useScheduler);
+  await system.build();
+  system.registerRoute('msg/{id}', (msg, params) => {
+    if (params.id === 'fail') throw new Error('boom');
+    log.push(`${name}:${params.id}`);
+  });
+  return system;
+}
+
+function enqueue(system, ...ids) {
+  for (const id of ids) {
+    system.queue._queueManager.enqueue({ msg: { path: `msg/${id}` }, options: {} });
+  }
+}
+
+describe('useScheduler', () => {
+  const systems = [];
+
+  afterEach(async () => {
+    for (const system of systems.splice(0)) {
+      await system.dispose();
+    }
+  });
+
+  async function make(name, log, config) {
+    const system = await createSystem(name, log, config);
+    systems.push(system);
+    return system;
+  }
+
+  it('should pass contract enforcement in validateFacets', () => {
+    const system = new StandalonePluginSystem('test', {});
+    const facet = useScheduler(system.ctx, system.api, system);
+
+    expect(() => validateFacets({ scheduler: facet }, system.ctx, system, defaultContractRegistry)).not.toThrow();
+    expect(facet.getScheduler()).toBeInstanceOf(SubsystemScheduler);
+  });
+
+  it('should require the queue facet', async () => {
+    const system = new StandalonePluginSystem('test', {});
+    system.use(useScheduler);
+    await expect(system.build()).rejects.toThrow(/queue/);
+  });
+
+  it('should drain the queue through the router', async () => {
+    const log = [];
+    const system = await make('root', log);
+    enqueue(system, 'a', 'b', 'c');
+
+    const result = await system.process(100);
+
+    expect(result).toMatchObject({ processed: 3, errors: 0, remaining: false, status: 'completed' });
+    expect(log).toEqual(['root:a', 'root:b', 'root:c']);
+  });
+
+  it('should count handler errors without stopping the slice', async () => {
+    const log = [];
+    const system = await make('root', log);
+    enqueue(system, 'a', 'fail', 'b');
+
+    const result = await system.process(100);
+
+    expect(result).toMatchObject({ processed: 3, errors: 1 });
+    expect(log).toEqual(['root:a', 'root:b']);
+    expect(system.scheduler.getScheduler().getStatus().stats.lastError).toBe('boom');
+  });
+
+  it('should respect maxMessagesPerSlice and a zero time slice', async () => {
+    const log = [];
+    const system = await make('root', log, { maxMessagesPerSlice: 2 });
+    enqueue(system, 'a', 'b', 'c');
+
+    expect(await system.process(0)).toMatchObject({ processed: 0, remaining: true });
+    expect(await system.process(100)).toMatchObject({ processed: 2, remaining: true });
+    expect(await system.process(100)).toMatchObject({ processed: 1, remaining: false });
+  });
+
+  it('should stop when the time budget is spent', async () => {
+    const system = new StandalonePluginSystem('slow', {});
+    system.use(useQueue).use(useRouter).use(useScheduler);
+    await system.build();
+    systems.push(system);
+    system.registerRoute('msg/{id}', () => new Promise(resolve => setTimeout(resolve, 15)));
+    enqueue(system, 'a', 'b', 'c', 'd', 'e');
+
+    const result = await system.process(20);
+
+    expect(result.processed).toBeGreaterThanOrEqual(1);
+    expect(result.processed).toBeLessThan(5);
+    expect(result.remaining).toBe(true);
+  });
+
+  it('should pause and resume through BaseSubsystem', async () => {
+    const log = [];
+    const system = await make('root', log);
+    enqueue(system, 'a');
+
+    expect(system.pause()).toBe(system);
+    expect(system.scheduler.isPaused()).toBe(true);
+    expect(await system.process(100)).toMatchObject({ processed: 0, status: 'paused' });
+    expect(log).toEqual([]);
+
+    system.resume();
+    expect(await system.process(100)).toMatchObject({ processed: 1 });
+  });
+
+  it('should round-robin across child subsystems', async () => {
+    const log = [];
+    const root = await make('root', log);
+    const a = await make('a', log);
+    const b = await make('b', log);
+    root.children = [a, b];
+
+    enqueue(root, 1, 2);
+    enqueue(a, 1, 2);
+    enqueue(b, 1, 2);
+
+    await root.process(100);
+
+    expect(log).toEqual(['root:1', 'a:1', 'b:1', 'root:2', 'a:2', 'b:2']);
+  });
+
+  it('should drain higher-priority subsystems first', async () => {
+    const log = [];
+    const root = await make('root', log, { strategy: 'priority' });
+    const low = await make('low', log, { priority: 1 });
+    const high = await make('high', log, { priority: 10 });
+    root.children = [low, high];
+
+    enqueue(root, 1);
+    enqueue(low, 1, 2);
+    enqueue(high, 1, 2);
+
+    await root.process(100);
+
+    expect(log).toEqual(['high:1', 'high:2', 'low:1', 'low:2', 'root:1']);
+  });
+
+  it('should skip paused children', async () => {
+    const log = [];
+    const root = await make('root', log);
+    const child = await make('child', log);
+    root.children = [child];
+    enqueue(child, 1);
+
+    child.pause();
+    expect(await root.process(100)).toMatchObject({ processed: 0, remaining: false });
+
+    child.resume();
+    expect(await root.process(100)).toMatchObject({ processed: 1 });
+    expect(log).toEqual(['child:1']);
+  });
+
+  it('should update priority and configuration', async () => {
+    const system = await make('root', []);
+
+    system.scheduler.setPriority(7);
+    expect(system.scheduler.getPriority()).toBe(7);
+    expect(system.scheduler.configureScheduler({ strategy: 'priority', timeSlice: 5 }))
+      .toMatchObject({ strategy: 'priority', timeSlice: 5, priority: 7 });
+
+    expect(() => system.scheduler.configureScheduler({ strategy: 'fifo' })).toThrow(/unknown strategy/);
+    expect(() => system.scheduler.setPriority('high')).toThrow(/finite number/);
+  });
+
+  it('should fail messages when there is nothing to dispatch to', async () => {
+    const system = new StandalonePluginSystem('bare', {});
+    system.use(useQueue).use(useScheduler);
+    await system.build();
+    systems.push(system);
+    enqueue(system, 'a');
+
+    expect(await system.process(100)).toMatchObject({ processed: 1, errors: 1 });
+    expect(system.scheduler.getScheduler().getStatus().stats.lastError).toMatch(/no processor or router/);
+  });
+});
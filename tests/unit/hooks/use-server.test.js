@@ -0,0 +1,292 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import net from 'node:net';
+import { EventEmitter } from 'node:events';
+import { useServer } from '../../../src/hooks/server/use-server.js';
+import { HttpServer } from '../../../src/hooks/server/http-server.js';
+import { useRouter } from '../../../src/hooks/router/use-router.js';
+import { useQueue } from '../../../src/hooks/queue/use-queue.js';
+import { useProcessor } from '../../../src/hooks/processor/use-processor.js';
+import { StandalonePluginSystem } from '../../../src/system/standalone-plugin-system.js';
+import { validateFacets } from '../../../src/builder/facet-validator.js';
+import { defaultContractRegistry } from '../../../src/contract/index.js';
+
+describe('useServer', () => {
+  let system;
+  let baseUrl;
+
+  afterEach(async () => {
+    if (system?.isBuilt) {
+      await system.dispose();
+    }
+  });
+
+  async function createSystem(...hooks) {
+    system = new StandalonePluginSystem('http', { config: { server: { port: 0 } } });
+    for (const hook of hooks) system.use(hook);
+    system.use(useServer);
+    await system.build();
+    return system;
+  }
+
+  async function start() {
+    const address = await system.server.start();
+    baseUrl = address.url;
+  }
+
+  const request = (path, init) => fetch(`${baseUrl}${path}`, init);
+  // fetch() normalizes URLs, so malformed request lines go over a raw socket
+  const rawRequest = (requestLine) => new Promise((resolve, reject) => {
+    const socket = net.connect(system.server.getPort(), '127.0.0.1', () => {
+      socket.end(`${requestLine}\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+    });
+    let data = '';
+    socket.on('data', chunk => { data += chunk; });
+    socket.on('end', () => resolve(data));
+    socket.on('error', reject);
+  });
+  const postJson = (path, body) => request(path, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  it('should pass contract enforcement in validateFacets', () => {
+    const s = new StandalonePluginSystem('test', {});
+    const facet = useServer(s.ctx, s.api, s);
+
+    expect(() => validateFacets({ server: facet }, s.ctx, s, defaultContractRegistry)).not.toThrow();
+    expect(facet._server).toBeInstanceOf(HttpServer);
+    expect(facet._isRunning).toBe(false);
+  });
+
+  it('should start on port 0 and stop', async () => {
+    await createSystem();
+    await start();
+
+    expect(system.server.isRunning()).toBe(true);
+    expect(system.server.getPort()).toBeGreaterThan(0);
+    expect(system.server.getAddress().url).toBe(baseUrl);
+
+    await system.server.stop();
+    expect(system.server.isRunning()).toBe(false);
+    expect(system.server.getPort()).toBeNull();
+  });
+
+  it('should route by method with params and query', async () => {
+    await createSystem();
+    system.server.get('/users/:id', (req) => ({ id: req.params.id, fields: req.query.fields }));
+    system.server.delete('/users/{id}', (req, res) => { res.status(204).end(); });
+    await start();
+
+    const res = await request('/users/a%20b?fields=name');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toMatch(/application\/json/);
+    expect(await res.json()).toEqual({ id: 'a b', fields: 'name' });
+
+    expect((await request('/users/1', { method: 'DELETE' })).status).toBe(204);
+    expect((await request('/users/1', { method: 'PUT' })).status).toBe(404);
+  });
+
+  it('should parse JSON bodies and reject malformed JSON', async () => {
+    await createSystem();
+    system.server.post('/echo', (req) => ({ received: req.body }));
+    await start();
+
+    expect(await (await postJson('/echo', { a: 1 })).json()).toEqual({ received: { a: 1 } });
+
+    const bad = await request('/echo', { method: 'POST', headers: { 'content-type': 'application/json' }, body: '{nope' });
+    expect(bad.status).toBe(400);
+    expect((await bad.json()).error).toMatch(/Invalid JSON body/);
+  });
+
+  it('should enforce the body limit', async () => {
+    system = new StandalonePluginSystem('http', { config: { server: { port: 0, bodyLimit: 10 } } });
+    system.use(useServer);
+    await system.build();
+    system.server.post('/echo', (req) => req.body);
+    await start();
+
+    const res = await request('/echo', { method: 'POST', body: 'x'.repeat(100) });
+    expect(res.status).toBe(413);
+  });
+
+  it('should run global, path-scoped and route middleware in order', async () => {
+    await createSystem();
+    const order = [];
+    system.server.use((req, res, next) => { order.push('global'); next(); });
+    system.server.useRoute('/admin/**', (req, res, next) => { order.push('admin'); next(); });
+    system.server.use(async (req, res, next) => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      order.push('async');
+      next();
+    });
+    system.server.get('/admin/panel', () => { order.push('handler'); return 'ok'; }, {
+      middleware: [(req, res, next) => { order.push('route'); next(); }]
+    });
+    system.server.get('/public', () => { order.push('public'); return 'ok'; });
+    await start();
+
+    expect(await (await request('/admin/panel')).text()).toBe('ok');
+    expect(order).toEqual(['global', 'admin', 'async', 'route', 'handler']);
+
+    order.length = 0;
+    await request('/public');
+    expect(order).toEqual(['global', 'async', 'public']);
+  });
+
+  it('should remove the close listeners of middleware that finished', async () => {
+    const server = new HttpServer({ port: 0 });
+    server.use((req, res, next) => next());
+    server.use((req, res, next) => next());
+    server.route('GET', '/ok', () => 'ok');
+
+    // A response whose connection stays open, so 'close' never fires
+    const res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
+      writableEnded: false,
+      headers: {},
+      setHeader(name, value) { this.headers[name] = value; },
+      hasHeader(name) { return name in this.headers; },
+      end(body) { this.body = body; this.writableEnded = true; }
+    });
+    await server.handle({ method: 'GET', url: '/ok', headers: {} }, res);
+
+    expect(res.body).toBe('ok');
+    expect(res.listenerCount('close')).toBe(0);
+  });
+
+  it('should answer malformed URLs and escapes with 400', async () => {
+    await createSystem();
+    system.server.get('/files/:name', (req) => req.params.name);
+    await start();
+
+    expect(await rawRequest('GET http://[::1 HTTP/1.1')).toMatch(/^HTTP\/1\.1 400 .*"error":"Invalid request URL"/s);
+    const badEscape = await request('/files/%E0%A4%A');
+    expect(badEscape.status).toBe(400);
+    expect((await badEscape.json()).error).toBe("Malformed escape in path parameter 'name'");
+    expect(await (await request('/files/a%20b')).text()).toBe('a b');
+  });
+
+  it('should let middleware short-circuit or fail the chain', async () => {
+    await createSystem();
+    system.server.useRoute('/private', (req, res, next) => {
+      if (req.headers.authorization !== 'secret') {
+        res.status(401).json({ error: 'unauthorized' });
+        return;
+      }
+      next();
+    });
+    system.server.useRoute('/broken', (req, res, next) => next(Object.assign(new Error('teapot'), { statusCode: 418 })));
+    system.server.get('/private', () => ({ ok: true }));
+    system.server.get('/broken', () => ({ ok: true }));
+    await start();
+
+    expect((await request('/private')).status).toBe(401);
+    expect((await request('/private', { headers: { authorization: 'secret' } })).status).toBe(200);
+
+    const broken = await request('/broken');
+    expect(broken.status).toBe(418);
+    expect(await broken.json()).toEqual({ error: 'teapot' });
+  });
+
+  it('should use the default and custom error handlers', async () => {
+    await createSystem();
+    system.server.get('/fail', () => { throw new Error('database password leaked'); });
+    await start();
+
+    const res = await request('/fail');
+    expect(res.status).toBe(500);
+    expect(await res.json()).toEqual({ error: 'Internal Server Error' });
+
+    system.server.setErrorHandler((error, req, res) => {
+      res.status(503).json({ message: error.message, path: req.path });
+    });
+    const custom = await request('/fail');
+    expect(custom.status).toBe(503);
+    expect(await custom.json()).toEqual({ message: 'database password leaked', path: '/fail' });
+  });
+
+  it('should register routes in batch', async () => {
+    await createSystem();
+    expect(system.server.registerRoutes([
+      { method: 'GET', path: '/a', handler: () => 'a' },
+      { method: 'PATCH', path: '/b', handler: () => 'b' }
+    ])).toBe(2);
+    system.server.all('/any', (req) => req.method);
+    await start();
+
+    expect(await (await request('/a')).text()).toBe('a');
+    expect(await (await request('/b', { method: 'PATCH' })).text()).toBe('b');
+    expect(await (await request('/any', { method: 'PUT' })).text()).toBe('PUT');
+  });
+
+  it('should map HTTP requests onto the router facet', async () => {
+    await createSystem(useRouter);
+    system.registerRoute('users/{id}/update', (message, params) => ({
+      id: params.id,
+      name: message.body.name,
+      method: message.method,
+      type: message.type
+    }));
+    system.registerRoute('users/{id}/get', (message, params) => ({ id: params.id, type: message.type }));
+    system.server.registerMyceliaRoute('users/{id}/update', 'PUT', '/users/:id');
+    system.server.registerMyceliaQuery('users/{id}/get', '/users/:id');
+    await start();
+
+    const res = await request('/users/42', {
+      method: 'PUT',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ name: 'Ada' })
+    });
+    expect(await res.json()).toEqual({ id: '42', name: 'Ada', method: 'PUT', type: 'route' });
+
+    const query = await request('/users/7');
+    expect(await query.json()).toEqual({ id: '7', type: 'query' });
+ 
+    const smuggled = await request('/users/7%2Fupdate');
+    expect(smuggled.status).toBe(400);
+    expect((await smuggled.json()).error).toBe("Path parameter 'id' must not contain '/'");
+  });
+
+  it('should return 404 when no Mycelia route matches', async () => {
+    await createSystem(useRouter);
+    system.server.registerMyceliaRoute('items/{id}', 'GET', '/items/:id');
+    await start();
+
+    const res = await request('/items/1');
+    expect(res.status).toBe(404);
+    expect((await res.json()).error).toBe("No route for 'items/1'");
+  });
+
+  it('should queue Mycelia commands through the processor', async () => {
+    await createSystem(useQueue, useRouter, useProcessor);
+    const handled = [];
+    system.registerRoute('jobs/run', (message) => { handled.push(message.body); });
+    system.server.registerMyceliaRoutes([
+      { routePath: 'jobs/run', method: 'POST', httpPath: '/jobs', type: 'command' }
+    ]);
+    await start();
+
+    const res = await postJson('/jobs', { job: 1 });
+    expect(res.status).toBe(202);
+    expect(await res.json()).toEqual({ accepted: true, path: 'jobs/run' });
+    expect(handled).toEqual([]);
+
+    await system.processor.processTick();
+    expect(handled).toEqual([{ job: 1 }]);
+  });
+
+  it('should require the router facet for Mycelia routes', async () => {
+    await createSystem();
+    expect(() => system.server.registerMyceliaRoute('x', 'GET', '/x')).toThrow(/requires the router facet/);
+  });
+
+  it('should stop the server on dispose', async () => {
+    await createSystem();
+    await start();
+    const inner = system.server._server;
+
+    await system.dispose();
+    expect(inner.running).toBe(false);
+  });
+});
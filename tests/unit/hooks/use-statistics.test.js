@@ -0,0 +1,183 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { useStatistics } from '../../../src/hooks/statistics/use-statistics.js';
+import { MetricsRegistry } from '../../../src/hooks/statistics/metrics-registry.js';
+import { formatPrometheus } from '../../../src/hooks/statistics/prometheus-formatter.js';
+import { useQueue } from '../../../src/hooks/queue/use-queue.js';
+import { useRouter } from '../../../src/hooks/router/use-router.js';
+import { useListeners } from '../../../src/hooks/listeners/use-listeners.js';
+import { useProcessor } from '../../../src/hooks/processor/use-processor.js';
+import { useHierarchy } from '../../../src/hooks/hierarchy/use-hierarchy.js';
+import { StandalonePluginSystem } from '../../../src/system/standalone-plugin-system.js';
+import { validateFacets } from '../../../src/builder/facet-validator.js';
+import { defaultContractRegistry } from '../../../src/contract/index.js';
+
+const valueOf = (snapshot, name, labels = {}) => snapshot[name]?.samples
+  .find(sample => Object.entries(labels).every(([key, value]) => sample.labels[key] === value))?.value;
+
+describe('useStatistics', () => {
+  let system;
+
+  afterEach(async () => {
+    if (system?.isBuilt) {
+      await system.dispose();
+    }
+  });
+
+  describe('MetricsRegistry', () => {
+    it('should keep labelled counters, gauges and histograms', () => {
+      const registry = new MetricsRegistry({ defaultLabels: { service: 'shop' } });
+      const requests = registry.counter('http_requests_total', { help: 'Requests', labelNames: ['route'] });
+      requests.inc({ route: '/users' });
+      requests.inc({ route: '/users' }, 2);
+      registry.gauge('workers').set(3);
+      registry.gauge('workers').dec();
+      const latency = registry.histogram('latency_seconds', { buckets: [0.1, 1] });
+      [0.05, 0.5, 5].forEach(value => latency.observe(value));
+
+      expect(registry.counter('http_requests_total')).toBe(requests);
+      expect(requests.get({ route: '/users' })).toBe(3);
+      expect(requests.get({ route: '/orders' })).toBe(0);
+
+      const snapshot = registry.snapshot();
+      expect(Object.keys(snapshot)).toEqual(['http_requests_total', 'latency_seconds', 'workers']);
+      expect(snapshot.http_requests_total).toEqual({
+        type: 'counter',
+        help: 'Requests',
+        samples: [{ labels: { service: 'shop', route: '/users' }, value: 3 }]
+      });
+      expect(snapshot.workers.samples[0].value).toBe(2);
+      expect(snapshot.latency_seconds.samples[0]).toEqual({
+        labels: { service: 'shop' },
+        buckets: [{ le: 0.1, count: 1 }, { le: 1, count: 2 }, { le: Infinity, count: 3 }],
+        sum: 5.55,
+        count: 3
+      });
+    });
+
+    it('should reject invalid names, unknown labels, decreasing counters and type conflicts', () => {
+      const registry = new MetricsRegistry();
+      const counter = registry.counter('jobs_total', { labelNames: ['queue'] });
+
+      expect(() => registry.counter('bad-name')).toThrow("invalid metric name 'bad-name'");
+      expect(() => counter.inc({ region: 'eu' })).toThrow("unknown label 'region' for 'jobs_total'");
+      expect(() => counter.inc(-1)).toThrow('can only increase');
+      expect(() => registry.gauge('jobs_total')).toThrow("'jobs_total' is already registered as a counter");
+
+      registry.addCollector(() => [{ name: 'jobs_total', type: 'gauge', value: 1 }]);
+      expect(() => registry.snapshot()).toThrow("collector reported 'jobs_total' as a gauge, but it is a counter");
+    });
+
+    it('should merge collector samples and stop calling removed collectors', () => {
+      const registry = new MetricsRegistry();
+      let size = 4;
+      const remove = registry.addCollector(() => [
+        { name: 'queue_size', type: 'gauge', help: 'Queued', labels: { subsystem: 'app://' }, value: size }
+      ]);
+
+      expect(registry.snapshot().queue_size.samples).toEqual([{ labels: { subsystem: 'app://' }, value: 4 }]);
+      size = 1;
+      expect(valueOf(registry.snapshot(), 'queue_size')).toBe(1);
+      remove();
+      expect(registry.snapshot()).toEqual({});
+    });
+  });
+
+  describe('formatPrometheus', () => {
+    it('should render the text exposition format', () => {
+      const registry = new MetricsRegistry();
+      registry.counter('jobs_total', { help: 'Jobs\nrun', labelNames: ['name'] }).inc({ name: 'say "hi"\\' });
+      registry.histogram('job_seconds', { help: 'Job time', buckets: [1] }).observe(0.5);
+      registry.gauge('idle').set(0);
+
+      expect(formatPrometheus(registry.snapshot())).toBe([
+        '# TYPE idle gauge',
+        'idle 0',
+        '# HELP job_seconds Job time',
+        '# TYPE job_seconds histogram',
+        'job_seconds_bucket{le="1"} 1',
+        'job_seconds_bucket{le="+Inf"} 1',
+        'job_seconds_sum 0.5',
+        'job_seconds_count 1',
+        '# HELP jobs_total Jobs\\nrun',
+        '# TYPE jobs_total counter',
+        'jobs_total{name="say \\"hi\\"\\\\"} 1',
+        ''
+      ].join('\n'));
+      expect(formatPrometheus({})).toBe('');
+    });
+  });
+
+  describe('hook', () => {
+    it('should pass contract enforcement in validateFacets', () => {
+      system = new StandalonePluginSystem('test', {});
+      const facet = useStatistics(system.ctx, system.api, system);
+      expect(() => validateFacets({ statistics: facet }, system.ctx, system, defaultContractRegistry)).not.toThrow();
+    });
+
+    it('should collect queue, listener, processor, facet and graph cache metrics', async () => {
+      system = new StandalonePluginSystem('app', { config: { queue: { capacity: 2, policy: 'drop-newest' } } })
+        .use(useStatistics).use(useQueue).use(useRouter).use(useListeners).use(useProcessor);
+      await system.build();
+      system.listeners.enableListeners();
+      system.listeners.on('users/1', () => {});
+      system.registerRoute('users/{id}', (msg, params) => {
+        if (params.id === 'bad') throw new Error('no such user');
+        return params.id;
+      });
+
+      await system.accept({ path: 'users/1' });
+      await system.accept({ path: 'users/bad' });
+      await system.accept({ path: 'users/3' });
+      await system.processor.processTick();
+      await system.processor.processTick();
+
+      const snapshot = system.statistics.snapshot();
+      const app = { subsystem: 'app://' };
+      expect(valueOf(snapshot, 'mycelia_queue_enqueued_total', app)).toBe(2);
+      expect(valueOf(snapshot, 'mycelia_queue_dropped_total', app)).toBe(1);
+      expect(valueOf(snapshot, 'mycelia_queue_size', app)).toBe(0);
+      expect(valueOf(snapshot, 'mycelia_messages_total', { outcome: 'processed' })).toBe(1);
+      expect(valueOf(snapshot, 'mycelia_messages_total', { outcome: 'failed' })).toBe(1);
+      expect(valueOf(snapshot, 'mycelia_messages_total', { outcome: 'rejected' })).toBe(1);
+      expect(snapshot.mycelia_message_duration_seconds.samples.map(sample => [sample.labels.outcome, sample.count]))
+        .toEqual([['processed', 1], ['failed', 1]]);
+      expect(valueOf(snapshot, 'mycelia_listeners', app)).toBe(1);
+      expect(valueOf(snapshot, 'mycelia_listener_notifications_total', app)).toBe(1);
+      expect(valueOf(snapshot, 'mycelia_facets', app)).toBe(5);
+      expect(valueOf(snapshot, 'mycelia_graph_cache_entries', app)).toBeGreaterThan(0);
+      expect(snapshot.mycelia_graph_cache_misses_total.type).toBe('counter');
+
+      const text = system.statistics.toPrometheus();
+      expect(text).toContain('# TYPE mycelia_queue_dropped_total counter\nmycelia_queue_dropped_total{subsystem="app://"} 1\n');
+      expect(text).toContain('mycelia_message_duration_seconds_count{subsystem="app://",outcome="processed"} 1');
+    });
+
+    it('should stop reporting facets after dispose', async () => {
+      system = new StandalonePluginSystem('app', {}).use(useStatistics).use(useQueue);
+      await system.build();
+      const registry = system.statistics.registry;
+      expect(registry.snapshot().mycelia_queue_size).toBeDefined();
+
+      await system.dispose();
+      expect(registry.snapshot()).toEqual({});
+    });
+
+    it('should share the parent registry with child subsystems', async () => {
+      system = new StandalonePluginSystem('app', { config: { statistics: { defaultLabels: { service: 'shop' } } } })
+        .use(useHierarchy).use(useStatistics);
+      await system.build();
+      const child = new StandalonePluginSystem('worker', {}).use(useStatistics).use(useQueue);
+      system.hierarchy.addChild(child);
+      await system.reload();
+      await system.build();
+
+      expect(child.statistics.registry).toBe(system.statistics.registry);
+      const snapshot = system.statistics.snapshot();
+      expect(snapshot.mycelia_queue_size.samples).toEqual([
+        { labels: { service: 'shop', subsystem: 'app://worker' }, value: 0 }
+      ]);
+      expect(snapshot.mycelia_facets.samples.map(sample => sample.labels.subsystem)).toEqual(['app://', 'app://worker']);
+      expect(snapshot.mycelia_graph_cache_entries.samples).toHaveLength(1);
+    });
+  });
+});
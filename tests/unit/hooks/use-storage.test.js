@@ -0,0 +1,241 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { useStorage } from '../../../src/hooks/storage/use-storage.js';
+import { MemoryStorageBackend } from '../../../src/hooks/storage/memory-storage-backend.js';
+import { JsonFileStorageBackend } from '../../../src/hooks/storage/json-file-storage-backend.js';
+import { StandalonePluginSystem } from '../../../src/system/standalone-plugin-system.js';
+import { validateFacets } from '../../../src/builder/facet-validator.js';
+import { defaultContractRegistry } from '../../../src/contract/index.js';
+
+describe('useStorage', () => {
+  let system;
+
+  afterEach(async () => {
+    if (system && system.isBuilt) {
+      await system.dispose();
+    }
+  });
+
+  describe('contract', () => {
+    it('should pass contract enforcement in validateFacets for the memory backend', () => {
+      system = new StandalonePluginSystem('test', { config: { storage: { backend: 'memory' } } });
+      const facet = useStorage(system.ctx, system.api, system);
+
+      expect(() => validateFacets({ storage: facet }, system.ctx, system, defaultContractRegistry)).not.toThrow();
+      expect(facet._storageBackend).toBeInstanceOf(MemoryStorageBackend);
+    });
+
+    it('should pass contract enforcement in validateFacets for the json-file backend', () => {
+      system = new StandalonePluginSystem('test', {
+        config: { storage: { backend: new JsonFileStorageBackend({ path: join(tmpdir(), 'unused.json') }) } }
+      });
+      const facet = useStorage(system.ctx, system.api, system);
+
+      expect(() => validateFacets({ storage: facet }, system.ctx, system, defaultContractRegistry)).not.toThrow();
+      expect(facet._storageBackend).toBeInstanceOf(JsonFileStorageBackend);
+    });
+
+    it('should report capabilities per backend', () => {
+      system = new StandalonePluginSystem('test', {});
+      const memory = useStorage({ config: { storage: { backend: 'memory' } } }, system.api, system);
+      const file = useStorage({ config: { storage: { backend: new JsonFileStorageBackend({ path: 'x.json' }) } } }, system.api, system);
+
+      expect([memory.supportsTransactions, memory.supportsQuery, memory.supportsMetadata]).toEqual([true, true, true]);
+      expect([file.supportsTransactions, file.supportsQuery, file.supportsMetadata]).toEqual([false, true, true]);
+    });
+
+    it('should reject unknown backends', () => {
+      system = new StandalonePluginSystem('test', {});
+      expect(() => useStorage({ config: { storage: { backend: 'redis' } } }, system.api, system))
+        .toThrow(/unknown backend 'redis'/);
+      expect(() => useStorage({ config: { storage: { backend: 'json-file', path: 'x.json' } } }, system.api, system))
+        .toThrow(/'json-file' backend is Node-only.*mycelia-kernel-plugin\/node/);
+    });
+  });
+
+  describe('memory backend', () => {
+    let storage;
+
+    beforeEach(async () => {
+      system = new StandalonePluginSystem('test', { config: { storage: { backend: 'memory' } } });
+      system.use(useStorage);
+      await system.build();
+      storage = system.storage;
+    });
+
+    it('should get, set, check and delete values', async () => {
+      await storage.set('a', { n: 1 });
+      expect(await storage.get('a')).toEqual({ n: 1 });
+      expect(await storage.has('a')).toBe(true);
+      expect(await storage.delete('a')).toBe(true);
+      expect(await storage.get('a')).toBeUndefined();
+    });
+
+    it('should not share references with callers', async () => {
+      const value = { n: 1 };
+      await storage.set('a', value);
+      value.n = 2;
+      const stored = await storage.get('a');
+      stored.n = 3;
+      expect(await storage.get('a')).toEqual({ n: 1 });
+    });
+
+    it('should isolate namespaces', async () => {
+      await storage.createNamespace('users');
+      await storage.set('k', 'default-value');
+      await storage.set('k', 'users-value', { namespace: 'users' });
+
+      expect(await storage.get('k')).toBe('default-value');
+      expect(await storage.get('k', { namespace: 'users' })).toBe('users-value');
+      expect(await storage.listNamespaces()).toEqual(expect.arrayContaining(['default', 'users']));
+      expect(await storage.deleteNamespace('users')).toBe(true);
+      expect(await storage.get('k', { namespace: 'users' })).toBeUndefined();
+    });
+
+    it('should support bulk operations', async () => {
+      expect(await storage.setMany({ a: 1, b: 2, c: 3 })).toBe(3);
+      expect(await storage.getMany(['a', 'c', 'missing'])).toEqual({ a: 1, c: 3 });
+      expect(await storage.deleteMany(['a', 'b', 'missing'])).toBe(2);
+      expect(await storage.list()).toEqual(['c']);
+    });
+
+    it('should validate every key before a bulk write', async () => {
+      await expect(storage.setMany([['ok', 1], ['', 2]])).rejects.toThrow(/key must be a non-empty string/);
+      await expect(storage.setMany([['ok', 1], [42, 2]])).rejects.toThrow(/key must be a non-empty string/);
+      expect(await storage.list()).toEqual([]);
+    });
+
+    it('should list and count keys by prefix', async () => {
+      await storage.setMany([['user:1', 1], ['user:2', 2], ['order:1', 3]]);
+      expect(await storage.list({ prefix: 'user:' })).toEqual(['user:1', 'user:2']);
+      expect(await storage.count()).toBe(3);
+      expect(await storage.count({ prefix: 'order:' })).toBe(1);
+    });
+
+    it('should query with functions and field maps', async () => {
+      await storage.setMany({ a: { role: 'admin', age: 40 }, b: { role: 'user', age: 20 }, c: { role: 'admin', age: 25 } });
+
+      expect(await storage.query({ role: 'admin' })).toEqual([
+        { key: 'a', value: { role: 'admin', age: 40 } },
+        { key: 'c', value: { role: 'admin', age: 25 } }
+      ]);
+      expect((await storage.query((value) => value.age < 30, { limit: 1 })).map(r => r.key)).toEqual(['b']);
+    });
+
+    it('should store and merge metadata', async () => {
+      await storage.set('a', 1, { metadata: { owner: 'ada' } });
+      await storage.setMetadata('a', { tags: ['x'] });
+      expect(await storage.getMetadata('a')).toEqual({ owner: 'ada', tags: ['x'] });
+      expect(await storage.setMetadata('missing', {})).toBe(false);
+
+      const [entry] = await storage.query(() => true, { includeMetadata: true });
+      expect(entry.metadata).toEqual({ owner: 'ada', tags: ['x'] });
+    });
+
+    it('should commit and roll back transactions', async () => {
+      await storage.set('a', 1);
+
+      await storage.beginTransaction();
+      await storage.set('a', 2);
+      await storage.rollback();
+      expect(await storage.get('a')).toBe(1);
+
+      await storage.beginTransaction();
+      await storage.set('a', 3);
+      await storage.commit();
+      expect(await storage.get('a')).toBe(3);
+    });
+
+    it('should clear one namespace or everything', async () => {
+      await storage.set('a', 1);
+      await storage.set('b', 2, { namespace: 'other' });
+
+      expect(await storage.clear({ namespace: 'other' })).toBe(1);
+      expect(await storage.get('a')).toBe(1);
+      expect(await storage.clear()).toBe(1);
+      expect(await storage.count()).toBe(0);
+    });
+
+    it('should report status', async () => {
+      await storage.set('a', 1);
+      expect(await storage.getStatus()).toMatchObject({
+        backend: 'memory',
+        healthy: true,
+        keys: 1,
+        supportsTransactions: true
+      });
+    });
+  });
+
+  describe('json-file backend', () => {
+    let dir;
+    let path;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'mycelia-storage-'));
+      path = join(dir, 'nested', 'store.json');
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    const buildSystem = async () => {
+      const s = new StandalonePluginSystem('test', { config: { storage: { backend: new JsonFileStorageBackend({ path }) } } });
+      s.use(useStorage);
+      await s.build();
+      return s;
+    };
+
+    it('should persist writes atomically to the JSON file', async () => {
+      system = await buildSystem();
+      await system.storage.set('a', { n: 1 }, { metadata: { v: 1 } });
+
+      const data = JSON.parse(await readFile(path, 'utf8'));
+      expect(data).toEqual({ version: 1, namespaces: { default: { a: { value: { n: 1 }, metadata: { v: 1 } } } } });
+      expect((await readdir(join(dir, 'nested'))).filter(f => f.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('should reload persisted data on init', async () => {
+      system = await buildSystem();
+      await system.storage.setMany({ a: 1, b: 2 });
+      await system.storage.set('c', 3, { namespace: 'other', metadata: { x: true } });
+      await system.dispose();
+
+      system = await buildSystem();
+      expect(await system.storage.getMany(['a', 'b'])).toEqual({ a: 1, b: 2 });
+      expect(await system.storage.getMetadata('c', { namespace: 'other' })).toEqual({ x: true });
+    });
+
+    it('should reject transactions', async () => {
+      system = await buildSystem();
+      await expect(system.storage.beginTransaction()).rejects.toThrow(/does not support transactions/);
+    });
+
+    it('should fail to build on a corrupt file', async () => {
+      system = await buildSystem();
+      await system.storage.set('a', 1);
+      await system.dispose();
+
+      await writeFile(path, '{ not json', 'utf8');
+
+      system = new StandalonePluginSystem('test', { config: { storage: { backend: new JsonFileStorageBackend({ path }) } } });
+      system.use(useStorage);
+      await expect(system.build()).rejects.toThrow(/cannot parse/);
+    });
+  });
+
+  describe('custom backend', () => {
+    it('should accept a backend instance', async () => {
+      const backend = new MemoryStorageBackend();
+      system = new StandalonePluginSystem('test', { config: { storage: { backend } } });
+      system.use(useStorage);
+      await system.build();
+
+      await system.storage.set('a', 1);
+      expect(backend.get('default', 'a')).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,401 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import net from 'node:net';
+import { once } from 'node:events';
+import { randomBytes } from 'node:crypto';
+import { useWebSocket } from '../../../src/hooks/websocket/use-websocket.js';
+import { WebSocketServer } from '../../../src/hooks/websocket/websocket-server.js';
+import {
+  FrameParser,
+  OPCODES,
+  encodeFrame,
+  encodeClosePayload,
+  decodeClosePayload,
+  createAcceptKey
+} from '../../../src/hooks/websocket/websocket-frame.js';
+import { useListeners } from '../../../src/hooks/listeners/use-listeners.js';
+import { useServer } from '../../../src/hooks/server/use-server.js';
+import { StandalonePluginSystem } from '../../../src/system/standalone-plugin-system.js';
+import { validateFacets } from '../../../src/builder/facet-validator.js';
+import { defaultContractRegistry } from '../../../src/contract/index.js';
+
+/**
+ * Minimal RFC 6455 client over a raw socket (masks its frames, reads server frames)
+ */
+class TestClient {
+  constructor(socket) {
+    this.socket = socket;
+    this.parser = new FrameParser({ requireMask: false });
+    this.frames = [];
+    this.waiting = [];
+    this.closed = once(socket, 'close');
+  }
+
+  static async connect(port, { path = '/', headers = {} } = {}) {
+    const socket = net.connect(port, '127.0.0.1');
+    await once(socket, 'connect');
+
+    const key = randomBytes(16).toString('base64');
+    const lines = [
+      `GET ${path} HTTP/1.1`,
+      'Host: localhost',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Key: ${key}`,
+      'Sec-WebSocket-Version: 13',
+      ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)
+    ];
+    socket.write(lines.join('\r\n') + '\r\n\r\n');
+
+    let buffer = Buffer.alloc(0);
+    while (!buffer.includes('\r\n\r\n')) {
+      const [chunk] = await once(socket, 'data');
+      buffer = Buffer.concat([buffer, chunk]);
+    }
+    const end = buffer.indexOf('\r\n\r\n');
+    const [statusLine, ...headerLines] = buffer.subarray(0, end).toString().split('\r\n');
+
+    const client = new TestClient(socket);
+    client.status = Number(statusLine.split(' ')[1]);
+    client.key = key;
+    client.headers = Object.fromEntries(headerLines.map(line => {
+      const index = line.indexOf(':');
+      return [line.slice(0, index).toLowerCase(), line.slice(index + 1).trim()];
+    }));
+
+    socket.on('data', chunk => client.#receive(chunk));
+    const rest = buffer.subarray(end + 4);
+    if (rest.length) {
+      client.#receive(rest);
+    }
+    return client;
+  }
+
+  #receive(chunk) {
+    for (const frame of this.parser.push(chunk)) {
+      if (frame.opcode === OPCODES.CLOSE && !this.closing) {
+        // Complete the close handshake like a browser would
+        this.closing = true;
+        this.write(OPCODES.CLOSE, frame.payload.subarray(0, 2));
+      }
+      const resolve = this.waiting.shift();
+      if (resolve) {
+        resolve(frame);
+      } else {
+        this.frames.push(frame);
+      }
+    }
+  }
+
+  nextFrame() {
+    if (this.frames.length) {
+      return Promise.resolve(this.frames.shift());
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  async nextText() {
+    const frame = await this.nextFrame();
+    return frame.payload.toString('utf8');
+  }
+
+  async nextClose() {
+    const frame = await this.nextFrame();
+    expect(frame.opcode).toBe(OPCODES.CLOSE);
+    return decodeClosePayload(frame.payload);
+  }
+
+  write(opcode, payload = Buffer.alloc(0), options = {}) {
+    this.socket.write(encodeFrame(opcode, Buffer.from(payload), { mask: true, ...options }));
+  }
+
+  sendText(text) {
+    this.write(OPCODES.TEXT, Buffer.from(text));
+  }
+
+  sendJson(data) {
+    this.sendText(JSON.stringify(data));
+  }
+
+  destroy() {
+    this.socket.destroy();
+  }
+}
+
+describe('websocket framing', () => {
+  it('should round-trip frames across the 7-bit, 16-bit and 64-bit length forms', () => {
+    const parser = new FrameParser({ maxPayload: 70000 });
+    for (const size of [0, 125, 126, 65535, 65536]) {
+      const payload = randomBytes(size);
+      const frames = parser.push(encodeFrame(OPCODES.BINARY, payload, { mask: true }));
+      expect(frames).toHaveLength(1);
+      expect(frames[0].payload.equals(payload)).toBe(true);
+    }
+  });
+
+  it('should reassemble frames split across chunks', () => {
+    const parser = new FrameParser();
+    const frame = encodeFrame(OPCODES.TEXT, Buffer.from('hello world'), { mask: true });
+
+    expect(parser.push(frame.subarray(0, 3))).toEqual([]);
+    const [decoded] = parser.push(frame.subarray(3));
+    expect(decoded.payload.toString()).toBe('hello world');
+  });
+
+  it('should reject protocol violations with close codes', () => {
+    const fail = (bytes, options) => {
+      try {
+        new FrameParser(options).push(bytes);
+      } catch (error) {
+        return error.closeCode;
+      }
+      return null;
+    };
+
+    expect(fail(encodeFrame(OPCODES.TEXT, Buffer.from('x')))).toBe(1002); // unmasked
+    expect(fail(encodeFrame(0x3, Buffer.alloc(0), { mask: true }))).toBe(1002); // reserved opcode
+    expect(fail(encodeFrame(OPCODES.PING, Buffer.alloc(0), { mask: true, fin: false }))).toBe(1002);
+    expect(fail(encodeFrame(OPCODES.TEXT, Buffer.alloc(10), { mask: true }), { maxPayload: 5 })).toBe(1009);
+    expect(() => decodeClosePayload(encodeClosePayload(1005))).toThrow(/Invalid close code/);
+    expect(decodeClosePayload(encodeClosePayload(4000, 'custom'))).toEqual({ code: 4000, reason: 'custom' });
+  });
+});
+
+describe('useWebSocket', () => {
+  let system;
+  let port;
+  const clients = [];
+
+  afterEach(async () => {
+    clients.splice(0).forEach(client => client.destroy());
+    if (system?.isBuilt) {
+      await system.dispose();
+    }
+    system = null;
+  });
+
+  async function createSystem(config = {}, ...hooks) {
+    system = new StandalonePluginSystem('ws', {
+      config: { websocket: { port: 0, path: '/ws', pingInterval: 0, ...config } }
+    });
+    for (const hook of hooks) system.use(hook);
+    system.use(useWebSocket);
+    await system.build();
+    return system;
+  }
+
+  async function start() {
+    port = (await system.websocket.start()).port;
+  }
+
+  async function connect(options = { path: '/ws' }) {
+    const client = await TestClient.connect(port, options);
+    clients.push(client);
+    return client;
+  }
+
+  const waitFor = (condition) => vi.waitFor(() => expect(condition()).toBe(true), { timeout: 2000, interval: 5 });
+
+  it('should pass contract enforcement in validateFacets', () => {
+    const s = new StandalonePluginSystem('test', {});
+    const facet = useWebSocket(s.ctx, s.api, s);
+
+    expect(() => validateFacets({ websocket: facet }, s.ctx, s, defaultContractRegistry)).not.toThrow();
+    expect(facet._server).toBeInstanceOf(WebSocketServer);
+    expect(facet._connections).toBeInstanceOf(Map);
+    expect(facet._isRunning).toBe(false);
+  });
+
+  it('should complete the opening handshake and track connections', async () => {
+    await createSystem();
+    const onConnection = vi.fn();
+    system.websocket.onConnection(onConnection);
+    await start();
+
+    const client = await connect();
+    expect(client.status).toBe(101);
+    expect(client.headers['sec-websocket-accept']).toBe(createAcceptKey(client.key));
+
+    await waitFor(() => system.websocket.getConnectionCount() === 1);
+    const [connection] = system.websocket.getAllConnections();
+    expect(system.websocket.getConnection(connection.id)).toBe(connection);
+    expect(onConnection).toHaveBeenCalledWith(connection, expect.objectContaining({ url: '/ws' }));
+    expect(system.websocket.getAddress().url).toBe(`ws://127.0.0.1:${port}/ws`);
+  });
+
+  it('should reject invalid upgrade requests', async () => {
+    await createSystem();
+    await start();
+
+    expect((await connect({ path: '/other' })).status).toBe(404);
+    expect((await connect({ path: 'http://[::1' })).status).toBe(400);
+    const wrongVersion = await connect({ path: '/ws', headers: { 'Sec-WebSocket-Version': '8' } });
+    expect(wrongVersion.status).toBe(426);
+    expect(wrongVersion.headers['sec-websocket-version']).toBe('13');
+
+    const response = await fetch(`http://127.0.0.1:${port}/ws`);
+    expect(response.status).toBe(426);
+  });
+
+  it('should route typed JSON messages to registered handlers', async () => {
+    await createSystem();
+    system.websocket.registerMessageHandler('chat', (message, connection) => {
+      connection.send({ type: 'chat/ack', text: message.data.text.toUpperCase() });
+    });
+    const fallback = vi.fn();
+    system.websocket.registerMessageHandler('*', fallback);
+    await start();
+
+    const client = await connect();
+    client.sendJson({ type: 'chat', text: 'hi' });
+    expect(JSON.parse(await client.nextText())).toEqual({ type: 'chat/ack', text: 'HI' });
+
+    client.sendText('plain text');
+    await waitFor(() => fallback.mock.calls.length === 1);
+    expect(fallback.mock.calls[0][0]).toMatchObject({ type: null, data: 'plain text', binary: false });
+
+    expect(() => system.websocket.registerMessageHandler('chat', () => {})).toThrow(/already registered/);
+  });
+
+  it('should echo binary and fragmented messages', async () => {
+    await createSystem();
+    system.websocket.registerMessageHandler('*', (message, connection) => connection.send(message.data));
+    await start();
+
+    const client = await connect();
+    client.write(OPCODES.BINARY, Buffer.from([1, 2, 3]));
+    const binary = await client.nextFrame();
+    expect(binary.opcode).toBe(OPCODES.BINARY);
+    expect([...binary.payload]).toEqual([1, 2, 3]);
+
+    client.write(OPCODES.TEXT, Buffer.from('frag'), { fin: false });
+    client.write(OPCODES.PING, Buffer.from('mid')); // control frames may interleave
+    client.write(OPCODES.CONTINUATION, Buffer.from('mented'), { fin: false });
+    const pong = await client.nextFrame();
+    expect(pong.opcode).toBe(OPCODES.PONG);
+    expect(pong.payload.toString()).toBe('mid');
+    expect(client.frames).toHaveLength(0);
+
+    client.write(OPCODES.CONTINUATION, Buffer.alloc(0), { fin: true });
+    expect(await client.nextText()).toBe('fragmented');
+  });
+
+  it('should emit socket traffic on the listeners facet', async () => {
+    await createSystem({}, useListeners);
+    system.listeners.enableListeners();
+    const onMessage = vi.fn();
+    const onTyped = vi.fn();
+    const onDisconnection = vi.fn();
+    system.listeners.on('websocket/message', onMessage);
+    system.listeners.on('websocket/message/cursor', onTyped);
+    system.listeners.on('websocket/disconnection', onDisconnection);
+    await start();
+
+    const client = await connect();
+    client.sendJson({ type: 'cursor', x: 1 });
+    await waitFor(() => onTyped.mock.calls.length === 1);
+    expect(onTyped.mock.calls[0][0]).toMatchObject({ type: 'cursor', data: { type: 'cursor', x: 1 } });
+    expect(onMessage).toHaveBeenCalledTimes(1);
+
+    client.closing = true;
+    client.write(OPCODES.CLOSE, encodeClosePayload(1000, 'bye'));
+    expect(await client.nextClose()).toEqual({ code: 1000, reason: '' });
+    await waitFor(() => onDisconnection.mock.calls.length === 1);
+    expect(onDisconnection.mock.calls[0][0]).toMatchObject({ code: 1000, reason: 'bye' });
+    expect(system.websocket.getConnectionCount()).toBe(0);
+  });
+
+  it('should send, broadcast and close connections by id', async () => {
+    await createSystem();
+    await start();
+
+    const first = await connect();
+    const second = await connect();
+    await waitFor(() => system.websocket.getConnectionCount() === 2);
+    const [a, b] = system.websocket.getAllConnections();
+
+    expect(system.websocket.send(a.id, 'direct')).toBe(true);
+    expect(system.websocket.send('missing', 'x')).toBe(false);
+    expect(system.websocket.broadcast({ hello: 'all' }, { exclude: a.id })).toBe(1);
+    expect(await first.nextText()).toBe('direct');
+    expect(JSON.parse(await second.nextText())).toEqual({ hello: 'all' });
+
+    const onDisconnection = vi.fn();
+    system.websocket.onDisconnection(onDisconnection);
+    expect(system.websocket.closeConnection(b.id, 4000, 'kicked')).toBe(true);
+    expect(await second.nextClose()).toEqual({ code: 4000, reason: 'kicked' });
+    await waitFor(() => onDisconnection.mock.calls.length === 1);
+    expect(onDisconnection).toHaveBeenCalledWith(b, { code: 4000, reason: 'kicked' });
+  });
+
+  it('should fail the connection on protocol errors', async () => {
+    await createSystem({ maxPayload: 16 });
+    const onError = vi.fn();
+    system.websocket.onError(onError);
+    await start();
+
+    const unmasked = await connect();
+    unmasked.write(OPCODES.TEXT, Buffer.from('x'), { mask: false });
+    expect((await unmasked.nextClose()).code).toBe(1002);
+
+    const badUtf8 = await connect();
+    badUtf8.write(OPCODES.TEXT, Buffer.from([0xff, 0xfe]));
+    expect((await badUtf8.nextClose()).code).toBe(1007);
+
+    const tooBig = await connect();
+    tooBig.write(OPCODES.TEXT, Buffer.alloc(8, 'a'), { fin: false });
+    tooBig.write(OPCODES.CONTINUATION, Buffer.alloc(9, 'a'));
+    expect((await tooBig.nextClose()).code).toBe(1009);
+
+    expect(onError).toHaveBeenCalledTimes(3);
+  });
+
+  it('should close connections with 1001 when stopped', async () => {
+    await createSystem();
+    await start();
+    const client = await connect();
+    await waitFor(() => system.websocket.getConnectionCount() === 1);
+
+    const stopped = system.websocket.stop();
+    expect((await client.nextClose()).code).toBe(1001);
+    await stopped;
+
+    expect(system.websocket.isRunning()).toBe(false);
+    expect(system.websocket.getPort()).toBeNull();
+  });
+
+  it('should share a port with the server facet when attachToServer is set', async () => {
+    system = new StandalonePluginSystem('ws', {
+      config: {
+        server: { port: 0 },
+        websocket: { attachToServer: true, path: '/ws', pingInterval: 0 }
+      }
+    });
+    system.use(useServer).use(useWebSocket);
+    await system.build();
+    system.server.get('/health', () => ({ ok: true }));
+    system.websocket.registerMessageHandler('*', (message, connection) => connection.send(message.data));
+
+    port = (await system.server.start()).port;
+    expect(await system.websocket.start()).toMatchObject({ port });
+
+    expect(await (await fetch(`http://127.0.0.1:${port}/health`)).json()).toEqual({ ok: true });
+    const client = await connect();
+    client.sendText('shared');
+    expect(await client.nextText()).toBe('shared');
+
+    await system.websocket.stop();
+    expect(system.server.isRunning()).toBe(true);
+  });
+
+  it('should terminate connections that miss a heartbeat', async () => {
+    await createSystem({ pingInterval: 20 });
+    await start();
+    const client = await connect();
+
+    const ping = await client.nextFrame();
+    expect(ping.opcode).toBe(OPCODES.PING);
+    // Never answer: the next heartbeat drops the connection
+    await client.closed;
+    await waitFor(() => system.websocket.getConnectionCount() === 0);
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { FacetManager } from '../../../src/manager/facet-manager.js';
 import { Facet } from '../../../src/core/facet.js';
+import { Logger, memorySink } from '../../../src/utils/logger.js';
 
 describe('FacetManager', () => {
   let manager;
@@ -180,6 +181,23 @@ describe('FacetManager', () => {
 
       expect(disposeCalled).toBe(true);
     });
+
+    it('should log rejected disposals of facets and alternate versions', async () => {
+      const sink = memorySink();
+      mockSubsystem.ctx.logger = new Logger({ sinks: [sink] });
+      const failing = (version) => new Facet('store', { version })
+        .onDispose(async () => { throw new Error(`store@${version} dispose failed`); });
+
+      await manager.add('store', failing('2.0.0'), { init: false });
+      manager.addVersion('store', failing('1.0.0'));
+      manager.remove('store');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(sink.records.map(record => [record.level, record.msg, record.err?.message])).toEqual([
+        ['error', "Failed to dispose facet 'store'", 'store@2.0.0 dispose failed'],
+        ['error', "Failed to dispose facet 'store'", 'store@1.0.0 dispose failed']
+      ]);
+    });
   });
 
   describe('disposeAll', () => {
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadConfig, parseEnvConfig } from '../../../src/utils/config-loader.js';
+import { LayeredConfig } from '../../../src/utils/layered-config.js';
+import { useBase } from '../../../src/utils/use-base.js';
+import { BaseSubsystem } from '../../../src/system/base-subsystem.js';
+import { useQueue } from '../../../src/hooks/queue/use-queue.js';
+
+describe('layered configuration', () => {
+  let dir;
+  let system;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'mycelia-config-'));
+  });
+
+  afterEach(async () => {
+    if (system?.isBuilt) {
+      await system.dispose();
+    }
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('loadConfig', () => {
+    it('should merge layers in precedence order', async () => {
+      await writeFile(join(dir, 'mycelia.config.json'), JSON.stringify({
+        queue: { capacity: 100, policy: 'drop-newest' },
+        speak: { prefix: '[file] ' }
+      }));
+      await writeFile(join(dir, 'mycelia.config.production.mjs'),
+        'export default ({ environment }) => ({ speak: { prefix: `[${environment}] ` } });\n');
+
+      const config = await loadConfig({
+        cwd: dir,
+        environment: 'production',
+        env: { MYCELIA__QUEUE__CAPACITY: '50', MYCELIA__LISTENERS__REGISTRATION_POLICY: 'single', OTHER: 'x' },
+        defaults: { queue: { capacity: 1000, debug: false } },
+        overrides: { speak: { debug: true } }
+      });
+
+      expect(config.layers.map(layer => layer.name)).toEqual(['defaults', 'file', 'environment-file', 'env', 'overrides']);
+      expect(config.toObject()).toEqual({
+        queue: { capacity: 50, policy: 'drop-newest', debug: false },
+        speak: { prefix: '[production] ', debug: true },
+        listeners: { registrationPolicy: 'single' }
+      });
+      expect(config.explain('queue.capacity')).toEqual({
+        path: 'queue.capacity',
+        value: 50,
+        layer: 'env',
+        source: 'MYCELIA__QUEUE__CAPACITY',
+        history: [
+          { layer: 'defaults', source: 'defaults', value: 1000 },
+          { layer: 'file', source: join(dir, 'mycelia.config.json'), value: 100 },
+          { layer: 'env', source: 'MYCELIA__QUEUE__CAPACITY', value: 50 }
+        ]
+      });
+    });
+
+    it('should pick the environment from MYCELIA_ENV or NODE_ENV', async () => {
+      await writeFile(join(dir, 'mycelia.config.test.json'), JSON.stringify({ queue: { capacity: 5 } }));
+
+      const config = await loadConfig({ cwd: dir, env: { NODE_ENV: 'test' } });
+
+      expect(config.explain('queue.capacity')).toMatchObject({ value: 5, layer: 'environment-file' });
+    });
+
+    it('should reject invalid or ambiguous files', async () => {
+      await writeFile(join(dir, 'mycelia.config.json'), '{ nope');
+      await expect(loadConfig({ cwd: dir, env: {} })).rejects.toThrow(/invalid JSON in .*mycelia\.config\.json/);
+
+      await writeFile(join(dir, 'mycelia.config.mjs'), 'export default {};\n');
+      await expect(loadConfig({ cwd: dir, env: {} })).rejects.toThrow(/both .* exist; keep only one/);
+    });
+  });
+
+  describe('parseEnvConfig', () => {
+    it('should nest, camelCase and parse values', () => {
+      expect(parseEnvConfig({
+        APP__SERVER__TLS__MIN_VERSION: 'TLSv1.2',
+        APP__SERVER__PORTS: '[80,443]',
+        APP__SERVER__ENABLED: 'true',
+        MYCELIA__IGNORED: '1'
+      }, 'APP')).toEqual({
+        values: { server: { tls: { minVersion: 'TLSv1.2' }, ports: [80, 443], enabled: true } },
+        sources: {
+          'server.enabled': 'APP__SERVER__ENABLED',
+          'server.ports': 'APP__SERVER__PORTS',
+          'server.tls.minVersion': 'APP__SERVER__TLS__MIN_VERSION'
+        }
+      });
+    });
+  });
+
+  describe('explainConfig', () => {
+    it('should explain layered, programmatic and schema-default values', async () => {
+      const config = new LayeredConfig()
+        .addLayer('defaults', { queue: { capacity: 1000 } })
+        .addLayer('env', { queue: { capacity: 50 } }, 'environment', { 'queue.capacity': 'MYCELIA__QUEUE__CAPACITY' });
+
+      system = await useBase('app', { config })
+        .setBase(BaseSubsystem)
+        .use(useQueue)
+        .config('queue', { debug: true })
+        .build();
+
+      expect(system.queue.queue.capacity).toBe(50);
+      expect(system.explainConfig('queue.capacity')).toMatchObject({ value: 50, layer: 'env', source: 'MYCELIA__QUEUE__CAPACITY' });
+      expect(system.explainConfig('queue.debug')).toMatchObject({ value: true, layer: 'overrides', source: 'useBase().config()' });
+      expect(system.explainConfig('queue.policy')).toMatchObject({
+        value: 'drop-oldest',
+        layer: 'schema-default',
+        source: useQueue.source
+      });
+      expect(system.explainConfig('queue.missing')).toMatchObject({ value: undefined, layer: null, history: [] });
+    });
+
+    it('should keep one overrides layer across rebuilds with build(ctx) config', async () => {
+      system = new BaseSubsystem('app', { config: { queue: { capacity: 10 } } }).use(useQueue);
+      await system.build({ config: { queue: { capacity: 20 } } });
+      await system.reload();
+      await system.build({ config: { queue: { policy: 'drop-newest' } } });
+
+      expect(system._configLayers.layers.filter(layer => layer.source === 'build(ctx)')).toEqual([
+        { name: 'overrides', source: 'build(ctx)', values: { queue: { capacity: 20, policy: 'drop-newest' } } }
+      ]);
+      expect(system.queue.queue.capacity).toBe(20);
+      expect(system.explainConfig('queue.capacity').history.map(entry => entry.value)).toEqual([10, 20]);
+      expect(system.explainConfig('queue.policy')).toMatchObject({ value: 'drop-newest', layer: 'overrides', source: 'build(ctx)' });
+    });
+
+    it('should replace a layer with the same name and source', () => {
+      const config = new LayeredConfig()
+        .addLayer('overrides', { queue: { capacity: 1 } }, 'cli')
+        .addLayer('overrides', { queue: { capacity: 2 } }, 'build(ctx)')
+        .addLayer('runtime', { queue: { capacity: 3 } })
+        .setLayer('overrides', { queue: { capacity: 4 } }, 'build(ctx)');
+
+      expect(config.layers.map(layer => `${layer.name}:${layer.source}`)).toEqual(['overrides:cli', 'runtime:runtime', 'overrides:build(ctx)']);
+      expect(config.explain('queue.capacity').history.map(entry => entry.value)).toEqual([1, 3, 4]);
+      expect(() => config.setLayer('overrides', null, 'build(ctx)')).toThrow(/must be an object/);
+      expect(config.layers).toHaveLength(3);
+    });
+
+    it('should treat a plain config object as the options layer', () => {
+      system = new BaseSubsystem('plain', { config: { queue: { capacity: 10 } } });
+      system.ctx.config.speak = { prefix: '>' };
+
+      expect(system.explainConfig('queue.capacity')).toMatchObject({ value: 10, layer: 'options', source: 'constructor options' });
+      expect(system.explainConfig('speak.prefix')).toMatchObject({ value: '>', layer: 'runtime', source: 'ctx.config' });
+      expect(() => system.explainConfig('')).toThrow('explainConfig: path must be a non-empty string');
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { applyConfigSchema, assertConfigSchema } from '../../../src/utils/config-schema.js';
+import { BaseSubsystem } from '../../../src/system/base-subsystem.js';
+import { createHook } from '../../../src/core/create-hook.js';
+import { Facet } from '../../../src/core/facet.js';
+import { useQueue } from '../../../src/hooks/queue/use-queue.js';
+import { useListeners } from '../../../src/hooks/listeners/use-listeners.js';
+import { useSpeak } from '../../../src/hooks/speak/use-speak.js';
+
+describe('config schema', () => {
+  const serverSchema = {
+    type: 'object',
+    required: ['host'],
+    properties: {
+      host: { type: 'string', minLength: 1 },
+      port: { type: 'integer', minimum: 1, maximum: 65535, default: 8080 },
+      mode: { type: 'string', enum: ['http', 'https'], default: 'http' },
+      tags: { type: 'array', items: { type: 'string' }, default: [] },
+      tls: {
+        type: 'object',
+        required: ['cert'],
+        properties: { cert: { type: 'string' }, strict: { type: 'boolean', default: true } }
+      },
+      limits: {
+        type: 'object',
+        default: {},
+        properties: { body: { type: 'number', default: 1024 } }
+      },
+      headers: { type: 'object', additionalProperties: { type: 'string' } }
+    }
+  };
+
+  describe('applyConfigSchema', () => {
+    it('should fill defaults without mutating the input', () => {
+      const input = { host: 'localhost' };
+      const { value, errors } = applyConfigSchema(serverSchema, input, 'config.server');
+
+      expect(errors).toEqual([]);
+      expect(value).toEqual({ host: 'localhost', port: 8080, mode: 'http', tags: [], limits: { body: 1024 } });
+      expect(input).toEqual({ host: 'localhost' });
+      expect(applyConfigSchema(serverSchema, { host: 'a' }).value.tags)
+        .not.toBe(applyConfigSchema(serverSchema, { host: 'b' }).value.tags);
+    });
+
+    it('should report every violation with its path', () => {
+      const { errors } = applyConfigSchema(serverSchema, {
+        prot: 80,
+        port: 0,
+        mode: 'ftp',
+        tags: ['a', 1],
+        tls: { strict: 'yes' },
+        headers: { accept: 'json', retries: 3 }
+      }, 'config.server');
+
+      expect(errors).toEqual([
+        { path: 'config.server.port', message: 'must be >= 1 (got 0)' },
+        { path: 'config.server.mode', message: 'must be one of "http", "https" (got string "ftp")' },
+        { path: 'config.server.tags[1]', message: 'expected string, got number 1' },
+        { path: 'config.server.tls.strict', message: 'expected boolean, got string "yes"' },
+        { path: 'config.server.tls.cert', message: 'is required' },
+        { path: 'config.server.headers.retries', message: 'expected string, got number 3' },
+        { path: 'config.server.host', message: 'is required' },
+        { path: 'config.server.prot', message: 'unknown option (did you mean "port"?)' }
+      ]);
+    });
+
+    it('should validate an absent root object so top-level defaults and required apply', () => {
+      expect(applyConfigSchema(serverSchema, undefined, 'config.server').errors)
+        .toEqual([{ path: 'config.server.host', message: 'is required' }]);
+    });
+  });
+
+  describe('assertConfigSchema', () => {
+    it('should reject malformed schemas and invalid defaults', () => {
+      expect(() => assertConfigSchema({ type: 'text' })).toThrow(/configSchema\.type must be one of/);
+      expect(() => assertConfigSchema({ properties: { size: { minimum: '1' } } }))
+        .toThrow('configSchema.properties.size.minimum must be a number');
+      expect(() => assertConfigSchema({ type: 'integer', minimum: 1, default: 0 }))
+        .toThrow('configSchema.default is invalid: default: must be >= 1 (got 0)');
+      expect(() => assertConfigSchema(serverSchema)).not.toThrow();
+    });
+
+    it('should be checked by createHook', () => {
+      expect(() => createHook({ kind: 'bad', source: 'bad.js', configSchema: { enum: [] }, fn: () => new Facet('bad') }))
+        .toThrow('createHook: invalid configSchema for hook "bad": configSchema.enum must be a non-empty array');
+    });
+  });
+
+  describe('build validation', () => {
+    let system;
+
+    afterEach(async () => {
+      if (system?.isBuilt) {
+        await system.dispose();
+      }
+    });
+
+    it('should fill defaults before the hook runs', async () => {
+      let seen;
+      system = new BaseSubsystem('app', { config: { server: { host: 'localhost' } } })
+        .use(createHook({
+          kind: 'server',
+          source: 'server.js',
+          configSchema: serverSchema,
+          fn: (ctx) => {
+            seen = ctx.config.server;
+            return new Facet('server');
+          }
+        }));
+      await system.build();
+
+      expect(seen).toMatchObject({ host: 'localhost', port: 8080, mode: 'http' });
+      expect(system.ctx.config.server.port).toBe(8080);
+    });
+
+    it('should report all violations of all hooks with their sources before running any hook', async () => {
+      let ran = false;
+      system = new BaseSubsystem('app', {
+        config: { queue: { capacity: '10', polcy: 'drop-newest' }, speak: { prefix: 5 } }
+      })
+        .use(useQueue)
+        .use(useSpeak)
+        .use(createHook({ kind: 'probe', source: 'probe.js', fn: () => { ran = true; return new Facet('probe'); } }));
+
+      const error = await system.build().catch(e => e);
+
+      expect(ran).toBe(false);
+      expect(error.code).toBe('FACET_CONFIG_INVALID');
+      expect(error.violations.map(v => `${v.path} (${v.kind})`)).toEqual([
+        'config.queue.capacity (queue)',
+        'config.queue.polcy (queue)',
+        'config.speak.prefix (speak)'
+      ]);
+      expect(error.message).toContain('Invalid configuration (3 problems):');
+      expect(error.message).toMatch(/config\.queue\.polcy: unknown option \(did you mean "policy"\?\) \(hook 'queue' from .*use-queue\.js\)/);
+    });
+
+    it('should default the built-in queue, listeners and speak config', async () => {
+      system = new BaseSubsystem('app', {}).use(useQueue).use(useListeners).use(useSpeak);
+      await system.build();
+
+      expect(system.ctx.config).toMatchObject({
+        queue: { capacity: 1000, policy: 'drop-oldest' },
+        listeners: { registrationPolicy: 'multiple', policyOptions: {} },
+        speak: { prefix: '' }
+      });
+      expect(system.queue.queue.capacity).toBe(1000);
+    });
+
+    it('should keep treating a queue capacity of 0 as the default', async () => {
+      system = new BaseSubsystem('app', { config: { queue: { capacity: 0 } } }).use(useQueue);
+      await system.build();
+      expect(system.queue.queue.capacity).toBe(1000);
+
+      await system.updateConfig('queue', { capacity: 10 });
+      await system.updateConfig('queue', { capacity: 0 });
+      expect(system.queue.queue.capacity).toBe(1000);
+    });
+
+    it('should validate config only against the overwrite hook that replaces a built-in', async () => {
+      const myQueue = createHook({
+        kind: 'queue',
+        overwrite: true,
+        required: ['queue'],
+        source: 'my-queue.js',
+        configSchema: { type: 'object', properties: { maxBatch: { type: 'integer', minimum: 1 } } },
+        fn: (ctx, api, subsystem) => new Facet('queue', { overwrite: true, source: 'my-queue.js' })
+          .add({ maxBatch: ctx.config.queue.maxBatch, inner: subsystem.find('queue') })
+      });
+      system = new BaseSubsystem('a', {}).use(useQueue).use(myQueue);
+
+      await system.build({ config: { queue: { maxBatch: 5 } } });
+
+      expect(system.find('queue').maxBatch).toBe(5);
+      expect(system.ctx.config.queue).toEqual({ maxBatch: 5 });
+      // The replaced useQueue only sees the options it declares, filled with its defaults
+      expect(system.find('queue').inner.queue.capacity).toBe(1000);
+
+      const invalid = new BaseSubsystem('b', {}).use(useQueue).use(myQueue);
+      const error = await invalid.build({ config: { queue: { maxBatch: 0, capacity: 10 } } }).catch(e => e);
+      expect(error.violations.map(v => `${v.path} (${v.source})`)).toEqual([
+        'config.queue.maxBatch (my-queue.js)',
+        'config.queue.capacity (my-queue.js)'
+      ]);
+    });
+
+    it('should validate config when a hook is called directly', () => {
+      const subsystem = new BaseSubsystem('direct', {});
+      expect(() => useQueue({ config: { queue: { policy: 'fifo' } } }, subsystem.api, subsystem))
+        .toThrow(/config\.queue\.policy: must be one of/);
+    });
+  });
+});
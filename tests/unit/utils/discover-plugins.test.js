@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { discoverPlugins, readPluginManifest, loadPlugin } from '../../../src/utils/discover-plugins.js';
+import { useBase } from '../../../src/utils/use-base.js';
+
+const createHookUrl = pathToFileURL(join(process.cwd(), 'src/core/create-hook.js')).href;
+const facetUrl = pathToFileURL(join(process.cwd(), 'src/core/facet.js')).href;
+
+describe('discoverPlugins', () => {
+  let dir;
+  let system;
+
+  async function writePlugin(path, manifest, { exportName = 'default', required = [], version = '1.0.0' } = {}) {
+    const pluginDir = join(dir, path);
+    await mkdir(pluginDir, { recursive: true });
+    const kind = manifest.kind;
+    const declaration = exportName === 'default' ? 'export default' : `export const ${exportName} =`;
+    await writeFile(join(pluginDir, 'index.js'), [
+      `import { createHook } from '${createHookUrl}';`,
+      `import { Facet } from '${facetUrl}';`,
+      `${declaration} createHook({`,
+      `  kind: '${kind}', version: '${version}', required: ${JSON.stringify(required)}, attach: true, source: import.meta.url,`,
+      `  fn: () => new Facet('${kind}', { attach: true, source: import.meta.url }).add({ name: '${kind}' })`,
+      '});',
+      ''
+    ].join('\n'));
+    await writeFile(join(pluginDir, 'mycelia.plugin.json'), JSON.stringify({ entry: './index.js', ...manifest }));
+  }
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'mycelia-plugins-'));
+  });
+
+  afterEach(async () => {
+    if (system?.isBuilt) {
+      await system.dispose();
+    }
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should load one hook per plugin directory, ready for useMultiple', async () => {
+    await writePlugin('cache', { kind: 'cache', version: '1.0.0', required: ['storage'] }, { required: ['storage'] });
+    await writePlugin('storage', { kind: 'storage', export: 'useStorage' }, { exportName: 'useStorage' });
+    await mkdir(join(dir, 'node_modules', 'ignored'), { recursive: true });
+
+    const hooks = await discoverPlugins(dir);
+
+    expect(hooks.map(hook => hook.kind)).toEqual(['cache', 'storage']);
+    system = await useBase('app').useMultiple(hooks).build();
+    expect(system.find('cache').name).toBe('cache');
+    expect(system.find('storage').name).toBe('storage');
+  });
+
+  it('should use the only hook export when no export is named', async () => {
+    await writePlugin('auth', { kind: 'auth' }, { exportName: 'useAuth' });
+
+    const [hook] = await discoverPlugins(dir);
+
+    expect(hook.kind).toBe('auth');
+  });
+
+  it('should only scan nested directories when recursive', async () => {
+    await writePlugin('packages/cache', { kind: 'cache' });
+
+    expect(await discoverPlugins(dir)).toEqual([]);
+    expect((await discoverPlugins(dir, { recursive: true })).map(hook => hook.kind)).toEqual(['cache']);
+  });
+
+  it('should reject manifests that disagree with the hook', async () => {
+    const load = async (path) => loadPlugin(await readPluginManifest(join(dir, path, 'mycelia.plugin.json')));
+
+    await writePlugin('versioned', { kind: 'cache', version: '2.0.0' });
+    await expect(load('versioned')).rejects.toThrow(/mycelia\.plugin\.json: version 2\.0\.0 does not match hook version 1\.0\.0/);
+
+    await writePlugin('dependent', { kind: 'cache', required: ['storage'] });
+    await expect(load('dependent')).rejects.toThrow(/required \["storage"\] does not match hook dependencies \[\]/);
+
+    await writePlugin('renamed', { kind: 'cache' });
+    await writeFile(join(dir, 'renamed', 'mycelia.plugin.json'), JSON.stringify({ kind: 'session', entry: './index.js' }));
+    await expect(load('renamed')).rejects.toThrow(/kind "session" does not match hook kind "cache"/);
+
+    await expect(discoverPlugins(dir)).rejects.toThrow(/does not match/);
+  });
+
+  it('should apply the manifest configSchema to hooks without one', async () => {
+    await writePlugin('cache', { kind: 'cache', configSchema: { type: 'object', properties: { ttl: { type: 'integer', default: 60 } } } });
+
+    const [hook] = await discoverPlugins(dir);
+    system = await useBase('app').useMultiple([hook]).build();
+
+    expect(hook.configSchema.properties.ttl.default).toBe(60);
+    expect(system.ctx.config.cache).toEqual({ ttl: 60 });
+  });
+
+  it('should reject entries that are not hooks', async () => {
+    await mkdir(join(dir, 'broken'));
+    await writeFile(join(dir, 'broken', 'index.js'), 'export default function notAHook() {}\n');
+    await writeFile(join(dir, 'broken', 'mycelia.plugin.json'), JSON.stringify({ kind: 'broken', entry: './index.js' }));
+
+    await expect(discoverPlugins(dir)).rejects.toThrow(/export "default" of "\.\/index\.js" is not a hook created with createHook/);
+  });
+
+  it('should validate manifest fields', async () => {
+    const path = join(dir, 'mycelia.plugin.json');
+
+    await writeFile(path, '{ "kind": ');
+    await expect(readPluginManifest(path)).rejects.toThrow(/invalid JSON/);
+
+    await writeFile(path, JSON.stringify({ kind: 'cache' }));
+    await expect(readPluginManifest(path)).rejects.toThrow(/entry must be a non-empty string/);
+
+    await writeFile(path, JSON.stringify({ kind: 'cache', entry: './index.js', required: [{ kind: 'storage', range: '^one' }] }));
+    await expect(readPluginManifest(path)).rejects.toThrow(/invalid semver range "\^one"/);
+
+    await writeFile(path, JSON.stringify({ kind: 'cache', entry: './index.js', required: [{ kind: 'storage', optional: true }] }));
+    expect(await readPluginManifest(path)).toMatchObject({
+      required: [{ kind: 'storage', range: null, optional: true }],
+      entryPath: join(dir, 'index.js')
+    });
+  });
+});
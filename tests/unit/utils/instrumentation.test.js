@@ -0,0 +1,156 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { BaseSubsystem } from '../../../src/system/base-subsystem.js';
+import { createHook } from '../../../src/core/create-hook.js';
+import { Facet } from '../../../src/core/facet.js';
+import { useHierarchy } from '../../../src/hooks/hierarchy/use-hierarchy.js';
+import { useQueue } from '../../../src/hooks/queue/use-queue.js';
+import { Logger, memorySink } from '../../../src/utils/logger.js';
+import { SpanCollector } from '../../../src/utils/span-collector.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('instrumentation spans', () => {
+  let system;
+
+  afterEach(async () => {
+    if (system?.isBuilt) {
+      await system.dispose();
+    }
+  });
+
+  function makeHook(kind, { required = [], initMs = 0, fail = false } = {}) {
+    const source = `file:///plugins/${kind}.js`;
+    return createHook({
+      kind,
+      required,
+      attach: true,
+      source,
+      fn: () => new Facet(kind, { attach: true, required, source })
+        .add({})
+        .onInit(async () => {
+          if (initMs) await sleep(initMs);
+          if (fail) throw new Error(`${kind} unavailable`);
+        })
+    });
+  }
+
+  it('should record hook and init spans under the build span', async () => {
+    system = new BaseSubsystem('app', { instrumentation: true })
+      .use(makeHook('config'))
+      .use(makeHook('cache', { required: ['config'] }));
+    await system.build();
+
+    const spans = system.getSpanCollector().spans;
+    const build = spans.find(span => span.name === 'build');
+    expect(build).toMatchObject({ subsystem: 'app://', parentId: null, error: null });
+    expect(spans.filter(span => span.parentId === build.id).map(span => `${span.name} ${span.kind}`)).toEqual([
+      'hook config', 'hook cache', 'facet.init config', 'facet.init cache'
+    ]);
+    expect(spans.every(span => span.traceId === build.traceId)).toBe(true);
+    expect(spans.find(span => span.kind === 'cache')).toMatchObject({ source: 'file:///plugins/cache.js' });
+
+    await system.dispose();
+    const dispose = system.getSpanCollector().spans.find(span => span.name === 'dispose');
+    expect(dispose.traceId).not.toBe(build.traceId);
+  });
+
+  it('should report the critical path through dependency levels', async () => {
+    system = new BaseSubsystem('app', { instrumentation: true })
+      .use(makeHook('config'))
+      .use(makeHook('store', { initMs: 40 }))
+      .use(makeHook('cache', { required: ['config'], initMs: 10 }));
+    await system.build();
+
+    const profile = system.getBuildProfile();
+    expect(profile.levels.map(level => level.kinds)).toEqual([['config', 'store'], ['cache']]);
+    expect(profile.criticalPath.map(facet => facet.kind)).toEqual(['store', 'cache']);
+    expect(profile.levels[0].durationMs).toBe(profile.criticalPath[0].initMs);
+    expect(profile.criticalPath[0].initMs).toBeGreaterThanOrEqual(35);
+    expect(profile.criticalPathMs).toBeCloseTo(profile.criticalPath[0].initMs + profile.criticalPath[1].initMs, 1);
+    expect(profile.durationMs).toBeGreaterThanOrEqual(profile.criticalPathMs);
+    expect(profile.facets).toHaveLength(3);
+  });
+
+  it('should record errors and log slow operations as warnings', async () => {
+    const sink = memorySink();
+    system = new BaseSubsystem('app', {
+      instrumentation: true,
+      logger: new Logger({ level: 'warn', sinks: [sink] }),
+      config: { instrumentation: { facetInitThreshold: 5 } }
+    }).use(makeHook('slow', { initMs: 20 }));
+    await system.build();
+
+    expect(sink.records).toContainEqual(expect.objectContaining({
+      level: 'warn', msg: 'Slow facet initialization', kind: 'slow', thresholdMs: 5
+    }));
+
+    const broken = new BaseSubsystem('broken', { instrumentation: true }).use(makeHook('db', { fail: true }));
+    await expect(broken.build()).rejects.toThrow('db unavailable');
+    const failed = broken.getSpanCollector().spans.filter(span => span.error);
+    expect(failed.map(span => span.name)).toEqual(['facet.init', 'build']);
+    expect(failed[0].error).toEqual({ name: 'Error', message: 'db unavailable' });
+    expect(broken.getBuildProfile().error.message).toBe('db unavailable');
+  });
+
+  it('should nest child builds and share the root collector', async () => {
+    system = new BaseSubsystem('app', { instrumentation: true }).use(useHierarchy);
+    await system.build();
+    const child = new BaseSubsystem('cache', {}).use(useQueue);
+    system.hierarchy.addChild(child);
+    await system.reload();
+    await system.build();
+
+    const profile = system.getBuildProfile();
+    expect(profile.children).toEqual([{ subsystem: 'app://cache', durationMs: expect.any(Number) }]);
+    expect(child.getSpanCollector()).toBe(system.getSpanCollector());
+    expect(child.getBuildProfile().facets.map(facet => facet.kind)).toEqual(['queue']);
+  });
+
+  it('should record nothing while instrumentation is disabled', async () => {
+    system = new BaseSubsystem('app', {}).use(makeHook('config'));
+    await system.build();
+
+    expect(system.getSpanCollector().spans).toEqual([]);
+    expect(system.getBuildProfile()).toBeNull();
+  });
+
+  describe('SpanCollector exports', () => {
+    function collect() {
+      const collector = new SpanCollector({ capacity: 3 });
+      const build = collector.start('build', { subsystem: 'app://' });
+      collector.end(collector.start('hook', { subsystem: 'app://', kind: 'queue', source: 'queue.js' }, build));
+      collector.end(collector.start('facet.init', { subsystem: 'app://', kind: 'queue' }, build), new TypeError('bad'));
+      collector.end(build);
+      return { collector, build };
+    }
+
+    it('should export OTLP/JSON', () => {
+      const { collector, build } = collect();
+      const [resourceSpans] = collector.toOTLP({ serviceName: 'shop' }).resourceSpans;
+      const spans = resourceSpans.scopeSpans[0].spans;
+
+      expect(resourceSpans.resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'shop' } }]);
+      expect(spans.map(span => span.name)).toEqual(['hook queue', 'facet.init queue', 'build']);
+      expect(spans[0]).toMatchObject({ traceId: build.traceId, parentSpanId: build.id, kind: 1, status: { code: 1 } });
+      expect(spans[0].traceId).toMatch(/^[0-9a-f]{32}$/);
+      expect(spans[0].attributes).toContainEqual({ key: 'mycelia.source', value: { stringValue: 'queue.js' } });
+      expect(spans[1].status).toEqual({ code: 2, message: 'TypeError: bad' });
+      expect(spans[2].parentSpanId).toBeUndefined();
+      expect(BigInt(spans[2].endTimeUnixNano)).toBeGreaterThanOrEqual(BigInt(spans[2].startTimeUnixNano));
+    });
+
+    it('should export Chrome trace events and keep only the newest spans', () => {
+      const { collector } = collect();
+      const { traceEvents } = collector.toChromeTrace();
+
+      expect(traceEvents[0]).toEqual({ name: 'thread_name', ph: 'M', pid: 1, tid: 1, args: { name: 'app://' } });
+      expect(traceEvents.slice(1).map(event => [event.name, event.ph, event.tid])).toEqual([
+        ['hook queue', 'X', 1], ['facet.init queue', 'X', 1], ['build', 'X', 1]
+      ]);
+      expect(traceEvents[2].args).toEqual({ kind: 'queue', error: 'TypeError: bad' });
+
+      collector.end(collector.start('dispose', { subsystem: 'app://' }));
+      expect(collector.spans.map(span => span.name)).toEqual(['facet.init', 'build', 'dispose']);
+    });
+  });
+});
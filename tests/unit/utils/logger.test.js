@@ -0,0 +1,175 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Logger, consoleSink, memorySink, createLogger } from '../../../src/utils/logger.js';
+import { fileSink } from '../../../src/utils/file-log-sink.js';
+import { BaseSubsystem } from '../../../src/system/base-subsystem.js';
+import { useQueue } from '../../../src/hooks/queue/use-queue.js';
+import { useListeners } from '../../../src/hooks/listeners/use-listeners.js';
+
+const timestamp = () => '2026-01-01T00:00:00.000Z';
+
+describe('Logger', () => {
+  let system;
+
+  afterEach(async () => {
+    if (system?.isBuilt) {
+      await system.dispose();
+    }
+  });
+
+  it('should filter by level and let children inherit or override it', () => {
+    const sink = memorySink();
+    const root = new Logger({ level: 'info', sinks: [sink], timestamp });
+    const child = root.child({ subsystem: 'app://' });
+    const verbose = root.child({ subsystem: 'app://', facet: 'queue' }, { level: 'trace' });
+
+    root.debug('hidden');
+    child.info('shown');
+    verbose.trace('traced');
+    root.setLevel('warn');
+    child.info('hidden after setLevel');
+    child.error('failed');
+
+    expect(sink.records.map(r => `${r.level}:${r.msg}`)).toEqual(['info:shown', 'trace:traced', 'error:failed']);
+    expect(sink.records[1]).toEqual({
+      time: '2026-01-01T00:00:00.000Z',
+      level: 'trace',
+      subsystem: 'app://',
+      facet: 'queue',
+      msg: 'traced'
+    });
+    expect(() => root.setLevel('verbose')).toThrow("Logger: unknown level 'verbose'");
+  });
+
+  it('should merge fields, serialize errors and redact configured keys', () => {
+    const sink = memorySink();
+    const logger = new Logger({ sinks: [sink], redact: ['password', 'auth.token'], timestamp });
+
+    logger.info('Connected', { user: 'ada', password: 'secret', auth: { token: 't', scheme: 'basic' } }, 42);
+    logger.error('Query failed', { db: { password: 'nested' } }, new Error('timeout'));
+
+    const [connected, failed] = sink.records;
+    expect(connected).toMatchObject({
+      user: 'ada',
+      password: '[REDACTED]',
+      auth: { token: '[REDACTED]', scheme: 'basic' },
+      args: [42]
+    });
+    expect(failed.db.password).toBe('[REDACTED]');
+    expect(failed.err).toMatchObject({ name: 'Error', message: 'timeout' });
+  });
+
+  it('should keep the newest records in the memory sink', () => {
+    const sink = memorySink({ capacity: 2 });
+    const logger = new Logger({ sinks: [sink] });
+    ['a', 'b', 'c'].forEach(msg => logger.info(msg));
+
+    expect(sink.records.map(r => r.msg)).toEqual(['b', 'c']);
+    sink.clear();
+    expect(sink.records).toEqual([]);
+  });
+
+  it('should write JSON lines or pretty text to the console', () => {
+    const lines = { log: [], warn: [], error: [] };
+    const fakeConsole = {
+      log: line => lines.log.push(line),
+      warn: line => lines.warn.push(line),
+      error: line => lines.error.push(line)
+    };
+    const logger = new Logger({ sinks: [consoleSink({ console: fakeConsole })], timestamp });
+    const pretty = new Logger({ sinks: [consoleSink({ console: fakeConsole, format: 'pretty' })], timestamp });
+
+    logger.info('Started', { port: 80 });
+    logger.fatal('Crashed');
+    pretty.child({ subsystem: 'app://', facet: 'queue' }).warn('Full', { size: 3 });
+
+    expect(JSON.parse(lines.log[0])).toEqual({ time: timestamp(), level: 'info', msg: 'Started', port: 80 });
+    expect(JSON.parse(lines.error[0]).level).toBe('fatal');
+    expect(lines.warn[0]).toBe('2026-01-01T00:00:00.000Z WARN  [app:// queue] Full {"size":3}');
+  });
+
+  it('should append JSON lines to a file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'mycelia-log-'));
+    try {
+      const logger = new Logger({ sinks: [fileSink(join(dir, 'logs', 'app.jsonl'))], timestamp });
+      logger.info('one');
+      logger.child({ facet: 'queue' }).warn('two');
+      await logger.close();
+
+      const lines = (await readFile(join(dir, 'logs', 'app.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([
+        { time: timestamp(), level: 'info', msg: 'one' },
+        { time: timestamp(), level: 'warn', facet: 'queue', msg: 'two' }
+      ]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should report file errors from close() instead of crashing', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'mycelia-log-'));
+    try {
+      const sink = fileSink(dir); // a directory cannot be opened for appending
+      const logger = new Logger({ sinks: [sink], timestamp });
+      logger.info('before the open fails');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      logger.info('after the open failed');
+
+      expect(() => sink.write({ msg: 'dropped' })).not.toThrow();
+      await expect(sink.close()).rejects.toMatchObject({ code: 'EISDIR' });
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should keep createLogger compatible (log is debug, errors always written)', () => {
+    const quiet = createLogger(false, 'Legacy');
+    const verbose = createLogger(true, 'Legacy');
+
+    expect(quiet.isDebugEnabled()).toBe(false);
+    expect(quiet.isLevelEnabled('error')).toBe(true);
+    expect(verbose.isDebugEnabled()).toBe(true);
+    expect(verbose.bindings).toEqual({ scope: 'Legacy' });
+  });
+
+  describe('subsystem wiring', () => {
+    it('should expose ctx.logger and scope built-in hooks and classes by subsystem and facet', async () => {
+      const sink = memorySink();
+      system = new BaseSubsystem('app', {
+        logger: { level: 'debug', sinks: [sink] },
+        config: { queue: { capacity: 2 } }
+      }).use(useQueue).use(useListeners);
+      await system.build();
+
+      expect(system.ctx.logger).toBeInstanceOf(Logger);
+      system.queue.queue.enqueue('a');
+      system.listeners.enableListeners();
+      system.listeners.on('layers/create', () => {});
+      system.listeners.emit('layers/create', {});
+
+      const find = (scope, msg) => sink.records.find(r => r.scope === scope && r.msg === msg);
+      expect(find('SubsystemQueueManager', 'Initialized')).toMatchObject({
+        subsystem: 'app://', facet: 'queue', capacity: 2, policy: 'drop-oldest'
+      });
+      expect(find('BoundedQueue', 'Enqueued item')).toMatchObject({ facet: 'queue', size: 1 });
+      expect(find('ListenerManager', 'Notified listeners')).toMatchObject({
+        subsystem: 'app://', facet: 'listeners', path: 'layers/create', notified: 1
+      });
+      expect(sink.records.some(r => r.msg === 'Built successfully' && r.subsystem === 'app://')).toBe(true);
+    });
+
+    it('should stay quiet below error level by default', async () => {
+      const sink = memorySink();
+      const logger = new Logger({ level: 'error', sinks: [sink] });
+      system = new BaseSubsystem('app', { logger }).use(useQueue);
+      await system.build();
+      system.queue.queue.enqueue('a');
+
+      expect(sink.records).toEqual([]);
+      expect(new BaseSubsystem('plain', {}).ctx.logger.level).toBe('error');
+      expect(new BaseSubsystem('verbose', { debug: true }).ctx.logger.level).toBe('debug');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import {
+  compareVersions,
+  satisfiesRange,
+  isValidRange,
+  parseRange,
+  maxSatisfying,
+  minSatisfying,
+  intersects,
+  minVersion
+} from '../../../src/utils/semver.js';
+
+describe('semver', () => {
+  const expectRange = (range, matching, notMatching) => {
+    for (const version of matching) {
+      expect(satisfiesRange(version, range), `${version} should satisfy ${range}`).toBe(true);
+    }
+    for (const version of notMatching) {
+      expect(satisfiesRange(version, range), `${version} should not satisfy ${range}`).toBe(false);
+    }
+  };
+
+  describe('compareVersions', () => {
+    it('should order prerelease identifiers per the spec', () => {
+      const ordered = [
+        '1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.2', '1.0.0-alpha.10',
+        '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0'
+      ];
+      for (let i = 1; i < ordered.length; i++) {
+        expect(compareVersions(ordered[i - 1], ordered[i])).toBe(-1);
+        expect(compareVersions(ordered[i], ordered[i - 1])).toBe(1);
+      }
+      expect(compareVersions('1.0.0-1', '1.0.0-beta')).toBe(-1);
+      expect(compareVersions('1.0.0+build.1', '1.0.0+build.2')).toBe(0);
+    });
+  });
+
+  describe('satisfiesRange', () => {
+    it('should apply the 0.x caret rules', () => {
+      expectRange('^1.2.3', ['1.2.3', '1.9.0'], ['1.2.2', '2.0.0']);
+      expectRange('^0.2.3', ['0.2.3', '0.2.9'], ['0.3.0', '0.9.0', '0.2.2']);
+      expectRange('^0.0.3', ['0.0.3'], ['0.0.4', '0.1.0']);
+      expectRange('^0.x', ['0.0.1', '0.9.9'], ['1.0.0']);
+      expectRange('^1.2', ['1.2.0', '1.9.9'], ['2.0.0', '1.1.9']);
+    });
+
+    it('should support tilde ranges', () => {
+      expectRange('~1.2.3', ['1.2.3', '1.2.9'], ['1.3.0', '1.2.2']);
+      expectRange('~1.2', ['1.2.0', '1.2.9'], ['1.3.0']);
+      expectRange('~1', ['1.0.0', '1.9.0'], ['2.0.0']);
+      expectRange('~0.2.3', ['0.2.5'], ['0.3.0']);
+    });
+
+    it('should intersect space-separated comparators', () => {
+      expectRange('>=1.2.0 <2.0.0', ['1.2.0', '1.9.9'], ['1.1.9', '2.0.0']);
+      expectRange('>= 1.2.0 < 1.4', ['1.3.9'], ['1.4.0']);
+      expectRange('>1.2', ['1.3.0'], ['1.2.9']);
+      expectRange('<=1.2', ['1.2.9'], ['1.3.0']);
+    });
+
+    it('should support x-ranges', () => {
+      expectRange('1.x', ['1.0.0', '1.9.9'], ['0.9.9', '2.0.0']);
+      expectRange('1.2.*', ['1.2.0', '1.2.9'], ['1.3.0']);
+      expectRange('1', ['1.5.0'], ['2.0.0']);
+      expectRange('*', ['0.0.0', '9.9.9'], []);
+      expectRange('', ['1.0.0'], []);
+    });
+
+    it('should support hyphen ranges', () => {
+      expectRange('1.2.3 - 1.4.0', ['1.2.3', '1.3.5', '1.4.0'], ['1.2.2', '1.4.1']);
+      expectRange('1.2 - 2', ['1.2.0', '2.9.9'], ['1.1.9', '3.0.0']);
+    });
+
+    it('should support unions', () => {
+      expectRange('^1.0.0 || ^3.0.0', ['1.5.0', '3.1.0'], ['2.0.0', '4.0.0']);
+      expectRange('<1.0.0 || >=2.0.0 <2.1.0', ['0.5.0', '2.0.5'], ['1.5.0', '2.1.0']);
+    });
+
+    it('should only match prereleases of the same tuple', () => {
+      expectRange('>=1.2.3-alpha', ['1.2.3-beta', '1.2.3', '1.3.0'], ['1.3.0-beta', '1.2.3-0']);
+      expectRange('^1.2.3-beta.2', ['1.2.3-beta.10', '1.2.4'], ['1.2.3-beta.1', '1.2.4-beta']);
+      expectRange('*', [], ['1.0.0-beta']);
+      expect(satisfiesRange('1.3.0-beta', '^1.0.0', { includePrerelease: true })).toBe(true);
+      expect(satisfiesRange('2.0.0-beta', '^1.0.0', { includePrerelease: true })).toBe(false);
+    });
+
+    it('should reject invalid input', () => {
+      expect(() => satisfiesRange('1.0', '^1.0.0')).toThrow(/Invalid semver: 1\.0/);
+      expect(() => satisfiesRange('1.0.0', '^one')).toThrow(/Invalid range: \^one/);
+      expect(() => satisfiesRange('1.0.0', 5)).toThrow('Range must be a string');
+      expect(isValidRange('>=')).toBe(false);
+      expect(isValidRange('1.2.3 -')).toBe(false);
+      expect(isValidRange('>=1.2.0 <2 || 3.x')).toBe(true);
+    });
+  });
+
+  describe('parseRange', () => {
+    it('should desugar to primitive comparators', () => {
+      expect(parseRange('^0.2.3 || 1.2.3')).toEqual([
+        [{ operator: '>=', version: '0.2.3' }, { operator: '<', version: '0.3.0-0' }],
+        [{ operator: '=', version: '1.2.3' }]
+      ]);
+      expect(parseRange('*')).toEqual([[]]);
+    });
+  });
+
+  describe('helpers', () => {
+    it('should pick the highest and lowest satisfying versions', () => {
+      const versions = ['1.2.0', '1.9.0', '2.0.0', '1.10.0-beta', 'not-a-version'];
+      expect(maxSatisfying(versions, '^1.0.0')).toBe('1.9.0');
+      expect(minSatisfying(versions, '^1.0.0')).toBe('1.2.0');
+      expect(maxSatisfying(versions, '^3.0.0')).toBeNull();
+      expect(maxSatisfying(versions, '^1.0.0', { includePrerelease: true })).toBe('1.10.0-beta');
+    });
+
+    it('should detect intersecting ranges', () => {
+      expect(intersects('^1.2.0', '>=1.5.0 <3.0.0')).toBe(true);
+      expect(intersects('^1.0.0', '^2.0.0')).toBe(false);
+      expect(intersects('>1.0.0', '<=1.0.0')).toBe(false);
+      expect(intersects('1.0.0', '>=1.0.0')).toBe(true);
+      expect(intersects('^1.0.0 || ^2.0.0', '2.x')).toBe(true);
+      expect(intersects('*', '<1.0.0')).toBe(true);
+    });
+
+    it('should find the minimum version of a range', () => {
+      expect(minVersion('^1.2.3')).toBe('1.2.3');
+      expect(minVersion('>1.2.3')).toBe('1.2.4');
+      expect(minVersion('>1.2.3-beta')).toBe('1.2.3-beta.0');
+      expect(minVersion('>1.2.3 || 0.x')).toBe('0.0.0');
+      expect(minVersion('*')).toBe('0.0.0');
+      expect(minVersion('>=2.0.0 <1.0.0')).toBeNull();
+      expect(minVersion('<0.0.0')).toBeNull();
+    });
+  });
+});